@@ -0,0 +1,45 @@
+/**
+ * Binary WebSocket Protocol
+ * Compact frames for batched pixel updates, negotiated with the "pixel-binary-v1" subprotocol
+ * Clients that don't ask for it keep receiving JSON cellUpdate messages
+ *
+ * Frame layout (big-endian):
+ *   u8  frame type (FRAME_CELL_UPDATES)
+ *   u16 update count
+ *   then per update: u32 seq, u16 x, u16 y, u8 palette index, u32 user id
+ *
+ * Palette indexes refer to the active palette the client received in init or paletteUpdate
+ * User ids are resolved through JSON "users" messages sent before the first frame using them
+ * (id 0 means unknown user)
+ */
+
+// === PROTOCOL CONSTANTS ===
+export const BINARY_PROTOCOL = "pixel-binary-v1";
+export const FRAME_CELL_UPDATES = 1;
+export const ERASED_COLOR_INDEX = 0xff;     // Reserved palette index for a cleared cell
+export const MAX_UPDATES_PER_FRAME = 0xffff;
+
+const HEADER_BYTES = 3;
+const UPDATE_BYTES = 13;
+
+/**
+ * Encode a batch of pixel updates as one binary frame
+ * @param {Array} updates - [{ seq, x, y, colorIndex, userId }], at most MAX_UPDATES_PER_FRAME
+ * @returns {Buffer} - Encoded frame
+ */
+export function encodeCellUpdates(updates) {
+  const frame = Buffer.alloc(HEADER_BYTES + updates.length * UPDATE_BYTES);
+  frame.writeUInt8(FRAME_CELL_UPDATES, 0);
+  frame.writeUInt16BE(updates.length, 1);
+
+  let offset = HEADER_BYTES;
+  for (const update of updates) {
+    frame.writeUInt32BE(update.seq, offset);
+    frame.writeUInt16BE(update.x, offset + 4);
+    frame.writeUInt16BE(update.y, offset + 6);
+    frame.writeUInt8(update.colorIndex, offset + 8);
+    frame.writeUInt32BE(update.userId || 0, offset + 9);
+    offset += UPDATE_BYTES;
+  }
+  return frame;
+}
@@ -0,0 +1,103 @@
+/**
+ * Canvas Geometry
+ * Canvas dimensions and grid key parsing shared by the WebSocket and REST handlers
+ * Cells are addressed by "x,y" keys with 0 <= x < width and 0 <= y < height
+ * Cells are grouped into CHUNK_SIZE x CHUNK_SIZE chunks addressed by "cx,cy" keys
+ */
+
+// === CANVAS SIZE LIMITS ===
+export const DEFAULT_CANVAS_WIDTH = 256;
+export const DEFAULT_CANVAS_HEIGHT = 256;
+export const MAX_CANVAS_DIMENSION = 65535;  // Coordinates must fit in 16 bits
+
+// === CHUNKING ===
+export const CHUNK_SIZE = 64;               // Cells per chunk side
+
+/**
+ * Parse a configured canvas dimension
+ * @param {string|undefined} value - Raw value (typically from an environment variable)
+ * @param {number} fallback - Default when the value is missing
+ * @returns {number} - Dimension in cells
+ * @throws {Error} - If the value is not an integer between 1 and MAX_CANVAS_DIMENSION
+ */
+function parseDimension(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const dimension = Number(value);
+  if (!Number.isInteger(dimension) || dimension < 1 || dimension > MAX_CANVAS_DIMENSION) {
+    throw new Error(`Canvas dimensions must be integers between 1 and ${MAX_CANVAS_DIMENSION}, got "${value}"`);
+  }
+  return dimension;
+}
+
+/**
+ * Load canvas configuration from the environment
+ * Called after dotenv has loaded, so .env values are honoured
+ * @param {Object} [env=process.env] - Environment variables (CANVAS_WIDTH, CANVAS_HEIGHT)
+ * @returns {{width: number, height: number}} - Canvas size in cells
+ */
+export function loadCanvasConfig(env = process.env) {
+  return {
+    width: parseDimension(env.CANVAS_WIDTH, DEFAULT_CANVAS_WIDTH),
+    height: parseDimension(env.CANVAS_HEIGHT, DEFAULT_CANVAS_HEIGHT)
+  };
+}
+
+/**
+ * Strictly parse a grid key in "x,y" format
+ * Only canonical non-negative integers are accepted (no signs, spaces or leading zeros)
+ * @param {*} key - Grid key supplied by a client
+ * @returns {{x: number, y: number}|null} - Parsed coordinates, or null if malformed
+ */
+export function parseGridKey(key) {
+  if (typeof key !== "string") return null;
+  const match = /^(0|[1-9]\d{0,8}),(0|[1-9]\d{0,8})$/.exec(key);
+  if (!match) return null;
+  return { x: Number(match[1]), y: Number(match[2]) };
+}
+
+/**
+ * Check whether a cell lies on the canvas
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @param {{width: number, height: number}} config - Canvas size
+ * @returns {boolean} - Whether the cell is inside the canvas
+ */
+export function isInBounds(x, y, config) {
+  return Number.isInteger(x) && Number.isInteger(y) &&
+    x >= 0 && y >= 0 && x < config.width && y < config.height;
+}
+
+/**
+ * Parse a grid key and check it lies on the canvas
+ * @param {*} key - Grid key supplied by a client
+ * @param {{width: number, height: number}} config - Canvas size
+ * @returns {{x: number, y: number}|null} - Coordinates, or null if malformed or out of range
+ */
+export function parseCanvasKey(key, config) {
+  const coords = parseGridKey(key);
+  if (!coords || !isInBounds(coords.x, coords.y, config)) return null;
+  return coords;
+}
+
+/**
+ * Get the key of the chunk containing a cell
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {string} - Chunk key in "cx,cy" format
+ */
+export function getChunkKey(x, y) {
+  return `${Math.floor(x / CHUNK_SIZE)},${Math.floor(y / CHUNK_SIZE)}`;
+}
+
+/**
+ * Parse a chunk key and check the chunk overlaps the canvas
+ * @param {*} key - Chunk key supplied by a client
+ * @param {{width: number, height: number}} config - Canvas size
+ * @returns {{cx: number, cy: number}|null} - Chunk coordinates, or null if malformed or off the canvas
+ */
+export function parseChunkKey(key, config) {
+  const coords = parseGridKey(key);
+  if (!coords) return null;
+  if (coords.x * CHUNK_SIZE >= config.width || coords.y * CHUNK_SIZE >= config.height) return null;
+  return { cx: coords.x, cy: coords.y };
+}
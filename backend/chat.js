@@ -0,0 +1,29 @@
+/**
+ * Chat Rules
+ * Message validation for the in-canvas chat channel
+ * How often users may chat is limited with the other WebSocket messages (the "chat" limit in rateLimiter.js)
+ */
+
+// === CHAT LIMITS ===
+export const CHAT_MAX_LENGTH = 280;        // Characters per message
+export const CHAT_HISTORY_LIMIT = 50;      // Messages returned per history page
+
+/**
+ * Clean up and validate a chat message
+ * Control characters are stripped and surrounding whitespace trimmed
+ * @param {*} text - Text supplied by a client
+ * @returns {{text?: string, error?: string}} - Cleaned text or an error message
+ */
+export function sanitizeChatText(text) {
+  if (typeof text !== "string") {
+    return { error: "Message must be text" };
+  }
+  const cleaned = text.replace(/[\u0000-\u001f\u007f]/g, " ").trim();
+  if (!cleaned) {
+    return { error: "Message is empty" };
+  }
+  if (cleaned.length > CHAT_MAX_LENGTH) {
+    return { error: `Messages are limited to ${CHAT_MAX_LENGTH} characters` };
+  }
+  return { text: cleaned };
+}
@@ -0,0 +1,131 @@
+/**
+ * Credential Rules
+ * What accounts may use as username, password and display name
+ * Usernames are plain ASCII (no lookalike Unicode, spaces or markup) and unique regardless of case;
+ * passwords need a minimum length and some variety. Existing accounts keep whatever they registered with
+ * Display names are free text shown instead of the username, so they may use any script
+ */
+
+// === USERNAME RULES ===
+export const USERNAME_MIN_LENGTH = 3;
+export const USERNAME_MAX_LENGTH = 20;
+const USERNAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Names that could pass for the site or its staff (compared case-insensitively)
+export const RESERVED_USERNAMES = [
+  "admin", "administrator", "moderator", "mod", "staff", "support", "system", "server",
+  "official", "anonymous", "everyone", "null", "undefined", "me"
+];
+
+// === PASSWORD RULES ===
+export const PASSWORD_MIN_LENGTH = 8;
+export const PASSWORD_MAX_BYTES = 72;       // bcrypt ignores everything after 72 bytes
+
+// Rejected outright, whatever their length or variety (compared case-insensitively)
+const COMMON_PASSWORDS = new Set([
+  "password", "password1", "password123", "passw0rd", "12345678", "123456789", "1234567890",
+  "qwerty123", "qwertyuiop", "1q2w3e4r", "iloveyou", "sunshine1", "letmein1", "welcome1",
+  "abc12345", "football1", "baseball1", "trustno1", "pixelart", "pixelart1"
+]);
+
+// === DISPLAY NAME RULES ===
+export const DISPLAY_NAME_MAX_LENGTH = 32;
+
+/**
+ * Check a username for a new account
+ * Uniqueness is checked separately, against storage
+ * @param {*} username - Username supplied by a client
+ * @param {Object} [options] - { allowReserved }: let a reserved name through (e.g. for ADMIN_USERNAMES)
+ * @returns {string|null} - Error message, or null if the username is acceptable
+ */
+export function validateUsername(username, { allowReserved = false } = {}) {
+  if (typeof username !== "string" || !username) {
+    return "Username is required";
+  }
+  if (username.length < USERNAME_MIN_LENGTH || username.length > USERNAME_MAX_LENGTH) {
+    return `Username must be ${USERNAME_MIN_LENGTH}-${USERNAME_MAX_LENGTH} characters`;
+  }
+  if (!USERNAME_PATTERN.test(username)) {
+    return "Username may only contain letters, digits, _ and -, and must start with a letter or digit";
+  }
+  if (!allowReserved && RESERVED_USERNAMES.includes(username.toLowerCase())) {
+    return "That username is reserved";
+  }
+  return null;
+}
+
+/**
+ * Check a password for a new account
+ * @param {*} password - Password supplied by a client
+ * @param {*} username - Username it is for; the password must not contain it
+ * @returns {string|null} - Error message, or null if the password is acceptable
+ */
+export function validatePassword(password, username) {
+  if (typeof password !== "string" || !password) {
+    return "Password is required";
+  }
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+    return `Password must be at most ${PASSWORD_MAX_BYTES} bytes`;
+  }
+  // Letters, digits and everything else count as kinds of character
+  const kinds = [/\p{L}/u, /\p{N}/u, /[^\p{L}\p{N}]/u].filter(kind => kind.test(password)).length;
+  if (kinds < 2) {
+    return "Password must mix at least two of: letters, digits, other characters";
+  }
+  if (COMMON_PASSWORDS.has(password.toLowerCase())) {
+    return "That password is too common";
+  }
+  if (typeof username === "string" && username.length >= USERNAME_MIN_LENGTH &&
+      password.toLowerCase().includes(username.toLowerCase())) {
+    return "Password must not contain the username";
+  }
+  return null;
+}
+
+/**
+ * Clean up and validate a display name
+ * Control and invisible formatting characters are removed and runs of whitespace collapsed
+ * @param {*} displayName - Display name supplied by a client; null or "" clears it
+ * @returns {{displayName?: string|null, error?: string}} - Cleaned name (null to clear) or an error message
+ */
+export function sanitizeDisplayName(displayName) {
+  if (displayName === null || displayName === "") {
+    return { displayName: null };
+  }
+  if (typeof displayName !== "string") {
+    return { error: "Display name must be text" };
+  }
+  const cleaned = displayName.replace(/\p{C}/gu, "").replace(/\s+/g, " ").trim();
+  if (!cleaned) {
+    return { displayName: null };
+  }
+  if ([...cleaned].length > DISPLAY_NAME_MAX_LENGTH) {
+    return { error: `Display name must be at most ${DISPLAY_NAME_MAX_LENGTH} characters` };
+  }
+  if (!/[\p{L}\p{N}]/u.test(cleaned)) {
+    return { error: "Display name must contain a letter or digit" };
+  }
+  if (RESERVED_USERNAMES.includes(cleaned.toLowerCase())) {
+    return { error: "That name is reserved" };
+  }
+  return { displayName: cleaned };
+}
+
+/**
+ * Check the credentials of a new account, field by field
+ * @param {Object} input - { username, password }
+ * @param {Object} [options] - Passed on to validateUsername
+ * @returns {Object} - Field errors { username?, password? }, empty if both are acceptable
+ */
+export function validateCredentials(input, options) {
+  const { username, password } = input || {};
+  const fields = {};
+  const usernameError = validateUsername(username, options);
+  if (usernameError) fields.username = usernameError;
+  const passwordError = validatePassword(password, username);
+  if (passwordError) fields.password = passwordError;
+  return fields;
+}
@@ -11,7 +11,41 @@ import jwt from "jsonwebtoken";         // JSON Web Token implementation
 
 
 // === DATABASE INTEGRATION ===
-import { initDB, findUserByUsername, addUser, incrementUserPixels, updateUserOnlineStatus, getAllUsersForLeaderboard, savePixel, loadAllPixels, getPixelStats } from "./db.js";
+import { createStorage } from "./storage.js";
+import { DEFAULT_ACCESS_TOKEN_TTL_SECONDS, REFRESH_TOKEN_TTL_MS, createRefreshToken, hashRefreshToken, createSessionId } from "./tokens.js";
+
+// === CANVAS GEOMETRY ===
+import { loadCanvasConfig, parseCanvasKey, parseChunkKey, getChunkKey, isInBounds, CHUNK_SIZE } from "./canvas.js";
+
+// Import palette helpers for validating placed colours
+import { normalizeColor, validatePalette, isPaletteColor } from "./palette.js";
+
+// Import canvas room settings and access rules
+import { MAIN_CANVAS_SLUG, MAIN_CANVAS_ID, MAX_OWNED_CANVASES, MEMBER_ROLES, validateRoomSettings, isRoomOpen } from "./rooms.js";
+
+// Import site-wide roles and moderation rules
+import { USER_ROLES, DEFAULT_USER_ROLE, AUDIT_ACTIONS, MODERATION_PAGE_SIZE, BLOCKING_SANCTION_TYPES, hasRole, validateRegion, validateSanction, describeSanction } from "./moderation.js";
+
+// Import mass rollback of placements
+import { MAX_ROLLBACK_PLACEMENTS, ROLLBACK_PREVIEW_LIMIT, validateRollbackFilter, planRollback } from "./rollback.js";
+
+// Import username and password rules for new accounts
+import { validateCredentials, validatePassword, sanitizeDisplayName } from "./credentials.js";
+
+// Import token-bucket rate limiting for HTTP routes and WebSocket messages
+import { loadRateLimits, createRateLimiter } from "./rateLimiter.js";
+
+// Import leaderboard metrics, windows and ranking
+import { validateLeaderboardQuery, getWindowStart, rankScores, getLeaderboardPage } from "./leaderboard.js";
+
+// === IMAGE EXPORT ===
+import { renderGridToPNG } from "./png.js";  // Pure JS PNG rendering of the grid
+
+// Import chat message validation
+import { sanitizeChatText, CHAT_HISTORY_LIMIT } from "./chat.js";
+
+// Import the compact binary frame format for pixel updates
+import { BINARY_PROTOCOL, ERASED_COLOR_INDEX, encodeCellUpdates, MAX_UPDATES_PER_FRAME } from "./binaryProtocol.js";
 
 // === WEBSOCKET DEPENDENCIES ===
 import http from "http";                // HTTP server for WebSocket upgrade
@@ -20,6 +54,35 @@ import { WebSocketServer } from "ws";   // WebSocket server implementation
 // Load environment variables from .env file
 dotenv.config();
 
+// Secret used to sign and verify JWTs (HTTP routes and WebSocket handshake)
+const JWT_SECRET = process.env.JWT_SECRET || "secretkey";
+
+// Lifetime of access tokens; clients renew them with their refresh token (see tokens.js)
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || DEFAULT_ACCESS_TOKEN_TTL_SECONDS;
+
+// How often expired refresh tokens are deleted
+const REFRESH_TOKEN_PRUNE_MS = 60 * 60 * 1000;
+
+// Main canvas size in cells (CANVAS_WIDTH / CANVAS_HEIGHT), placements outside it are rejected
+// Other canvases store their own size
+const canvasConfig = loadCanvasConfig();
+
+// Where data is kept: "sqlite" (./data/database.sqlite, the default) or "memory" (lost on restart)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "sqlite";
+let storage; // Storage implementation (see storage.js), created at startup
+
+// === RATE LIMITING ===
+// Limits per route and per WebSocket message type, overridable with RATE_LIMITS (see rateLimiter.js)
+const rateLimiter = createRateLimiter(loadRateLimits());
+const RATE_LIMIT_PRUNE_MS = 60 * 1000;
+
+// Set TRUST_PROXY=true behind a reverse proxy, so clients are told apart by X-Forwarded-For
+// instead of all sharing the proxy's address
+const TRUST_PROXY = process.env.TRUST_PROXY === "true";
+
+// Close code for WebSockets of clients that keep exceeding their rate limits
+const RATE_LIMIT_CLOSE_CODE = 4029;
+
 // For ES modules (__dirname workaround)
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,322 +94,2617 @@ const server = http.createServer(app);  // Create HTTP server for WebSocket supp
 // === MIDDLEWARE CONFIGURATION ===
 app.use(cors());                        // Enable CORS for all routes
 app.use(express.json());                // Parse JSON request bodies
+app.use("/api", rateLimit("api"));      // Per-IP limit on every API route (per account in authenticateToken)
 app.use(express.static(path.join(__dirname, "../frontend/dist")));
 
-// === MULTIPLAYER WEBSOCKET SETUP ===
-// WebSocket server for real-time collaborative pixel art
-const wss = new WebSocketServer({ server });
+// === MULTIPLAYER WEBSOCKET SETUP ===
+// WebSocket server for real-time collaborative pixel art
+// Clients offering the binary subprotocol get batched binary pixel updates instead of JSON
+const wss = new WebSocketServer({
+  server,
+  handleProtocols: (protocols) => protocols.has(BINARY_PROTOCOL) ? BINARY_PROTOCOL : false
+});
+
+// === SHARED GAME STATE ===
+// Every canvas is a room with its own game state, keyed by canvas id:
+//   canvas       - settings from the database { id, slug, title, width, height, cooldownMs, visibility, expiresAt, ... }
+//   palette      - palette placements are validated against
+//   gridState    - { "x,y": { color, username } }, all placed pixels with their color and owner
+//   chunkIndex   - "cx,cy" -> Set of grid keys, so a chunk can be sent without scanning the whole grid
+//   epoch, updateSeq, updateBuffer - update sequence for resuming clients (see below)
+// Each client is in exactly one room (ws.room) and only sees that room's updates and cursors
+const rooms = new Map();
+
+// Most chunks a single client may subscribe to at once
+const MAX_SUBSCRIBED_CHUNKS = 256;
+
+// === UPDATE SEQUENCE ===
+// Every cellUpdate carries a monotonically increasing seq (per room) so reconnecting clients can resume
+// The epoch changes on every server start, since seq restarts from zero, and differs between rooms
+const SERVER_EPOCH = Date.now().toString(36);
+
+// Size of each room's ring buffer of recent updates: { seq, chunkKey, message }
+// Clients further behind than this fall back to a full resync
+const UPDATE_BUFFER_SIZE = Number(process.env.UPDATE_BUFFER_SIZE) || 10000;
+
+// === BINARY UPDATE BATCHING ===
+// Binary clients receive their updates in one frame per batching window
+const BINARY_BATCH_MS = Number(process.env.BINARY_BATCH_MS) || 50;
+let binaryFlushTimer = null;
+
+// === PRESENCE ===
+// Authenticated clients share their viewport centre and hovered cell
+// Changes are collected and sent every PRESENCE_BROADCAST_MS to clients watching the cursor's chunk
+const PRESENCE_MIN_INTERVAL_MS = 100;     // Presence messages arriving faster than this are dropped
+const PRESENCE_BROADCAST_MS = 200;
+const presenceChanged = new Map();        // Connection id -> { ws, previousChunk } changed since the last broadcast
+let presenceFlushTimer = null;
+let nextConnectionId = 1;
+
+// === PLACEMENT COOLDOWN ===
+// Minimum time between two placements by the same user on the main canvas (milliseconds)
+// Other canvases store their own cooldown
+const PLACEMENT_COOLDOWN_MS = Number(process.env.PLACEMENT_COOLDOWN_MS) || 5000;
+
+// Development only: let purchased squares skip the cooldown
+// The "Test Stripe Payment" button is client-side, so never enable this in production
+const ALLOW_DEV_PURCHASES = process.env.ALLOW_DEV_PURCHASES === "true";
+
+// === ADMINISTRATION ===
+// Comma-separated usernames given the admin role at startup and when they register, to bootstrap
+// the first admins; after that admins hand out roles with PUT /api/admin/users/:username/role
+// Kept in lowercase, since usernames are matched ignoring case
+const ADMIN_USERNAMES = new Set(
+  (process.env.ADMIN_USERNAMES || "").split(",").map(name => name.trim().toLowerCase()).filter(Boolean)
+);
+
+// === CANVAS ROOMS ===
+
+/**
+ * Build a room from a stored canvas, loading its pixels
+ * Pixels left outside the canvas (e.g. after shrinking it) are hidden; they stay in the database
+ * @param {Object} canvas - Canvas from the database
+ * @returns {Object} - Room (see SHARED GAME STATE)
+ */
+function createRoom(canvas) {
+  const room = {
+    canvas,
+    palette: storage.getPaletteById(canvas.paletteId),
+    gridState: {},
+    chunkIndex: new Map(),
+    epoch: `${SERVER_EPOCH}.${canvas.id}`,
+    updateSeq: 0,
+    updateBuffer: new Array(UPDATE_BUFFER_SIZE)
+  };
+  
+  try {
+    room.gridState = storage.loadAllPixels(canvas.id);
+  } catch (error) {
+    console.error(`❌ Error loading pixels for canvas "${canvas.slug}":`, error);
+    room.gridState = {}; // Start with an empty grid if loading fails
+  }
+  
+  let outOfBounds = 0;
+  for (const key of Object.keys(room.gridState)) {
+    const coords = parseCanvasKey(key, canvas);
+    if (!coords) {
+      delete room.gridState[key];
+      outOfBounds++;
+      continue;
+    }
+    indexPixel(room, key, coords.x, coords.y);
+  }
+  if (outOfBounds > 0) {
+    console.log(`⚠️  Ignoring ${outOfBounds} stored pixels outside the ${canvas.width}x${canvas.height} canvas "${canvas.slug}"`);
+  }
+  console.log(`✅ Loaded ${Object.keys(room.gridState).length} pixels for canvas "${canvas.slug}"`);
+  return room;
+}
+
+/**
+ * Find a room by its canvas slug
+ * @param {*} slug - Slug supplied by a client
+ * @returns {Object|null} - Room, or null if there is no such canvas
+ */
+function findRoom(slug) {
+  for (const room of rooms.values()) {
+    if (room.canvas.slug === slug) return room;
+  }
+  return null;
+}
+
+/**
+ * Look up a user's site-wide role
+ * Read from storage rather than the JWT, so role changes apply at once
+ * @param {string|null} username - Username (null for anonymous clients)
+ * @returns {string|null} - Role, or null for anonymous clients and unknown users
+ */
+function getUserRole(username) {
+  if (!username) return null;
+  const user = storage.findUserByUsername(username);
+  return user ? user.role : null;
+}
+
+/**
+ * Check whether a user is a server administrator
+ * @param {string|null} username - Username (null for anonymous clients)
+ * @returns {boolean}
+ */
+function isAdmin(username) {
+  return hasRole(getUserRole(username), "admin");
+}
+
+/**
+ * Check whether a user may view and place on a canvas
+ * Public canvases are open to everyone; private ones to their members and admins
+ * @param {Object} room - Room to check
+ * @param {string|null} username - Username (null for anonymous clients)
+ * @returns {boolean}
+ */
+function canAccessRoom(room, username) {
+  if (room.canvas.visibility === "public") return true;
+  return isAdmin(username) || (!!username && storage.getCanvasRole(room.canvas.id, username) !== null);
+}
+
+/**
+ * Check whether a user may manage a canvas's members and palette
+ * @param {Object} room - Room to check
+ * @param {string} username - Username
+ * @returns {boolean} - True for the canvas's owners and admins
+ */
+function canManageRoom(room, username) {
+  return isAdmin(username) || storage.getCanvasRole(room.canvas.id, username) === "owner";
+}
+
+/**
+ * Describe a room for clients
+ * @param {Object} room - Room
+ * @returns {Object} - { id, slug, title, width, height, cooldownMs, visibility, expiresAt, closed }
+ */
+function describeRoom(room) {
+  const { id, slug, title, width, height, cooldownMs, visibility, expiresAt } = room.canvas;
+  return { id, slug, title, width, height, cooldownMs, visibility, expiresAt, closed: !isRoomOpen(room.canvas) };
+}
+
+/**
+ * Find the pixels a user currently owns on a canvas
+ * @param {Object} room - Room to search
+ * @param {string} username - Owner
+ * @returns {Array} - Cells { key, x, y, color }
+ */
+function getUserCells(room, username) {
+  const cells = [];
+  for (const [key, pixel] of Object.entries(room.gridState)) {
+    const coords = parseCanvasKey(key, room.canvas);
+    if (coords && pixel.username === username) {
+      cells.push({ key, x: coords.x, y: coords.y, color: pixel.color });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Send a client the description of the room it is in
+ * Pixels follow per chunk once the client subscribes
+ * epoch and seq let a reconnecting client resume instead of downloading its chunks again
+ * The palette is included so binary clients can decode palette indexes in order
+ * @param {WebSocket} ws - Client connection
+ */
+function sendInit(ws) {
+  const room = ws.room;
+  ws.send(JSON.stringify({ 
+    type: "init", 
+    room: describeRoom(room), 
+    canvas: { width: room.canvas.width, height: room.canvas.height }, 
+    chunkSize: CHUNK_SIZE, 
+    epoch: room.epoch, 
+    seq: room.updateSeq, 
+    palette: room.palette 
+  }));
+}
+
+/**
+ * Move a client into a room
+ * Its cursor leaves the previous room and it starts over with no chunk subscriptions
+ * @param {WebSocket} ws - Client connection
+ * @param {Object} room - Room to join
+ */
+function joinRoom(ws, room) {
+  if (ws.presence) {
+    const previousChunk = ws.presence.chunk;
+    ws.presence = null;
+    markPresenceChanged(ws, previousChunk);
+  }
+  ws.room = room;
+  ws.chunks = new Set();
+  ws.binaryQueue = [];    // Queued updates belong to the previous room
+  sendInit(ws);
+  
+  // Each canvas has its own cooldown
+  if (ws.username) {
+    sendCooldown(ws, getCooldownRemaining(ws.username, room));
+  }
+}
+
+/**
+ * Handle a request to switch canvases
+ * Replies with a fresh init for the new room, or a joinError leaving the client where it was
+ * @param {WebSocket} ws - Client connection
+ * @param {Object} data - Parsed join message { canvas: slug }
+ */
+function handleJoin(ws, data) {
+  const sendError = (error) => ws.send(JSON.stringify({ type: "joinError", canvas: data.canvas, error }));
+  
+  const room = findRoom(data.canvas);
+  if (!room) {
+    return sendError("Canvas not found");
+  }
+  if (!canAccessRoom(room, ws.username)) {
+    return sendError(ws.username ? "You are not a member of this canvas" : "Log in to join this canvas");
+  }
+  
+  joinRoom(ws, room);
+  console.log(`🚪 ${ws.username || "Anonymous client"} joined canvas "${room.canvas.slug}"`);
+}
+
+/**
+ * Send a user's clients back to the main canvas after they lost access to a room
+ * @param {Object} room - Room they were removed from
+ * @param {string} username - User who lost access
+ */
+function evictFromRoom(room, username) {
+  const mainRoom = rooms.get(MAIN_CANVAS_ID);
+  wss.clients.forEach((client) => {
+    if (client.room !== room || client.username !== username || client.readyState !== client.OPEN) return;
+    client.send(JSON.stringify({ type: "joinError", canvas: room.canvas.slug, error: "You no longer have access to this canvas" }));
+    joinRoom(client, mainRoom);
+  });
+}
+
+/**
+ * Get remaining placement cooldown for a user on a canvas
+ * Based on the persisted last placement time, so restarts don't reset it
+ * @param {string} username - Username to check
+ * @param {Object} room - Room whose cooldown applies
+ * @param {number} [now] - Current time in epoch milliseconds
+ * @returns {number} - Milliseconds until the user may place again (0 if ready)
+ */
+function getCooldownRemaining(username, room, now = Date.now()) {
+  const lastPlacedAt = storage.getLastPlacementTime(room.canvas.id, username);
+  if (!lastPlacedAt) return 0;
+  return Math.max(0, lastPlacedAt + room.canvas.cooldownMs - now);
+}
+
+/**
+ * Tell a client how long its cooldown on its current canvas has left
+ * The client's Timer displays this value instead of computing its own
+ * @param {WebSocket} ws - Client connection
+ * @param {number} remaining - Remaining cooldown in milliseconds
+ */
+function sendCooldown(ws, remaining) {
+  if (ws.readyState !== ws.OPEN) return;
+  ws.send(JSON.stringify({ 
+    type: "cooldown", 
+    remaining, 
+    duration: ws.room.canvas.cooldownMs 
+  }));
+}
+
+// === PLACEMENT VALIDATION ===
+
+/**
+ * Add a pixel's key to a room's chunk index
+ * @param {Object} room - Room the pixel is on
+ * @param {string} key - Grid key in "x,y" format
+ * @param {number} x - Column
+ * @param {number} y - Row
+ */
+function indexPixel(room, key, x, y) {
+  const chunkKey = getChunkKey(x, y);
+  if (!room.chunkIndex.has(chunkKey)) {
+    room.chunkIndex.set(chunkKey, new Set());
+  }
+  room.chunkIndex.get(chunkKey).add(key);
+}
+
+/**
+ * Remove a pixel's key from a room's chunk index
+ * @param {Object} room - Room the pixel was on
+ * @param {string} key - Grid key in "x,y" format
+ * @param {number} x - Column
+ * @param {number} y - Row
+ */
+function unindexPixel(room, key, x, y) {
+  const chunkKey = getChunkKey(x, y);
+  const keys = room.chunkIndex.get(chunkKey);
+  if (!keys) return;
+  keys.delete(key);
+  if (keys.size === 0) {
+    room.chunkIndex.delete(chunkKey);
+  }
+}
+
+/**
+ * Collect the pixels of one chunk
+ * @param {Object} room - Room the chunk is on
+ * @param {string} chunkKey - Chunk key in "cx,cy" format
+ * @returns {Object} - Pixels in the chunk { "x,y": { color, username } }
+ */
+function getChunkPixels(room, chunkKey) {
+  const pixels = {};
+  for (const key of room.chunkIndex.get(chunkKey) || []) {
+    const pixel = room.gridState[key];
+    if (pixel) {
+      pixels[key] = { color: pixel.color, username: pixel.username };
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Validate a client-supplied list of chunk keys
+ * @param {Object} room - Room the chunks are on
+ * @param {Array} list - Chunk keys from a subscribe or resume message
+ * @returns {Set<string>} - Valid chunk keys on the canvas, at most MAX_SUBSCRIBED_CHUNKS
+ */
+function parseChunkList(room, list) {
+  const chunks = new Set();
+  for (const chunkKey of list) {
+    if (chunks.size >= MAX_SUBSCRIBED_CHUNKS) break;
+    if (parseChunkKey(chunkKey, room.canvas)) {
+      chunks.add(chunkKey);
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Replace a client's chunk subscriptions
+ * Newly subscribed chunks are sent in full; cellUpdates are then only delivered for subscribed chunks
+ * @param {WebSocket} ws - Client connection
+ * @param {Object} data - Parsed subscribe message { chunks: ["cx,cy", ...] }
+ */
+function handleSubscribe(ws, data) {
+  if (!Array.isArray(data.chunks)) return;
+  
+  const room = ws.room;
+  const chunks = parseChunkList(room, data.chunks);
+  const previous = ws.chunks;
+  ws.chunks = chunks;
+  const added = new Set();
+  for (const chunkKey of chunks) {
+    if (previous.has(chunkKey)) continue;
+    added.add(chunkKey);
+    ws.send(JSON.stringify({ type: "chunkData", chunk: chunkKey, seq: room.updateSeq, pixels: getChunkPixels(room, chunkKey) }));
+  }
+  
+  sendPresenceSnapshot(ws, added);
+}
+
+/**
+ * Show a client the cursors already sitting in some chunks
+ * @param {WebSocket} ws - Client connection
+ * @param {Set<string>} chunks - Chunk keys the client has just started watching
+ */
+function sendPresenceSnapshot(ws, chunks) {
+  const cursors = [];
+  wss.clients.forEach((client) => {
+    if (client !== ws && client.room === ws.room && client.presence && chunks.has(client.presence.chunk)) {
+      cursors.push(describePresence(client));
+    }
+  });
+  if (cursors.length > 0) {
+    ws.send(JSON.stringify({ type: "presence", cursors, left: [] }));
+  }
+}
+
+/**
+ * Parse a cell position from a presence message
+ * @param {*} cell - { x, y } supplied by a client
+ * @param {Object} room - Room the client is in
+ * @returns {{x: number, y: number}|null} - Cell on the canvas, or null if missing or invalid
+ */
+function parsePresenceCell(cell, room) {
+  if (!cell || typeof cell !== "object") return null;
+  const x = Number(cell.x);
+  const y = Number(cell.y);
+  return isInBounds(x, y, room.canvas) ? { x, y } : null;
+}
+
+/**
+ * Describe a client's cursor for other clients
+ * @param {WebSocket} ws - Client connection with presence set
+ * @returns {Object} - { id, username, center, hover }
+ */
+function describePresence(ws) {
+  return { id: ws.connectionId, username: ws.username, center: ws.presence.center, hover: ws.presence.hover };
+}
+
+/**
+ * Update or hide a client's cursor
+ * Only authenticated users have a presence; { hidden: true } removes it (privacy toggle)
+ * @param {WebSocket} ws - Client connection
+ * @param {Object} data - Parsed presence message { center: {x, y}, hover: {x, y}|null, hidden }
+ */
+function handlePresence(ws, data) {
+  if (!ws.username) return;
+  const now = Date.now();
+  if (now - ws.lastPresenceAt < PRESENCE_MIN_INTERVAL_MS) return;
+  ws.lastPresenceAt = now;
+  
+  const previousChunk = ws.presence ? ws.presence.chunk : null;
+  if (data.hidden === true) {
+    if (!ws.presence) return;
+    ws.presence = null;
+  } else {
+    const center = parsePresenceCell(data.center, ws.room);
+    if (!center) return;
+    const hover = parsePresenceCell(data.hover, ws.room);
+    const position = hover || center;
+    ws.presence = { center, hover, chunk: getChunkKey(position.x, position.y) };
+  }
+  markPresenceChanged(ws, previousChunk);
+}
+
+/**
+ * Queue a client's cursor change for the next presence broadcast
+ * Call before moving the client to another room, so the previous room's watchers see the cursor leave
+ * @param {WebSocket} ws - Client connection
+ * @param {string|null} previousChunk - Chunk the cursor was in before this change
+ */
+function markPresenceChanged(ws, previousChunk) {
+  // Keep the room and chunk from before the first change in this window, so their watchers see the cursor leave
+  const pending = presenceChanged.get(ws.connectionId);
+  presenceChanged.set(ws.connectionId, pending || { ws, previousChunk, previousRoom: ws.room });
+  if (!presenceFlushTimer) {
+    presenceFlushTimer = setTimeout(flushPresence, PRESENCE_BROADCAST_MS);
+  }
+}
+
+/**
+ * Send queued cursor changes to the clients watching them
+ * A hidden or disconnected cursor is reported in "left" to everyone who could have seen it
+ */
+function flushPresence() {
+  presenceFlushTimer = null;
+  const changes = [...presenceChanged.values()];
+  presenceChanged.clear();
+  
+  wss.clients.forEach((client) => {
+    if (client.readyState !== client.OPEN) return;
+    const cursors = [];
+    const left = [];
+    for (const { ws, previousChunk, previousRoom } of changes) {
+      if (ws === client) continue;
+      const visibleNow = ws.presence && ws.readyState === ws.OPEN && ws.room === client.room && client.chunks.has(ws.presence.chunk);
+      if (visibleNow) {
+        cursors.push(describePresence(ws));
+      } else if (previousChunk && previousRoom === client.room && client.chunks.has(previousChunk)) {
+        left.push(ws.connectionId);
+      }
+    }
+    if (cursors.length > 0 || left.length > 0) {
+      client.send(JSON.stringify({ type: "presence", cursors, left }));
+    }
+  });
+}
+
+/**
+ * Assign a room's next sequence number to an update and remember it for resuming clients
+ * @param {Object} room - Room the update happened in
+ * @param {string} chunkKey - Chunk the update belongs to
+ * @param {Object} message - Update message without its seq
+ * @returns {Object} - The message with seq added
+ */
+function recordUpdate(room, chunkKey, message) {
+  const seq = ++room.updateSeq;
+  const sequenced = { ...message, seq };
+  room.updateBuffer[seq % UPDATE_BUFFER_SIZE] = { seq, chunkKey, message: sequenced };
+  return sequenced;
+}
+
+/**
+ * Send a binary client its queued updates
+ * Unknown user ids are resolved with a JSON users message just before the frame that uses them
+ * @param {WebSocket} client - Binary client connection
+ */
+function flushClientBinaryUpdates(client) {
+  if (!client.binaryQueue.length) return;
+  const updates = client.binaryQueue;
+  client.binaryQueue = [];
+  if (client.readyState !== client.OPEN) return;
+  
+  const users = {};
+  for (const update of updates) {
+    if (update.userId && !client.knownUsers.has(update.userId)) {
+      client.knownUsers.add(update.userId);
+      users[update.userId] = update.username;
+    }
+  }
+  if (Object.keys(users).length > 0) {
+    client.send(JSON.stringify({ type: "users", users }));
+  }
+  
+  for (let i = 0; i < updates.length; i += MAX_UPDATES_PER_FRAME) {
+    client.send(encodeCellUpdates(updates.slice(i, i + MAX_UPDATES_PER_FRAME)));
+  }
+}
+
+/**
+ * Send every binary client its queued updates
+ */
+function flushBinaryUpdates() {
+  clearTimeout(binaryFlushTimer);
+  binaryFlushTimer = null;
+  wss.clients.forEach(flushClientBinaryUpdates);
+}
+
+/**
+ * Sequence pixel changes and deliver them to every client in the room subscribed to their chunks
+ * JSON clients get them immediately: one cellUpdate, or a single cellUpdates message for a batch
+ * (so a rollback or wipe repaints at once); binary clients get them in the next binary batch
+ * An erased cell is sent with a null color (ERASED_COLOR_INDEX in binary frames); a colour that
+ * isn't in the active palette (a rollback can restore one) reaches binary clients as JSON, after
+ * their queued binary updates so a cell's changes never arrive out of order
+ * @param {Object} room - Room the pixels changed in
+ * @param {Array} pixels - Changes { key, x, y, color, username, userId }
+ */
+function broadcastPixels(room, pixels) {
+  if (pixels.length === 0) return;
+  
+  const updates = pixels.map((pixel) => {
+    const chunkKey = getChunkKey(pixel.x, pixel.y);
+    const message = recordUpdate(room, chunkKey, { 
+      type: "cellUpdate", 
+      key: pixel.key, 
+      color: pixel.color, 
+      username: pixel.username 
+    });
+    const packed = {
+      seq: message.seq,
+      x: pixel.x,
+      y: pixel.y,
+      colorIndex: pixel.color === null ? ERASED_COLOR_INDEX : room.palette.colors.indexOf(pixel.color),
+      userId: pixel.userId,
+      username: pixel.username
+    };
+    return { chunkKey, message, packed };
+  });
+  
+  wss.clients.forEach((client) => {
+    if (client.readyState !== client.OPEN || client.room !== room) return;
+    let visible = updates.filter(update => client.chunks.has(update.chunkKey));
+    
+    if (client.protocol === BINARY_PROTOCOL) {
+      client.binaryQueue.push(...visible.filter(update => update.packed.colorIndex >= 0).map(update => update.packed));
+      visible = visible.filter(update => update.packed.colorIndex < 0);
+      if (visible.length > 0) flushClientBinaryUpdates(client);
+    }
+    if (visible.length === 1) {
+      client.send(JSON.stringify(visible[0].message));
+    } else if (visible.length > 1) {
+      client.send(JSON.stringify({ 
+        type: "cellUpdates", 
+        updates: visible.map(({ message: { key, color, username, seq } }) => ({ key, color, username, seq })) 
+      }));
+    }
+  });
+  
+  if (!binaryFlushTimer) {
+    binaryFlushTimer = setTimeout(flushBinaryUpdates, BINARY_BATCH_MS);
+  }
+}
+
+/**
+ * Sequence a single pixel change and deliver it (see broadcastPixels)
+ * @param {Object} room - Room the pixel was placed in
+ * @param {Object} pixel - { key, x, y, color, username, userId }
+ */
+function broadcastPixel(room, pixel) {
+  broadcastPixels(room, [pixel]);
+}
+
+/**
+ * Resume a reconnecting client from the last update it saw in its current room
+ * Replays missed updates for its chunks, or asks it to resync when the gap is no longer buffered
+ * The epoch differs per room, so a seq from another room is never mistaken for this one's
+ * @param {WebSocket} ws - Client connection
+ * @param {Object} data - Parsed resume message { epoch, seq, chunks: ["cx,cy", ...] }
+ */
+function handleResume(ws, data) {
+  const room = ws.room;
+  const oldestBuffered = Math.max(1, room.updateSeq - UPDATE_BUFFER_SIZE + 1);
+  const canResume = data.epoch === room.epoch &&
+    Number.isInteger(data.seq) && data.seq <= room.updateSeq && data.seq + 1 >= oldestBuffered &&
+    Array.isArray(data.chunks);
+  
+  if (!canResume) {
+    console.log(`🔄 Resume from seq ${data.seq} not possible (now ${room.updateSeq}), client must resync`);
+    ws.send(JSON.stringify({ type: "resyncRequired", seq: room.updateSeq }));
+    return;
+  }
+  
+  ws.chunks = parseChunkList(room, data.chunks);
+  let replayed = 0;
+  for (let seq = data.seq + 1; seq <= room.updateSeq; seq++) {
+    const entry = room.updateBuffer[seq % UPDATE_BUFFER_SIZE];
+    if (ws.chunks.has(entry.chunkKey)) {
+      ws.send(JSON.stringify(entry.message));
+      replayed++;
+    }
+  }
+  ws.send(JSON.stringify({ type: "resumed", seq: room.updateSeq }));
+  sendPresenceSnapshot(ws, ws.chunks);
+  console.log(`🔄 Resumed client from seq ${data.seq}, replayed ${replayed} updates`);
+}
+
+/**
+ * Get the client-chosen id of a colorCell request
+ * @param {Object} data - Parsed colorCell message
+ * @returns {string|number|null} - The id, or null if missing or not a short string or integer
+ */
+function getPlacementRequestId(data) {
+  return (typeof data.requestId === "string" && data.requestId.length <= 64) || Number.isInteger(data.requestId)
+    ? data.requestId
+    : null;
+}
+
+/**
+ * Reply to a placement request with its outcome
+ * Every colorCell gets exactly one placementResult so clients can confirm or roll back
+ * @param {WebSocket} ws - Client connection
+ * @param {string|number|null} requestId - Client-chosen id echoed back for correlation
+ * @param {Object} result - { ok: true } or { ok: false, reason, ...details }
+ */
+function sendPlacementResult(ws, requestId, result) {
+  if (ws.readyState !== ws.OPEN) return;
+  ws.send(JSON.stringify({ type: "placementResult", requestId, ...result }));
+}
+
+/**
+ * Handle a colorCell request from a client
+ * Validates the request, enforces cooldown and occupancy, then persists and broadcasts the pixel
+ * The pixel goes on the canvas of the room the client is in
+ * Rejection reasons: unauthenticated, sanctioned, canvas_closed, forbidden, out_of_bounds, invalid_color, cooldown, occupied
+ * (and rate_limited, before the request gets here; see checkSocketRate)
+ * @param {WebSocket} ws - Client connection that sent the request
+ * @param {Object} data - Parsed colorCell message { key, color, requestId, purchased }
+ */
+function handleColorCell(ws, data) {
+  const requestId = getPlacementRequestId(data);
+  const reject = (reason, details = {}) => sendPlacementResult(ws, requestId, { ok: false, key: data.key, reason, ...details });
+  
+  // === REQUEST VALIDATION ===
+  if (!ws.username) {
+    console.log(`🔒 Unauthenticated colorCell request for ${data.key}, placement rejected`);
+    return reject("unauthenticated");
+  }
+  
+  const sanction = findSanction(ws.username, BLOCKING_SANCTION_TYPES);
+  if (sanction) {
+    console.log(`🚫 ${ws.username} is under a ${sanction.type}, placement rejected`);
+    return reject("sanctioned", { sanction: toSanctionNotice(sanction) });
+  }
+  
+  const room = ws.room;
+  const { gridState } = room;
+  if (!isRoomOpen(room.canvas)) {
+    console.log(`🔒 Canvas "${room.canvas.slug}" has ended, placement rejected`);
+    return reject("canvas_closed");
+  }
+  
+  // Membership may have been revoked since the client joined
+  if (!canAccessRoom(room, ws.username)) {
+    console.log(`🔒 ${ws.username} is not a member of canvas "${room.canvas.slug}", placement rejected`);
+    return reject("forbidden");
+  }
+  
+  const coords = parseCanvasKey(data.key, room.canvas);
+  if (!coords) {
+    console.log(`❌ Invalid or out-of-bounds grid key in colorCell request:`, data.key);
+    return reject("out_of_bounds");
+  }
+  
+  if (!isPaletteColor(data.color, room.palette)) {
+    console.log(`❌ Color not in the canvas palette in colorCell request:`, data.color);
+    return reject("invalid_color", { paletteId: room.palette.id, palette: room.palette });
+  }
+  
+  const color = normalizeColor(data.color);
+  const username = ws.username; // Verified identity, client-supplied usernames are ignored
+  console.log(`🎨 Processing colorCell request: ${data.key} -> ${color} by ${username}`); // Debug logging
+  
+  // === COOLDOWN ENFORCEMENT ===
+  // Reject placements made before the user's cooldown has elapsed
+  const now = Date.now();
+  const usedPurchased = ALLOW_DEV_PURCHASES && data.purchased === true;
+  const remaining = getCooldownRemaining(username, room, now);
+  if (remaining > 0 && !usedPurchased) {
+    console.log(`⏳ ${username} is on cooldown for ${remaining}ms, placement rejected`);
+    sendCooldown(ws, remaining);
+    return reject("cooldown", { remaining });
+  }
+  
+  // Only allow coloring if cell is empty (first-come-first-served)
+  if (gridState[data.key]) {
+    console.log(`⚠️  Cell ${data.key} already occupied by ${gridState[data.key].username}, placement rejected`);
+    return reject("occupied", { 
+      pixel: { color: gridState[data.key].color, username: gridState[data.key].username } 
+    });
+  }
+  
+  console.log(`✅ Cell ${data.key} is empty, placing pixel`); // Debug logging
+  
+  // Update server grid state
+  gridState[data.key] = { 
+    color, 
+    username 
+  };
+  indexPixel(room, data.key, coords.x, coords.y);
+  
+  // Save pixel to database
+  try {
+    storage.savePixel(room.canvas.id, data.key, coords.x, coords.y, color, username, usedPurchased ? "purchased" : "normal");
+    console.log(`💾 Pixel saved to database: ${data.key} by ${username}`);
+  } catch (error) {
+    console.error('❌ Error saving pixel to database:', error);
+  }
+  
+  // Update user statistics
+  storage.incrementUserPixels(username);
+  
+  // Start the cooldown (purchased squares don't trigger one)
+  if (!usedPurchased) {
+    storage.setLastPlacementTime(room.canvas.id, username, now);
+    sendCooldown(ws, room.canvas.cooldownMs);
+  }
+  
+  // Acknowledge before broadcasting so the placer can confirm its optimistic pixel
+  sendPlacementResult(ws, requestId, { ok: true, key: data.key, purchased: usedPurchased });
+  
+  // === BROADCAST TO SUBSCRIBED CLIENTS ===
+  // Notify clients watching this chunk of the pixel placement
+  broadcastPixel(room, { key: data.key, x: coords.x, y: coords.y, color, username, userId: ws.userId });
+  
+  console.log(`🎯 Pixel placed at ${data.key} on "${room.canvas.slug}" by ${username}`);
+}
+
+/**
+ * Erase pixels from a room: delete them from storage and the grid, then broadcast the empty cells
+ * @param {Object} room - Room the cells are on
+ * @param {Array} cells - Cells to erase: { key, x, y }; empty ones are skipped
+ * @param {string} moderator - Moderator erasing them, recorded in the placements log
+ * @returns {number} - Number of pixels erased
+ */
+function eraseCells(room, cells, moderator) {
+  const occupied = cells.filter(cell => room.gridState[cell.key]);
+  if (occupied.length === 0) return 0;
+  
+  storage.erasePixels(room.canvas.id, occupied, moderator);
+  for (const cell of occupied) {
+    delete room.gridState[cell.key];
+    unindexPixel(room, cell.key, cell.x, cell.y);
+  }
+  broadcastPixels(room, occupied.map(cell => ({ ...cell, color: null, username: null, userId: 0 })));
+  console.log(`🧽 ${moderator} erased ${occupied.length} pixels on "${room.canvas.slug}"`);
+  return occupied.length;
+}
+
+/**
+ * Find the sanction of some types that currently applies to a user
+ * @param {string} username - User to check
+ * @param {string[]} types - Sanction types to look for, e.g. BLOCKING_SANCTION_TYPES
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Object|null} - The longest lasting one (permanent ones first), or null if none applies
+ */
+function findSanction(username, types, now = Date.now()) {
+  const sanctions = storage.getActiveSanctions(username, now).filter(sanction => types.includes(sanction.type));
+  sanctions.sort((a, b) => (b.expiresAt ?? Infinity) - (a.expiresAt ?? Infinity));
+  return sanctions[0] || null;
+}
+
+/**
+ * Describe a sanction for the user it applies to
+ * @param {Object} sanction - Sanction from storage
+ * @returns {Object} - { type, reason, expiresAt }, without who issued it
+ */
+function toSanctionNotice(sanction) {
+  return { type: sanction.type, reason: sanction.reason, expiresAt: sanction.expiresAt };
+}
+
+/**
+ * Tell a user's open connections about a new sanction
+ * Bans and suspensions also close them; the clients reconnect as anonymous viewers
+ * @param {Object} sanction - Sanction from storage
+ */
+function notifySanctionedSockets(sanction) {
+  const json = JSON.stringify({ type: "sanction", sanction: toSanctionNotice(sanction) });
+  const blocking = BLOCKING_SANCTION_TYPES.includes(sanction.type);
+  wss.clients.forEach((client) => {
+    if (client.username !== sanction.username || client.readyState !== client.OPEN) return;
+    client.send(json);
+    if (blocking) {
+      client.close(4003, "Sanctioned");
+    }
+  });
+}
+
+/**
+ * Handle a chat message from a client
+ * Validates and stores the message, then broadcasts it to every client
+ * (checkSocketRate has already applied the "chat" rate limit)
+ * @param {WebSocket} ws - Client connection that sent the message
+ * @param {Object} data - Parsed chat message { text }
+ */
+function handleChat(ws, data) {
+  const sendError = (error, details = {}) => ws.send(JSON.stringify({ type: "chatError", error, ...details }));
+  
+  if (!ws.username) {
+    return sendError("Log in to chat");
+  }
+  
+  const sanction = findSanction(ws.username, [...BLOCKING_SANCTION_TYPES, "mute"]);
+  if (sanction) {
+    return sendError(describeSanction(sanction), { sanction: toSanctionNotice(sanction) });
+  }
+  
+  const { text, error } = sanitizeChatText(data.text);
+  if (error) {
+    return sendError(error);
+  }
+  
+  let message;
+  try {
+    message = storage.saveChatMessage(ws.username, text);
+  } catch (err) {
+    console.error('❌ Error saving chat message:', err);
+    return sendError("Failed to send message");
+  }
+  
+  const json = JSON.stringify({ type: "chatMessage", message });
+  wss.clients.forEach((client) => {
+    if (client.readyState === client.OPEN) {
+      client.send(json);
+    }
+  });
+  console.log(`💬 Chat message ${message.id} from ${ws.username}`);
+}
+
+/**
+ * Verify a client's JWT and bind the connection to its user
+ * The username always comes from the verified token, never from the message body
+ * @param {WebSocket} ws - Client connection
+ * @param {string} token - JWT access token supplied by the client
+ * @returns {boolean} - Whether authentication succeeded
+ */
+function authenticateSocket(ws, token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    console.log(`🔒 WebSocket authentication failed: ${error.message}`);
+  }
+  if (!payload || !storage.isSessionActive(payload.sid, Date.now())) {
+    ws.send(JSON.stringify({ type: "authError", error: "Invalid or expired token" }));
+    ws.close(4001, "Invalid token");
+    return false;
+  }
+  
+  // Banned and suspended users may still watch, as anonymous viewers
+  const sanction = findSanction(payload.username, BLOCKING_SANCTION_TYPES);
+  if (sanction) {
+    console.log(`🚫 ${payload.username} is under a ${sanction.type}, connected as a viewer`);
+    ws.send(JSON.stringify({ type: "sanction", sanction: toSanctionNotice(sanction) }));
+    return false;
+  }
+  
+  // A connection belongs to one user; re-authenticating may only renew the same user's token
+  if (ws.username && ws.username !== payload.username) {
+    ws.send(JSON.stringify({ type: "authError", error: "Connection already authenticated as another user" }));
+    return false;
+  }
+  
+  const isNewSession = !ws.username;
+  ws.username = payload.username;
+  ws.sessionId = payload.sid;  // Lets logout close this connection
+  if (isNewSession) {
+    const user = storage.findUserByUsername(ws.username);
+    ws.userId = user ? user.id : 0;  // Identifies the user in binary frames
+  }
+  
+  // === TOKEN EXPIRY ===
+  // Close the connection when the token expires so stale sessions can't keep painting
+  clearTimeout(ws.tokenExpiryTimer);
+  if (payload.exp) {
+    ws.tokenExpiryTimer = setTimeout(() => {
+      console.log(`⌛ Token expired for ${ws.username}, closing WebSocket`);
+      if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify({ type: "authError", error: "Token expired" }));
+      }
+      ws.close(4001, "Token expired");
+    }, Math.max(0, payload.exp * 1000 - Date.now()));
+  }
+  
+  ws.send(JSON.stringify({ type: "authenticated", username: ws.username }));
+  
+  if (isNewSession) {
+    storage.updateUserOnlineStatus(ws.username, true);
+    console.log(`WebSocket authenticated for user: ${ws.username}`);
+    
+    // Sync any cooldown still running from a previous session
+    // Clients that haven't joined a room yet get theirs when they do
+    if (ws.room) {
+      sendCooldown(ws, getCooldownRemaining(ws.username, ws.room));
+    }
+  }
+  return true;
+}
+
+/**
+ * WebSocket connection handler
+ * Manages real-time communication between clients for collaborative editing
+ */
+wss.on("connection", (ws, req) => {
+  console.log("New WebSocket connection established");
+  
+  // Username for this connection, set only once a JWT has been verified
+  ws.username = null;
+  ws.tokenExpiryTimer = null;
+  ws.userId = 0;
+  ws.chunks = new Set();  // Chunk keys this client receives updates for
+  ws.binaryQueue = [];    // Updates waiting for the next binary batch
+  ws.knownUsers = new Set(); // User ids already sent to this client in a users message
+  ws.connectionId = nextConnectionId++;
+  ws.presence = null;     // Shared cursor { center, hover, chunk }, null when hidden
+  ws.lastPresenceAt = 0;
+  ws.room = null;         // Room (canvas) this client is in, see joinRoom
+  ws.ip = getClientIp(req); // Rate limits apply per IP until the client authenticates, then per account
+  
+  // === HANDSHAKE AUTHENTICATION ===
+  // Clients may pass the token as ?token=... instead of sending an authenticate message
+  const params = new URL(req.url, "http://localhost").searchParams;
+  const queryToken = params.get("token");
+  if (queryToken) {
+    authenticateSocket(ws, queryToken);
+  }
+  
+  // === INITIAL STATE SYNC ===
+  // Join the canvas named by ?canvas=... if allowed, otherwise the main one
+  // Clients can switch later with a join message
+  const requestedCanvas = params.get("canvas");
+  const requestedRoom = requestedCanvas ? findRoom(requestedCanvas) : null;
+  if (requestedRoom && canAccessRoom(requestedRoom, ws.username)) {
+    joinRoom(ws, requestedRoom);
+  } else {
+    joinRoom(ws, rooms.get(MAIN_CANVAS_ID));
+    if (requestedCanvas && requestedCanvas !== MAIN_CANVAS_SLUG) {
+      handleJoin(ws, { canvas: requestedCanvas }); // Explains why with a joinError
+    }
+  }
+
+  /**
+   * Handle incoming messages from clients
+   * Processes pixel placement requests and other game actions
+   */
+  ws.on("message", (message) => {
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (e) {
+      console.error("Invalid JSON message received:", e);
+      return;
+    }
+    if (!data || typeof data !== "object") return;
+    console.log(`📨 Received WebSocket message:`, data.type); // Debug logging (type only, never tokens)
+    
+    // === RATE LIMITING ===
+    if (!checkSocketRate(ws, data)) return;
+    
+    // === USER AUTHENTICATION FOR WEBSOCKET ===
+    if (data.type === "authenticate") {
+      if (typeof data.token !== "string" || !data.token) {
+        ws.send(JSON.stringify({ type: "authError", error: "Access token required" }));
+        return;
+      }
+      authenticateSocket(ws, data.token);
+      return;
+    }
+    
+    // === CANVAS ROOMS ===
+    if (data.type === "join") {
+      handleJoin(ws, data);
+      return;
+    }
+    
+    // === VIEWPORT SUBSCRIPTIONS ===
+    if (data.type === "subscribe") {
+      handleSubscribe(ws, data);
+      return;
+    }
+    if (data.type === "resume") {
+      handleResume(ws, data);
+      return;
+    }
+    
+    // === CURSOR PRESENCE ===
+    if (data.type === "presence") {
+      handlePresence(ws, data);
+      return;
+    }
+    
+    // === CHAT ===
+    if (data.type === "chat") {
+      handleChat(ws, data);
+      return;
+    }
+    
+    // === PIXEL PLACEMENT HANDLER ===
+    if (data.type === "colorCell") {
+      handleColorCell(ws, data);
+      return;
+    }
+  });
+
+  /**
+   * Handle WebSocket disconnection
+   * Clean up any client-specific resources if needed
+   */
+  ws.on("close", () => {
+    console.log("WebSocket connection closed");
+    clearTimeout(ws.tokenExpiryTimer);
+    
+    // Remove this client's cursor from everyone's view
+    if (ws.presence) {
+      const previousChunk = ws.presence.chunk;
+      ws.presence = null;
+      markPresenceChanged(ws, previousChunk);
+    }
+    // Update user's online status
+    if (ws.username) {
+      storage.updateUserOnlineStatus(ws.username, false);
+      console.log(`User ${ws.username} went offline`);
+    }
+  });
+});
+
+// === AUTHENTICATION UTILITIES ===
+
+/**
+ * JWT Authentication Middleware
+ * Validates JWT tokens and extracts user information
+ */
+function authenticateToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+  if (!token) {
+    return res.status(401).json({ error: 'Access token required' });
+  }
+
+  jwt.verify(token, JWT_SECRET, (err, user) => {
+    // Tokens of sessions that logged out (or had a refresh token stolen) stop working at once
+    if (err || !storage.isSessionActive(user.sid, Date.now())) {
+      return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+    req.user = user;
+    if (!checkHttpRate(req, res, "api", [`user:${user.username}`])) return;
+    next();
+  });
+}
+
+// === RATE LIMITING UTILITIES ===
+
+/**
+ * Get the address a request or WebSocket upgrade came from
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {string} - Client IP (the first X-Forwarded-For address when TRUST_PROXY is set)
+ */
+function getClientIp(req) {
+  if (TRUST_PROXY && req.headers["x-forwarded-for"]) {
+    return req.headers["x-forwarded-for"].split(",")[0].trim();
+  }
+  return req.socket.remoteAddress;
+}
+
+/**
+ * Take a token for an HTTP request, or answer it with 429 and a Retry-After header
+ * Repeat offenders also have their connection closed
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} name - HTTP limit to apply
+ * @param {string[]} keys - Buckets to take from, e.g. ["ip:1.2.3.4", "user:alice"]
+ * @returns {boolean} - Whether the request may go ahead
+ */
+function checkHttpRate(req, res, name, keys) {
+  const waitMs = rateLimiter.take("http", name, keys);
+  if (waitMs === 0) return true;
+  
+  const ip = getClientIp(req);
+  if (rateLimiter.recordOffence(`ip:${ip}`)) {
+    console.log(`🚫 Closing connection of repeat offender ${ip} (${name})`);
+    res.set("Connection", "close");
+  }
+  const retryAfter = Math.ceil(waitMs / 1000);
+  res.set("Retry-After", String(retryAfter));
+  res.status(429).json({ error: `Too many requests, try again in ${retryAfter}s`, retryAfterMs: waitMs });
+  return false;
+}
+
+/**
+ * Rate Limit Middleware
+ * Limits requests per client IP, and per account when getAccount names one
+ * The account has its own limit, so requests from other IPs can only use up that one and the
+ * account stays usable from addresses within their own limit
+ * @param {string} name - HTTP limit to apply per IP (see DEFAULT_RATE_LIMITS in rateLimiter.js)
+ * @param {Function} [getAccount] - (req) => account the request is for, e.g. the username trying to log in
+ * @param {string} [accountName] - HTTP limit to apply per account
+ * @returns {Function} - Express middleware
+ */
+function rateLimit(name, getAccount = () => null, accountName = null) {
+  return (req, res, next) => {
+    if (!checkHttpRate(req, res, name, [`ip:${getClientIp(req)}`])) return;
+    const account = getAccount(req);
+    if (accountName && typeof account === "string" && account &&
+        !checkHttpRate(req, res, accountName, [`user:${account}`])) return;
+    next();
+  };
+}
+
+/**
+ * Take a token for a WebSocket message, from the "*" limit and the limit of its type
+ * Anonymous clients share buckets per IP; authenticated ones have buckets per account, so users
+ * behind one NAT address don't use up each other's limits
+ * Refused messages get a rateLimited reply (colorCell also gets its placementResult);
+ * repeat offenders are disconnected
+ * @param {WebSocket} ws - Client connection
+ * @param {Object} data - Parsed message
+ * @returns {boolean} - Whether the message may be handled
+ */
+function checkSocketRate(ws, data) {
+  // Messages that were already on their way when a repeat offender was disconnected
+  if (ws.readyState !== ws.OPEN) return false;
+  
+  const key = ws.username ? `user:${ws.username}` : `ip:${ws.ip}`;
+  
+  let waitMs = rateLimiter.take("socket", "*", [key]);
+  if (waitMs === 0 && typeof data.type === "string") {
+    waitMs = rateLimiter.take("socket", data.type, [key]);
+  }
+  if (waitMs === 0) return true;
+  
+  if (rateLimiter.recordOffence(key)) {
+    console.log(`🚫 Disconnecting repeat offender ${ws.ip} (${ws.username || "anonymous"})`);
+    ws.close(RATE_LIMIT_CLOSE_CODE, "Too many messages");
+    return false;
+  }
+  ws.send(JSON.stringify({ type: "rateLimited", messageType: data.type, retryAfterMs: waitMs }));
+  if (data.type === "colorCell") {
+    sendPlacementResult(ws, getPlacementRequestId(data), { ok: false, key: data.key, reason: "rate_limited", retryAfterMs: waitMs });
+  }
+  return false;
+}
+
+/**
+ * Role Authorization Middleware
+ * Must run after authenticateToken; only lets through users with at least the given role
+ * The stored role is checked (not the one in the token), so demoted users lose access at once
+ * @param {string} role - Least privileged role allowed: "moderator" or "admin"
+ * @returns {Function} - Express middleware
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    const currentRole = getUserRole(req.user.username);
+    if (!hasRole(currentRole, role)) {
+      return res.status(403).json({ error: `${role[0].toUpperCase()}${role.slice(1)} access required` });
+    }
+    req.user.role = currentRole;
+    next();
+  };
+}
+
+/**
+ * Generate JWT access token for authenticated user
+ * @param {string} username - User the token is for
+ * @param {string} sessionId - Login session the token belongs to (sid claim)
+ * @param {string} role - User's site-wide role, so clients can show the tools it unlocks
+ * @returns {string} - Signed JWT token
+ */
+function generateToken(username, sessionId, role) {
+  return jwt.sign(
+    { username, sid: sessionId, role }, 
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+/**
+ * Build the token response sent after logging in or refreshing
+ * @param {Object} user - User the tokens are for (see storage.js)
+ * @param {string} sessionId - Login session
+ * @param {string} refreshToken - Refresh token to hand to the client
+ * @returns {Object} - { token, refreshToken, expiresIn } with expiresIn in seconds
+ */
+function tokenResponse(user, sessionId, refreshToken) {
+  return { token: generateToken(user.username, sessionId, user.role), refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+}
+
+/**
+ * Delete refresh tokens past their expiry
+ * Runs at startup and every REFRESH_TOKEN_PRUNE_MS
+ */
+function pruneRefreshTokens() {
+  try {
+    const deleted = storage.deleteExpiredRefreshTokens(Date.now());
+    if (deleted > 0) {
+      console.log(`🧹 Deleted ${deleted} expired refresh tokens`);
+    }
+  } catch (error) {
+    console.error("Refresh token cleanup error:", error);
+  }
+}
+
+/**
+ * Close the WebSocket connections of a session that ended
+ * @param {string} sessionId - Revoked session
+ * @param {string} reason - Sent to the clients in an authError message
+ */
+function closeSessionSockets(sessionId, reason) {
+  wss.clients.forEach(client => {
+    if (client.sessionId === sessionId && client.readyState === client.OPEN) {
+      client.send(JSON.stringify({ type: "authError", error: reason }));
+      client.close(4001, reason);
+    }
+  });
+}
+
+// === API ENDPOINTS ===
+
+
+
+/**
+ * Check the credentials of a new account, including whether the username is free
+ * Names in ADMIN_USERNAMES may be reserved ones, so operators can bootstrap e.g. "admin"
+ * @param {Object} input - { username, password } from the request body
+ * @returns {Object} - Field errors { username?, password? } (see credentials.js), empty if acceptable
+ */
+function getRegistrationErrors(input) {
+  const { username } = input || {};
+  const fields = validateCredentials(input, { allowReserved: typeof username === "string" && ADMIN_USERNAMES.has(username.toLowerCase()) });
+  if (!fields.username && storage.isUsernameTaken(username)) {
+    fields.username = "That username is taken";
+  }
+  return fields;
+}
+
+/**
+ * Send the field errors of a rejected registration
+ * Status 409 when the only problem with the username is that it is taken, 400 otherwise
+ * @param {Object} res - Express response
+ * @param {Object} fields - Field errors { username?, password? }
+ */
+function sendRegistrationErrors(res, fields) {
+  const status = fields.username === "That username is taken" && !fields.password ? 409 : 400;
+  res.status(status).json({ error: Object.values(fields)[0], fields });
+}
+
+/**
+ * User Registration Endpoint
+ * Creates new user accounts with hashed passwords
+ * Rejected registrations get { error, fields: { username?, password? } } with an error per field
+ */
+app.post("/register", rateLimit("register"), async (req, res) => {
+  const { username, password } = req.body || {};
+  
+  try {
+    // === INPUT VALIDATION ===
+    const fields = getRegistrationErrors(req.body);
+    if (Object.keys(fields).length > 0) {
+      return sendRegistrationErrors(res, fields);
+    }
+    
+    // === PASSWORD HASHING ===
+    // Hash password with bcrypt (10 rounds of salting)
+    const hashedPassword = await bcrypt.hash(password, 10);
+    
+    // Someone may have taken the name while we were hashing
+    if (storage.isUsernameTaken(username)) {
+      return sendRegistrationErrors(res, { username: "That username is taken" });
+    }
+    
+    // === CREATE USER ===
+    const role = ADMIN_USERNAMES.has(username.toLowerCase()) ? "admin" : DEFAULT_USER_ROLE;
+    await storage.addUser({ username, password: hashedPassword, role });
+    
+    console.log(`New user registered: ${username}`);
+    res.json({ message: "User registered successfully" });
+    
+  } catch (error) {
+    console.error("Registration error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * Registration Check Endpoint
+ * Checks credentials without creating an account, so the form can explain problems as the user types
+ * Body: { username, password }; responds { valid, fields } with the same field errors as /register
+ */
+app.post("/register/validate", rateLimit("registerValidate"), async (req, res) => {
+  try {
+    const fields = getRegistrationErrors(req.body);
+    res.json({ valid: Object.keys(fields).length === 0, fields });
+  } catch (error) {
+    console.error("Registration check error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * Get the account a login attempt is for, in lowercase so every capitalisation shares one limit
+ * @param {Object} req - Express request
+ * @returns {string|null} - Attempted username, or null if missing
+ */
+function getLoginAccount(req) {
+  const username = req.body && req.body.username;
+  return typeof username === "string" ? username.toLowerCase() : null;
+}
+
+/**
+ * User Login Endpoint
+ * Authenticates users and returns JWT tokens
+ * Usernames are matched ignoring case, as they are unique in any capitalisation (see isUsernameTaken)
+ */
+app.post("/login", rateLimit("login", getLoginAccount, "loginAccount"), async (req, res) => {
+  const { username, password } = req.body || {};
+  
+  try {
+    // === INPUT VALIDATION ===
+    if (typeof username !== "string" || !username || typeof password !== "string" || !password) {
+      return res.status(400).json({ error: "Username and password are required" });
+    }
+    
+    // === USER LOOKUP ===
+    const user = await storage.findUserByUsername(username);
+    if (!user || user.deletedAt) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+    
+    // === PASSWORD VERIFICATION ===
+    const valid = await bcrypt.compare(password, user.password);
+    if (!valid) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+    
+    // === SANCTION CHECK ===
+    const sanction = findSanction(user.username, BLOCKING_SANCTION_TYPES);
+    if (sanction) {
+      console.log(`🚫 Login refused for ${user.username} (${sanction.type})`);
+      return res.status(403).json({ error: describeSanction(sanction), sanction: toSanctionNotice(sanction) });
+    }
+    
+    // === TOKEN GENERATION ===
+    // Each login is its own session, so logging out on one device leaves the others alone
+    const sessionId = createSessionId();
+    const { token: refreshToken, tokenHash } = createRefreshToken();
+    storage.saveRefreshToken(tokenHash, user.username, sessionId, Date.now() + REFRESH_TOKEN_TTL_MS);
+    
+    // Update user's last active time and online status
+    storage.updateUserOnlineStatus(user.username, true);
+    
+    console.log(`User logged in: ${user.username}`);
+    res.json(tokenResponse(user, sessionId, refreshToken));
+    
+  } catch (error) {
+    console.error("Login error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * Token Refresh Endpoint
+ * Trades a refresh token for a new access token and a new refresh token (the old one stops working)
+ * Body: { refreshToken }
+ */
+app.post("/refresh", rateLimit("refresh"), async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (typeof refreshToken !== "string" || !refreshToken) {
+    return res.status(400).json({ error: "Refresh token required" });
+  }
+  
+  try {
+    const now = Date.now();
+    const stored = storage.findRefreshToken(hashRefreshToken(refreshToken));
+    if (!stored || stored.expiresAt <= now) {
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
+    
+    // Banned and suspended users are told why (their sessions were revoked when it was issued)
+    const sanction = findSanction(stored.username, BLOCKING_SANCTION_TYPES, now);
+    if (sanction) {
+      storage.revokeSession(stored.sessionId, now);
+      return res.status(401).json({ error: describeSanction(sanction), sanction: toSanctionNotice(sanction) });
+    }
+    
+    // === REUSE DETECTION ===
+    // A revoked token coming back means someone else holds a copy; end the session for both
+    if (stored.revokedAt !== null) {
+      storage.revokeSession(stored.sessionId, now);
+      closeSessionSockets(stored.sessionId, "Session revoked");
+      console.log(`🚨 Refresh token reused for ${stored.username}, session revoked`);
+      return res.status(401).json({ error: "Refresh token already used, please log in again" });
+    }
+    
+    // === ROTATION ===
+    const next = createRefreshToken();
+    if (!storage.rotateRefreshToken(stored.id, next.tokenHash, now + REFRESH_TOKEN_TTL_MS, now)) {
+      return res.status(401).json({ error: "Refresh token already used, please log in again" });
+    }
+    
+    // Refreshed tokens carry the user's current role
+    const user = storage.findUserByUsername(stored.username);
+    res.json(tokenResponse(user, stored.sessionId, next.token));
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * Logout Endpoint
+ * Revokes the session of a refresh token, invalidating its access tokens and closing its WebSockets
+ * Body: { refreshToken }; unknown tokens are ignored so logging out twice is harmless
+ */
+app.post("/logout", rateLimit("logout"), async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (typeof refreshToken !== "string" || !refreshToken) {
+    return res.status(400).json({ error: "Refresh token required" });
+  }
+  
+  try {
+    const stored = storage.findRefreshToken(hashRefreshToken(refreshToken));
+    if (stored && storage.revokeSession(stored.sessionId, Date.now()) > 0) {
+      closeSessionSockets(stored.sessionId, "Logged out");
+      console.log(`User logged out: ${stored.username}`);
+    }
+    res.json({ message: "Logged out" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * Activity Stats API Endpoint
+ * Returns real-time activity statistics
+ */
+app.get("/api/activity", authenticateToken, async (req, res) => {
+  try {
+    const username = req.user.username;
+    
+    // Get current user's stats
+    const currentUser = storage.findUserByUsername(username);
+    
+    // Get pixel statistics
+    const pixelStats = storage.getPixelStats();
+    
+    // Get online user count
+    const onlineUsers = wss.clients.size;
+    
+    // Get current user's rank
+    const leaderboard = storage.getAllUsersForLeaderboard();
+    const userRank = leaderboard.findIndex(user => user.username === username) + 1;
+    
+    const activityData = {
+      totalPixels: pixelStats.totalPixels,
+      onlineUsers: onlineUsers,
+      yourPixels: currentUser?.pixelsPlaced || 0,
+      yourRank: userRank > 0 ? userRank : 'N/A',
+      totalUsers: leaderboard.length,
+      recentActivity: pixelStats.latestPixelDate || 'No activity yet'
+    };
+    
+    res.json(activityData);
+  } catch (error) {
+    console.error("Activity stats error:", error);
+    res.status(500).json({ error: "Failed to fetch activity data" });
+  }
+});
+
+// Rankings are reused for this long, so paging and frequent refreshes don't recompute them
+const LEADERBOARD_CACHE_MS = 5000;
+const leaderboardCache = new Map();   // "metric:window" -> { at, ranked }
+
+/**
+ * Rank every user on a metric over a window, using a recent ranking if there is one
+ * @param {string} metric - One of LEADERBOARD_METRICS
+ * @param {string} window - Key of LEADERBOARD_WINDOWS
+ * @returns {Array} - { rank, username, value }, best first
+ */
+function getRanking(metric, window) {
+  const now = Date.now();
+  const cacheKey = `${metric}:${window}`;
+  const cached = leaderboardCache.get(cacheKey);
+  if (cached && now - cached.at < LEADERBOARD_CACHE_MS) return cached.ranked;
+  
+  const ranked = rankScores(storage.getLeaderboardScores(metric, { since: getWindowStart(window, now), canvasId: MAIN_CANVAS_ID }));
+  leaderboardCache.set(cacheKey, { at: now, ranked });
+  return ranked;
+}
+
+/**
+ * Leaderboard API Endpoint
+ * Ranks users by a metric on the main canvas over a rolling time window (see leaderboard.js)
+ * Query: ?metric=pixels|surviving|streak|overwritten&window=day|week|all&offset=<n>&limit=<n, max 100>
+ * Pass ?around=me instead of an offset to get the users either side of the caller
+ * Returns { metric, window, total, offset, entries: [{ rank, username, displayName, isOnline, value }], me }
+ * where me is the caller's { rank, value }, or null if they aren't ranked
+ */
+app.get("/api/leaderboard", authenticateToken, async (req, res) => {
+  const { query, error } = validateLeaderboardQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
+  try {
+    const page = getLeaderboardPage(getRanking(query.metric, query.window), req.user.username, query);
+    
+    const users = new Map(storage.getAllUsersForLeaderboard().map(user => [user.username, user]));
+    const entries = page.entries.map(entry => ({
+      rank: entry.rank,
+      username: entry.username,
+      displayName: users.has(entry.username) ? users.get(entry.username).displayName : null,
+      isOnline: users.has(entry.username) && users.get(entry.username).isOnline,
+      value: entry.value
+    }));
+    
+    res.json({
+      metric: query.metric,
+      window: query.window,
+      total: page.total,
+      offset: page.offset,
+      entries,
+      me: page.me
+    });
+  } catch (error) {
+    console.error("Leaderboard error:", error);
+    res.status(500).json({ error: "Failed to fetch leaderboard data" });
+  }
+});
+
+/**
+ * User Profile API Endpoint
+ * Returns current user's statistics
+ */
+app.get("/api/profile", authenticateToken, async (req, res) => {
+  try {
+    const user = await storage.findUserByUsername(req.user.username);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Return public user information
+    res.json({
+      username: user.username,
+      displayName: user.displayName,
+      pixelsPlaced: user.pixelsPlaced,
+      totalContributions: user.totalContributions,
+      joinedAt: user.joinedAt,
+      lastActive: user.lastActive,
+      isOnline: user.isOnline,
+      role: user.role
+    });
+  } catch (error) {
+    console.error("Profile error:", error);
+    res.status(500).json({ error: "Failed to fetch profile data" });
+  }
+});
+
+/**
+ * Update Profile API Endpoint
+ * Body: { displayName } - shown instead of the username; null or "" goes back to the username
+ */
+app.patch("/api/profile", authenticateToken, async (req, res) => {
+  const { displayName, error } = sanitizeDisplayName((req.body || {}).displayName);
+  if (error) {
+    return res.status(400).json({ error, fields: { displayName: error } });
+  }
+  
+  try {
+    if (!storage.setDisplayName(req.user.username, displayName)) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    res.json({ username: req.user.username, displayName });
+  } catch (error) {
+    console.error("Update profile error:", error);
+    res.status(500).json({ error: "Failed to update profile" });
+  }
+});
+
+/**
+ * Change Password API Endpoint
+ * Body: { currentPassword, newPassword }; the new password follows the registration rules
+ * Every other session of the user is logged out; the one making the request stays logged in
+ */
+app.put("/api/profile/password", authenticateToken, async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (typeof currentPassword !== "string" || !currentPassword) {
+    return res.status(400).json({ error: "Current password required", fields: { currentPassword: "Current password required" } });
+  }
+  const passwordError = validatePassword(newPassword, req.user.username);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError, fields: { newPassword: passwordError } });
+  }
+  
+  try {
+    const user = storage.findUserByUsername(req.user.username);
+    if (!user || user.deletedAt) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      return res.status(403).json({ error: "Current password is wrong", fields: { currentPassword: "Current password is wrong" } });
+    }
+    
+    storage.setUserPassword(user.username, await bcrypt.hash(newPassword, 10));
+    const revoked = storage.revokeUserSessions(user.username, Date.now(), req.user.sid);
+    revoked.forEach(sessionId => closeSessionSockets(sessionId, "Password changed"));
+    
+    console.log(`🔑 ${user.username} changed their password, ${revoked.length} other sessions logged out`);
+    res.json({ message: "Password changed", sessionsRevoked: revoked.length });
+  } catch (error) {
+    console.error("Change password error:", error);
+    res.status(500).json({ error: "Failed to change password" });
+  }
+});
+
+/**
+ * Delete Account API Endpoint
+ * Body: { password, pixels } - pixels is "anonymise" (they stay, credited to a placeholder) or
+ * "erase" (they are cleared from every canvas). Either way the history, chat messages and sanctions
+ * are kept under the placeholder name "[deleted-<id>]" (see deleteUser), and every session ends
+ */
+app.delete("/api/profile", authenticateToken, async (req, res) => {
+  const { password, pixels } = req.body || {};
+  if (pixels !== "anonymise" && pixels !== "erase") {
+    return res.status(400).json({ error: 'pixels must be "anonymise" or "erase"' });
+  }
+  if (typeof password !== "string" || !password) {
+    return res.status(400).json({ error: "Password required", fields: { password: "Password required" } });
+  }
+  
+  try {
+    const user = storage.findUserByUsername(req.user.username);
+    if (!user || user.deletedAt) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(403).json({ error: "Password is wrong", fields: { password: "Password is wrong" } });
+    }
+    // Keeps at least one admin around, like the role endpoint
+    if (user.role === "admin" && storage.countUsersWithRole("admin") <= 1) {
+      return res.status(400).json({ error: "The last admin can't delete their account, make someone else an admin first" });
+    }
+    
+    // End every session first, so nothing can place pixels while the account goes away
+    storage.revokeUserSessions(user.username, Date.now()).forEach(sessionId => closeSessionSockets(sessionId, "Account deleted"));
+    
+    let erased = 0;
+    if (pixels === "erase") {
+      for (const room of rooms.values()) {
+        erased += eraseCells(room, getUserCells(room, user.username), user.username);
+      }
+    }
+    
+    const placeholder = storage.deleteUser(user.username);
+    // The placeholder keeps the account's id, so binary clients must be told its new name
+    wss.clients.forEach(client => client.knownUsers.delete(user.id));
+    for (const room of rooms.values()) {
+      // Clients repaint the kept pixels under the placeholder
+      const cells = getUserCells(room, user.username);
+      cells.forEach(({ key }) => { room.gridState[key].username = placeholder; });
+      broadcastPixels(room, cells.map(({ key, x, y, color }) => ({ key, x, y, color, username: placeholder, userId: user.id })));
+      if (room.canvas.createdBy === user.username) room.canvas.createdBy = placeholder;
+    }
+    
+    console.log(`🗑️  Account ${user.username} deleted (now ${placeholder}), ${erased} pixels erased`);
+    res.json({ message: "Account deleted", erased });
+  } catch (error) {
+    console.error("Delete account error:", error);
+    res.status(500).json({ error: "Failed to delete account" });
+  }
+});
+
+// Placements listed per page of a public profile
+const PROFILE_PAGE_SIZE = 50;
+
+/**
+ * Find a user whose public profile can be shown
+ * Responds with 404 itself for unknown and deleted accounts
+ * @param {Object} req - Express request with :username
+ * @param {Object} res - Express response
+ * @returns {Object|null} - User, or null when a response has already been sent
+ */
+function resolveProfileUser(req, res) {
+  const user = storage.findUserByUsername(req.params.username);
+  if (!user || user.deletedAt) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Public Profile API Endpoint
+ * Returns a user's public statistics and their recent placements, newest first, PROFILE_PAGE_SIZE at a time
+ * Only canvases the caller may see are counted and listed
+ * Pass ?before=<id> to page further back
+ */
+app.get("/api/users/:username", authenticateToken, async (req, res) => {
+  let before = null;
+  if (req.query.before !== undefined) {
+    before = Number(req.query.before);
+    if (!Number.isInteger(before) || before < 1) {
+      return res.status(400).json({ error: "before must be a positive placement id" });
+    }
+  }
+  
+  try {
+    const user = resolveProfileUser(req, res);
+    if (!user) return;
+    
+    const visibleRooms = [...rooms.values()].filter(room => canAccessRoom(room, req.user.username));
+    const canvases = visibleRooms
+      .map(room => ({ canvas: room.canvas.slug, title: room.canvas.title, pixels: getUserCells(room, user.username).length }))
+      .filter(canvas => canvas.pixels > 0);
+    
+    const placements = storage.getPublicPlacements(user.username, visibleRooms.map(room => room.canvas.id), PROFILE_PAGE_SIZE, before)
+      .map(({ canvasId, ...placement }) => ({ ...placement, canvas: rooms.get(canvasId).canvas.slug }));
+    
+    res.json({
+      username: user.username,
+      displayName: user.displayName,
+      role: user.role,
+      pixelsPlaced: user.pixelsPlaced,
+      pixelsOnCanvas: canvases.reduce((sum, canvas) => sum + canvas.pixels, 0),
+      joinedAt: user.joinedAt,
+      lastActive: user.lastActive,
+      isOnline: user.isOnline,
+      canvases,
+      placements,
+      hasMore: placements.length === PROFILE_PAGE_SIZE
+    });
+  } catch (error) {
+    console.error("Public profile error:", error);
+    res.status(500).json({ error: "Failed to fetch profile" });
+  }
+});
+
+/**
+ * Public Pixel Map API Endpoint
+ * Returns every pixel a user currently owns on a canvas, for highlighting them on the grid
+ * Query: ?canvas=<slug> (default: the main canvas)
+ */
+app.get("/api/users/:username/pixels", authenticateToken, async (req, res) => {
+  const room = resolveRoomQuery(req, res);
+  if (!room) return;
+  
+  try {
+    const user = resolveProfileUser(req, res);
+    if (!user) return;
+    
+    const pixels = getUserCells(room, user.username).map(({ x, y, color }) => ({ x, y, color }));
+    res.json({ username: user.username, canvas: room.canvas.slug, pixels });
+  } catch (error) {
+    console.error("User pixels error:", error);
+    res.status(500).json({ error: "Failed to fetch user pixels" });
+  }
+});
+
+/**
+ * Resolve the canvas a REST request is about, from ?canvas=<slug> (default: the main canvas)
+ * Responds with 404 itself when the canvas doesn't exist or the user may not see it
+ * @param {Object} req - Express request (req.user is set on authenticated routes)
+ * @param {Object} res - Express response
+ * @returns {Object|null} - Room, or null when a response has already been sent
+ */
+function resolveRoomQuery(req, res) {
+  const slug = req.query.canvas === undefined ? MAIN_CANVAS_SLUG : req.query.canvas;
+  const room = findRoom(slug);
+  if (!room || !canAccessRoom(room, req.user ? req.user.username : null)) {
+    res.status(404).json({ error: "Canvas not found" });
+    return null;
+  }
+  return room;
+}
+
+/**
+ * Canvas Config API Endpoint
+ * Returns the canvas size so bots and tools can validate coordinates up front
+ * Public canvases only; pass ?canvas=<slug> for one other than the main canvas
+ */
+app.get("/api/canvas/config", (req, res) => {
+  const room = resolveRoomQuery(req, res);
+  if (!room) return;
+  res.json({ width: room.canvas.width, height: room.canvas.height });
+});
+
+/**
+ * Switch a room to another palette and push it to the room's clients
+ * @param {Object} room - Room to update
+ * @param {Object} palette - Palette to validate placements against from now on
+ */
+function setRoomPalette(room, palette) {
+  // Queued binary updates use indexes into the old palette, deliver them first
+  flushBinaryUpdates();
+  room.canvas = storage.setCanvasPalette(room.canvas.id, palette.id);
+  room.palette = palette;
+  
+  wss.clients.forEach((client) => {
+    if (client.readyState === client.OPEN && client.room === room) {
+      client.send(JSON.stringify({ type: "paletteUpdate", palette }));
+    }
+  });
+  console.log(`🎨 Palette "${palette.name}" (${palette.id}) is now used on canvas "${room.canvas.slug}"`);
+}
+
+/**
+ * Make a palette the active one and switch the main canvas to it
+ * The active palette is also the one new canvases start with
+ * @param {number} id - Palette id
+ * @returns {Object|null} - The activated palette, or null if not found
+ */
+function switchActivePalette(id) {
+  const palette = storage.activatePalette(id);
+  if (!palette) return null;
+  setRoomPalette(rooms.get(MAIN_CANVAS_ID), palette);
+  return palette;
+}
+
+/**
+ * Active Palette API Endpoint
+ * Returns the palette placements on the main canvas are currently validated against
+ */
+app.get("/api/palette", (req, res) => {
+  res.json(rooms.get(MAIN_CANVAS_ID).palette);
+});
+
+/**
+ * Palettes API Endpoint
+ * Lists every published palette, newest first
+ */
+app.get("/api/palettes", async (req, res) => {
+  try {
+    res.json(storage.getAllPalettes());
+  } catch (error) {
+    console.error("Palettes error:", error);
+    res.status(500).json({ error: "Failed to fetch palettes" });
+  }
+});
+
+/**
+ * Publish Palette API Endpoint (admin only)
+ * Body: { name, colors: ["#rrggbb", ...], activate }
+ * The palette becomes active immediately when activate is true
+ */
+app.post("/api/palettes", authenticateToken, requireRole("admin"), async (req, res) => {
+  try {
+    const { name, colors, activate } = req.body || {};
+    const { palette, error } = validatePalette(name, colors);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const created = storage.createPalette(palette.name, palette.colors, req.user.username);
+    console.log(`🎨 Palette "${created.name}" (${created.id}) published by ${req.user.username}`);
+    res.status(201).json(activate === true ? switchActivePalette(created.id) : created);
+  } catch (error) {
+    console.error("Publish palette error:", error);
+    res.status(500).json({ error: "Failed to publish palette" });
+  }
+});
+
+/**
+ * Activate Palette API Endpoint (admin only)
+ * Switches placements over to a previously published palette
+ */
+app.post("/api/palettes/:id/activate", authenticateToken, requireRole("admin"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: "Invalid palette id" });
+    }
+    
+    const palette = switchActivePalette(id);
+    if (!palette) {
+      return res.status(404).json({ error: "Palette not found" });
+    }
+    res.json(palette);
+  } catch (error) {
+    console.error("Activate palette error:", error);
+    res.status(500).json({ error: "Failed to activate palette" });
+  }
+});
+
+/**
+ * Canvases API Endpoint
+ * Lists the canvases the user can join: public ones, private ones they belong to (all for admins)
+ * Each entry includes the user's role (null when not a member) and how many clients are in it
+ */
+app.get("/api/canvases", authenticateToken, async (req, res) => {
+  try {
+    const roles = storage.getCanvasRolesForUser(req.user.username);
+    const online = new Map();
+    wss.clients.forEach((client) => {
+      if (client.room) online.set(client.room, (online.get(client.room) || 0) + 1);
+    });
+    
+    const canvases = [...rooms.values()]
+      .filter(room => room.canvas.visibility === "public" || roles[room.canvas.id] || isAdmin(req.user.username))
+      .map(room => ({ ...describeRoom(room), role: roles[room.canvas.id] || null, online: online.get(room) || 0 }));
+    res.json(canvases);
+  } catch (error) {
+    console.error("Canvases error:", error);
+    res.status(500).json({ error: "Failed to fetch canvases" });
+  }
+});
+
+/**
+ * Create Canvas API Endpoint
+ * Body: { slug, title, width, height, cooldownMs, visibility, expiresAt, paletteId }
+ * Any user may create private canvases (up to MAX_OWNED_CANVASES); public ones are admin only
+ * The creator becomes the owner; the canvas starts with paletteId or the active palette
+ */
+app.post("/api/canvases", authenticateToken, async (req, res) => {
+  try {
+    const username = req.user.username;
+    const { settings, error } = validateRoomSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (settings.visibility === "public" && !isAdmin(username)) {
+      return res.status(403).json({ error: "Only admins can create public canvases" });
+    }
+    if (!isAdmin(username) && storage.countCanvasesCreatedBy(username) >= MAX_OWNED_CANVASES) {
+      return res.status(403).json({ error: `You can create at most ${MAX_OWNED_CANVASES} canvases` });
+    }
+    if (findRoom(settings.slug)) {
+      return res.status(409).json({ error: "A canvas with that slug already exists" });
+    }
+    
+    let palette = storage.getActivePalette();
+    if (req.body.paletteId !== undefined) {
+      palette = Number.isInteger(req.body.paletteId) ? storage.getPaletteById(req.body.paletteId) : null;
+      if (!palette) {
+        return res.status(400).json({ error: "Palette not found" });
+      }
+    }
+    
+    const room = createRoom(storage.createCanvas(settings, palette.id, username));
+    rooms.set(room.canvas.id, room);
+    console.log(`🖼️  Canvas "${room.canvas.slug}" (${room.canvas.visibility}) created by ${username}`);
+    res.status(201).json({ ...describeRoom(room), role: "owner", online: 0 });
+  } catch (error) {
+    console.error("Create canvas error:", error);
+    res.status(500).json({ error: "Failed to create canvas" });
+  }
+});
+
+/**
+ * Canvas Palette API Endpoint (owners and admins)
+ * Body: { paletteId }; switches the canvas to a published palette
+ */
+app.post("/api/canvases/:slug/palette", authenticateToken, async (req, res) => {
+  try {
+    const room = findRoom(req.params.slug);
+    if (!room || !canAccessRoom(room, req.user.username)) {
+      return res.status(404).json({ error: "Canvas not found" });
+    }
+    if (!canManageRoom(room, req.user.username)) {
+      return res.status(403).json({ error: "Only the canvas owners can change its palette" });
+    }
+    
+    const paletteId = (req.body || {}).paletteId;
+    const palette = Number.isInteger(paletteId) ? storage.getPaletteById(paletteId) : null;
+    if (!palette) {
+      return res.status(400).json({ error: "Palette not found" });
+    }
+    
+    setRoomPalette(room, palette);
+    res.json(describeRoom(room));
+  } catch (error) {
+    console.error("Canvas palette error:", error);
+    res.status(500).json({ error: "Failed to change canvas palette" });
+  }
+});
+
+/**
+ * Canvas Members API Endpoint
+ * Lists a canvas's members, owners first
+ */
+app.get("/api/canvases/:slug/members", authenticateToken, async (req, res) => {
+  try {
+    const room = findRoom(req.params.slug);
+    if (!room || !canAccessRoom(room, req.user.username)) {
+      return res.status(404).json({ error: "Canvas not found" });
+    }
+    
+    res.json(storage.getCanvasMembers(room.canvas.id));
+  } catch (error) {
+    console.error("Canvas members error:", error);
+    res.status(500).json({ error: "Failed to fetch canvas members" });
+  }
+});
+
+/**
+ * Add Canvas Member API Endpoint (owners and admins)
+ * Body: { role } ('member' by default); also changes an existing member's role
+ */
+app.put("/api/canvases/:slug/members/:username", authenticateToken, async (req, res) => {
+  try {
+    const room = findRoom(req.params.slug);
+    if (!room || !canAccessRoom(room, req.user.username)) {
+      return res.status(404).json({ error: "Canvas not found" });
+    }
+    if (!canManageRoom(room, req.user.username)) {
+      return res.status(403).json({ error: "Only the canvas owners can manage members" });
+    }
+    
+    const role = (req.body || {}).role || "member";
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${MEMBER_ROLES.join(", ")}` });
+    }
+    const user = storage.findUserByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (role !== "owner" && isLastOwner(room, user.username)) {
+      return res.status(400).json({ error: "A canvas needs at least one owner" });
+    }
+    
+    storage.setCanvasMember(room.canvas.id, user.username, role);
+    console.log(`👥 ${user.username} is now ${role} of canvas "${room.canvas.slug}"`);
+    res.json({ username: user.username, role });
+  } catch (error) {
+    console.error("Add canvas member error:", error);
+    res.status(500).json({ error: "Failed to update canvas member" });
+  }
+});
+
+/**
+ * Remove Canvas Member API Endpoint
+ * Owners and admins can remove anyone; members can remove themselves (leave the canvas)
+ * Removed users' clients are moved back to the main canvas if the canvas is private
+ */
+app.delete("/api/canvases/:slug/members/:username", authenticateToken, async (req, res) => {
+  try {
+    const room = findRoom(req.params.slug);
+    if (!room || !canAccessRoom(room, req.user.username)) {
+      return res.status(404).json({ error: "Canvas not found" });
+    }
+    const target = req.params.username;
+    if (target !== req.user.username && !canManageRoom(room, req.user.username)) {
+      return res.status(403).json({ error: "Only the canvas owners can remove other members" });
+    }
+    if (isLastOwner(room, target)) {
+      return res.status(400).json({ error: "A canvas needs at least one owner" });
+    }
+    
+    if (!storage.removeCanvasMember(room.canvas.id, target)) {
+      return res.status(404).json({ error: "Not a member of this canvas" });
+    }
+    if (!canAccessRoom(room, target)) {
+      evictFromRoom(room, target);
+    }
+    console.log(`👥 ${target} left canvas "${room.canvas.slug}"`);
+    res.json({ message: "Member removed" });
+  } catch (error) {
+    console.error("Remove canvas member error:", error);
+    res.status(500).json({ error: "Failed to remove canvas member" });
+  }
+});
+
+/**
+ * Check whether a user is the only owner of a canvas
+ * @param {Object} room - Room to check
+ * @param {string} username - Username
+ * @returns {boolean}
+ */
+function isLastOwner(room, username) {
+  const owners = storage.getCanvasMembers(room.canvas.id).filter(member => member.role === "owner");
+  return owners.length === 1 && owners[0].username === username;
+}
 
-// === SHARED GAME STATE ===
-// Grid state: { "x,y": { color, username } }
-// Stores all placed pixels with their color and owner information
-let gridState = {};
+/**
+ * Chat History API Endpoint
+ * Returns up to CHAT_HISTORY_LIMIT messages, oldest first
+ * Pass ?before=<id> to page further back
+ */
+app.get("/api/chat", authenticateToken, async (req, res) => {
+  try {
+    let before = null;
+    if (req.query.before !== undefined) {
+      before = Number(req.query.before);
+      if (!Number.isInteger(before) || before < 1) {
+        return res.status(400).json({ error: "before must be a positive message id" });
+      }
+    }
+    
+    const messages = storage.getChatMessages(CHAT_HISTORY_LIMIT, before);
+    res.json({ messages, hasMore: messages.length === CHAT_HISTORY_LIMIT });
+  } catch (error) {
+    console.error("Chat history error:", error);
+    res.status(500).json({ error: "Failed to fetch chat history" });
+  }
+});
 
 /**
- * WebSocket connection handler
- * Manages real-time communication between clients for collaborative editing
+ * Pixel History API Endpoint
+ * Returns every placement ever made on a cell, oldest first
+ * Query: ?canvas=<slug> (default: the main canvas)
  */
-wss.on("connection", (ws) => {
-  console.log("New WebSocket connection established");
+app.get("/api/pixels/:x/:y/history", authenticateToken, async (req, res) => {
+  const room = resolveRoomQuery(req, res);
+  if (!room) return;
+  const { gridState } = room;
   
-  // Store username for this connection
-  ws.username = null;
+  const key = `${req.params.x},${req.params.y}`;
+  if (!parseCanvasKey(key, room.canvas)) {
+    return res.status(400).json({ error: "Invalid or out-of-bounds cell coordinates" });
+  }
   
-  // === INITIAL STATE SYNC ===
-  // Send current grid state to newly connected client
-  ws.send(JSON.stringify({ type: "init", grid: gridState }));
+  try {
+    const history = storage.getPixelHistory(room.canvas.id, key);
+    
+    res.json({
+      key,
+      current: gridState[key] ? { color: gridState[key].color, username: gridState[key].username } : null,
+      history
+    });
+  } catch (error) {
+    console.error("Pixel history error:", error);
+    res.status(500).json({ error: "Failed to fetch pixel history" });
+  }
+});
 
-  /**
-   * Handle incoming messages from clients
-   * Processes pixel placement requests and other game actions
-   */
-  ws.on("message", (message) => {
-    let data;
-    try {
-      data = JSON.parse(message);
-      console.log(`📨 Received WebSocket message:`, data); // Debug logging
-    } catch (e) {
-      console.error("Invalid JSON message received:", e);
-      return;
-    }
+/**
+ * Canvas Snapshot API Endpoint
+ * Reconstructs the grid as it was at ?t= (epoch milliseconds or an ISO date)
+ * Query: ?canvas=<slug> (default: the main canvas)
+ */
+app.get("/api/canvas/at", authenticateToken, async (req, res) => {
+  const room = resolveRoomQuery(req, res);
+  if (!room) return;
+  
+  const raw = String(req.query.t ?? "");
+  const timestamp = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+  if (!Number.isFinite(timestamp)) {
+    return res.status(400).json({ error: "Query parameter t must be a timestamp in milliseconds or an ISO date" });
+  }
+  
+  try {
+    const grid = storage.loadPixelsAt(room.canvas.id, timestamp);
+    res.json({ t: timestamp, grid });
+  } catch (error) {
+    console.error("Canvas snapshot error:", error);
+    res.status(500).json({ error: "Failed to reconstruct canvas" });
+  }
+});
+
+/**
+ * Canvas Timeline API Endpoint
+ * Returns the placements log in order, paged by id, for time-lapse replay
+ * Query: ?canvas=<slug>&after=<last id seen>&limit=<page size, max 5000>
+ */
+app.get("/api/canvas/timeline", authenticateToken, async (req, res) => {
+  const room = resolveRoomQuery(req, res);
+  if (!room) return;
+  const after = Math.max(0, parseInt(req.query.after, 10) || 0);
+  const limit = Math.min(5000, Math.max(1, parseInt(req.query.limit, 10) || 1000));
+  
+  try {
+    const placements = storage.getPlacementsPage(room.canvas.id, after, limit);
     
-    // === USER AUTHENTICATION FOR WEBSOCKET ===
-    if (data.type === "authenticate" && data.username) {
-      ws.username = data.username;
-      updateUserOnlineStatus(data.username, true);
-      console.log(`WebSocket authenticated for user: ${data.username}`);
-      return;
+    res.json({
+      placements,
+      nextAfter: placements.length ? placements[placements.length - 1].id : after,
+      done: placements.length < limit
+    });
+  } catch (error) {
+    console.error("Canvas timeline error:", error);
+    res.status(500).json({ error: "Failed to fetch canvas timeline" });
+  }
+});
+
+// === PNG EXPORT LIMITS ===
+const PNG_MAX_SCALE = 32;                 // Maximum image pixels per cell
+const PNG_MAX_DIMENSION = 4096;           // Maximum output width/height in image pixels
+
+/**
+ * Canvas PNG Export Endpoint
+ * Renders the canvas (or the region ?x0&y0&x1&y1, inclusive) to a PNG at ?scale= pixels per cell
+ * Public so the image can be linked and downloaded directly; add ?download=1 to save as a file
+ * Pass ?canvas=<slug> for a public canvas other than the main one (private canvases can't be exported)
+ */
+app.get("/api/canvas.png", async (req, res) => {
+  const room = resolveRoomQuery(req, res);
+  if (!room) return;
+  const { canvas } = room;
+  const parseCoord = (value) => (/^-?\d{1,9}$/.test(String(value)) ? Number(value) : null);
+  
+  try {
+    // === REGION SELECTION ===
+    // Default to the whole canvas; explicit regions are clipped to the canvas bounds
+    let region = { x0: 0, y0: 0, x1: canvas.width - 1, y1: canvas.height - 1 };
+    const hasRegion = ["x0", "y0", "x1", "y1"].some(name => req.query[name] !== undefined);
+    if (hasRegion) {
+      const [x0, y0, x1, y1] = ["x0", "y0", "x1", "y1"].map(name => parseCoord(req.query[name]));
+      if ([x0, y0, x1, y1].includes(null)) {
+        return res.status(400).json({ error: "x0, y0, x1 and y1 must all be integer cell coordinates" });
+      }
+      region = {
+        x0: Math.max(region.x0, Math.min(x0, x1)),
+        y0: Math.max(region.y0, Math.min(y0, y1)),
+        x1: Math.min(region.x1, Math.max(x0, x1)),
+        y1: Math.min(region.y1, Math.max(y0, y1))
+      };
+      if (region.x0 > region.x1 || region.y0 > region.y1) {
+        return res.status(400).json({ error: "Region lies outside the canvas" });
+      }
     }
     
-    // === PIXEL PLACEMENT HANDLER ===
-    if (data.type === "colorCell" && data.key && data.color && data.username) {
-      console.log(`🎨 Processing colorCell request: ${data.key} -> ${data.color} by ${data.username}`); // Debug logging
-      
-      // Only allow coloring if cell is empty (first-come-first-served)
-      if (!gridState[data.key]) {
-        console.log(`✅ Cell ${data.key} is empty, placing pixel`); // Debug logging
-        
-        // Update server grid state
-        gridState[data.key] = { 
-          color: data.color, 
-          username: data.username 
-        };
-        
-        // Parse coordinates from key (format: "x,y")
-        const [x, y] = data.key.split(',').map(Number);
-        
-        // Save pixel to database
-        try {
-          savePixel(data.key, x, y, data.color, data.username);
-          console.log(`💾 Pixel saved to database: ${data.key} by ${data.username}`);
-        } catch (error) {
-          console.error('❌ Error saving pixel to database:', error);
-        }
-        
-        // Update user statistics
-        incrementUserPixels(data.username);
-        
-        // === BROADCAST TO ALL CLIENTS ===
-        // Notify all connected clients of the pixel placement
-        wss.clients.forEach((client) => {
-          if (client.readyState === ws.OPEN) {
-            client.send(JSON.stringify({ 
-              type: "cellUpdate", 
-              key: data.key, 
-              color: data.color, 
-              username: data.username 
-            }));
-          }
-        });
-        
-        console.log(`🎯 Pixel placed at ${data.key} by ${data.username}, broadcasted to ${wss.clients.size} clients`);
-      } else {
-        console.log(`⚠️  Cell ${data.key} already occupied by ${gridState[data.key].username}, placement rejected`);
-      }
-    } else if (data.type === "colorCell") {
-      console.log(`❌ Invalid colorCell message - missing required fields:`, { 
-        hasType: !!data.type, 
-        hasKey: !!data.key, 
-        hasColor: !!data.color, 
-        hasUsername: !!data.username 
-      });
+    // === SCALE AND SIZE VALIDATION ===
+    const scale = req.query.scale === undefined ? 1 : Number(req.query.scale);
+    if (!Number.isInteger(scale) || scale < 1 || scale > PNG_MAX_SCALE) {
+      return res.status(400).json({ error: `scale must be an integer between 1 and ${PNG_MAX_SCALE}` });
+    }
+    const width = (region.x1 - region.x0 + 1) * scale;
+    const height = (region.y1 - region.y0 + 1) * scale;
+    if (width > PNG_MAX_DIMENSION || height > PNG_MAX_DIMENSION) {
+      return res.status(400).json({ error: `Image would be ${width}x${height}, the maximum is ${PNG_MAX_DIMENSION}x${PNG_MAX_DIMENSION}` });
     }
     
-    // TODO: Handle additional message types (payment confirmations, cooldown updates, etc.)
-  });
-
-  /**
-   * Handle WebSocket disconnection
-   * Clean up any client-specific resources if needed
-   */
-  ws.on("close", () => {
-    console.log("WebSocket connection closed");
-    // Update user's online status
-    if (ws.username) {
-      updateUserOnlineStatus(ws.username, false);
-      console.log(`User ${ws.username} went offline`);
+    const png = renderGridToPNG(room.gridState, { ...region, scale });
+    
+    res.set("Content-Type", "image/png");
+    res.set("Cache-Control", "no-store");
+    if (req.query.download) {
+      res.set("Content-Disposition", `attachment; filename="${canvas.slug}_${region.x0}_${region.y0}_${region.x1}_${region.y1}.png"`);
     }
-  });
+    res.send(png);
+  } catch (error) {
+    console.error("PNG export error:", error);
+    res.status(500).json({ error: "Failed to export canvas" });
+  }
 });
 
-// === AUTHENTICATION UTILITIES ===
+// === MODERATION ===
 
 /**
- * JWT Authentication Middleware
- * Validates JWT tokens and extracts user information
+ * Write a moderator action to the audit log
+ * @param {Object} req - Express request of the moderator (req.user is set)
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} [fields] - { canvasId, target, details } (see addAuditEntry in sqliteStorage.js)
  */
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
-
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
-
-  jwt.verify(token, process.env.JWT_SECRET || "secretkey", (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
+function audit(req, action, fields = {}) {
+  storage.addAuditEntry({ actor: req.user.username, action, ...fields });
+  console.log(`📋 Audit: ${req.user.username} ${action}${fields.target ? ` (${fields.target})` : ""}`);
 }
 
 /**
- * Generate JWT token for authenticated user
- * @param {Object} user - User object containing username and other details
- * @returns {string} - Signed JWT token
+ * Erase Pixel API Endpoint (moderators)
+ * Clears one cell so it can be placed on again; the cell's history keeps the erased pixel
+ * Query: ?canvas=<slug> (default: the main canvas)
  */
-function generateToken(user) {
-  return jwt.sign(
-    { username: user.username }, 
-    process.env.JWT_SECRET || "secretkey", // Use env variable or fallback
-    { expiresIn: "1h" }                    // Token expires in 1 hour
-  );
-}
-
-// === API ENDPOINTS ===
-
-
+app.delete("/api/moderation/pixels/:x/:y", authenticateToken, requireRole("moderator"), async (req, res) => {
+  const room = resolveRoomQuery(req, res);
+  if (!room) return;
+  
+  const key = `${req.params.x},${req.params.y}`;
+  const coords = parseCanvasKey(key, room.canvas);
+  if (!coords) {
+    return res.status(400).json({ error: "Invalid or out-of-bounds cell coordinates" });
+  }
+  const pixel = room.gridState[key];
+  if (!pixel) {
+    return res.status(404).json({ error: "Cell is already empty" });
+  }
+  
+  try {
+    eraseCells(room, [{ key, x: coords.x, y: coords.y }], req.user.username);
+    audit(req, AUDIT_ACTIONS.ERASE_PIXEL, { canvasId: room.canvas.id, target: pixel.username, details: { key, color: pixel.color } });
+    res.json({ message: "Pixel erased", key });
+  } catch (error) {
+    console.error("Erase pixel error:", error);
+    res.status(500).json({ error: "Failed to erase pixel" });
+  }
+});
 
 /**
- * User Registration Endpoint
- * Creates new user accounts with hashed passwords
+ * Wipe Region API Endpoint (moderators)
+ * Clears every pixel in a rectangle (inclusive, at most MAX_WIPE_CELLS cells)
+ * Query: ?canvas=<slug> (default: the main canvas); Body: { x0, y0, x1, y1 }
  */
-app.post("/register", async (req, res) => {
-  const { username, password } = req.body;
+app.post("/api/moderation/wipe", authenticateToken, requireRole("moderator"), async (req, res) => {
+  const room = resolveRoomQuery(req, res);
+  if (!room) return;
   
-  // === INPUT VALIDATION ===
-  if (!username || !password) {
-    return res.status(400).json({ error: "Username and password required" });
+  const { region, error } = validateRegion(req.body, room.canvas);
+  if (error) {
+    return res.status(400).json({ error });
   }
   
   try {
-    // === CHECK FOR EXISTING USER ===
-    const existingUser = await findUserByUsername(username);
-    if (existingUser) {
-      return res.status(409).json({ error: "Username already exists" });
+    const cells = [];
+    for (const key of Object.keys(room.gridState)) {
+      const coords = parseCanvasKey(key, room.canvas);
+      if (coords && coords.x >= region.x0 && coords.x <= region.x1 && coords.y >= region.y0 && coords.y <= region.y1) {
+        cells.push({ key, x: coords.x, y: coords.y });
+      }
     }
     
-    // === PASSWORD HASHING ===
-    // Hash password with bcrypt (10 rounds of salting)
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const erased = eraseCells(room, cells, req.user.username);
+    audit(req, AUDIT_ACTIONS.WIPE_REGION, { canvasId: room.canvas.id, details: { ...region, erased } });
+    res.json({ region, erased });
+  } catch (error) {
+    console.error("Wipe region error:", error);
+    res.status(500).json({ error: "Failed to wipe region" });
+  }
+});
+
+/**
+ * User Placements API Endpoint (moderators)
+ * Returns a user's placements on every canvas, newest first, MODERATION_PAGE_SIZE at a time
+ * Pass ?before=<id> to page further back
+ */
+app.get("/api/moderation/users/:username/placements", authenticateToken, requireRole("moderator"), async (req, res) => {
+  try {
+    let before = null;
+    if (req.query.before !== undefined) {
+      before = Number(req.query.before);
+      if (!Number.isInteger(before) || before < 1) {
+        return res.status(400).json({ error: "before must be a positive placement id" });
+      }
+    }
     
-    // === CREATE USER ===
-    await addUser({ username, password: hashedPassword });
+    const user = storage.findUserByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
     
-    console.log(`New user registered: ${username}`);
-    res.json({ message: "User registered successfully" });
+    const placements = storage.getUserPlacements(user.username, MODERATION_PAGE_SIZE, before).map(placement => ({
+      ...placement,
+      canvas: rooms.has(placement.canvasId) ? rooms.get(placement.canvasId).canvas.slug : null
+    }));
+    audit(req, AUDIT_ACTIONS.VIEW_PLACEMENTS, { target: user.username, details: { before } });
+    res.json({ username: user.username, placements, hasMore: placements.length === MODERATION_PAGE_SIZE });
+  } catch (error) {
+    console.error("User placements error:", error);
+    res.status(500).json({ error: "Failed to fetch user placements" });
+  }
+});
+
+/**
+ * Audit Log API Endpoint (admin only)
+ * Returns moderator actions newest first, MODERATION_PAGE_SIZE at a time
+ * Pass ?before=<id> to page further back
+ */
+app.get("/api/moderation/audit", authenticateToken, requireRole("admin"), async (req, res) => {
+  try {
+    let before = null;
+    if (req.query.before !== undefined) {
+      before = Number(req.query.before);
+      if (!Number.isInteger(before) || before < 1) {
+        return res.status(400).json({ error: "before must be a positive entry id" });
+      }
+    }
     
+    const entries = storage.getAuditLog(MODERATION_PAGE_SIZE, before);
+    res.json({ entries, hasMore: entries.length === MODERATION_PAGE_SIZE });
   } catch (error) {
-    console.error("Registration error:", error);
-    res.status(500).json({ error: "Internal server error" });
+    console.error("Audit log error:", error);
+    res.status(500).json({ error: "Failed to fetch audit log" });
   }
 });
 
 /**
- * User Login Endpoint
- * Authenticates users and returns JWT tokens
+ * User Role API Endpoint (admin only)
+ * Body: { role } - "user", "moderator" or "admin"
+ * Takes effect at once; the user's next token refresh carries the new role
+ * Admins may step down or demote each other, but never the last admin
  */
-app.post("/login", async (req, res) => {
-  const { username, password } = req.body;
+app.put("/api/admin/users/:username/role", authenticateToken, requireRole("admin"), async (req, res) => {
+  const { role } = req.body || {};
+  if (!USER_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${USER_ROLES.join(", ")}` });
+  }
   
   try {
-    // === USER LOOKUP ===
-    const user = await findUserByUsername(username);
+    const user = storage.findUserByUsername(req.params.username);
     if (!user) {
-      return res.status(401).json({ error: "Invalid username or password" });
+      return res.status(404).json({ error: "User not found" });
     }
-    
-    // === PASSWORD VERIFICATION ===
-    const valid = await bcrypt.compare(password, user.password);
-    if (!valid) {
-      return res.status(401).json({ error: "Invalid username or password" });
+    // Keeps at least one admin around
+    if (user.role === "admin" && role !== "admin" && storage.countUsersWithRole("admin") <= 1) {
+      return res.status(400).json({ error: "The last admin can't lose their admin role" });
     }
     
-    // === TOKEN GENERATION ===
-    const token = generateToken(user);
-    
-    // Update user's last active time and online status
-    updateUserOnlineStatus(username, true);
-    
-    console.log(`User logged in: ${username}`);
-    res.json({ token });
-    
+    if (user.role !== role) {
+      storage.setUserRole(user.username, role);
+      audit(req, AUDIT_ACTIONS.SET_ROLE, { target: user.username, details: { from: user.role, to: role } });
+    }
+    res.json({ username: user.username, role });
   } catch (error) {
-    console.error("Login error:", error);
-    res.status(500).json({ error: "Internal server error" });
+    console.error("Set role error:", error);
+    res.status(500).json({ error: "Failed to set role" });
   }
 });
 
 /**
- * Activity Stats API Endpoint
- * Returns real-time activity statistics
+ * Rollback API Endpoint (admin only)
+ * Reverts a user's placements, or the placements in a region during a time window (see rollback.js)
+ * Every changed cell reaches clients in one batch
+ * Query: ?canvas=<slug> (default: the main canvas)
+ * Body: { username, x0, y0, x1, y1, from, to, dryRun }; with dryRun: true nothing changes and the
+ * response lists the first ROLLBACK_PREVIEW_LIMIT cells that would
  */
-app.get("/api/activity", authenticateToken, async (req, res) => {
+app.post("/api/admin/rollback", authenticateToken, requireRole("admin"), async (req, res) => {
+  const room = resolveRoomQuery(req, res);
+  if (!room) return;
+  
+  const { filter, error } = validateRollbackFilter(req.body, room.canvas);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const dryRun = req.body.dryRun === true;
+  
   try {
-    const username = req.user.username;
-    
-    // Get current user's stats
-    const currentUser = findUserByUsername(username);
-    
-    // Get pixel statistics
-    const pixelStats = getPixelStats();
+    const placements = storage.getRevertiblePlacements(room.canvas.id, filter, MAX_ROLLBACK_PLACEMENTS + 1);
+    if (placements.length > MAX_ROLLBACK_PLACEMENTS) {
+      return res.status(400).json({ error: `More than ${MAX_ROLLBACK_PLACEMENTS} placements match, narrow the filter` });
+    }
     
-    // Get online user count
-    const onlineUsers = wss.clients.size;
+    // Cells outside a canvas that has since been resized aren't on the grid any more
+    const cells = new Map();
+    for (const { key, x, y } of placements) {
+      if (!cells.has(key) && isInBounds(x, y, room.canvas)) {
+        cells.set(key, { key, x, y, history: storage.getPixelHistory(room.canvas.id, key) });
+      }
+    }
+    const changes = planRollback([...cells.values()], new Set(placements.map(placement => placement.id)));
+    const summary = { filter, placements: placements.length, cells: changes.length };
     
-    // Get current user's rank
-    const leaderboard = getAllUsersForLeaderboard();
-    const userRank = leaderboard.findIndex(user => user.username === username) + 1;
+    if (dryRun) {
+      return res.json({ 
+        dryRun: true, 
+        ...summary, 
+        changes: changes.slice(0, ROLLBACK_PREVIEW_LIMIT).map(({ key, current, restored }) => ({ key, current, restored })) 
+      });
+    }
     
-    const activityData = {
-      totalPixels: pixelStats?.total_pixels || 0,
-      onlineUsers: onlineUsers,
-      yourPixels: currentUser?.pixels_placed || 0,
-      yourRank: userRank > 0 ? userRank : 'N/A',
-      totalUsers: leaderboard.length,
-      recentActivity: pixelStats?.latest_pixel_date || 'No activity yet'
-    };
+    storage.applyRollback(room.canvas.id, changes, req.user.username);
+    const userIds = new Map();
+    const pixels = changes.map(({ key, x, y, restored }) => {
+      if (!restored) {
+        delete room.gridState[key];
+        unindexPixel(room, key, x, y);
+        return { key, x, y, color: null, username: null, userId: 0 };
+      }
+      room.gridState[key] = { color: restored.color, username: restored.username };
+      indexPixel(room, key, x, y);
+      if (!userIds.has(restored.username)) {
+        const owner = storage.findUserByUsername(restored.username);
+        userIds.set(restored.username, owner ? owner.id : 0);
+      }
+      return { key, x, y, color: restored.color, username: restored.username, userId: userIds.get(restored.username) };
+    });
+    broadcastPixels(room, pixels);
     
-    res.json(activityData);
+    audit(req, AUDIT_ACTIONS.ROLLBACK, { 
+      canvasId: room.canvas.id, 
+      target: filter.username, 
+      details: { ...summary, restored: pixels.filter(pixel => pixel.color !== null).length } 
+    });
+    console.log(`⏪ ${req.user.username} rolled back ${changes.length} cells on "${room.canvas.slug}"`);
+    res.json({ dryRun: false, ...summary });
   } catch (error) {
-    console.error("Activity stats error:", error);
-    res.status(500).json({ error: "Failed to fetch activity data" });
+    console.error("Rollback error:", error);
+    res.status(500).json({ error: "Failed to roll back placements" });
   }
 });
 
 /**
- * Leaderboard API Endpoint
- * Returns leaderboard data with user statistics
+ * Issue Sanction API Endpoint (moderators)
+ * Body: { username, type, reason, durationMs } (see validateSanction in moderation.js)
+ * Only users with a lower role can be sanctioned, so moderators can't sanction each other
+ * Bans and suspensions also end the user's sessions, so they have to log in again once it is over
  */
-app.get("/api/leaderboard", authenticateToken, async (req, res) => {
+app.post("/api/moderation/sanctions", authenticateToken, requireRole("moderator"), async (req, res) => {
+  const { sanction: settings, error } = validateSanction(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  
   try {
-    const rawData = getAllUsersForLeaderboard();
-    
-    // Convert snake_case to camelCase for frontend
-    const leaderboardData = rawData.map(user => ({
-      username: user.username,
-      pixelsPlaced: user.pixels_placed,
-      totalContributions: user.total_contributions,
-      joinedAt: user.joined_at,
-      lastActive: user.last_active,
-      isOnline: user.is_online
-    }));
+    const target = typeof req.body.username === "string" ? storage.findUserByUsername(req.body.username) : null;
+    if (!target) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (hasRole(target.role, req.user.role)) {
+      return res.status(403).json({ error: "You can only sanction users with a lower role than yours" });
+    }
     
-    res.json(leaderboardData);
+    const sanction = storage.addSanction({ ...settings, username: target.username, createdBy: req.user.username });
+    audit(req, AUDIT_ACTIONS.SANCTION, {
+      target: target.username,
+      details: { id: sanction.id, type: sanction.type, reason: sanction.reason, expiresAt: sanction.expiresAt }
+    });
+    notifySanctionedSockets(sanction);
+    if (BLOCKING_SANCTION_TYPES.includes(sanction.type)) {
+      storage.revokeUserSessions(target.username, Date.now());
+    }
+    res.status(201).json(sanction);
   } catch (error) {
-    console.error("Leaderboard error:", error);
-    res.status(500).json({ error: "Failed to fetch leaderboard data" });
+    console.error("Issue sanction error:", error);
+    res.status(500).json({ error: "Failed to issue sanction" });
   }
 });
 
 /**
- * User Profile API Endpoint
- * Returns current user's statistics
+ * Sanctions API Endpoint (moderators)
+ * Lists sanctions newest first, MODERATION_PAGE_SIZE at a time
+ * Query: ?username=<user> for one user's, ?all=1 to include lifted and expired ones, ?before=<id> to page back
  */
-app.get("/api/profile", authenticateToken, async (req, res) => {
+app.get("/api/moderation/sanctions", authenticateToken, requireRole("moderator"), async (req, res) => {
   try {
-    const user = await findUserByUsername(req.user.username);
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+    let before = null;
+    if (req.query.before !== undefined) {
+      before = Number(req.query.before);
+      if (!Number.isInteger(before) || before < 1) {
+        return res.status(400).json({ error: "before must be a positive sanction id" });
+      }
     }
-
-    // Return public user information
-    res.json({
-      username: user.username,
-      pixelsPlaced: user.pixelsPlaced || 0,
-      totalContributions: user.totalContributions || 0,
-      joinedAt: user.joinedAt,
-      lastActive: user.lastActive,
-      isOnline: user.isOnline || false
-    });
+    
+    const filter = {
+      username: typeof req.query.username === "string" ? req.query.username : null,
+      activeAt: req.query.all ? null : Date.now()
+    };
+    const sanctions = storage.getSanctions(filter, MODERATION_PAGE_SIZE, before);
+    res.json({ sanctions, hasMore: sanctions.length === MODERATION_PAGE_SIZE });
   } catch (error) {
-    console.error("Profile error:", error);
-    res.status(500).json({ error: "Failed to fetch profile data" });
+    console.error("Sanctions error:", error);
+    res.status(500).json({ error: "Failed to fetch sanctions" });
   }
 });
 
+/**
+ * Lift Sanction API Endpoint (moderators)
+ * Ends a ban, suspension or mute before it expires (again only for users with a lower role)
+ */
+app.post("/api/moderation/sanctions/:id/lift", authenticateToken, requireRole("moderator"), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id)) {
+      return res.status(400).json({ error: "Invalid sanction id" });
+    }
+    
+    const sanction = storage.getSanctionById(id);
+    if (!sanction) {
+      return res.status(404).json({ error: "Sanction not found" });
+    }
+    const target = storage.findUserByUsername(sanction.username);
+    if (target && hasRole(target.role, req.user.role)) {
+      return res.status(403).json({ error: "You can only lift sanctions of users with a lower role than yours" });
+    }
+    if (!storage.liftSanction(id, req.user.username, Date.now())) {
+      return res.status(409).json({ error: "Sanction was already lifted or has expired" });
+    }
+    
+    audit(req, AUDIT_ACTIONS.LIFT_SANCTION, { target: sanction.username, details: { id, type: sanction.type } });
+    res.json(storage.getSanctionById(id));
+  } catch (error) {
+    console.error("Lift sanction error:", error);
+    res.status(500).json({ error: "Failed to lift sanction" });
+  }
+});
 
 // Fallback: serve index.html for any unknown route (for React Router)
 app.use((req, res) => {
@@ -363,19 +2721,32 @@ const PORT = process.env.PORT || 5000;
  * Sets up database connection then starts HTTP and WebSocket servers
  */
 try {
-  initDB();
+  storage = await createStorage(STORAGE_DRIVER);
   
-  // Load existing pixels from database after initialization
-  console.log('Loading pixels from database...');
-  try {
-    gridState = loadAllPixels();
-    const pixelCount = Object.keys(gridState).length;
-    console.log(`✅ Loaded ${pixelCount} pixels from database`);
-  } catch (error) {
-    console.error('❌ Error loading pixels:', error);
-    gridState = {}; // Start with empty grid if loading fails
+  // Accounts listed in ADMIN_USERNAMES are admins, whatever role they were given since
+  for (const username of ADMIN_USERNAMES) {
+    const user = storage.findUserByUsername(username);
+    if (user && user.role !== "admin") {
+      storage.setUserRole(user.username, "admin");
+      console.log(`👑 ${user.username} is an admin (ADMIN_USERNAMES)`);
+    }
   }
   
+  // The main canvas follows the configured size and cooldown
+  storage.updateCanvasSettings(MAIN_CANVAS_ID, { ...canvasConfig, cooldownMs: PLACEMENT_COOLDOWN_MS });
+  
+  // Load every canvas and its pixels from the database after initialization
+  console.log('Loading canvases from storage...');
+  for (const canvas of storage.getAllCanvases()) {
+    rooms.set(canvas.id, createRoom(canvas));
+  }
+  const mainPalette = rooms.get(MAIN_CANVAS_ID).palette;
+  console.log(`🎨 Main canvas palette: "${mainPalette.name}" (${mainPalette.colors.length} colours)`);
+  
+  pruneRefreshTokens();
+  setInterval(pruneRefreshTokens, REFRESH_TOKEN_PRUNE_MS);
+  setInterval(() => rateLimiter.prune(), RATE_LIMIT_PRUNE_MS);
+  
   server.listen(PORT, () => {
     console.log(`🚀 Server is running on port ${PORT}`);
     console.log(`📡 WebSocket server running on port ${PORT}`);
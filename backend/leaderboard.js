@@ -0,0 +1,102 @@
+/**
+ * Leaderboards
+ * Users are ranked by one metric over a time window, computed from the main canvas's placements log:
+ *   pixels      - pixels placed (erasures and rollbacks are logged under the moderator and don't count)
+ *   surviving   - pixels of theirs currently on the canvas, whatever the window
+ *   streak      - longest run of consecutive days (UTC) with at least one placement; over a week
+ *                 or all time only, since within a day it can only be 1
+ *   overwritten - pixels of theirs erased or rolled back by moderation (counted when that happened)
+ * Windows are rolling, not calendar days or weeks: "day" is the 24 hours and "week" the 7 days up
+ * to now, so a placement drops out of them exactly 24 hours or 7 days after it was made
+ * Occupied cells can't be painted over, so moderation is the only way a pixel gets replaced
+ */
+
+// === METRICS AND WINDOWS ===
+export const LEADERBOARD_METRICS = ["pixels", "surviving", "streak", "overwritten"];
+export const LEADERBOARD_WINDOWS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+// === PAGING ===
+export const LEADERBOARD_PAGE_SIZE = 100;     // Default and largest page
+export const LEADERBOARD_AROUND_RADIUS = 5;   // Users shown either side of the caller with ?around=me
+
+/**
+ * Validate a leaderboard query
+ * @param {Object} query - Request query { metric, window, offset, limit, around }; all optional
+ * @returns {{query?: Object, error?: string}} - { metric, window, offset, limit, around } with defaults
+ *   filled in (around is true for "me"), or an error message
+ */
+export function validateLeaderboardQuery(query) {
+  const { metric = "pixels", window = "all", offset = "0", limit = String(LEADERBOARD_PAGE_SIZE), around } = query || {};
+
+  if (!LEADERBOARD_METRICS.includes(metric)) {
+    return { error: `metric must be one of: ${LEADERBOARD_METRICS.join(", ")}` };
+  }
+  if (!Object.hasOwn(LEADERBOARD_WINDOWS, window)) {
+    return { error: `window must be one of: ${Object.keys(LEADERBOARD_WINDOWS).join(", ")}` };
+  }
+  if (metric === "streak" && window === "day") {
+    return { error: "streak needs the week or all window" };
+  }
+  if (!/^\d+$/.test(offset)) {
+    return { error: "offset must be a non-negative integer" };
+  }
+  if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > LEADERBOARD_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${LEADERBOARD_PAGE_SIZE}` };
+  }
+  if (around !== undefined && around !== "me") {
+    return { error: 'around may only be "me"' };
+  }
+  return { query: { metric, window, offset: Number(offset), limit: Number(limit), around: around === "me" } };
+}
+
+/**
+ * Get the start of a window
+ * @param {string} window - Key of LEADERBOARD_WINDOWS
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {number|null} - Epoch milliseconds, or null for all time
+ */
+export function getWindowStart(window, now = Date.now()) {
+  return LEADERBOARD_WINDOWS[window] === null ? null : now - LEADERBOARD_WINDOWS[window];
+}
+
+/**
+ * Pick a page of a ranking
+ * @param {Array} ranked - Ranking from rankScores
+ * @param {string} username - Caller, for around-me and their own position
+ * @param {Object} page - { offset, limit, around } from validateLeaderboardQuery; with around the
+ *   page holds LEADERBOARD_AROUND_RADIUS users either side of the caller (the top if they aren't ranked)
+ * @returns {Object} - { total, offset, entries, me } where me is the caller's { rank, value } or null
+ */
+export function getLeaderboardPage(ranked, username, { offset, limit, around }) {
+  const myIndex = ranked.findIndex(entry => entry.username === username);
+  if (around) {
+    offset = Math.max(0, myIndex - LEADERBOARD_AROUND_RADIUS);
+    limit = LEADERBOARD_AROUND_RADIUS * 2 + 1;
+  }
+  return {
+    total: ranked.length,
+    offset,
+    entries: ranked.slice(offset, offset + limit),
+    me: myIndex >= 0 ? { rank: ranked[myIndex].rank, value: ranked[myIndex].value } : null
+  };
+}
+
+/**
+ * Rank scores, highest first; equal scores share a rank (1, 2, 2, 4)
+ * @param {Array} scores - { username, value } in any order
+ * @returns {Array} - { rank, username, value }, ties ordered by username
+ */
+export function rankScores(scores) {
+  const sorted = [...scores].sort((a, b) => b.value - a.value || a.username.localeCompare(b.username));
+  const ranked = [];
+  sorted.forEach((score, index) => {
+    const previous = ranked[index - 1];
+    const rank = previous && previous.value === score.value ? previous.rank : index + 1;
+    ranked.push({ rank, username: score.username, value: score.value });
+  });
+  return ranked;
+}
@@ -0,0 +1,686 @@
+/**
+ * Memory Storage
+ * Storage implementation keeping everything in plain maps and arrays (see storage.js for the interface)
+ * Starts like a freshly migrated database: the default palette and the main canvas
+ *
+ * NOTE: Data is lost when the server restarts. Meant for tests and quick local runs;
+ * foreign keys aren't checked, so it accepts rows SQLite would reject
+ */
+
+import { DEFAULT_PALETTE } from './palette.js';
+import { DEFAULT_CANVAS_WIDTH, DEFAULT_CANVAS_HEIGHT } from './canvas.js';
+import { MAIN_CANVAS_SLUG } from './rooms.js';
+
+/**
+ * Format a time the way SQLite's CURRENT_TIMESTAMP does, so both storages return the same dates
+ * @param {number} [ms=Date.now()] - Epoch milliseconds
+ * @returns {string} - "YYYY-MM-DD HH:MM:SS" in UTC
+ */
+function toTimestamp(ms = Date.now()) {
+  return new Date(ms).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Create an empty in-memory storage
+ * Every call returns an independent store, so tests can each start from scratch
+ * @returns {Object} - Storage implementation (see storage.js)
+ */
+export function createMemoryStorage() {
+  // === IN-MEMORY TABLES ===
+  const users = new Map();          // username -> User
+  const cooldowns = new Map();      // "canvasId:username" -> epoch ms of the last placement
+  const pixels = new Map();         // canvas id -> Map of "x,y" -> { key, x, y, color, username, placedAt }
+  const placements = [];            // Append-only log, oldest first
+  const palettes = [];              // { id, name, colors, createdBy, createdAt, active }
+  const canvases = [];              // Canvas settings, oldest first
+  const members = new Map();        // "canvasId:username" -> { canvasId, username, role, addedAt }
+  const chatMessages = [];          // Oldest first
+  const refreshTokens = new Map();  // token hash -> { id, username, sessionId, expiresAt, revokedAt, createdAt }
+  const auditLog = [];              // Oldest first
+  const sanctions = [];             // Oldest first
+  const nextId = { users: 1, placements: 1, palettes: 1, canvases: 1, chatMessages: 1, refreshTokens: 1, auditLog: 1, sanctions: 1 };
+
+  // === USERS ===
+
+  function findUserByUsername(username) {
+    const lower = username.toLowerCase();
+    const user = users.get(username) || [...users.values()].find(candidate => candidate.username.toLowerCase() === lower);
+    return user ? { ...user } : null;
+  }
+
+  function isUsernameTaken(username) {
+    const lower = username.toLowerCase();
+    return [...users.keys()].some(name => name.toLowerCase() === lower);
+  }
+
+  function addUser(user) {
+    if (users.has(user.username)) {
+      throw new Error(`User "${user.username}" already exists`);
+    }
+    const id = nextId.users++;
+    users.set(user.username, {
+      id,
+      username: user.username,
+      password: user.password,
+      pixelsPlaced: 0,
+      totalContributions: 0,
+      joinedAt: toTimestamp(),
+      lastActive: toTimestamp(),
+      isOnline: false,
+      role: user.role || 'user',
+      data: user.data || null,
+      displayName: null,
+      deletedAt: null
+    });
+    return id;
+  }
+
+  function incrementUserPixels(username) {
+    const user = users.get(username);
+    if (user) {
+      user.pixelsPlaced++;
+      user.totalContributions++;
+      user.lastActive = toTimestamp();
+    }
+  }
+
+  function updateUserOnlineStatus(username, isOnline) {
+    const user = users.get(username);
+    if (user) {
+      user.isOnline = !!isOnline;
+      user.lastActive = toTimestamp();
+    }
+  }
+
+  function overwriteUserData(username, newData) {
+    const user = users.get(username);
+    if (user) {
+      user.data = newData;
+    }
+  }
+
+  function getAllUsersForLeaderboard() {
+    return [...users.values()]
+      .filter(user => user.deletedAt === null)
+      .sort((a, b) => b.pixelsPlaced - a.pixelsPlaced)
+      .map(user => ({
+        username: user.username,
+        displayName: user.displayName,
+        pixelsPlaced: user.pixelsPlaced,
+        totalContributions: user.totalContributions,
+        joinedAt: user.joinedAt,
+        lastActive: user.lastActive,
+        isOnline: user.isOnline
+      }));
+  }
+
+  function getLeaderboardScores(metric, { since = null, canvasId = null } = {}) {
+    // placedAt has second precision, so compare against whole seconds
+    const sinceTime = since === null ? null : toTimestamp(Math.floor(since / 1000) * 1000);
+    const inWindow = p => sinceTime === null || p.placedAt >= sinceTime;
+    const isOwn = p => p.method === 'normal' || p.method === 'purchased';
+    const onCanvas = placements.filter(p => p.canvasId === canvasId);
+    const scores = new Map();
+    const add = (username, amount = 1) => scores.set(username, (scores.get(username) || 0) + amount);
+
+    if (metric === 'pixels') {
+      onCanvas.filter(p => isOwn(p) && inWindow(p)).forEach(p => add(p.username));
+    } else if (metric === 'surviving') {
+      for (const pixel of (pixels.get(canvasId) || new Map()).values()) add(pixel.username);
+    } else if (metric === 'streak') {
+      const days = new Map();   // username -> Set of "YYYY-MM-DD"
+      for (const p of onCanvas.filter(p => isOwn(p) && inWindow(p))) {
+        if (!days.has(p.username)) days.set(p.username, new Set());
+        days.get(p.username).add(p.placedAt.slice(0, 10));
+      }
+      for (const [username, userDays] of days) {
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        for (const day of [...userDays].sort()) {
+          const time = Date.parse(`${day}T00:00:00Z`);
+          run = previous !== null && time - previous === 24 * 60 * 60 * 1000 ? run + 1 : 1;
+          longest = Math.max(longest, run);
+          previous = time;
+        }
+        scores.set(username, longest);
+      }
+    } else if (metric === 'overwritten') {
+      const previousByCell = new Map();   // key -> previous placement
+      for (const p of onCanvas) {
+        const previous = previousByCell.get(p.key);
+        if ((p.method === 'erased' || p.method === 'rollback') && inWindow(p) && previous && isOwn(previous)) {
+          add(previous.username);
+        }
+        previousByCell.set(p.key, p);
+      }
+    }
+
+    return [...scores]
+      .filter(([username, value]) => value > 0 && users.has(username) && users.get(username).deletedAt === null)
+      .map(([username, value]) => ({ username, value }));
+  }
+
+  function setUserRole(username, role) {
+    const user = users.get(username);
+    if (!user) return false;
+    user.role = role;
+    return true;
+  }
+
+  function countUsersWithRole(role) {
+    return [...users.values()].filter(user => user.role === role && user.deletedAt === null).length;
+  }
+
+  function setDisplayName(username, displayName) {
+    const user = users.get(username);
+    if (!user || user.deletedAt !== null) return false;
+    user.displayName = displayName;
+    return true;
+  }
+
+  function setUserPassword(username, password) {
+    const user = users.get(username);
+    if (!user || user.deletedAt !== null) return false;
+    user.password = password;
+    return true;
+  }
+
+  function deleteUser(username) {
+    const user = users.get(username);
+    if (!user || user.deletedAt !== null) return null;
+    const placeholder = `[deleted-${user.id}]`;
+
+    for (const [hash, token] of refreshTokens) {
+      if (token.username === username) refreshTokens.delete(hash);
+    }
+    for (const [key, member] of members) {
+      if (member.username === username) members.delete(key);
+    }
+    for (const key of cooldowns.keys()) {
+      if (key.endsWith(`:${username}`)) cooldowns.delete(key);
+    }
+    canvases.forEach((canvas) => {
+      if (canvas.createdBy === username) canvas.createdBy = placeholder;
+    });
+    const rename = (row) => {
+      if (row.username === username) row.username = placeholder;
+    };
+    pixels.forEach(canvasPixels => canvasPixels.forEach(rename));
+    placements.forEach(rename);
+    chatMessages.forEach(rename);
+    sanctions.forEach(rename);
+
+    users.delete(username);
+    users.set(placeholder, {
+      ...user, username: placeholder, password: null, displayName: null, data: null,
+      role: 'user', isOnline: false, deletedAt: toTimestamp()
+    });
+    return placeholder;
+  }
+
+  // === PIXELS AND COOLDOWNS ===
+
+  function getLastPlacementTime(canvasId, username) {
+    return cooldowns.get(`${canvasId}:${username}`) ?? null;
+  }
+
+  function setLastPlacementTime(canvasId, username, timestamp) {
+    cooldowns.set(`${canvasId}:${username}`, timestamp);
+  }
+
+  function savePixel(canvasId, gridKey, x, y, color, username, method = 'normal') {
+    const placedAt = toTimestamp();
+    const id = nextId.placements++;
+    placements.push({ id, canvasId, key: gridKey, x, y, color, username, method, placedAt });
+    if (!pixels.has(canvasId)) {
+      pixels.set(canvasId, new Map());
+    }
+    // Like INSERT OR REPLACE, an overwritten cell moves to the end of the load order
+    const canvasPixels = pixels.get(canvasId);
+    canvasPixels.delete(gridKey);
+    canvasPixels.set(gridKey, { key: gridKey, x, y, color, username, placedAt });
+    return id;
+  }
+
+  function getPixelHistory(canvasId, gridKey) {
+    return placements
+      .filter(p => p.canvasId === canvasId && p.key === gridKey)
+      .map(({ id, color, username, method, placedAt }) => ({ id, color, username, method, placedAt }));
+  }
+
+  function loadPixelsAt(canvasId, timestamp) {
+    // placedAt has second precision, so compare against the whole second
+    const cutoff = toTimestamp(Math.floor(timestamp / 1000) * 1000);
+    const gridState = {};
+    for (const p of placements) {
+      if (p.canvasId === canvasId && p.placedAt <= cutoff) {
+        if (p.color === null) {
+          delete gridState[p.key];
+        } else {
+          gridState[p.key] = { color: p.color, username: p.username, placedAt: p.placedAt };
+        }
+      }
+    }
+    return gridState;
+  }
+
+  function getPlacementsPage(canvasId, afterId, limit) {
+    return placements
+      .filter(p => p.canvasId === canvasId && p.id > afterId)
+      .slice(0, limit)
+      .map(({ id, key, color, username, placedAt }) => ({ id, key, color, username, placedAt }));
+  }
+
+  function loadAllPixels(canvasId) {
+    const gridState = {};
+    for (const pixel of pixels.get(canvasId)?.values() ?? []) {
+      gridState[pixel.key] = { color: pixel.color, username: pixel.username, placedAt: pixel.placedAt };
+    }
+    return gridState;
+  }
+
+  function getPixel(canvasId, gridKey) {
+    const pixel = pixels.get(canvasId)?.get(gridKey);
+    return pixel ? { ...pixel } : null;
+  }
+
+  function getPixelStats() {
+    const all = [...pixels.values()].flatMap(canvasPixels => [...canvasPixels.values()]);
+    const dates = all.map(pixel => pixel.placedAt).sort();
+    return {
+      totalPixels: all.length,
+      uniqueUsers: new Set(all.map(pixel => pixel.username)).size,
+      firstPixelDate: dates[0] ?? null,
+      latestPixelDate: dates[dates.length - 1] ?? null
+    };
+  }
+
+  function erasePixels(canvasId, cells, username) {
+    const canvasPixels = pixels.get(canvasId);
+    let erased = 0;
+    for (const cell of cells) {
+      if (canvasPixels && canvasPixels.delete(cell.key)) {
+        placements.push({
+          id: nextId.placements++, canvasId, key: cell.key, x: cell.x, y: cell.y,
+          color: null, username, method: 'erased', placedAt: toTimestamp()
+        });
+        erased++;
+      }
+    }
+    return erased;
+  }
+
+  function getUserPlacements(username, limit, beforeId = null) {
+    return placements
+      .filter(p => p.username === username && (beforeId === null || p.id < beforeId))
+      .slice(-limit)
+      .reverse()
+      .map(({ id, canvasId, key, color, method, placedAt }) => ({ id, canvasId, key, color, method, placedAt }));
+  }
+
+  function getPublicPlacements(username, canvasIds, limit, beforeId = null) {
+    return placements
+      .filter(p => p.username === username && (p.method === 'normal' || p.method === 'purchased') &&
+        canvasIds.includes(p.canvasId) && (beforeId === null || p.id < beforeId))
+      .slice(-limit)
+      .reverse()
+      .map(({ id, canvasId, key, x, y, color, method, placedAt }) => ({ id, canvasId, key, x, y, color, method, placedAt }));
+  }
+
+  function getRevertiblePlacements(canvasId, { username, region, from, to }, limit) {
+    // placedAt has second precision, so compare against whole seconds
+    const fromTime = from === null ? null : toTimestamp(Math.floor(from / 1000) * 1000);
+    const toTime = to === null ? null : toTimestamp(Math.floor(to / 1000) * 1000);
+    return placements
+      .filter(p => p.canvasId === canvasId && p.method !== 'erased' && p.method !== 'rollback' &&
+        (username === null || p.username === username) &&
+        (!region || (p.x >= region.x0 && p.x <= region.x1 && p.y >= region.y0 && p.y <= region.y1)) &&
+        (fromTime === null || p.placedAt >= fromTime) &&
+        (toTime === null || p.placedAt <= toTime))
+      .slice(0, limit)
+      .map(({ id, key, x, y }) => ({ id, key, x, y }));
+  }
+
+  function applyRollback(canvasId, changes, username) {
+    if (!pixels.has(canvasId)) {
+      pixels.set(canvasId, new Map());
+    }
+    const canvasPixels = pixels.get(canvasId);
+    for (const { key, x, y, restored } of changes) {
+      canvasPixels.delete(key);
+      if (restored) {
+        canvasPixels.set(key, { key, x, y, color: restored.color, username: restored.username, placedAt: restored.placedAt });
+      }
+      placements.push({
+        id: nextId.placements++, canvasId, key, x, y,
+        color: restored ? restored.color : null,
+        username: restored ? restored.username : username,
+        method: 'rollback',
+        placedAt: toTimestamp()
+      });
+    }
+  }
+
+  // === PALETTES ===
+
+  const copyPalette = palette => ({ ...palette, colors: [...palette.colors] });
+
+  function getActivePalette() {
+    const active = palettes.filter(p => p.active);
+    return active.length ? copyPalette(active[active.length - 1]) : null;
+  }
+
+  function getPaletteById(id) {
+    const palette = palettes.find(p => p.id === id);
+    return palette ? copyPalette(palette) : null;
+  }
+
+  function getAllPalettes() {
+    return palettes.map(copyPalette).reverse();
+  }
+
+  function createPalette(name, colors, createdBy) {
+    const palette = { id: nextId.palettes++, name, colors: [...colors], createdBy, createdAt: toTimestamp(), active: false };
+    palettes.push(palette);
+    return copyPalette(palette);
+  }
+
+  function activatePalette(id) {
+    if (!palettes.some(p => p.id === id)) return null;
+    palettes.forEach(p => { p.active = p.id === id; });
+    return getPaletteById(id);
+  }
+
+  // === CANVASES ===
+
+  function getAllCanvases() {
+    return canvases.map(canvas => ({ ...canvas }));
+  }
+
+  function getCanvasById(id) {
+    const canvas = canvases.find(c => c.id === id);
+    return canvas ? { ...canvas } : null;
+  }
+
+  function countCanvasesCreatedBy(username) {
+    return canvases.filter(c => c.createdBy === username).length;
+  }
+
+  function insertCanvas(settings, paletteId, createdBy) {
+    if (canvases.some(c => c.slug === settings.slug)) {
+      throw new Error(`Canvas "${settings.slug}" already exists`);
+    }
+    const canvas = {
+      id: nextId.canvases++,
+      slug: settings.slug,
+      title: settings.title,
+      width: settings.width,
+      height: settings.height,
+      paletteId,
+      cooldownMs: settings.cooldownMs,
+      visibility: settings.visibility,
+      expiresAt: settings.expiresAt ?? null,
+      createdBy,
+      createdAt: toTimestamp()
+    };
+    canvases.push(canvas);
+    return canvas;
+  }
+
+  function createCanvas(settings, paletteId, createdBy) {
+    const canvas = insertCanvas(settings, paletteId, createdBy);
+    setCanvasMember(canvas.id, createdBy, 'owner');
+    return { ...canvas };
+  }
+
+  function updateCanvasSettings(id, { width, height, cooldownMs }) {
+    const canvas = canvases.find(c => c.id === id);
+    if (!canvas) return null;
+    Object.assign(canvas, { width, height, cooldownMs });
+    return { ...canvas };
+  }
+
+  function setCanvasPalette(id, paletteId) {
+    const canvas = canvases.find(c => c.id === id);
+    if (!canvas) return null;
+    canvas.paletteId = paletteId;
+    return { ...canvas };
+  }
+
+  function getCanvasRole(canvasId, username) {
+    return members.get(`${canvasId}:${username}`)?.role ?? null;
+  }
+
+  function getCanvasRolesForUser(username) {
+    const roles = {};
+    for (const member of members.values()) {
+      if (member.username === username) roles[member.canvasId] = member.role;
+    }
+    return roles;
+  }
+
+  function getCanvasMembers(canvasId) {
+    return [...members.values()]
+      .filter(member => member.canvasId === canvasId)
+      .sort((a, b) => (b.role === 'owner') - (a.role === 'owner') || a.username.localeCompare(b.username))
+      .map(({ username, role, addedAt }) => ({ username, role, addedAt }));
+  }
+
+  function setCanvasMember(canvasId, username, role) {
+    const key = `${canvasId}:${username}`;
+    const existing = members.get(key);
+    members.set(key, { canvasId, username, role, addedAt: existing ? existing.addedAt : toTimestamp() });
+  }
+
+  function removeCanvasMember(canvasId, username) {
+    return members.delete(`${canvasId}:${username}`);
+  }
+
+  // === CHAT ===
+
+  function saveChatMessage(username, text) {
+    const message = { id: nextId.chatMessages++, username, text, createdAt: toTimestamp() };
+    chatMessages.push(message);
+    return { ...message };
+  }
+
+  function getChatMessages(limit, beforeId = null) {
+    const older = beforeId === null ? chatMessages : chatMessages.filter(m => m.id < beforeId);
+    return older.slice(-limit).map(message => ({ ...message }));
+  }
+
+  // === SESSIONS ===
+
+  function saveRefreshToken(tokenHash, username, sessionId, expiresAt) {
+    const id = nextId.refreshTokens++;
+    refreshTokens.set(tokenHash, { id, username, sessionId, expiresAt, revokedAt: null, createdAt: toTimestamp() });
+    return id;
+  }
+
+  function findRefreshToken(tokenHash) {
+    const token = refreshTokens.get(tokenHash);
+    return token ? { ...token } : null;
+  }
+
+  function rotateRefreshToken(id, newTokenHash, expiresAt, now) {
+    const old = [...refreshTokens.values()].find(token => token.id === id);
+    if (!old || old.revokedAt !== null) return false;
+    old.revokedAt = now;
+    saveRefreshToken(newTokenHash, old.username, old.sessionId, expiresAt);
+    return true;
+  }
+
+  function revokeSession(sessionId, now) {
+    let revoked = 0;
+    for (const token of refreshTokens.values()) {
+      if (token.sessionId === sessionId && token.revokedAt === null) {
+        token.revokedAt = now;
+        revoked++;
+      }
+    }
+    return revoked;
+  }
+
+  function revokeUserSessions(username, now, exceptSessionId = null) {
+    const sessions = new Set();
+    for (const token of refreshTokens.values()) {
+      if (token.username === username && token.revokedAt === null && token.sessionId !== exceptSessionId) {
+        token.revokedAt = now;
+        sessions.add(token.sessionId);
+      }
+    }
+    return [...sessions];
+  }
+
+  function isSessionActive(sessionId, now) {
+    return [...refreshTokens.values()].some(token =>
+      token.sessionId === sessionId && token.revokedAt === null && token.expiresAt > now);
+  }
+
+  function deleteExpiredRefreshTokens(now) {
+    let deleted = 0;
+    for (const [hash, token] of refreshTokens) {
+      if (token.expiresAt <= now) {
+        refreshTokens.delete(hash);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  // === AUDIT LOG ===
+
+  function addAuditEntry({ actor, action, canvasId = null, target = null, details = null }) {
+    const id = nextId.auditLog++;
+    auditLog.push({ id, actor, action, canvasId, target, details: details ? JSON.stringify(details) : null, createdAt: toTimestamp() });
+    return id;
+  }
+
+  function getAuditLog(limit, beforeId = null) {
+    return auditLog
+      .filter(entry => beforeId === null || entry.id < beforeId)
+      .slice(-limit)
+      .reverse()
+      .map(entry => ({ ...entry, details: entry.details ? JSON.parse(entry.details) : null }));
+  }
+
+  // === SANCTIONS ===
+
+  const isSanctionActive = (sanction, now) =>
+    sanction.liftedAt === null && (sanction.expiresAt === null || sanction.expiresAt > now);
+
+  function addSanction({ username, type, reason, expiresAt, createdBy }) {
+    const sanction = {
+      id: nextId.sanctions++, username, type, reason, createdBy, createdAt: toTimestamp(),
+      expiresAt: expiresAt ?? null, liftedAt: null, liftedBy: null
+    };
+    sanctions.push(sanction);
+    return { ...sanction };
+  }
+
+  function getSanctionById(id) {
+    const sanction = sanctions.find(s => s.id === id);
+    return sanction ? { ...sanction } : null;
+  }
+
+  function getActiveSanctions(username, now) {
+    return sanctions
+      .filter(s => s.username === username && isSanctionActive(s, now))
+      .reverse()
+      .map(s => ({ ...s }));
+  }
+
+  function getSanctions({ username = null, activeAt = null }, limit, beforeId = null) {
+    return sanctions
+      .filter(s => (username === null || s.username === username) &&
+        (activeAt === null || isSanctionActive(s, activeAt)) &&
+        (beforeId === null || s.id < beforeId))
+      .slice(-limit)
+      .reverse()
+      .map(s => ({ ...s }));
+  }
+
+  function liftSanction(id, liftedBy, now) {
+    const sanction = sanctions.find(s => s.id === id);
+    if (!sanction || !isSanctionActive(sanction, now)) return false;
+    sanction.liftedAt = now;
+    sanction.liftedBy = liftedBy;
+    return true;
+  }
+
+  // Seed what the migrations create: the default palette and the main canvas,
+  // which as the first canvas gets id 1 (MAIN_CANVAS_ID)
+  const defaultPalette = createPalette(DEFAULT_PALETTE.name, DEFAULT_PALETTE.colors, null);
+  activatePalette(defaultPalette.id);
+  insertCanvas({
+    slug: MAIN_CANVAS_SLUG,
+    title: 'Main canvas',
+    width: DEFAULT_CANVAS_WIDTH,
+    height: DEFAULT_CANVAS_HEIGHT,
+    cooldownMs: 5000,
+    visibility: 'public'
+  }, defaultPalette.id, null);
+
+  return {
+    findUserByUsername,
+    isUsernameTaken,
+    addUser,
+    incrementUserPixels,
+    updateUserOnlineStatus,
+    overwriteUserData,
+    getAllUsersForLeaderboard,
+    getLeaderboardScores,
+    setUserRole,
+    countUsersWithRole,
+    setDisplayName,
+    setUserPassword,
+    deleteUser,
+    getLastPlacementTime,
+    setLastPlacementTime,
+    savePixel,
+    getPixelHistory,
+    loadPixelsAt,
+    getPlacementsPage,
+    loadAllPixels,
+    getPixel,
+    getPixelStats,
+    erasePixels,
+    getUserPlacements,
+    getPublicPlacements,
+    getRevertiblePlacements,
+    applyRollback,
+    getActivePalette,
+    getPaletteById,
+    getAllPalettes,
+    createPalette,
+    activatePalette,
+    getAllCanvases,
+    getCanvasById,
+    countCanvasesCreatedBy,
+    createCanvas,
+    updateCanvasSettings,
+    setCanvasPalette,
+    getCanvasRole,
+    getCanvasRolesForUser,
+    getCanvasMembers,
+    setCanvasMember,
+    removeCanvasMember,
+    saveChatMessage,
+    getChatMessages,
+    saveRefreshToken,
+    findRefreshToken,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    isSessionActive,
+    deleteExpiredRefreshTokens,
+    addAuditEntry,
+    getAuditLog,
+    addSanction,
+    getSanctionById,
+    getActiveSanctions,
+    getSanctions,
+    liftSanction
+  };
+}
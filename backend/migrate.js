@@ -0,0 +1,52 @@
+/**
+ * Database Migration CLI
+ * Usage:
+ *   node migrate.js status  - List applied and pending migrations
+ *   node migrate.js up      - Apply every pending migration
+ * Run from the backend directory, like the server, so it opens the same ./data/database.sqlite
+ */
+
+import { openDatabase } from './sqliteStorage.js';
+import { getMigrationStatus, applyPendingMigrations, formatVersion } from './migrator.js';
+
+const COMMANDS = ['status', 'up'];
+
+/**
+ * Print applied, pending and unknown migrations
+ * @param {Database} db - Database connection
+ */
+async function printStatus(db) {
+  const status = await getMigrationStatus(db);
+  console.log(`📋 Schema version ${formatVersion(status.current)}`);
+  for (const row of status.applied) {
+    const known = status.unknown.includes(row) ? ' (unknown to this version)' : '';
+    console.log(`  ✅ ${formatVersion(row.version)}_${row.name}  applied ${row.applied_at}${known}`);
+  }
+  for (const migration of status.pending) {
+    console.log(`  ⏳ ${formatVersion(migration.version)}_${migration.name}  pending`);
+  }
+  if (status.pending.length === 0 && status.unknown.length === 0) {
+    console.log('Database is up to date');
+  }
+}
+
+const command = process.argv[2] || 'status';
+if (!COMMANDS.includes(command)) {
+  console.error(`Unknown command "${command}". Usage: node migrate.js <${COMMANDS.join('|')}>`);
+  process.exit(1);
+}
+
+const db = openDatabase();
+try {
+  if (command === 'up') {
+    const applied = await applyPendingMigrations(db);
+    console.log(applied.length ? `🎉 Applied ${applied.length} migration(s)` : 'Nothing to apply, database is up to date');
+  } else {
+    await printStatus(db);
+  }
+} catch (error) {
+  console.error('❌ Migration failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  db.close();
+}
@@ -0,0 +1,53 @@
+/**
+ * Migration 001: Users and the current pixel of every cell
+ * Databases from before migrations existed may have an older users table,
+ * so columns added to it later are only added when missing
+ */
+
+import { hasColumn } from '../migrator.js';
+
+// Columns added to users after its first release, in the order they were added
+// SQLite can't add a column defaulting to CURRENT_TIMESTAMP, so the dates are backfilled instead
+const LATER_USER_COLUMNS = [
+  ['pixels_placed', 'INTEGER DEFAULT 0'],
+  ['total_contributions', 'INTEGER DEFAULT 0'],
+  ['joined_at', 'DATETIME'],
+  ['last_active', 'DATETIME'],
+  ['is_online', 'BOOLEAN DEFAULT 0']
+];
+
+export function up(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE,
+    password TEXT,
+    pixels_placed INTEGER DEFAULT 0,
+    total_contributions INTEGER DEFAULT 0,
+    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
+    is_online BOOLEAN DEFAULT 0,
+    data TEXT
+  )`);
+  for (const [column, definition] of LATER_USER_COLUMNS) {
+    if (!hasColumn(db, 'users', column)) {
+      db.exec(`ALTER TABLE users ADD COLUMN ${column} ${definition}`);
+    }
+  }
+  db.exec(`UPDATE users SET joined_at = CURRENT_TIMESTAMP WHERE joined_at IS NULL`);
+  db.exec(`UPDATE users SET last_active = CURRENT_TIMESTAMP WHERE last_active IS NULL`);
+
+  // Current pixel of every cell; migration 006 adds the canvas id
+  db.exec(`CREATE TABLE IF NOT EXISTS pixels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    grid_key TEXT UNIQUE NOT NULL,
+    x INTEGER NOT NULL,
+    y INTEGER NOT NULL,
+    color TEXT NOT NULL,
+    username TEXT NOT NULL,
+    placed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (username) REFERENCES users(username)
+  )`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_pixels_coords ON pixels(x, y)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_pixels_key ON pixels(grid_key)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_pixels_username ON pixels(username)`);
+}
@@ -0,0 +1,30 @@
+/**
+ * Migration 002: Append-only placements log recording every pixel ever placed
+ * Rows are only ever inserted, so a cell's full timeline survives overwrites in the pixels table
+ * method: 'normal' (regular cooldown placement), 'purchased' (used a purchased square) or 'admin'
+ */
+
+export function up(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS placements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    grid_key TEXT NOT NULL,
+    x INTEGER NOT NULL,
+    y INTEGER NOT NULL,
+    color TEXT NOT NULL,
+    username TEXT NOT NULL,
+    method TEXT NOT NULL DEFAULT 'normal',
+    placed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (username) REFERENCES users(username)
+  )`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_placements_key ON placements(grid_key, id)`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_placements_username ON placements(username)`);
+
+  // Seed the log from pixels placed before it existed, so their history isn't empty
+  const placementCount = db.prepare('SELECT COUNT(*) as count FROM placements').get().count;
+  if (placementCount === 0) {
+    db.exec(`
+      INSERT INTO placements (grid_key, x, y, color, username, method, placed_at)
+      SELECT grid_key, x, y, color, username, 'normal', placed_at FROM pixels ORDER BY placed_at ASC, id ASC
+    `);
+  }
+}
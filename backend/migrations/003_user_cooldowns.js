@@ -0,0 +1,12 @@
+/**
+ * Migration 003: Placement cooldowns, so they survive server restarts
+ * last_placed_at is stored in epoch milliseconds for sub-second precision
+ */
+
+export function up(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS user_cooldowns (
+    username TEXT PRIMARY KEY,
+    last_placed_at INTEGER NOT NULL,
+    FOREIGN KEY (username) REFERENCES users(username)
+  )`);
+}
@@ -0,0 +1,23 @@
+/**
+ * Migration 004: Color palettes; exactly one palette is active at a time
+ * colors holds a JSON array of lowercase "#rrggbb" strings
+ */
+
+import { DEFAULT_PALETTE } from '../palette.js';
+
+export function up(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS palettes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    colors TEXT NOT NULL,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    is_active BOOLEAN DEFAULT 0
+  )`);
+
+  const paletteCount = db.prepare('SELECT COUNT(*) as count FROM palettes').get().count;
+  if (paletteCount === 0) {
+    db.prepare('INSERT INTO palettes (name, colors, is_active) VALUES (?, ?, 1)')
+      .run(DEFAULT_PALETTE.name, JSON.stringify(DEFAULT_PALETTE.colors));
+  }
+}
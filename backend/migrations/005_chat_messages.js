@@ -0,0 +1,13 @@
+/**
+ * Migration 005: Messages for the in-canvas chat channel
+ */
+
+export function up(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS chat_messages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL,
+    text TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (username) REFERENCES users(username)
+  )`);
+}
@@ -0,0 +1,100 @@
+/**
+ * Migration 006: Named canvases with their own size, palette, cooldown and members
+ * Pixels, placements and cooldowns gain a canvas id; existing rows belong to the main canvas (id 1)
+ */
+
+import { hasColumn } from '../migrator.js';
+import { DEFAULT_CANVAS_WIDTH, DEFAULT_CANVAS_HEIGHT } from '../canvas.js';
+
+const MAIN_CANVAS_ID = 1;
+
+export function up(db) {
+  // Every canvas has its own size, palette and cooldown
+  // Private canvases are only open to their members; expires_at (epoch ms) marks an event canvas
+  db.exec(`CREATE TABLE IF NOT EXISTS canvases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug TEXT UNIQUE NOT NULL,
+    title TEXT NOT NULL,
+    width INTEGER NOT NULL,
+    height INTEGER NOT NULL,
+    palette_id INTEGER NOT NULL,
+    cooldown_ms INTEGER NOT NULL,
+    visibility TEXT NOT NULL DEFAULT 'public',
+    expires_at INTEGER,
+    created_by TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (palette_id) REFERENCES palettes(id)
+  )`);
+
+  // role is 'owner' or 'member'
+  db.exec(`CREATE TABLE IF NOT EXISTS canvas_members (
+    canvas_id INTEGER NOT NULL,
+    username TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'member',
+    added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (canvas_id, username),
+    FOREIGN KEY (canvas_id) REFERENCES canvases(id),
+    FOREIGN KEY (username) REFERENCES users(username)
+  )`);
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_canvas_members_username ON canvas_members(username)`);
+
+  // Seed the main canvas with the active palette
+  // Its size and cooldown follow the server configuration (see updateCanvasSettings)
+  const canvasCount = db.prepare('SELECT COUNT(*) as count FROM canvases').get().count;
+  if (canvasCount === 0) {
+    const activePaletteId = db.prepare('SELECT id FROM palettes WHERE is_active = 1 ORDER BY id DESC LIMIT 1').get().id;
+    db.prepare(`
+      INSERT INTO canvases (id, slug, title, width, height, palette_id, cooldown_ms, visibility)
+      VALUES (?, 'main', 'Main canvas', ?, ?, ?, 5000, 'public')
+    `).run(MAIN_CANVAS_ID, DEFAULT_CANVAS_WIDTH, DEFAULT_CANVAS_HEIGHT, activePaletteId);
+  }
+
+  // The canvas id is part of the unique key of pixels and the primary key of user_cooldowns,
+  // which ALTER TABLE can't change, so both tables are rebuilt
+  if (!hasColumn(db, 'pixels', 'canvas_id')) {
+    db.exec(`
+      ALTER TABLE pixels RENAME TO pixels_legacy;
+      CREATE TABLE pixels (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        canvas_id INTEGER NOT NULL DEFAULT 1,
+        grid_key TEXT NOT NULL,
+        x INTEGER NOT NULL,
+        y INTEGER NOT NULL,
+        color TEXT NOT NULL,
+        username TEXT NOT NULL,
+        placed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (canvas_id, grid_key),
+        FOREIGN KEY (username) REFERENCES users(username)
+      );
+      INSERT INTO pixels (id, canvas_id, grid_key, x, y, color, username, placed_at)
+      SELECT id, 1, grid_key, x, y, color, username, placed_at FROM pixels_legacy;
+      DROP TABLE pixels_legacy;
+    `);
+    // The old indexes went with the old table
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_pixels_coords ON pixels(x, y)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_pixels_key ON pixels(grid_key)`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_pixels_username ON pixels(username)`);
+  }
+
+  // Each canvas has its own cooldown, so a user has one row per canvas they placed on
+  if (!hasColumn(db, 'user_cooldowns', 'canvas_id')) {
+    db.exec(`
+      ALTER TABLE user_cooldowns RENAME TO user_cooldowns_legacy;
+      CREATE TABLE user_cooldowns (
+        canvas_id INTEGER NOT NULL DEFAULT 1,
+        username TEXT NOT NULL,
+        last_placed_at INTEGER NOT NULL,
+        PRIMARY KEY (canvas_id, username),
+        FOREIGN KEY (username) REFERENCES users(username)
+      );
+      INSERT INTO user_cooldowns (canvas_id, username, last_placed_at)
+      SELECT 1, username, last_placed_at FROM user_cooldowns_legacy;
+      DROP TABLE user_cooldowns_legacy;
+    `);
+  }
+
+  if (!hasColumn(db, 'placements', 'canvas_id')) {
+    db.exec(`ALTER TABLE placements ADD COLUMN canvas_id INTEGER NOT NULL DEFAULT 1`);
+  }
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_placements_canvas ON placements(canvas_id, id)`);
+}
@@ -0,0 +1,20 @@
+/**
+ * Migration 007: Refresh tokens for login sessions
+ * Only a SHA-256 hash of each token is stored. Tokens of one session share session_id;
+ * expires_at and revoked_at are epoch milliseconds
+ */
+
+export function up(db) {
+  db.exec(`CREATE TABLE refresh_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_hash TEXT UNIQUE NOT NULL,
+    session_id TEXT NOT NULL,
+    username TEXT NOT NULL,
+    expires_at INTEGER NOT NULL,
+    revoked_at INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (username) REFERENCES users(username)
+  )`);
+  db.exec(`CREATE INDEX idx_refresh_tokens_session ON refresh_tokens(session_id)`);
+  db.exec(`CREATE INDEX idx_refresh_tokens_expires ON refresh_tokens(expires_at)`);
+}
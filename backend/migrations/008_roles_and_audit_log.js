@@ -0,0 +1,46 @@
+/**
+ * Migration 008: Site-wide user roles, erasable cells and the moderation audit log
+ * users.role is 'user', 'moderator' or 'admin'. Erasing a cell is logged as a placement with a
+ * NULL color (method 'erased', username is the moderator), so placements is rebuilt without
+ * the NOT NULL constraint on color
+ */
+
+export function up(db) {
+  db.exec(`ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user'`);
+
+  db.exec(`
+    ALTER TABLE placements RENAME TO placements_legacy;
+    CREATE TABLE placements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      canvas_id INTEGER NOT NULL DEFAULT 1,
+      grid_key TEXT NOT NULL,
+      x INTEGER NOT NULL,
+      y INTEGER NOT NULL,
+      color TEXT,
+      username TEXT NOT NULL,
+      method TEXT NOT NULL DEFAULT 'normal',
+      placed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (username) REFERENCES users(username)
+    );
+    INSERT INTO placements (id, canvas_id, grid_key, x, y, color, username, method, placed_at)
+    SELECT id, canvas_id, grid_key, x, y, color, username, method, placed_at FROM placements_legacy;
+    DROP TABLE placements_legacy;
+  `);
+  // The old indexes went with the old table
+  db.exec(`CREATE INDEX idx_placements_key ON placements(grid_key, id)`);
+  db.exec(`CREATE INDEX idx_placements_username ON placements(username)`);
+  db.exec(`CREATE INDEX idx_placements_canvas ON placements(canvas_id, id)`);
+
+  // actor and target aren't foreign keys, so entries outlive the accounts they mention
+  // details is a JSON object describing the action (cells erased, region, old and new role, ...)
+  db.exec(`CREATE TABLE audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor TEXT NOT NULL,
+    action TEXT NOT NULL,
+    canvas_id INTEGER,
+    target TEXT,
+    details TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  db.exec(`CREATE INDEX idx_audit_log_actor ON audit_log(actor)`);
+}
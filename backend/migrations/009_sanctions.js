@@ -0,0 +1,21 @@
+/**
+ * Migration 009: Bans, suspensions and mutes
+ * type is 'ban', 'suspension' or 'mute'. expires_at (NULL for permanent) and lifted_at are epoch
+ * milliseconds; a sanction is active until it expires or a moderator lifts it
+ */
+
+export function up(db) {
+  db.exec(`CREATE TABLE sanctions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL,
+    type TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    created_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at INTEGER,
+    lifted_at INTEGER,
+    lifted_by TEXT,
+    FOREIGN KEY (username) REFERENCES users(username)
+  )`);
+  db.exec(`CREATE INDEX idx_sanctions_username ON sanctions(username)`);
+}
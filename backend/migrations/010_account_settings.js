@@ -0,0 +1,12 @@
+/**
+ * Migration 010: Display names and deleted accounts
+ * display_name is shown instead of the username where set (NULL: the username is shown)
+ * A deleted account keeps its row as an anonymous placeholder, so the pixels, history and chat
+ * messages referring to it stay valid: the username becomes "[deleted-<id>]", the password
+ * NULL, and deleted_at records when
+ */
+
+export function up(db) {
+  db.exec(`ALTER TABLE users ADD COLUMN display_name TEXT`);
+  db.exec(`ALTER TABLE users ADD COLUMN deleted_at DATETIME`);
+}
@@ -0,0 +1,8 @@
+/**
+ * Migration 011: Index placements by time
+ * Daily and weekly leaderboards only read the placements made since the start of their window
+ */
+
+export function up(db) {
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_placements_placed_at ON placements(placed_at)`);
+}
@@ -0,0 +1,127 @@
+/**
+ * Schema Migrations
+ * Numbered migration files in ./migrations (NNN_description.js) each export up(db)
+ * Applied versions are recorded in the schema_migrations table and every migration
+ * runs in its own transaction, so a failing one leaves the schema as it was
+ */
+
+import { readdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+/**
+ * Check whether a table has a column
+ * Helper for migrations that must cope with databases created before migrations existed
+ * @param {Database} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {boolean} - False if the column or the whole table is missing
+ */
+export function hasColumn(db, table, column) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+}
+
+/**
+ * Load every migration file, ordered by version
+ * @param {string} [dir=MIGRATIONS_DIR] - Directory holding the migration files
+ * @returns {Promise<Array>} - Migrations { version, name, up }
+ * @throws {Error} - On misnamed files, duplicate versions or files without an up function
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of readdirSync(dir).filter(name => name.endsWith('.js')).sort()) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) {
+      throw new Error(`Migration file "${file}" must be named like 001_description.js`);
+    }
+    const version = Number(match[1]);
+    if (migrations.some(m => m.version === version)) {
+      throw new Error(`Two migration files share version ${match[1]}`);
+    }
+    const module = await import(pathToFileURL(path.join(dir, file)).href);
+    if (typeof module.up !== 'function') {
+      throw new Error(`Migration file "${file}" does not export an up(db) function`);
+    }
+    migrations.push({ version, name: match[2], up: module.up });
+  }
+  return migrations;
+}
+
+/**
+ * Create the table recording applied migrations
+ * @param {Database} db - Database connection
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+/**
+ * Compare the migrations applied to a database with the migration files
+ * @param {Database} db - Database connection
+ * @param {Array} [migrations] - Migrations from loadMigrations (loaded when omitted)
+ * @returns {Promise<Object>} - { current, applied, pending, unknown }
+ *   current: highest applied version (0 for a new database)
+ *   applied: rows from schema_migrations { version, name, applied_at }
+ *   pending: migrations not applied yet
+ *   unknown: applied versions with no migration file (database is newer than this code)
+ */
+export async function getMigrationStatus(db, migrations) {
+  migrations = migrations || await loadMigrations();
+  ensureMigrationsTable(db);
+  const applied = db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC').all();
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const knownVersions = new Set(migrations.map(m => m.version));
+
+  return {
+    current: applied.length ? applied[applied.length - 1].version : 0,
+    applied,
+    pending: migrations.filter(m => !appliedVersions.has(m.version)),
+    unknown: applied.filter(row => !knownVersions.has(row.version))
+  };
+}
+
+/**
+ * Apply every pending migration in version order
+ * Stops at the first failure; migrations applied before it stay applied
+ * @param {Database} db - Database connection
+ * @param {Function} [log=console.log] - Progress output
+ * @returns {Promise<Array>} - Migrations that were applied
+ * @throws {Error} - If the database has migrations this code doesn't know, or a migration fails
+ */
+export async function applyPendingMigrations(db, log = console.log) {
+  const status = await getMigrationStatus(db);
+  if (status.unknown.length > 0) {
+    throw new Error(`Database has migrations this version doesn't know about: ${status.unknown.map(row => formatVersion(row.version)).join(', ')}`);
+  }
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  for (const migration of status.pending) {
+    const apply = db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name);
+    });
+    try {
+      apply();
+    } catch (error) {
+      throw new Error(`Migration ${formatVersion(migration.version)}_${migration.name} failed: ${error.message}`, { cause: error });
+    }
+    log(`✅ Applied migration ${formatVersion(migration.version)}_${migration.name}`);
+  }
+  return status.pending;
+}
+
+/**
+ * Format a migration version the way it appears in file names
+ * @param {number} version - Migration version
+ * @returns {string} - Zero-padded version, e.g. "007"
+ */
+export function formatVersion(version) {
+  return String(version).padStart(3, '0');
+}
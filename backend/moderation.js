@@ -0,0 +1,117 @@
+/**
+ * Roles and Moderation
+ * Every account has a site-wide role: users place pixels, moderators also clean up canvases and
+ * look into a user's placements, admins also publish palettes, manage roles and every canvas
+ * (Canvas membership roles, owner and member, are separate; see rooms.js)
+ * Moderators can ban, suspend and mute users; every moderator action is written to the audit log
+ */
+
+// === ROLES ===
+// Least to most privileged; each role may do everything the ones before it may
+export const USER_ROLES = ["user", "moderator", "admin"];
+export const DEFAULT_USER_ROLE = "user";
+
+// === AUDIT LOG ACTIONS ===
+export const AUDIT_ACTIONS = {
+  ERASE_PIXEL: "erase_pixel",
+  WIPE_REGION: "wipe_region",
+  VIEW_PLACEMENTS: "view_placements",
+  SET_ROLE: "set_role",
+  SANCTION: "sanction",
+  LIFT_SANCTION: "lift_sanction",
+  ROLLBACK: "rollback"
+};
+
+// === SANCTIONS ===
+// ban: no logging in, placing or chatting, for good; suspension: the same for a limited time
+// mute: may still log in and place, but not chat; for good or for a limited time
+export const SANCTION_TYPES = ["ban", "suspension", "mute"];
+export const BLOCKING_SANCTION_TYPES = ["ban", "suspension"];   // Keep the user off the canvas
+export const MAX_SANCTION_REASON_LENGTH = 500;
+export const MAX_SANCTION_DURATION_MS = 365 * 24 * 60 * 60 * 1000;
+
+const SANCTION_VERBS = { ban: "banned", suspension: "suspended", mute: "muted" };
+
+// === MODERATION LIMITS ===
+export const MAX_WIPE_CELLS = 65536;          // Largest region (in cells) a single wipe may cover
+export const MODERATION_PAGE_SIZE = 100;      // Placements and audit entries per page
+
+/**
+ * Check whether a role grants at least the privileges of another
+ * @param {string|null} role - Role to check (null for anonymous clients)
+ * @param {string} required - Least privileged role that is enough
+ * @returns {boolean}
+ */
+export function hasRole(role, required) {
+  return USER_ROLES.includes(role) && USER_ROLES.indexOf(role) >= USER_ROLES.indexOf(required);
+}
+
+/**
+ * Validate a rectangular region to wipe or roll back
+ * @param {Object} input - { x0, y0, x1, y1 }, inclusive cell coordinates in any corner order
+ * @param {Object} canvas - Canvas the region is on { width, height }
+ * @param {number} [maxCells=MAX_WIPE_CELLS] - Largest area allowed
+ * @returns {{region?: Object, error?: string}} - { x0, y0, x1, y1 } with x0 <= x1 and y0 <= y1, or an error message
+ */
+export function validateRegion(input, canvas, maxCells = MAX_WIPE_CELLS) {
+  const { x0, y0, x1, y1 } = input || {};
+  if (![x0, y0, x1, y1].every(Number.isInteger)) {
+    return { error: "x0, y0, x1 and y1 must all be integer cell coordinates" };
+  }
+
+  const region = {
+    x0: Math.min(x0, x1),
+    y0: Math.min(y0, y1),
+    x1: Math.max(x0, x1),
+    y1: Math.max(y0, y1)
+  };
+  if (region.x0 < 0 || region.y0 < 0 || region.x1 >= canvas.width || region.y1 >= canvas.height) {
+    return { error: `Region must lie within the ${canvas.width}x${canvas.height} canvas` };
+  }
+  const cells = (region.x1 - region.x0 + 1) * (region.y1 - region.y0 + 1);
+  if (cells > maxCells) {
+    return { error: `Region covers ${cells} cells, the maximum is ${maxCells}` };
+  }
+  return { region };
+}
+
+/**
+ * Validate a new sanction
+ * @param {Object} input - { type, reason, durationMs }; durationMs is required for suspensions,
+ *   optional for mutes and not allowed for bans
+ * @param {number} [now=Date.now()] - Current time, the sanction starts now
+ * @returns {{sanction?: Object, error?: string}} - { type, reason, expiresAt } (epoch ms or null), or an error message
+ */
+export function validateSanction(input, now = Date.now()) {
+  const { type, reason, durationMs = null } = input || {};
+
+  if (!SANCTION_TYPES.includes(type)) {
+    return { error: `Type must be one of: ${SANCTION_TYPES.join(", ")}` };
+  }
+  if (typeof reason !== "string" || !reason.trim() || reason.trim().length > MAX_SANCTION_REASON_LENGTH) {
+    return { error: `Reason must be 1-${MAX_SANCTION_REASON_LENGTH} characters` };
+  }
+  if (type === "ban" && durationMs !== null) {
+    return { error: "Bans are permanent, use a suspension for a limited time" };
+  }
+  if (type === "suspension" && durationMs === null) {
+    return { error: "Suspensions need a durationMs" };
+  }
+  if (durationMs !== null && (!Number.isInteger(durationMs) || durationMs < 1 || durationMs > MAX_SANCTION_DURATION_MS)) {
+    return { error: `durationMs must be an integer between 1 and ${MAX_SANCTION_DURATION_MS}` };
+  }
+
+  return {
+    sanction: { type, reason: reason.trim(), expiresAt: durationMs === null ? null : now + durationMs }
+  };
+}
+
+/**
+ * Explain a sanction to the user it applies to
+ * @param {Object} sanction - { type, reason, expiresAt }
+ * @returns {string} - e.g. "You are suspended until 2025-01-01T00:00:00.000Z: Griefing"
+ */
+export function describeSanction(sanction) {
+  const until = sanction.expiresAt === null ? "" : ` until ${new Date(sanction.expiresAt).toISOString()}`;
+  return `You are ${SANCTION_VERBS[sanction.type]}${until}: ${sanction.reason}`;
+}
@@ -0,0 +1,73 @@
+/**
+ * Colour Palettes
+ * Server-defined palettes that restrict which colours can be placed
+ * Colours are stored and compared as lowercase "#rrggbb" strings
+ */
+
+// === PALETTE LIMITS ===
+export const MAX_PALETTE_COLORS = 64;
+export const MAX_PALETTE_NAME_LENGTH = 64;
+
+// Palette seeded on first start, used until an admin publishes another
+export const DEFAULT_PALETTE = {
+  name: "Classic",
+  colors: [
+    "#000000", "#515252", "#898d90", "#d4d7d9", "#ffffff",
+    "#6d001a", "#be0039", "#ff4500", "#ffa800", "#ffd635",
+    "#fff8b8", "#00a368", "#00cc78", "#7eed56", "#00756f",
+    "#009eaa", "#00ccc0", "#2450a4", "#3690ea", "#51e9f4",
+    "#493ac1", "#6a5cff", "#94b3ff", "#811e9f", "#b44ac0",
+    "#e4abff", "#de107f", "#ff3881", "#ff99aa", "#6d482f",
+    "#9c6926", "#ffb470"
+  ]
+};
+
+/**
+ * Normalise a colour to lowercase "#rrggbb"
+ * @param {*} color - Colour supplied by a client
+ * @returns {string|null} - Normalised colour, or null if not a 6-digit hex colour
+ */
+export function normalizeColor(color) {
+  if (typeof color !== "string" || !/^#[0-9a-fA-F]{6}$/.test(color)) return null;
+  return color.toLowerCase();
+}
+
+/**
+ * Validate a palette submitted by an admin
+ * @param {*} name - Display name
+ * @param {*} colors - Array of hex colours
+ * @returns {{palette?: {name: string, colors: string[]}, error?: string}} - Normalised palette or an error message
+ */
+export function validatePalette(name, colors) {
+  if (typeof name !== "string" || !name.trim() || name.trim().length > MAX_PALETTE_NAME_LENGTH) {
+    return { error: `Palette name must be 1-${MAX_PALETTE_NAME_LENGTH} characters` };
+  }
+  if (!Array.isArray(colors) || colors.length === 0 || colors.length > MAX_PALETTE_COLORS) {
+    return { error: `Palette must contain between 1 and ${MAX_PALETTE_COLORS} colours` };
+  }
+
+  const normalized = [];
+  for (const color of colors) {
+    const hex = normalizeColor(color);
+    if (!hex) {
+      return { error: `Invalid colour "${color}", expected #rrggbb` };
+    }
+    if (normalized.includes(hex)) {
+      return { error: `Duplicate colour ${hex}` };
+    }
+    normalized.push(hex);
+  }
+
+  return { palette: { name: name.trim(), colors: normalized } };
+}
+
+/**
+ * Check whether a colour is part of a palette
+ * @param {*} color - Colour supplied by a client
+ * @param {{colors: string[]}} palette - Palette to check against
+ * @returns {boolean} - Whether the colour may be placed
+ */
+export function isPaletteColor(color, palette) {
+  const hex = normalizeColor(color);
+  return hex !== null && palette.colors.includes(hex);
+}
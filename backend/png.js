@@ -0,0 +1,141 @@
+/**
+ * PNG Export
+ * Pure JavaScript PNG encoder for rendering the grid to an image
+ * Only relies on Node's built-in zlib for compression (no native image libraries)
+ */
+
+// === DEPENDENCIES ===
+import { deflateSync } from "zlib";
+
+// === PNG CONSTANTS ===
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// CRC32 lookup table (polynomial 0xEDB88320) used to checksum each chunk
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c >>> 0;
+}
+
+/**
+ * Compute the CRC32 checksum of a buffer
+ * @param {Buffer} buffer - Bytes to checksum
+ * @returns {number} - Unsigned 32-bit CRC
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk: length, type, data and CRC
+ * @param {string} type - Four-letter chunk type (e.g. "IHDR")
+ * @param {Buffer} data - Chunk payload
+ * @returns {Buffer} - Encoded chunk
+ */
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode RGBA pixel data as a PNG image
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Buffer} rgba - Pixel data, 4 bytes per pixel, row by row
+ * @returns {Buffer} - PNG file contents
+ */
+export function encodePNG(width, height, rgba) {
+  // IHDR: dimensions, 8-bit depth, color type 6 (RGBA), default compression/filter/interlace
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+  header[10] = 0;
+  header[11] = 0;
+  header[12] = 0;
+
+  // Each scanline is prefixed with filter type 0 (None)
+  const rowLength = width * 4;
+  const raw = Buffer.alloc((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (rowLength + 1)] = 0;
+    rgba.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk("IHDR", header),
+    createChunk("IDAT", deflateSync(raw)),
+    createChunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Parse a hex color string
+ * @param {string} color - Color in "#rgb" or "#rrggbb" format
+ * @returns {number[]|null} - [r, g, b] components, or null if not a hex color
+ */
+export function parseHexColor(color) {
+  if (typeof color !== "string") return null;
+  let hex = color.trim().replace(/^#/, "");
+  if (/^[0-9a-fA-F]{3}$/.test(hex)) {
+    hex = hex.split("").map(c => c + c).join("");
+  }
+  if (!/^[0-9a-fA-F]{6}$/.test(hex)) return null;
+  const value = parseInt(hex, 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Render a rectangular region of the grid to a PNG
+ * Empty cells (and cells with unparseable colors) are transparent
+ * @param {Object} grid - Grid state { "x,y": { color, username } }
+ * @param {Object} region - Inclusive cell bounds and scale
+ * @param {number} region.x0 - Left column
+ * @param {number} region.y0 - Top row
+ * @param {number} region.x1 - Right column
+ * @param {number} region.y1 - Bottom row
+ * @param {number} region.scale - Image pixels per cell
+ * @returns {Buffer} - PNG file contents
+ */
+export function renderGridToPNG(grid, { x0, y0, x1, y1, scale }) {
+  const cols = x1 - x0 + 1;
+  const rows = y1 - y0 + 1;
+  const width = cols * scale;
+  const height = rows * scale;
+  const rgba = Buffer.alloc(width * height * 4); // Zero-filled = transparent
+
+  for (const [key, pixel] of Object.entries(grid)) {
+    const [x, y] = key.split(",").map(Number);
+    if (x < x0 || x > x1 || y < y0 || y > y1) continue;
+
+    const rgb = parseHexColor(typeof pixel === "string" ? pixel : pixel.color);
+    if (!rgb) continue;
+
+    // Fill the scale x scale block for this cell
+    for (let dy = 0; dy < scale; dy++) {
+      let offset = (((y - y0) * scale + dy) * width + (x - x0) * scale) * 4;
+      for (let dx = 0; dx < scale; dx++) {
+        rgba[offset] = rgb[0];
+        rgba[offset + 1] = rgb[1];
+        rgba[offset + 2] = rgb[2];
+        rgba[offset + 3] = 255;
+        offset += 4;
+      }
+    }
+  }
+
+  return encodePNG(width, height, rgba);
+}
@@ -0,0 +1,161 @@
+/**
+ * Rate Limiting
+ * Token buckets shared by the HTTP routes and the WebSocket message types
+ * Each limit is a bucket holding up to `burst` tokens, refilled at `perSecond` tokens per second;
+ * every request or message takes a token and is refused while the bucket is empty
+ * Buckets are kept per client IP, or per account for authenticated WebSocket clients (many users can
+ * share one IP behind NAT); login attempts also have a separate, more generous limit per attempted username
+ * Clients refused too often in a short time are repeat offenders and get disconnected
+ */
+
+// === DEFAULT LIMITS ===
+// Limits are named after the route (http) or the message type (socket); "*" applies to every
+// WebSocket message on top of its type's limit. Anything without a limit is only covered by "*"
+export const DEFAULT_RATE_LIMITS = {
+  http: {
+    login: { burst: 10, perSecond: 1 / 30 },      // Per IP
+    loginAccount: { burst: 50, perSecond: 1 / 60 }, // Per attempted username from any IP; generous so others can't lock an account out
+    register: { burst: 5, perSecond: 1 / 300 },
+    registerValidate: { burst: 30, perSecond: 2 },  // Checks while filling in the form
+    refresh: { burst: 20, perSecond: 1 / 10 },
+    logout: { burst: 20, perSecond: 1 / 10 },
+    api: { burst: 120, perSecond: 10 }            // Every /api route
+  },
+  socket: {
+    "*": { burst: 100, perSecond: 30 },
+    authenticate: { burst: 10, perSecond: 1 / 10 },
+    join: { burst: 10, perSecond: 1 },
+    subscribe: { burst: 30, perSecond: 5 },
+    resume: { burst: 5, perSecond: 1 / 5 },
+    presence: { burst: 30, perSecond: 15 },
+    chat: { burst: 5, perSecond: 1 / 2 },
+    colorCell: { burst: 20, perSecond: 5 }
+  }
+};
+
+// === REPEAT OFFENDERS ===
+export const OFFENCE_WINDOW_MS = 60000;   // Refusals are counted over this long
+export const MAX_OFFENCES = 30;           // Refusals within the window before a client is disconnected
+
+/**
+ * Check one limit from the configuration
+ * @param {*} limit - Supposed { burst, perSecond }
+ * @returns {boolean} - Whether the limit is usable
+ */
+function isValidLimit(limit) {
+  return !!limit && typeof limit === "object" &&
+    Number.isFinite(limit.burst) && limit.burst >= 1 &&
+    Number.isFinite(limit.perSecond) && limit.perSecond > 0;
+}
+
+/**
+ * Load rate limits from the environment
+ * Called after dotenv has loaded, so .env values are honoured
+ * @param {Object} [env=process.env] - Environment variables; RATE_LIMITS is JSON shaped like
+ *   DEFAULT_RATE_LIMITS whose entries replace the defaults, e.g. {"http": {"login": {"burst": 5, "perSecond": 0.1}}}
+ * @returns {Object} - { http: { name: { burst, perSecond } }, socket: { ... } }
+ * @throws {Error} - If RATE_LIMITS isn't valid JSON or contains an invalid limit
+ */
+export function loadRateLimits(env = process.env) {
+  const limits = {
+    http: { ...DEFAULT_RATE_LIMITS.http },
+    socket: { ...DEFAULT_RATE_LIMITS.socket }
+  };
+  if (env.RATE_LIMITS === undefined || env.RATE_LIMITS === "") return limits;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(env.RATE_LIMITS);
+  } catch {
+    throw new Error("RATE_LIMITS must be a JSON object");
+  }
+  for (const [scope, entries] of Object.entries(overrides || {})) {
+    if (!limits[scope] || !entries || typeof entries !== "object") {
+      throw new Error(`RATE_LIMITS may only contain "http" and "socket" objects, got "${scope}"`);
+    }
+    for (const [name, limit] of Object.entries(entries)) {
+      if (!isValidLimit(limit)) {
+        throw new Error(`RATE_LIMITS.${scope}.${name} needs a burst of at least 1 and a positive perSecond`);
+      }
+      limits[scope][name] = { burst: limit.burst, perSecond: limit.perSecond };
+    }
+  }
+  return limits;
+}
+
+/**
+ * Create a token-bucket rate limiter
+ * @param {Object} [limits=DEFAULT_RATE_LIMITS] - { http: { name: { burst, perSecond } }, socket: { ... } }
+ * @returns {Object} - { take, recordOffence, prune }
+ */
+export function createRateLimiter(limits = DEFAULT_RATE_LIMITS) {
+  const buckets = new Map();   // "scope:name:key" -> { tokens, updatedAt, limit }
+  const offences = new Map();  // key -> timestamps of refusals inside OFFENCE_WINDOW_MS
+
+  /**
+   * Bring a bucket up to date, creating it full
+   * @returns {Object} - The bucket
+   */
+  function refill(id, limit, now) {
+    const bucket = buckets.get(id) || { tokens: limit.burst, updatedAt: now, limit };
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * limit.perSecond);
+    bucket.updatedAt = now;
+    buckets.set(id, bucket);
+    return bucket;
+  }
+
+  /**
+   * Take a token from the buckets of every key, or from none of them
+   * @param {string} scope - "http" or "socket"
+   * @param {string} name - Limit name (route or message type)
+   * @param {string[]} keys - Who is asking, e.g. ["ip:1.2.3.4", "user:alice"]
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {number} - Milliseconds until a token is available (0 = allowed now, token taken)
+   */
+  function take(scope, name, keys, now = Date.now()) {
+    const limit = Object.hasOwn(limits[scope], name) ? limits[scope][name] : null;
+    if (!limit) return 0;
+
+    const ready = keys.map(key => refill(`${scope}:${name}:${key}`, limit, now));
+    const short = Math.max(...ready.map(bucket => 1 - bucket.tokens));
+    if (short > 0) {
+      return Math.ceil(short / limit.perSecond * 1000);
+    }
+    ready.forEach((bucket) => {
+      bucket.tokens -= 1;
+    });
+    return 0;
+  }
+
+  /**
+   * Count a refused request against a client
+   * @param {string} key - Client, e.g. "ip:1.2.3.4"
+   * @param {number} [now=Date.now()] - Current time
+   * @returns {boolean} - Whether the client is now a repeat offender (more than MAX_OFFENCES in the window)
+   */
+  function recordOffence(key, now = Date.now()) {
+    const recent = (offences.get(key) || []).filter(t => now - t < OFFENCE_WINDOW_MS);
+    recent.push(now);
+    offences.set(key, recent);
+    return recent.length > MAX_OFFENCES;
+  }
+
+  /**
+   * Forget buckets that have refilled and offences that have expired, so idle clients cost nothing
+   * @param {number} [now=Date.now()] - Current time
+   */
+  function prune(now = Date.now()) {
+    for (const [id, bucket] of buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.limit.perSecond >= bucket.limit.burst) {
+        buckets.delete(id);
+      }
+    }
+    for (const [key, timestamps] of offences) {
+      if (now - timestamps[timestamps.length - 1] >= OFFENCE_WINDOW_MS) {
+        offences.delete(key);
+      }
+    }
+  }
+
+  return { take, recordOffence, prune };
+}
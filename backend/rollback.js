@@ -0,0 +1,98 @@
+/**
+ * Rollback
+ * Undoes a user's placements, or those made in a region during a time window, e.g. after a bot attack
+ * Nothing is lost when a cell changes: the placements log keeps every value a cell ever had.
+ * Each affected cell goes back to the value it had before its reverted placements, unless
+ * someone else has changed it since (a later placement, erasure or rollback stays)
+ * The rollback itself is logged as placements with method 'rollback'
+ */
+
+import { validateRegion } from "./moderation.js";
+
+// === ROLLBACK LIMITS ===
+export const MAX_ROLLBACK_PLACEMENTS = 100000;  // Narrower filters are needed beyond this
+export const ROLLBACK_PREVIEW_LIMIT = 200;      // Changed cells listed in a dry run
+
+/**
+ * Parse a point in time
+ * @param {*} value - Epoch milliseconds (number or digit string) or an ISO date
+ * @returns {number|null} - Epoch milliseconds, or null if it isn't a valid time
+ */
+export function parseTime(value) {
+  if (typeof value === "number") return Number.isInteger(value) ? value : null;
+  if (typeof value !== "string") return null;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Validate which placements to roll back
+ * Either a username or both a region and a time window are required; all given criteria must match
+ * @param {Object} input - { username, x0, y0, x1, y1, from, to }; from and to are inclusive
+ * @param {Object} canvas - Canvas the rollback is on { width, height }
+ * @returns {{filter?: Object, error?: string}} - { username, region, from, to } (null when not given), or an error message
+ */
+export function validateRollbackFilter(input, canvas) {
+  const { username = null, x0, y0, x1, y1, from = null, to = null } = input || {};
+
+  if (username !== null && (typeof username !== "string" || !username)) {
+    return { error: "username must be a non-empty string" };
+  }
+
+  let region = null;
+  if ([x0, y0, x1, y1].some(value => value !== undefined)) {
+    const result = validateRegion({ x0, y0, x1, y1 }, canvas, Infinity);
+    if (result.error) return { error: result.error };
+    region = result.region;
+  }
+
+  const times = { from: null, to: null };
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value === null) continue;
+    times[name] = parseTime(value);
+    if (times[name] === null) {
+      return { error: `${name} must be a timestamp in milliseconds or an ISO date` };
+    }
+  }
+  if (times.from !== null && times.to !== null && times.from > times.to) {
+    return { error: "from must not be after to" };
+  }
+
+  if (username === null && (region === null || times.from === null || times.to === null)) {
+    return { error: "Give a username, or a region (x0, y0, x1, y1) with a time window (from, to)" };
+  }
+  return { filter: { username, region, from: times.from, to: times.to } };
+}
+
+/**
+ * Work out what rolling back a set of placements changes
+ * @param {Array} cells - Every cell with a reverted placement:
+ *   { key, x, y, history } with history as returned by getPixelHistory (oldest first)
+ * @param {Set<number>} revertedIds - Ids of the placements being reverted
+ * @returns {Array} - Changes { key, x, y, current, restored } where current is the pixel now shown and
+ *   restored the one to bring back ({ color, username, placedAt }, null for an empty cell)
+ */
+export function planRollback(cells, revertedIds) {
+  const changes = [];
+  for (const { key, x, y, history } of cells) {
+    let index = history.length - 1;
+    // Someone else changed the cell after the reverted placements; their change stays
+    if (index < 0 || !revertedIds.has(history[index].id)) continue;
+
+    const latest = history[index];
+    while (index >= 0 && revertedIds.has(history[index].id)) {
+      index--;
+    }
+    const previous = index >= 0 ? history[index] : null;
+    changes.push({
+      key,
+      x,
+      y,
+      current: { color: latest.color, username: latest.username, placedAt: latest.placedAt },
+      restored: previous && previous.color !== null
+        ? { color: previous.color, username: previous.username, placedAt: previous.placedAt }
+        : null
+    });
+  }
+  return changes;
+}
@@ -0,0 +1,83 @@
+/**
+ * Canvas Rooms
+ * Settings and access rules for named canvases (the main public canvas, private team
+ * canvases and temporary event canvases)
+ * Each room has its own size, palette, cooldown and membership list
+ */
+
+// === ROOM LIMITS ===
+export const MAIN_CANVAS_SLUG = "main";     // Public canvas every client joins first
+export const MAIN_CANVAS_ID = 1;            // Its id; rows from before canvases existed belong to it
+export const MAX_ROOM_DIMENSION = 1024;     // Largest width/height for canvases created at runtime
+export const MAX_ROOM_COOLDOWN_MS = 3600000; // Longest per-canvas cooldown (1 hour)
+export const MAX_ROOM_TITLE_LENGTH = 64;
+export const MAX_OWNED_CANVASES = 5;        // Canvases a non-admin user may create
+
+// === VISIBILITY AND ROLES ===
+// Public canvases are open to everyone; private ones only to their members (and admins)
+export const VISIBILITIES = ["public", "private"];
+// Owners manage members; members may view and place
+export const MEMBER_ROLES = ["owner", "member"];
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+
+/**
+ * Check a canvas slug (the name used in URLs and join messages)
+ * @param {*} slug - Slug supplied by a client
+ * @returns {boolean} - Whether it is 2-32 lowercase letters, digits or dashes
+ */
+export function isValidSlug(slug) {
+  return typeof slug === "string" && SLUG_PATTERN.test(slug);
+}
+
+/**
+ * Validate the settings for a new canvas
+ * @param {Object} input - { slug, title, width, height, cooldownMs, visibility, expiresAt }
+ *   expiresAt is optional (epoch milliseconds or an ISO date) and makes an event canvas
+ * @param {number} [now=Date.now()] - Current time, expiry must lie in the future
+ * @returns {{settings?: Object, error?: string}} - Normalised settings or an error message
+ */
+export function validateRoomSettings(input, now = Date.now()) {
+  const { slug, title, width, height, cooldownMs, visibility = "public", expiresAt = null } = input || {};
+
+  if (!isValidSlug(slug)) {
+    return { error: "Slug must be 2-32 lowercase letters, digits or dashes" };
+  }
+  if (typeof title !== "string" || !title.trim() || title.trim().length > MAX_ROOM_TITLE_LENGTH) {
+    return { error: `Title must be 1-${MAX_ROOM_TITLE_LENGTH} characters` };
+  }
+  for (const dimension of [width, height]) {
+    if (!Number.isInteger(dimension) || dimension < 1 || dimension > MAX_ROOM_DIMENSION) {
+      return { error: `Width and height must be integers between 1 and ${MAX_ROOM_DIMENSION}` };
+    }
+  }
+  if (!Number.isInteger(cooldownMs) || cooldownMs < 0 || cooldownMs > MAX_ROOM_COOLDOWN_MS) {
+    return { error: `cooldownMs must be an integer between 0 and ${MAX_ROOM_COOLDOWN_MS}` };
+  }
+  if (!VISIBILITIES.includes(visibility)) {
+    return { error: `Visibility must be one of: ${VISIBILITIES.join(", ")}` };
+  }
+
+  let expiry = null;
+  if (expiresAt !== null) {
+    expiry = typeof expiresAt === "number" ? expiresAt : Date.parse(expiresAt);
+    if (!Number.isInteger(expiry) || expiry <= now) {
+      return { error: "expiresAt must be a future timestamp in milliseconds or an ISO date" };
+    }
+  }
+
+  return {
+    settings: { slug, title: title.trim(), width, height, cooldownMs, visibility, expiresAt: expiry }
+  };
+}
+
+/**
+ * Check whether a canvas still accepts placements
+ * Event canvases become read-only once they expire
+ * @param {Object} canvas - Canvas with expiresAt (epoch milliseconds or null)
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {boolean} - Whether placing is allowed
+ */
+export function isRoomOpen(canvas, now = Date.now()) {
+  return canvas.expiresAt === null || canvas.expiresAt > now;
+}
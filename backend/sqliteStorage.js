@@ -0,0 +1,1521 @@
+/**
+ * SQLite Storage
+ * Storage implementation backed by ./data/database.sqlite (see storage.js for the interface)
+ * The schema is managed by migrate.js; the server refuses to start while it is behind
+ */
+
+// === DATABASE DEPENDENCIES ===
+import Database from 'better-sqlite3';
+import { existsSync, mkdirSync } from 'fs';
+import { getMigrationStatus, formatVersion } from './migrator.js';
+
+// === DATABASE CONNECTION ===
+const DATA_DIR = './data';
+const DATABASE_FILE = `${DATA_DIR}/database.sqlite`;
+
+let db; // Global database connection instance, one per process
+
+/**
+ * Open the SQLite database file, creating the data directory if needed
+ * Leaves the schema alone; migrate.js brings it up to date
+ * @returns {Database} - Database connection
+ */
+export function openDatabase() {
+  if (!existsSync(DATA_DIR)) {
+    mkdirSync(DATA_DIR, { recursive: true });
+  }
+  return new Database(DATABASE_FILE);
+}
+
+/**
+ * Open the database and check its schema is at the version this code expects
+ * @returns {Promise<Object>} - Storage implementation (see storage.js)
+ * @throws {Error} - If migrations are pending (run `npm run migrate`) or the database is newer than this code
+ */
+export async function createSqliteStorage() {
+  try {
+    db = openDatabase();
+    
+    const status = await getMigrationStatus(db);
+    if (status.unknown.length > 0) {
+      throw new Error(`Database schema is newer than this server (unknown migrations: ${status.unknown.map(row => formatVersion(row.version)).join(', ')})`);
+    }
+    if (status.pending.length > 0) {
+      const pending = status.pending.map(m => `${formatVersion(m.version)}_${m.name}`).join(', ');
+      throw new Error(`Database schema is behind (pending migrations: ${pending}). Run \`npm run migrate\` first`);
+    }
+    
+    console.log(`✅ Database initialized successfully (schema version ${formatVersion(status.current)})`);
+  } catch (error) {
+    console.error("❌ Database initialization failed:", error);
+    throw error;
+  }
+  
+  return {
+    findUserByUsername,
+    isUsernameTaken,
+    addUser,
+    incrementUserPixels,
+    updateUserOnlineStatus,
+    overwriteUserData,
+    getAllUsersForLeaderboard,
+    getLeaderboardScores,
+    setUserRole,
+    countUsersWithRole,
+    setDisplayName,
+    setUserPassword,
+    deleteUser,
+    getLastPlacementTime,
+    setLastPlacementTime,
+    savePixel,
+    getPixelHistory,
+    loadPixelsAt,
+    getPlacementsPage,
+    loadAllPixels,
+    getPixel,
+    getPixelStats,
+    erasePixels,
+    getUserPlacements,
+    getPublicPlacements,
+    getRevertiblePlacements,
+    applyRollback,
+    getActivePalette,
+    getPaletteById,
+    getAllPalettes,
+    createPalette,
+    activatePalette,
+    getAllCanvases,
+    getCanvasById,
+    countCanvasesCreatedBy,
+    createCanvas,
+    updateCanvasSettings,
+    setCanvasPalette,
+    getCanvasRole,
+    getCanvasRolesForUser,
+    getCanvasMembers,
+    setCanvasMember,
+    removeCanvasMember,
+    saveChatMessage,
+    getChatMessages,
+    saveRefreshToken,
+    findRefreshToken,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    isSessionActive,
+    deleteExpiredRefreshTokens,
+    addAuditEntry,
+    getAuditLog,
+    addSanction,
+    getSanctionById,
+    getActiveSanctions,
+    getSanctions,
+    liftSanction
+  };
+}
+
+// === USERS ===
+
+/**
+ * Convert a users row to the shape used by the server
+ * @param {Object} row - Row from the users table
+ * @returns {Object} - User (see storage.js)
+ */
+function toUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    password: row.password,
+    pixelsPlaced: row.pixels_placed || 0,
+    totalContributions: row.total_contributions || 0,
+    joinedAt: row.joined_at,
+    lastActive: row.last_active,
+    isOnline: !!row.is_online,
+    role: row.role,
+    data: row.data,
+    displayName: row.display_name,
+    deletedAt: row.deleted_at
+  };
+}
+
+/**
+ * Find user by username, ignoring case like isUsernameTaken (an exact match wins)
+ * @param {string} username - Username to search for
+ * @returns {Object|null} - User or null if not found
+ */
+function findUserByUsername(username) {
+  try {
+    const stmt = db.prepare('SELECT * FROM users WHERE username = @username COLLATE NOCASE ORDER BY username = @username DESC LIMIT 1');
+    const row = stmt.get({ username });
+    return row ? toUser(row) : null;
+  } catch (error) {
+    console.error("Error finding user:", error);
+    throw error;
+  }
+}
+
+/**
+ * Check whether a username is in use, ignoring case
+ * @param {string} username - Username to check
+ * @returns {boolean} - Whether an account uses it in any capitalisation
+ */
+function isUsernameTaken(username) {
+  try {
+    const stmt = db.prepare('SELECT 1 FROM users WHERE username = ? COLLATE NOCASE LIMIT 1');
+    return !!stmt.get(username);
+  } catch (error) {
+    console.error("Error checking username:", error);
+    throw error;
+  }
+}
+
+/**
+ * Add new user to database
+ * @param {Object} user - User object with username, password, and optional data
+ * @param {string} user.username - Unique username
+ * @param {string} user.password - Hashed password
+ * @param {string} [user.role='user'] - Site-wide role: 'user', 'moderator' or 'admin'
+ * @param {string} [user.data] - Optional additional user data (JSON string)
+ * @returns {number} - Id of the new user
+ */
+function addUser(user) {
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO users (username, password, pixels_placed, total_contributions, joined_at, last_active, is_online, role, data) 
+      VALUES (?, ?, 0, 0, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, 0, ?, ?)
+    `);
+    return stmt.run(user.username, user.password, user.role || 'user', user.data || null).lastInsertRowid;
+  } catch (error) {
+    console.error("Error adding user:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update user statistics when they place a pixel
+ * @param {string} username - Username to update
+ */
+function incrementUserPixels(username) {
+  try {
+    const stmt = db.prepare(`
+      UPDATE users 
+      SET pixels_placed = pixels_placed + 1, 
+          total_contributions = total_contributions + 1,
+          last_active = CURRENT_TIMESTAMP 
+      WHERE username = ?
+    `);
+    stmt.run(username);
+  } catch (error) {
+    console.error("Error updating user pixels:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update user's online status
+ * @param {string} username - Username to update
+ * @param {boolean} isOnline - Online status
+ */
+function updateUserOnlineStatus(username, isOnline) {
+  try {
+    const stmt = db.prepare(`
+      UPDATE users 
+      SET is_online = ?, last_active = CURRENT_TIMESTAMP 
+      WHERE username = ?
+    `);
+    stmt.run(isOnline ? 1 : 0, username);
+  } catch (error) {
+    console.error("Error updating user online status:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update user data field
+ * @param {string} username - Username of user to update
+ * @param {string} newData - New data to store (typically JSON string)
+ */
+function overwriteUserData(username, newData) {
+  try {
+    const stmt = db.prepare('UPDATE users SET data = ? WHERE username = ?');
+    stmt.run(newData, username);
+  } catch (error) {
+    console.error("Error updating user data:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get all users for leaderboard with their statistics
+ * @returns {Array} - Leaderboard entries, most pixels first (see storage.js)
+ */
+function getAllUsersForLeaderboard() {
+  try {
+    const stmt = db.prepare(`
+      SELECT username, display_name, pixels_placed, total_contributions, joined_at, last_active, is_online
+      FROM users 
+      WHERE deleted_at IS NULL 
+      ORDER BY pixels_placed DESC
+    `);
+    return stmt.all().map(row => ({
+      username: row.username,
+      displayName: row.display_name,
+      pixelsPlaced: row.pixels_placed || 0,
+      totalContributions: row.total_contributions || 0,
+      joinedAt: row.joined_at,
+      lastActive: row.last_active,
+      isOnline: !!row.is_online
+    }));
+  } catch (error) {
+    console.error("Error fetching leaderboard data:", error);
+    throw error;
+  }
+}
+
+// Leaderboard metrics (see leaderboard.js): queries scoring users as { username, value }
+// They take the window start in seconds (NULL for all time) as @since and the canvas
+// counted by 'surviving' as @canvasId
+// Only a user's own placements count: erasures and rollbacks are logged under the moderator
+const LEADERBOARD_QUERIES = {
+  pixels: `
+    SELECT username, COUNT(*) AS value 
+    FROM placements 
+    WHERE canvas_id = @canvasId AND method IN ('normal', 'purchased') 
+      AND (@since IS NULL OR placed_at >= datetime(@since, 'unixepoch')) 
+    GROUP BY username
+  `,
+  // Pixels on the canvas now, whatever the window
+  surviving: `
+    SELECT username, COUNT(*) AS value 
+    FROM pixels 
+    WHERE canvas_id = @canvasId 
+    GROUP BY username
+  `,
+  // Consecutive days share the same (day - row number) among a user's distinct days
+  streak: `
+    WITH days AS (
+      SELECT DISTINCT username, date(placed_at) AS day 
+      FROM placements 
+      WHERE canvas_id = @canvasId AND method IN ('normal', 'purchased') 
+        AND (@since IS NULL OR placed_at >= datetime(@since, 'unixepoch'))
+    ), runs AS (
+      SELECT username, COUNT(*) AS length 
+      FROM (SELECT username, julianday(day) - ROW_NUMBER() OVER (PARTITION BY username ORDER BY day) AS run FROM days) 
+      GROUP BY username, run
+    )
+    SELECT username, MAX(length) AS value 
+    FROM runs 
+    GROUP BY username
+  `,
+  // A placement was overwritten when the cell's next log entry is an erasure or a rollback;
+  // the window applies to when that happened
+  overwritten: `
+    WITH ordered AS (
+      SELECT username, method, 
+        LEAD(method) OVER cell AS next_method, 
+        LEAD(placed_at) OVER cell AS next_placed_at 
+      FROM placements 
+      WHERE canvas_id = @canvasId 
+      WINDOW cell AS (PARTITION BY grid_key ORDER BY id)
+    )
+    SELECT username, COUNT(*) AS value 
+    FROM ordered 
+    WHERE method IN ('normal', 'purchased') AND next_method IN ('erased', 'rollback') 
+      AND (@since IS NULL OR next_placed_at >= datetime(@since, 'unixepoch')) 
+    GROUP BY username
+  `
+};
+
+/**
+ * Score every user on a leaderboard metric
+ * Deleted accounts and users scoring zero are left out
+ * @param {string} metric - One of LEADERBOARD_METRICS (leaderboard.js)
+ * @param {Object} options - { since, canvasId }: start of the window in epoch milliseconds (null for
+ *   all time), and the canvas whose placements and current pixels are counted
+ * @returns {Array} - Scores { username, value } in no particular order
+ */
+function getLeaderboardScores(metric, { since = null, canvasId = null } = {}) {
+  try {
+    const stmt = db.prepare(`
+      SELECT scores.username, scores.value 
+      FROM (${LEADERBOARD_QUERIES[metric]}) AS scores 
+      JOIN users ON users.username = scores.username 
+      WHERE users.deleted_at IS NULL AND scores.value > 0
+    `);
+    // placed_at has second precision, so compare against whole seconds
+    return stmt.all({ since: since === null ? null : Math.floor(since / 1000), canvasId });
+  } catch (error) {
+    console.error("Error computing leaderboard:", error);
+    throw error;
+  }
+}
+
+/**
+ * Change a user's site-wide role
+ * @param {string} username - User to update
+ * @param {string} role - 'user', 'moderator' or 'admin'
+ * @returns {boolean} - False if there is no such user
+ */
+function setUserRole(username, role) {
+  try {
+    const stmt = db.prepare('UPDATE users SET role = ? WHERE username = ?');
+    return stmt.run(role, username).changes > 0;
+  } catch (error) {
+    console.error("Error setting user role:", error);
+    throw error;
+  }
+}
+
+/**
+ * Count the users with a site-wide role
+ * @param {string} role - 'user', 'moderator' or 'admin'
+ * @returns {number}
+ */
+function countUsersWithRole(role) {
+  try {
+    const stmt = db.prepare('SELECT COUNT(*) AS count FROM users WHERE role = ? AND deleted_at IS NULL');
+    return stmt.get(role).count;
+  } catch (error) {
+    console.error("Error counting users with role:", error);
+    throw error;
+  }
+}
+
+/**
+ * Set or clear the name shown instead of a user's username
+ * @param {string} username - User to update
+ * @param {string|null} displayName - New display name, null to show the username
+ * @returns {boolean} - False if there is no such user
+ */
+function setDisplayName(username, displayName) {
+  try {
+    const stmt = db.prepare('UPDATE users SET display_name = ? WHERE username = ? AND deleted_at IS NULL');
+    return stmt.run(displayName, username).changes > 0;
+  } catch (error) {
+    console.error("Error setting display name:", error);
+    throw error;
+  }
+}
+
+/**
+ * Replace a user's password hash
+ * @param {string} username - User to update
+ * @param {string} password - New bcrypt hash
+ * @returns {boolean} - False if there is no such user
+ */
+function setUserPassword(username, password) {
+  try {
+    const stmt = db.prepare('UPDATE users SET password = ? WHERE username = ? AND deleted_at IS NULL');
+    return stmt.run(password, username).changes > 0;
+  } catch (error) {
+    console.error("Error setting password:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete an account, keeping an anonymous placeholder in its place (see migration 010)
+ * Sessions, cooldowns and canvas memberships are deleted; pixels, placements, chat messages,
+ * sanctions and created canvases move to the placeholder name. The audit log keeps the old name
+ * @param {string} username - User to delete
+ * @returns {string|null} - Placeholder username, or null if there is no such user
+ */
+function deleteUser(username) {
+  try {
+    const remove = db.transaction(() => {
+      const user = db.prepare('SELECT id FROM users WHERE username = ? AND deleted_at IS NULL').get(username);
+      if (!user) return null;
+      const placeholder = `[deleted-${user.id}]`;
+      
+      db.prepare('DELETE FROM refresh_tokens WHERE username = ?').run(username);
+      db.prepare('DELETE FROM user_cooldowns WHERE username = ?').run(username);
+      db.prepare('DELETE FROM canvas_members WHERE username = ?').run(username);
+      db.prepare('UPDATE canvases SET created_by = ? WHERE created_by = ?').run(placeholder, username);
+      
+      // The users row is renamed last, so foreign keys are only checked when the transaction commits
+      db.pragma('defer_foreign_keys = ON');
+      for (const table of ['pixels', 'placements', 'chat_messages', 'sanctions']) {
+        db.prepare(`UPDATE ${table} SET username = ? WHERE username = ?`).run(placeholder, username);
+      }
+      db.prepare(`
+        UPDATE users 
+        SET username = ?, password = NULL, display_name = NULL, data = NULL, role = 'user', is_online = 0, deleted_at = CURRENT_TIMESTAMP 
+        WHERE id = ?
+      `).run(placeholder, user.id);
+      return placeholder;
+    });
+    return remove();
+  } catch (error) {
+    console.error("Error deleting user:", error);
+    throw error;
+  }
+}
+
+// === PIXELS AND COOLDOWNS ===
+
+/**
+ * Get the time of a user's last cooldown-counting placement on a canvas
+ * @param {number} canvasId - Canvas id
+ * @param {string} username - Username to look up
+ * @returns {number|null} - Epoch milliseconds of the last placement, or null if none recorded
+ */
+function getLastPlacementTime(canvasId, username) {
+  try {
+    const stmt = db.prepare('SELECT last_placed_at FROM user_cooldowns WHERE canvas_id = ? AND username = ?');
+    const row = stmt.get(canvasId, username);
+    return row ? row.last_placed_at : null;
+  } catch (error) {
+    console.error("Error getting last placement time:", error);
+    throw error;
+  }
+}
+
+/**
+ * Record the time of a user's latest cooldown-counting placement on a canvas
+ * @param {number} canvasId - Canvas id
+ * @param {string} username - Username to update
+ * @param {number} timestamp - Epoch milliseconds of the placement
+ */
+function setLastPlacementTime(canvasId, username, timestamp) {
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO user_cooldowns (canvas_id, username, last_placed_at) 
+      VALUES (?, ?, ?)
+      ON CONFLICT(canvas_id, username) DO UPDATE SET last_placed_at = excluded.last_placed_at
+    `);
+    stmt.run(canvasId, username, timestamp);
+  } catch (error) {
+    console.error("Error setting last placement time:", error);
+    throw error;
+  }
+}
+
+/**
+ * Save a pixel placement to the database
+ * Appends to the placements log and updates the current pixel in one transaction
+ * @param {number} canvasId - Canvas the pixel was placed on
+ * @param {string} gridKey - Grid key in format "x,y"
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {string} color - Pixel color
+ * @param {string} username - Username who placed the pixel
+ * @param {string} [method='normal'] - How the pixel was placed: 'normal', 'purchased' or 'admin'
+ * @returns {number} - Id of the new placements log entry
+ */
+function savePixel(canvasId, gridKey, x, y, color, username, method = 'normal') {
+  try {
+    const logStmt = db.prepare(`
+      INSERT INTO placements (canvas_id, grid_key, x, y, color, username, method, placed_at) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `);
+    const pixelStmt = db.prepare(`
+      INSERT OR REPLACE INTO pixels (canvas_id, grid_key, x, y, color, username, placed_at) 
+      VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `);
+    const save = db.transaction(() => {
+      const result = logStmt.run(canvasId, gridKey, x, y, color, username, method);
+      pixelStmt.run(canvasId, gridKey, x, y, color, username);
+      return result.lastInsertRowid;
+    });
+    return save();
+  } catch (error) {
+    console.error("Error saving pixel:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the full placement history of a cell
+ * @param {number} canvasId - Canvas id
+ * @param {string} gridKey - Grid key in format "x,y"
+ * @returns {Array} - Placements oldest first: { id, color, username, method, placedAt }
+ *   (erasures have a null color, method 'erased' and the moderator as username)
+ */
+function getPixelHistory(canvasId, gridKey) {
+  try {
+    const stmt = db.prepare(`
+      SELECT id, color, username, method, placed_at AS placedAt 
+      FROM placements 
+      WHERE grid_key = ? AND canvas_id = ? 
+      ORDER BY id ASC
+    `);
+    return stmt.all(gridKey, canvasId);
+  } catch (error) {
+    console.error("Error getting pixel history:", error);
+    throw error;
+  }
+}
+
+/**
+ * Convert pixel rows to grid state
+ * @param {Array} rows - Rows with grid_key, color, username, placed_at
+ * @returns {Object} - Grid state object in format { "x,y": { color, username, placedAt } }
+ */
+function toGridState(rows) {
+  const gridState = {};
+  rows.forEach(pixel => {
+    gridState[pixel.grid_key] = {
+      color: pixel.color,
+      username: pixel.username,
+      placedAt: pixel.placed_at
+    };
+  });
+  return gridState;
+}
+
+/**
+ * Reconstruct a canvas as it was at a given moment from the placements log
+ * @param {number} canvasId - Canvas id
+ * @param {number} timestamp - Moment to reconstruct, in epoch milliseconds
+ * @returns {Object} - Grid state object in format { "x,y": { color, username, placedAt } }
+ */
+function loadPixelsAt(canvasId, timestamp) {
+  try {
+    // Latest placement per cell made at or before the requested time
+    // placed_at has second precision, so compare against the whole second
+    const stmt = db.prepare(`
+      SELECT p.grid_key, p.color, p.username, p.placed_at 
+      FROM placements p
+      JOIN (
+        SELECT grid_key, MAX(id) AS id 
+        FROM placements 
+        WHERE canvas_id = ? AND placed_at <= datetime(?, 'unixepoch') 
+        GROUP BY grid_key
+      ) latest ON latest.id = p.id
+      WHERE p.color IS NOT NULL
+    `);
+    return toGridState(stmt.all(canvasId, Math.floor(timestamp / 1000)));
+  } catch (error) {
+    console.error("Error loading pixels at time:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a page of a canvas's placements log in placement order
+ * @param {number} canvasId - Canvas id
+ * @param {number} afterId - Only return placements with a larger id (0 to start from the beginning)
+ * @param {number} limit - Maximum number of placements to return
+ * @returns {Array} - Placements: { id, key, color, username, placedAt } (color is null for erasures)
+ */
+function getPlacementsPage(canvasId, afterId, limit) {
+  try {
+    const stmt = db.prepare(`
+      SELECT id, grid_key AS key, color, username, placed_at AS placedAt 
+      FROM placements 
+      WHERE canvas_id = ? AND id > ? 
+      ORDER BY id ASC 
+      LIMIT ?
+    `);
+    return stmt.all(canvasId, afterId, limit);
+  } catch (error) {
+    console.error("Error getting placements page:", error);
+    throw error;
+  }
+}
+
+/**
+ * Load all pixels of a canvas from the database
+ * @param {number} canvasId - Canvas id
+ * @returns {Object} - Grid state object in format { "x,y": { color, username, placedAt } }
+ */
+function loadAllPixels(canvasId) {
+  try {
+    const stmt = db.prepare(`
+      SELECT grid_key, color, username, placed_at 
+      FROM pixels 
+      WHERE canvas_id = ? 
+      ORDER BY placed_at ASC
+    `);
+    return toGridState(stmt.all(canvasId));
+  } catch (error) {
+    console.error("Error loading pixels:", error);
+    throw error;
+  }
+}
+
+/**
+ * Check if a pixel exists at the given coordinates
+ * @param {number} canvasId - Canvas id
+ * @param {string} gridKey - Grid key in format "x,y"
+ * @returns {Object|null} - Pixel { key, x, y, color, username, placedAt } or null if not found
+ */
+function getPixel(canvasId, gridKey) {
+  try {
+    const stmt = db.prepare(`
+      SELECT grid_key AS key, x, y, color, username, placed_at AS placedAt 
+      FROM pixels 
+      WHERE canvas_id = ? AND grid_key = ?
+    `);
+    return stmt.get(canvasId, gridKey) || null;
+  } catch (error) {
+    console.error("Error getting pixel:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get pixel statistics across all canvases
+ * @returns {Object} - { totalPixels, uniqueUsers, firstPixelDate, latestPixelDate }
+ */
+function getPixelStats() {
+  try {
+    const stmt = db.prepare(`
+      SELECT 
+        COUNT(*) as totalPixels,
+        COUNT(DISTINCT username) as uniqueUsers,
+        MIN(placed_at) as firstPixelDate,
+        MAX(placed_at) as latestPixelDate
+      FROM pixels
+    `);
+    return stmt.get();
+  } catch (error) {
+    console.error("Error getting pixel stats:", error);
+    throw error;
+  }
+}
+
+/**
+ * Erase cells, logging each erasure in the placements log, in one transaction
+ * @param {number} canvasId - Canvas the cells are on
+ * @param {Array} cells - Cells to erase: { key, x, y }
+ * @param {string} username - Moderator erasing them
+ * @returns {number} - Number of cells that had a pixel and were erased
+ */
+function erasePixels(canvasId, cells, username) {
+  try {
+    const deleteStmt = db.prepare('DELETE FROM pixels WHERE canvas_id = ? AND grid_key = ?');
+    const logStmt = db.prepare(`
+      INSERT INTO placements (canvas_id, grid_key, x, y, color, username, method, placed_at) 
+      VALUES (?, ?, ?, ?, NULL, ?, 'erased', CURRENT_TIMESTAMP)
+    `);
+    const erase = db.transaction(() => {
+      let erased = 0;
+      for (const cell of cells) {
+        if (deleteStmt.run(canvasId, cell.key).changes > 0) {
+          logStmt.run(canvasId, cell.key, cell.x, cell.y, username);
+          erased++;
+        }
+      }
+      return erased;
+    });
+    return erase();
+  } catch (error) {
+    console.error("Error erasing pixels:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a page of a user's placements across all canvases, newest first
+ * @param {string} username - User to look up
+ * @param {number} limit - Maximum number of placements
+ * @param {number|null} [beforeId=null] - Only return placements older than this id (null for the latest)
+ * @returns {Array} - Placements { id, canvasId, key, color, method, placedAt }
+ */
+function getUserPlacements(username, limit, beforeId = null) {
+  try {
+    const stmt = db.prepare(`
+      SELECT id, canvas_id AS canvasId, grid_key AS key, color, method, placed_at AS placedAt 
+      FROM placements 
+      WHERE username = ? AND (? IS NULL OR id < ?) 
+      ORDER BY id DESC 
+      LIMIT ?
+    `);
+    return stmt.all(username, beforeId, beforeId, limit);
+  } catch (error) {
+    console.error("Error getting user placements:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a page of the placements a user made themselves on some canvases, newest first
+ * Erasures and rollbacks are left out: they are logged under the moderator who made them
+ * @param {string} username - User to look up
+ * @param {number[]} canvasIds - Canvases to include (e.g. those the viewer may see)
+ * @param {number} limit - Maximum number of placements
+ * @param {number|null} [beforeId=null] - Only return placements older than this id (null for the latest)
+ * @returns {Array} - Placements { id, canvasId, key, x, y, color, method, placedAt }
+ */
+function getPublicPlacements(username, canvasIds, limit, beforeId = null) {
+  try {
+    if (canvasIds.length === 0) return [];
+    const stmt = db.prepare(`
+      SELECT id, canvas_id AS canvasId, grid_key AS key, x, y, color, method, placed_at AS placedAt 
+      FROM placements 
+      WHERE username = ? AND method IN ('normal', 'purchased') 
+        AND canvas_id IN (SELECT value FROM json_each(?)) 
+        AND (? IS NULL OR id < ?) 
+      ORDER BY id DESC 
+      LIMIT ?
+    `);
+    return stmt.all(username, JSON.stringify(canvasIds), beforeId, beforeId, limit);
+  } catch (error) {
+    console.error("Error getting public placements:", error);
+    throw error;
+  }
+}
+
+/**
+ * Find the placements a rollback would revert
+ * Erasures and earlier rollbacks are never reverted themselves
+ * @param {number} canvasId - Canvas id
+ * @param {Object} filter - { username, region, from, to } (see validateRollbackFilter in rollback.js),
+ *   criteria that are null match everything
+ * @param {number} limit - Maximum number of placements
+ * @returns {Array} - Placements oldest first: { id, key, x, y }
+ */
+function getRevertiblePlacements(canvasId, { username, region, from, to }, limit) {
+  try {
+    // placed_at has second precision, so compare against whole seconds
+    const fromSeconds = from === null ? null : Math.floor(from / 1000);
+    const toSeconds = to === null ? null : Math.floor(to / 1000);
+    const stmt = db.prepare(`
+      SELECT id, grid_key AS key, x, y 
+      FROM placements 
+      WHERE canvas_id = ? AND method NOT IN ('erased', 'rollback') 
+        AND (? IS NULL OR username = ?) 
+        AND (? IS NULL OR (x BETWEEN ? AND ? AND y BETWEEN ? AND ?)) 
+        AND (? IS NULL OR placed_at >= datetime(?, 'unixepoch')) 
+        AND (? IS NULL OR placed_at <= datetime(?, 'unixepoch')) 
+      ORDER BY id ASC 
+      LIMIT ?
+    `);
+    const { x0 = null, y0 = null, x1 = null, y1 = null } = region || {};
+    return stmt.all(
+      canvasId,
+      username, username,
+      region ? 1 : null, x0, x1, y0, y1,
+      fromSeconds, fromSeconds,
+      toSeconds, toSeconds,
+      limit
+    );
+  } catch (error) {
+    console.error("Error finding placements to roll back:", error);
+    throw error;
+  }
+}
+
+/**
+ * Apply a rollback in one transaction: restore or clear each cell and log it with method 'rollback'
+ * Restored pixels keep their owner and original placement time
+ * @param {number} canvasId - Canvas id
+ * @param {Array} changes - From planRollback (see rollback.js): { key, x, y, restored }
+ * @param {string} username - Admin running the rollback, logged for cells that become empty
+ */
+function applyRollback(canvasId, changes, username) {
+  try {
+    const restoreStmt = db.prepare(`
+      INSERT OR REPLACE INTO pixels (canvas_id, grid_key, x, y, color, username, placed_at) 
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const deleteStmt = db.prepare('DELETE FROM pixels WHERE canvas_id = ? AND grid_key = ?');
+    const logStmt = db.prepare(`
+      INSERT INTO placements (canvas_id, grid_key, x, y, color, username, method, placed_at) 
+      VALUES (?, ?, ?, ?, ?, ?, 'rollback', CURRENT_TIMESTAMP)
+    `);
+    const rollback = db.transaction(() => {
+      for (const { key, x, y, restored } of changes) {
+        if (restored) {
+          restoreStmt.run(canvasId, key, x, y, restored.color, restored.username, restored.placedAt);
+          logStmt.run(canvasId, key, x, y, restored.color, restored.username);
+        } else {
+          deleteStmt.run(canvasId, key);
+          logStmt.run(canvasId, key, x, y, null, username);
+        }
+      }
+    });
+    rollback();
+  } catch (error) {
+    console.error("Error applying rollback:", error);
+    throw error;
+  }
+}
+
+// === PALETTES ===
+
+/**
+ * Convert a palettes row to the shape sent to clients
+ * @param {Object} row - Row from the palettes table
+ * @returns {Object} - Palette { id, name, colors, createdBy, createdAt, active }
+ */
+function toPalette(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    colors: JSON.parse(row.colors),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    active: !!row.is_active
+  };
+}
+
+/**
+ * Get the palette placements are currently validated against
+ * @returns {Object|null} - Active palette, or null if none is active
+ */
+function getActivePalette() {
+  try {
+    const stmt = db.prepare('SELECT * FROM palettes WHERE is_active = 1 ORDER BY id DESC LIMIT 1');
+    const row = stmt.get();
+    return row ? toPalette(row) : null;
+  } catch (error) {
+    console.error("Error getting active palette:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a palette by id
+ * @param {number} id - Palette id
+ * @returns {Object|null} - Palette, or null if not found
+ */
+function getPaletteById(id) {
+  try {
+    const stmt = db.prepare('SELECT * FROM palettes WHERE id = ?');
+    const row = stmt.get(id);
+    return row ? toPalette(row) : null;
+  } catch (error) {
+    console.error("Error getting palette:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get all published palettes, newest first
+ * @returns {Array} - Palettes
+ */
+function getAllPalettes() {
+  try {
+    const stmt = db.prepare('SELECT * FROM palettes ORDER BY id DESC');
+    return stmt.all().map(toPalette);
+  } catch (error) {
+    console.error("Error getting palettes:", error);
+    throw error;
+  }
+}
+
+/**
+ * Publish a new palette
+ * @param {string} name - Display name
+ * @param {string[]} colors - Normalised "#rrggbb" colours
+ * @param {string} createdBy - Username of the admin publishing it
+ * @returns {Object} - The stored palette (inactive until activated)
+ */
+function createPalette(name, colors, createdBy) {
+  try {
+    const stmt = db.prepare('INSERT INTO palettes (name, colors, created_by) VALUES (?, ?, ?)');
+    const result = stmt.run(name, JSON.stringify(colors), createdBy);
+    return getPaletteById(result.lastInsertRowid);
+  } catch (error) {
+    console.error("Error creating palette:", error);
+    throw error;
+  }
+}
+
+/**
+ * Make a palette the active one, deactivating all others
+ * @param {number} id - Palette id
+ * @returns {Object|null} - The activated palette, or null if not found
+ */
+function activatePalette(id) {
+  try {
+    const activate = db.transaction(() => {
+      const result = db.prepare('UPDATE palettes SET is_active = 1 WHERE id = ?').run(id);
+      if (result.changes === 0) return false;
+      db.prepare('UPDATE palettes SET is_active = 0 WHERE id != ?').run(id);
+      return true;
+    });
+    return activate() ? getPaletteById(id) : null;
+  } catch (error) {
+    console.error("Error activating palette:", error);
+    throw error;
+  }
+}
+
+// === CANVASES ===
+
+/**
+ * Convert a canvases row to the shape used by the server and sent to clients
+ * @param {Object} row - Row from the canvases table
+ * @returns {Object} - Canvas { id, slug, title, width, height, paletteId, cooldownMs, visibility, expiresAt, createdBy, createdAt }
+ */
+function toCanvas(row) {
+  return {
+    id: row.id,
+    slug: row.slug,
+    title: row.title,
+    width: row.width,
+    height: row.height,
+    paletteId: row.palette_id,
+    cooldownMs: row.cooldown_ms,
+    visibility: row.visibility,
+    expiresAt: row.expires_at,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Get every canvas, oldest first
+ * @returns {Array} - Canvases
+ */
+function getAllCanvases() {
+  try {
+    const stmt = db.prepare('SELECT * FROM canvases ORDER BY id ASC');
+    return stmt.all().map(toCanvas);
+  } catch (error) {
+    console.error("Error getting canvases:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a canvas by id
+ * @param {number} id - Canvas id
+ * @returns {Object|null} - Canvas, or null if not found
+ */
+function getCanvasById(id) {
+  try {
+    const stmt = db.prepare('SELECT * FROM canvases WHERE id = ?');
+    const row = stmt.get(id);
+    return row ? toCanvas(row) : null;
+  } catch (error) {
+    console.error("Error getting canvas:", error);
+    throw error;
+  }
+}
+
+/**
+ * Count the canvases a user has created
+ * @param {string} username - Creator
+ * @returns {number} - Number of canvases
+ */
+function countCanvasesCreatedBy(username) {
+  try {
+    const stmt = db.prepare('SELECT COUNT(*) as count FROM canvases WHERE created_by = ?');
+    return stmt.get(username).count;
+  } catch (error) {
+    console.error("Error counting canvases:", error);
+    throw error;
+  }
+}
+
+/**
+ * Create a canvas and make its creator the owner
+ * @param {Object} settings - Validated { slug, title, width, height, cooldownMs, visibility, expiresAt }
+ * @param {number} paletteId - Palette the canvas starts with
+ * @param {string} createdBy - Username of the creator
+ * @returns {Object} - The stored canvas
+ */
+function createCanvas(settings, paletteId, createdBy) {
+  try {
+    const create = db.transaction(() => {
+      const result = db.prepare(`
+        INSERT INTO canvases (slug, title, width, height, palette_id, cooldown_ms, visibility, expires_at, created_by) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        settings.slug, settings.title, settings.width, settings.height, paletteId,
+        settings.cooldownMs, settings.visibility, settings.expiresAt, createdBy
+      );
+      db.prepare("INSERT INTO canvas_members (canvas_id, username, role) VALUES (?, ?, 'owner')")
+        .run(result.lastInsertRowid, createdBy);
+      return result.lastInsertRowid;
+    });
+    return getCanvasById(create());
+  } catch (error) {
+    console.error("Error creating canvas:", error);
+    throw error;
+  }
+}
+
+/**
+ * Update a canvas's size and cooldown
+ * Used to keep the main canvas in line with the server configuration
+ * @param {number} id - Canvas id
+ * @param {Object} settings - { width, height, cooldownMs }
+ * @returns {Object|null} - The updated canvas, or null if not found
+ */
+function updateCanvasSettings(id, { width, height, cooldownMs }) {
+  try {
+    const stmt = db.prepare('UPDATE canvases SET width = ?, height = ?, cooldown_ms = ? WHERE id = ?');
+    stmt.run(width, height, cooldownMs, id);
+    return getCanvasById(id);
+  } catch (error) {
+    console.error("Error updating canvas settings:", error);
+    throw error;
+  }
+}
+
+/**
+ * Switch the palette a canvas validates placements against
+ * @param {number} id - Canvas id
+ * @param {number} paletteId - Palette id
+ * @returns {Object|null} - The updated canvas, or null if not found
+ */
+function setCanvasPalette(id, paletteId) {
+  try {
+    const stmt = db.prepare('UPDATE canvases SET palette_id = ? WHERE id = ?');
+    stmt.run(paletteId, id);
+    return getCanvasById(id);
+  } catch (error) {
+    console.error("Error setting canvas palette:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's role on a canvas
+ * @param {number} canvasId - Canvas id
+ * @param {string} username - Username to look up
+ * @returns {string|null} - 'owner', 'member', or null if not a member
+ */
+function getCanvasRole(canvasId, username) {
+  try {
+    const stmt = db.prepare('SELECT role FROM canvas_members WHERE canvas_id = ? AND username = ?');
+    const row = stmt.get(canvasId, username);
+    return row ? row.role : null;
+  } catch (error) {
+    console.error("Error getting canvas role:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the canvases a user belongs to
+ * @param {string} username - Username to look up
+ * @returns {Object} - Map of canvas id -> role
+ */
+function getCanvasRolesForUser(username) {
+  try {
+    const stmt = db.prepare('SELECT canvas_id, role FROM canvas_members WHERE username = ?');
+    return Object.fromEntries(stmt.all(username).map(row => [row.canvas_id, row.role]));
+  } catch (error) {
+    console.error("Error getting canvas roles:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the members of a canvas, owners first
+ * @param {number} canvasId - Canvas id
+ * @returns {Array} - Members { username, role, addedAt }
+ */
+function getCanvasMembers(canvasId) {
+  try {
+    const stmt = db.prepare(`
+      SELECT username, role, added_at AS addedAt 
+      FROM canvas_members 
+      WHERE canvas_id = ? 
+      ORDER BY role = 'owner' DESC, username ASC
+    `);
+    return stmt.all(canvasId);
+  } catch (error) {
+    console.error("Error getting canvas members:", error);
+    throw error;
+  }
+}
+
+/**
+ * Add a member to a canvas, or change an existing member's role
+ * @param {number} canvasId - Canvas id
+ * @param {string} username - User to add
+ * @param {string} role - 'owner' or 'member'
+ */
+function setCanvasMember(canvasId, username, role) {
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO canvas_members (canvas_id, username, role) 
+      VALUES (?, ?, ?)
+      ON CONFLICT(canvas_id, username) DO UPDATE SET role = excluded.role
+    `);
+    stmt.run(canvasId, username, role);
+  } catch (error) {
+    console.error("Error setting canvas member:", error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a member from a canvas
+ * @param {number} canvasId - Canvas id
+ * @param {string} username - User to remove
+ * @returns {boolean} - Whether the user was a member
+ */
+function removeCanvasMember(canvasId, username) {
+  try {
+    const stmt = db.prepare('DELETE FROM canvas_members WHERE canvas_id = ? AND username = ?');
+    return stmt.run(canvasId, username).changes > 0;
+  } catch (error) {
+    console.error("Error removing canvas member:", error);
+    throw error;
+  }
+}
+
+// === CHAT ===
+
+/**
+ * Store a chat message
+ * @param {string} username - Author
+ * @param {string} text - Message text (already validated)
+ * @returns {Object} - Stored message { id, username, text, createdAt }
+ */
+function saveChatMessage(username, text) {
+  try {
+    const stmt = db.prepare('INSERT INTO chat_messages (username, text) VALUES (?, ?)');
+    const result = stmt.run(username, text);
+    return db.prepare('SELECT id, username, text, created_at AS createdAt FROM chat_messages WHERE id = ?').get(result.lastInsertRowid);
+  } catch (error) {
+    console.error("Error saving chat message:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a page of chat history, oldest first
+ * @param {number} limit - Maximum number of messages
+ * @param {number|null} [beforeId=null] - Only return messages older than this id (null for the latest)
+ * @returns {Array} - Messages { id, username, text, createdAt }
+ */
+function getChatMessages(limit, beforeId = null) {
+  try {
+    const stmt = db.prepare(`
+      SELECT id, username, text, created_at AS createdAt 
+      FROM chat_messages 
+      WHERE ? IS NULL OR id < ? 
+      ORDER BY id DESC 
+      LIMIT ?
+    `);
+    return stmt.all(beforeId, beforeId, limit).reverse();
+  } catch (error) {
+    console.error("Error getting chat messages:", error);
+    throw error;
+  }
+}
+
+// === SESSIONS ===
+
+/**
+ * Store a new refresh token
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @param {string} username - Owner of the session
+ * @param {string} sessionId - Session the token belongs to
+ * @param {number} expiresAt - Expiry in epoch milliseconds
+ * @returns {number} - Id of the stored token
+ */
+function saveRefreshToken(tokenHash, username, sessionId, expiresAt) {
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO refresh_tokens (token_hash, session_id, username, expires_at) 
+      VALUES (?, ?, ?, ?)
+    `);
+    return stmt.run(tokenHash, sessionId, username, expiresAt).lastInsertRowid;
+  } catch (error) {
+    console.error("Error saving refresh token:", error);
+    throw error;
+  }
+}
+
+/**
+ * Look up a refresh token by its hash, including revoked and expired ones
+ * @param {string} tokenHash - SHA-256 hash of the token
+ * @returns {Object|null} - { id, username, sessionId, expiresAt, revokedAt, createdAt } or null if unknown
+ */
+function findRefreshToken(tokenHash) {
+  try {
+    const stmt = db.prepare(`
+      SELECT id, username, session_id AS sessionId, expires_at AS expiresAt, revoked_at AS revokedAt, created_at AS createdAt 
+      FROM refresh_tokens 
+      WHERE token_hash = ?
+    `);
+    return stmt.get(tokenHash) || null;
+  } catch (error) {
+    console.error("Error finding refresh token:", error);
+    throw error;
+  }
+}
+
+/**
+ * Replace a refresh token with a new one in the same session
+ * @param {number} id - Id of the token being used
+ * @param {string} newTokenHash - SHA-256 hash of the replacement
+ * @param {number} expiresAt - Expiry of the replacement in epoch milliseconds
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {boolean} - False if the old token was already revoked (e.g. by a concurrent refresh)
+ */
+function rotateRefreshToken(id, newTokenHash, expiresAt, now) {
+  try {
+    const rotate = db.transaction(() => {
+      const revoked = db.prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(now, id);
+      if (revoked.changes === 0) return false;
+      db.prepare(`
+        INSERT INTO refresh_tokens (token_hash, session_id, username, expires_at) 
+        SELECT ?, session_id, username, ? FROM refresh_tokens WHERE id = ?
+      `).run(newTokenHash, expiresAt, id);
+      return true;
+    });
+    return rotate();
+  } catch (error) {
+    console.error("Error rotating refresh token:", error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke every refresh token of a session
+ * @param {string} sessionId - Session to end
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {number} - Number of tokens revoked
+ */
+function revokeSession(sessionId, now) {
+  try {
+    const stmt = db.prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE session_id = ? AND revoked_at IS NULL');
+    return stmt.run(now, sessionId).changes;
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke every session of a user, except optionally one
+ * @param {string} username - User whose sessions end
+ * @param {number} now - Current time in epoch milliseconds
+ * @param {string|null} [exceptSessionId=null] - Session to keep (e.g. the one making the request)
+ * @returns {string[]} - Ids of the sessions revoked
+ */
+function revokeUserSessions(username, now, exceptSessionId = null) {
+  try {
+    const revoke = db.transaction(() => {
+      const sessions = db.prepare(`
+        SELECT DISTINCT session_id AS sessionId FROM refresh_tokens 
+        WHERE username = ? AND revoked_at IS NULL AND session_id IS NOT ?
+      `).all(username, exceptSessionId).map(row => row.sessionId);
+      db.prepare('UPDATE refresh_tokens SET revoked_at = ? WHERE username = ? AND revoked_at IS NULL AND session_id IS NOT ?')
+        .run(now, username, exceptSessionId);
+      return sessions;
+    });
+    return revoke();
+  } catch (error) {
+    console.error("Error revoking user sessions:", error);
+    throw error;
+  }
+}
+
+/**
+ * Check whether a session still has a usable refresh token
+ * Access tokens of sessions that are no longer active are rejected
+ * @param {string} sessionId - Session id from the access token
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {boolean}
+ */
+function isSessionActive(sessionId, now) {
+  try {
+    const stmt = db.prepare(`
+      SELECT 1 FROM refresh_tokens 
+      WHERE session_id = ? AND revoked_at IS NULL AND expires_at > ? 
+      LIMIT 1
+    `);
+    return !!stmt.get(sessionId, now);
+  } catch (error) {
+    console.error("Error checking session:", error);
+    throw error;
+  }
+}
+
+/**
+ * Delete refresh tokens past their expiry (revoked ones are kept until then to detect reuse)
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {number} - Number of tokens deleted
+ */
+function deleteExpiredRefreshTokens(now) {
+  try {
+    const stmt = db.prepare('DELETE FROM refresh_tokens WHERE expires_at <= ?');
+    return stmt.run(now).changes;
+  } catch (error) {
+    console.error("Error deleting expired refresh tokens:", error);
+    throw error;
+  }
+}
+
+// === AUDIT LOG ===
+
+/**
+ * Convert an audit_log row to the shape sent to clients
+ * @param {Object} row - Row from the audit_log table
+ * @returns {Object} - Entry { id, actor, action, canvasId, target, details, createdAt }
+ */
+function toAuditEntry(row) {
+  return {
+    id: row.id,
+    actor: row.actor,
+    action: row.action,
+    canvasId: row.canvas_id,
+    target: row.target,
+    details: row.details ? JSON.parse(row.details) : null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Record a moderator action in the audit log
+ * @param {Object} entry - What happened
+ * @param {string} entry.actor - Moderator or admin who acted
+ * @param {string} entry.action - One of AUDIT_ACTIONS (see moderation.js)
+ * @param {number|null} [entry.canvasId] - Canvas acted on
+ * @param {string|null} [entry.target] - User acted on
+ * @param {Object|null} [entry.details] - Anything else worth keeping, stored as JSON
+ * @returns {number} - Id of the new entry
+ */
+function addAuditEntry({ actor, action, canvasId = null, target = null, details = null }) {
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO audit_log (actor, action, canvas_id, target, details) 
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return stmt.run(actor, action, canvasId, target, details ? JSON.stringify(details) : null).lastInsertRowid;
+  } catch (error) {
+    console.error("Error adding audit log entry:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a page of the audit log, newest first
+ * @param {number} limit - Maximum number of entries
+ * @param {number|null} [beforeId=null] - Only return entries older than this id (null for the latest)
+ * @returns {Array} - Entries (see toAuditEntry)
+ */
+function getAuditLog(limit, beforeId = null) {
+  try {
+    const stmt = db.prepare(`
+      SELECT * FROM audit_log 
+      WHERE ? IS NULL OR id < ? 
+      ORDER BY id DESC 
+      LIMIT ?
+    `);
+    return stmt.all(beforeId, beforeId, limit).map(toAuditEntry);
+  } catch (error) {
+    console.error("Error getting audit log:", error);
+    throw error;
+  }
+}
+
+// === SANCTIONS ===
+
+/**
+ * Convert a sanctions row to the shape used by the server
+ * @param {Object} row - Row from the sanctions table
+ * @returns {Object} - Sanction { id, username, type, reason, createdBy, createdAt, expiresAt, liftedAt, liftedBy }
+ */
+function toSanction(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    type: row.type,
+    reason: row.reason,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    liftedAt: row.lifted_at,
+    liftedBy: row.lifted_by
+  };
+}
+
+/**
+ * Record a ban, suspension or mute
+ * @param {Object} sanction - { username, type, reason, expiresAt, createdBy }; expiresAt is epoch ms or null
+ * @returns {Object} - Stored sanction
+ */
+function addSanction({ username, type, reason, expiresAt, createdBy }) {
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO sanctions (username, type, reason, created_by, expires_at) 
+      VALUES (?, ?, ?, ?, ?)
+    `);
+    return getSanctionById(stmt.run(username, type, reason, createdBy, expiresAt).lastInsertRowid);
+  } catch (error) {
+    console.error("Error adding sanction:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a sanction by id
+ * @param {number} id - Sanction id
+ * @returns {Object|null} - Sanction, or null if not found
+ */
+function getSanctionById(id) {
+  try {
+    const row = db.prepare('SELECT * FROM sanctions WHERE id = ?').get(id);
+    return row ? toSanction(row) : null;
+  } catch (error) {
+    console.error("Error getting sanction:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the sanctions in force for a user
+ * @param {string} username - User to check
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {Array} - Sanctions that are neither lifted nor expired, newest first
+ */
+function getActiveSanctions(username, now) {
+  try {
+    const stmt = db.prepare(`
+      SELECT * FROM sanctions 
+      WHERE username = ? AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?) 
+      ORDER BY id DESC
+    `);
+    return stmt.all(username, now).map(toSanction);
+  } catch (error) {
+    console.error("Error getting active sanctions:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get a page of sanctions, newest first
+ * @param {Object} filter - { username, activeAt }: only one user's, only those in force at activeAt (epoch ms); null for all
+ * @param {number} limit - Maximum number of sanctions
+ * @param {number|null} [beforeId=null] - Only return sanctions older than this id (null for the latest)
+ * @returns {Array} - Sanctions
+ */
+function getSanctions({ username = null, activeAt = null }, limit, beforeId = null) {
+  try {
+    const stmt = db.prepare(`
+      SELECT * FROM sanctions 
+      WHERE (? IS NULL OR username = ?) 
+        AND (? IS NULL OR (lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?))) 
+        AND (? IS NULL OR id < ?) 
+      ORDER BY id DESC 
+      LIMIT ?
+    `);
+    return stmt.all(username, username, activeAt, activeAt, beforeId, beforeId, limit).map(toSanction);
+  } catch (error) {
+    console.error("Error getting sanctions:", error);
+    throw error;
+  }
+}
+
+/**
+ * Lift a sanction before it expires
+ * @param {number} id - Sanction id
+ * @param {string} liftedBy - Moderator lifting it
+ * @param {number} now - Current time in epoch milliseconds
+ * @returns {boolean} - False if it doesn't exist or was already lifted or expired
+ */
+function liftSanction(id, liftedBy, now) {
+  try {
+    const stmt = db.prepare(`
+      UPDATE sanctions SET lifted_at = ?, lifted_by = ? 
+      WHERE id = ? AND lifted_at IS NULL AND (expires_at IS NULL OR expires_at > ?)
+    `);
+    return stmt.run(now, liftedBy, id, now).changes > 0;
+  } catch (error) {
+    console.error("Error lifting sanction:", error);
+    throw error;
+  }
+}
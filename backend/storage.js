@@ -0,0 +1,68 @@
+/**
+ * Storage Layer
+ * One repository interface for everything the server persists, with two implementations:
+ *   sqlite - ./data/database.sqlite (sqliteStorage.js), the default
+ *   memory - plain in-process maps (memoryStorage.js), lost on restart; for tests and quick local runs
+ * Both return the same camelCase records, so callers never see table column names
+ *
+ * The interface (every function is synchronous):
+ *   Users      findUserByUsername, isUsernameTaken, addUser, incrementUserPixels, updateUserOnlineStatus,
+ *              overwriteUserData, getAllUsersForLeaderboard, getLeaderboardScores, setUserRole, countUsersWithRole,
+ *              setDisplayName, setUserPassword, deleteUser
+ *   Pixels     getLastPlacementTime, setLastPlacementTime, savePixel, getPixelHistory, loadPixelsAt,
+ *              getPlacementsPage, loadAllPixels, getPixel, getPixelStats, erasePixels, getUserPlacements,
+ *              getPublicPlacements, getRevertiblePlacements, applyRollback
+ *   Palettes   getActivePalette, getPaletteById, getAllPalettes, createPalette, activatePalette
+ *   Canvases   getAllCanvases, getCanvasById, countCanvasesCreatedBy, createCanvas, updateCanvasSettings,
+ *              setCanvasPalette, getCanvasRole, getCanvasRolesForUser, getCanvasMembers, setCanvasMember,
+ *              removeCanvasMember
+ *   Chat       saveChatMessage, getChatMessages
+ *   Sessions   saveRefreshToken, findRefreshToken, rotateRefreshToken, revokeSession, revokeUserSessions,
+ *              isSessionActive, deleteExpiredRefreshTokens
+ *   Audit log  addAuditEntry, getAuditLog
+ *   Sanctions  addSanction, getSanctionById, getActiveSanctions, getSanctions, liftSanction
+ * See sqliteStorage.js for the documentation of each function
+ */
+
+import { createSqliteStorage } from './sqliteStorage.js';
+import { createMemoryStorage } from './memoryStorage.js';
+
+/**
+ * @typedef {Object} User
+ * @property {number} id
+ * @property {string} username
+ * @property {string|null} password - bcrypt hash, null for deleted accounts
+ * @property {number} pixelsPlaced
+ * @property {number} totalContributions
+ * @property {string} joinedAt - "YYYY-MM-DD HH:MM:SS" (UTC)
+ * @property {string} lastActive - "YYYY-MM-DD HH:MM:SS" (UTC)
+ * @property {boolean} isOnline
+ * @property {string} role - Site-wide role: "user", "moderator" or "admin"
+ * @property {string|null} data - Free-form JSON string
+ * @property {string|null} displayName - Shown instead of the username when set
+ * @property {string|null} deletedAt - "YYYY-MM-DD HH:MM:SS" (UTC) for deleted accounts (see deleteUser), null otherwise
+ */
+
+// Implementations by driver name
+const DRIVERS = {
+  sqlite: createSqliteStorage,
+  memory: createMemoryStorage
+};
+
+export const STORAGE_DRIVERS = Object.keys(DRIVERS);
+
+/**
+ * Create the storage implementation for a driver
+ * @param {string} [driver='sqlite'] - One of STORAGE_DRIVERS
+ * @returns {Promise<Object>} - Storage implementing the interface above
+ * @throws {Error} - For unknown drivers, or if the implementation can't start (e.g. pending migrations)
+ */
+export async function createStorage(driver = 'sqlite') {
+  const create = DRIVERS[driver];
+  if (!create) {
+    throw new Error(`Unknown storage driver "${driver}" (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+  }
+  const storage = await create();
+  console.log(`🗄️  Using ${driver} storage`);
+  return storage;
+}
@@ -0,0 +1,117 @@
+/**
+ * Tests for account self-service: display name, password change and deleting the account
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, PASSWORD } from "./helpers/server.js";
+
+const NEW_PASSWORD = "Another-456";
+
+let server;
+
+before(async () => {
+  server = await startServer({ ADMIN_USERNAMES: "root1,root2", PLACEMENT_COOLDOWN_MS: "1" });
+});
+
+after(() => {
+  server.stop();
+});
+
+/**
+ * Place a pixel on the main canvas
+ * @param {string} token - Access token of the painter
+ * @param {string} key - Grid key
+ */
+async function paint(token, key) {
+  const socket = await server.connect(token);
+  socket.send({ type: "colorCell", requestId: key, key, color: "#ff4500" });
+  assert.equal((await socket.next("placementResult")).ok, true);
+  socket.close();
+}
+
+/**
+ * Look up the current pixel of a cell
+ * @param {string} token - Access token
+ * @param {string} key - Grid key "x,y"
+ * @returns {Promise<Object|null>} - { color, username } or null
+ */
+async function currentPixel(token, key) {
+  const [x, y] = key.split(",");
+  return (await server.request("GET", `/api/pixels/${x}/${y}/history`, undefined, token)).body.current;
+}
+
+test("the display name can be set and cleared", async () => {
+  const { token } = await server.register("nicknamed");
+  const set = await server.request("PATCH", "/api/profile", { displayName: "  Nick  " }, token);
+  assert.deepEqual(set.body, { username: "nicknamed", displayName: "Nick" });
+  assert.equal((await server.request("GET", "/api/profile", undefined, token)).body.displayName, "Nick");
+
+  await server.request("PATCH", "/api/profile", { displayName: "" }, token);
+  assert.equal((await server.request("GET", "/api/profile", undefined, token)).body.displayName, null);
+  assert.equal((await server.request("PATCH", "/api/profile", { displayName: 42 }, token)).status, 400);
+});
+
+test("changing the password logs out every other session", async () => {
+  const first = await server.register("rotator");
+  const second = (await server.request("POST", "/login", { username: "rotator", password: PASSWORD })).body;
+
+  const wrong = await server.request("PUT", "/api/profile/password", { currentPassword: "Wrong-123", newPassword: NEW_PASSWORD }, second.token);
+  assert.equal(wrong.status, 403);
+  const weak = await server.request("PUT", "/api/profile/password", { currentPassword: PASSWORD, newPassword: "short" }, second.token);
+  assert.equal(weak.status, 400);
+  assert.ok(weak.body.fields.newPassword);
+
+  const changed = await server.request("PUT", "/api/profile/password", { currentPassword: PASSWORD, newPassword: NEW_PASSWORD }, second.token);
+  assert.equal(changed.status, 200);
+  assert.equal((await server.request("GET", "/api/profile", undefined, second.token)).status, 200);
+  assert.equal((await server.request("GET", "/api/profile", undefined, first.token)).status, 403);
+  assert.equal((await server.request("POST", "/login", { username: "rotator", password: PASSWORD })).status, 401);
+  assert.equal((await server.request("POST", "/login", { username: "rotator", password: NEW_PASSWORD })).status, 200);
+});
+
+test("deleting an account needs the password and a choice for the pixels", async () => {
+  const { token } = await server.register("hesitant");
+  assert.equal((await server.request("DELETE", "/api/profile", { password: PASSWORD }, token)).status, 400);
+  assert.equal((await server.request("DELETE", "/api/profile", { pixels: "erase" }, token)).status, 400);
+  const wrong = await server.request("DELETE", "/api/profile", { password: "Wrong-123", pixels: "erase" }, token);
+  assert.equal(wrong.status, 403);
+  assert.equal((await server.request("GET", "/api/profile", undefined, token)).status, 200);
+});
+
+test("an anonymised account's pixels stay under a placeholder and the name is free again", async () => {
+  const { token } = await server.register("leaver");
+  await paint(token, "20,20");
+  const viewer = (await server.register("onlooker")).token;
+
+  const deleted = await server.request("DELETE", "/api/profile", { password: PASSWORD, pixels: "anonymise" }, token);
+  assert.deepEqual(deleted.body, { message: "Account deleted", erased: 0 });
+  assert.equal((await server.request("GET", "/api/profile", undefined, token)).status, 403);
+  assert.equal((await server.request("POST", "/login", { username: "leaver", password: PASSWORD })).status, 401);
+
+  const pixel = await currentPixel(viewer, "20,20");
+  assert.equal(pixel.color, "#ff4500");
+  assert.match(pixel.username, /^\[deleted-\d+\]$/);
+  assert.equal((await server.request("GET", "/api/users/leaver", undefined, viewer)).status, 404);
+  await server.register("leaver");
+});
+
+test("an erased account's pixels are cleared", async () => {
+  const { token } = await server.register("eraser");
+  await paint(token, "21,21");
+  const viewer = (await server.register("witness")).token;
+
+  const deleted = await server.request("DELETE", "/api/profile", { password: PASSWORD, pixels: "erase" }, token);
+  assert.equal(deleted.body.erased, 1);
+  assert.equal(await currentPixel(viewer, "21,21"), null);
+});
+
+test("admins can delete their account unless they are the last admin", async () => {
+  const first = await server.register("root1");
+  const second = await server.register("root2");
+
+  assert.equal((await server.request("DELETE", "/api/profile", { password: PASSWORD, pixels: "anonymise" }, first.token)).status, 200);
+  const last = await server.request("DELETE", "/api/profile", { password: PASSWORD, pixels: "anonymise" }, second.token);
+  assert.equal(last.status, 400);
+  assert.match(last.body.error, /last admin/);
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for the binary pixel update protocol (binaryProtocol.js and the frontend decoder)
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { encodeCellUpdates, BINARY_PROTOCOL, ERASED_COLOR_INDEX } from "../binaryProtocol.js";
+import { decodeCellUpdates } from "../../frontend/src/binaryProtocol.js";
+import { startServer } from "./helpers/server.js";
+
+const BATCH_MS = 1000;
+
+let server;
+
+before(async () => {
+  server = await startServer({ BINARY_BATCH_MS: String(BATCH_MS) });
+});
+
+after(() => {
+  server.stop();
+});
+
+/**
+ * Decode a frame the way the browser receives it
+ * @param {Buffer} frame - Frame from encodeCellUpdates or the server
+ * @returns {Array|null} - Decoded updates
+ */
+function decode(frame) {
+  return decodeCellUpdates(frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.byteLength));
+}
+
+test("frames decode to the updates they were encoded from", () => {
+  const updates = [
+    { seq: 1, x: 0, y: 0, colorIndex: 0, userId: 1 },
+    { seq: 0xffffffff, x: 0xffff, y: 4095, colorIndex: ERASED_COLOR_INDEX, userId: 0xffffffff },
+    { seq: 42, x: 17, y: 9, colorIndex: 31, userId: 0 }
+  ];
+  assert.deepEqual(decode(encodeCellUpdates(updates)), updates);
+  assert.deepEqual(decode(encodeCellUpdates([])), []);
+
+  // A missing user id is sent as 0 (unknown user)
+  assert.equal(decode(encodeCellUpdates([{ seq: 1, x: 1, y: 1, colorIndex: 1 }]))[0].userId, 0);
+});
+
+test("unknown and truncated frames are rejected", () => {
+  const frame = encodeCellUpdates([{ seq: 1, x: 2, y: 3, colorIndex: 4, userId: 5 }]);
+  assert.equal(decode(frame.subarray(0, frame.length - 1)), null);
+  assert.equal(decode(frame.subarray(0, 2)), null);
+  const unknown = Buffer.from(frame);
+  unknown[0] = 99;
+  assert.equal(decode(unknown), null);
+});
+
+test("binary clients get batched frames, with the users they mention announced first", async () => {
+  const { token } = await server.register("binpainter");
+  const painter = await server.connect(token);
+  const watcher = await server.connect(null, { protocol: BINARY_PROTOCOL });
+  watcher.send({ type: "subscribe", chunks: ["0,0"] });
+  await watcher.next("chunkData");
+
+  painter.send({ type: "colorCell", requestId: 1, key: "4,5", color: "#ff4500" });
+  assert.equal((await painter.next("placementResult")).ok, true);
+
+  const users = await watcher.next("users", BATCH_MS * 3);
+  const frame = await watcher.next(message => message.binary, BATCH_MS * 3);
+  const [update] = decode(frame.binary);
+  assert.equal(users.users[update.userId], "binpainter");
+  assert.deepEqual({ x: update.x, y: update.y }, { x: 4, y: 5 });
+  assert.equal(watcher.init.palette.colors[update.colorIndex], "#ff4500");
+});
@@ -0,0 +1,44 @@
+/**
+ * Tests for canvas bounds and grid key parsing (canvas.js)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseGridKey, parseCanvasKey, isInBounds, loadCanvasConfig, DEFAULT_CANVAS_WIDTH, DEFAULT_CANVAS_HEIGHT, MAX_CANVAS_DIMENSION } from "../canvas.js";
+
+const canvas = { width: 100, height: 50 };
+
+test("grid keys must be two canonical non-negative integers", () => {
+  assert.deepEqual(parseGridKey("0,0"), { x: 0, y: 0 });
+  assert.deepEqual(parseGridKey("12,345"), { x: 12, y: 345 });
+  for (const key of ["-1,0", "+1,0", "01,0", "1.5,0", "1,", ",1", "1,2,3", " 1,2", "1, 2", "1e2,0", "1234567890,0", "", null, 12, ["1", "2"]]) {
+    assert.equal(parseGridKey(key), null, `key ${JSON.stringify(key)}`);
+  }
+});
+
+test("canvas keys must also lie on the canvas", () => {
+  assert.deepEqual(parseCanvasKey("0,0", canvas), { x: 0, y: 0 });
+  assert.deepEqual(parseCanvasKey("99,49", canvas), { x: 99, y: 49 });
+  assert.equal(parseCanvasKey("100,0", canvas), null);
+  assert.equal(parseCanvasKey("0,50", canvas), null);
+  assert.equal(parseCanvasKey("-1,0", canvas), null);
+  assert.equal(parseCanvasKey("a,b", canvas), null);
+});
+
+test("isInBounds only accepts integer cells inside the canvas", () => {
+  assert.equal(isInBounds(0, 0, canvas), true);
+  assert.equal(isInBounds(99, 49, canvas), true);
+  assert.equal(isInBounds(100, 49, canvas), false);
+  assert.equal(isInBounds(-1, 0, canvas), false);
+  assert.equal(isInBounds(1.5, 0, canvas), false);
+  assert.equal(isInBounds("1", 0, canvas), false);
+});
+
+test("the canvas size comes from CANVAS_WIDTH and CANVAS_HEIGHT", () => {
+  assert.deepEqual(loadCanvasConfig({}), { width: DEFAULT_CANVAS_WIDTH, height: DEFAULT_CANVAS_HEIGHT });
+  assert.deepEqual(loadCanvasConfig({ CANVAS_WIDTH: "640", CANVAS_HEIGHT: "" }), { width: 640, height: DEFAULT_CANVAS_HEIGHT });
+  assert.deepEqual(loadCanvasConfig({ CANVAS_WIDTH: String(MAX_CANVAS_DIMENSION), CANVAS_HEIGHT: "1" }), { width: MAX_CANVAS_DIMENSION, height: 1 });
+  for (const value of ["0", "-5", "12.5", "wide", String(MAX_CANVAS_DIMENSION + 1)]) {
+    assert.throws(() => loadCanvasConfig({ CANVAS_WIDTH: value }), /between 1 and/, value);
+  }
+});
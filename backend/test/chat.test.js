@@ -0,0 +1,78 @@
+/**
+ * Tests for the chat channel: message validation (chat.js), sending over the socket and history
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { sanitizeChatText, CHAT_MAX_LENGTH } from "../chat.js";
+import { DEFAULT_RATE_LIMITS } from "../rateLimiter.js";
+import { startServer } from "./helpers/server.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+test("chat text is trimmed, stripped of control characters and length checked", () => {
+  assert.deepEqual(sanitizeChatText("  hello (12, 34)  "), { text: "hello (12, 34)" });
+  assert.deepEqual(sanitizeChatText("line\nbreak\u0007"), { text: "line break" });
+  assert.deepEqual(sanitizeChatText("é 🎨"), { text: "é 🎨" });
+  assert.equal(sanitizeChatText("x".repeat(CHAT_MAX_LENGTH)).text.length, CHAT_MAX_LENGTH);
+  assert.match(sanitizeChatText("x".repeat(CHAT_MAX_LENGTH + 1)).error, /limited/);
+  assert.match(sanitizeChatText(" \t\n ").error, /empty/);
+  assert.match(sanitizeChatText(42).error, /text/);
+  assert.match(sanitizeChatText(undefined).error, /text/);
+});
+
+test("messages reach every client and the history", async () => {
+  const { token } = await server.register("talker");
+  const sender = await server.connect(token);
+  const listener = await server.connect();
+
+  sender.send({ type: "chat", text: "  look at (10, 20)\n" });
+  const received = await listener.next("chatMessage");
+  assert.equal(received.message.username, "talker");
+  assert.equal(received.message.text, "look at (10, 20)");
+  assert.equal((await sender.next("chatMessage")).message.id, received.message.id);
+
+  const history = await server.request("GET", "/api/chat", undefined, token);
+  assert.equal(history.status, 200);
+  assert.equal(history.body.messages.at(-1).id, received.message.id);
+  assert.equal(history.body.hasMore, false);
+  assert.equal((await server.request("GET", "/api/chat?before=0", undefined, token)).status, 400);
+  assert.equal((await server.request("GET", "/api/chat")).status, 401);
+});
+
+test("anonymous clients and invalid messages get a chatError", async () => {
+  const anonymous = await server.connect();
+  anonymous.send({ type: "chat", text: "hi" });
+  assert.match((await anonymous.next("chatError")).error, /Log in/);
+
+  const { token } = await server.register("blank");
+  const socket = await server.connect(token);
+  socket.send({ type: "chat", text: "   " });
+  assert.match((await socket.next("chatError")).error, /empty/);
+});
+
+test("chatting faster than the chat limit is refused", async () => {
+  const { token } = await server.register("chatty");
+  const socket = await server.connect(token);
+  const { burst } = DEFAULT_RATE_LIMITS.socket.chat;
+
+  for (let i = 0; i < burst; i++) {
+    socket.send({ type: "chat", text: `message ${i}` });
+  }
+  socket.send({ type: "chat", text: "one too many" });
+  const refused = await socket.next(message => message.type === "rateLimited" || message.type === "chatError");
+  assert.equal(refused.type, "rateLimited");
+  assert.equal(refused.messageType, "chat");
+  assert.ok(refused.retryAfterMs > 0);
+
+  const sent = (await socket.drain()).filter(message => message.type === "chatMessage" && message.message.username === "chatty");
+  assert.ok(sent.every(message => message.message.text !== "one too many"));
+});
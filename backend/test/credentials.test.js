@@ -0,0 +1,57 @@
+/**
+ * Tests for the username, password and display name rules (credentials.js)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateUsername, validatePassword, validateCredentials, sanitizeDisplayName, DISPLAY_NAME_MAX_LENGTH } from "../credentials.js";
+
+test("usernames must be 3-20 ASCII letters, digits, _ or -, starting with a letter or digit", () => {
+  assert.equal(validateUsername("alice_01"), null);
+  assert.equal(validateUsername("a-b"), null);
+  assert.match(validateUsername("ab"), /3-20 characters/);
+  assert.match(validateUsername("a".repeat(21)), /3-20 characters/);
+  assert.match(validateUsername("_alice"), /must start with a letter or digit/);
+  assert.match(validateUsername("al ice"), /only contain/);
+  assert.match(validateUsername("аlice"), /only contain/);   // Cyrillic "а"
+  assert.equal(validateUsername(""), "Username is required");
+  assert.equal(validateUsername(42), "Username is required");
+});
+
+test("reserved usernames are refused in any capitalisation unless allowed", () => {
+  assert.equal(validateUsername("Admin"), "That username is reserved");
+  assert.equal(validateUsername("admin", { allowReserved: true }), null);
+});
+
+test("passwords need a length, two kinds of character and no username", () => {
+  assert.equal(validatePassword("Secret-123", "alice"), null);
+  assert.match(validatePassword("Ab1-", "alice"), /at least 8 characters/);
+  assert.match(validatePassword("abcdefghij", "alice"), /at least two of/);
+  assert.match(validatePassword("Password1", "alice"), /too common/);
+  assert.match(validatePassword("my-alice-99", "Alice"), /must not contain the username/);
+  assert.match(validatePassword("é".repeat(40), "alice"), /at most 72 bytes/);
+  assert.equal(validatePassword(undefined, "alice"), "Password is required");
+});
+
+test("validateCredentials reports every field with a problem", () => {
+  assert.deepEqual(validateCredentials({ username: "alice", password: "Secret-123" }), {});
+  const fields = validateCredentials({ username: "x", password: "short" });
+  assert.deepEqual(Object.keys(fields).sort(), ["password", "username"]);
+  assert.deepEqual(Object.keys(validateCredentials(null)).sort(), ["password", "username"]);
+});
+
+test("display names are cleaned up, and empty ones clear the name", () => {
+  assert.deepEqual(sanitizeDisplayName("  Amy ​  Pond\n"), { displayName: "Amy Pond" });
+  assert.deepEqual(sanitizeDisplayName("Zoë 🎨"), { displayName: "Zoë 🎨" });
+  assert.deepEqual(sanitizeDisplayName(""), { displayName: null });
+  assert.deepEqual(sanitizeDisplayName(null), { displayName: null });
+  assert.deepEqual(sanitizeDisplayName("​ \t"), { displayName: null });
+});
+
+test("display names must be text with a letter or digit, short and not reserved", () => {
+  assert.ok(sanitizeDisplayName(7).error);
+  assert.match(sanitizeDisplayName("!!!").error, /letter or digit/);
+  assert.match(sanitizeDisplayName("x".repeat(DISPLAY_NAME_MAX_LENGTH + 1)).error, /at most/);
+  assert.deepEqual(sanitizeDisplayName("😀".repeat(DISPLAY_NAME_MAX_LENGTH - 1) + "a"), { displayName: "😀".repeat(DISPLAY_NAME_MAX_LENGTH - 1) + "a" });
+  assert.match(sanitizeDisplayName("Moderator").error, /reserved/);
+});
@@ -0,0 +1,215 @@
+/**
+ * Test helpers: run the real server on the in-memory storage and talk to it over HTTP and WebSocket
+ */
+
+import { spawn } from "child_process";
+import { createServer } from "net";
+import { fileURLToPath } from "url";
+import WebSocket from "ws";
+
+const SERVER_DIR = fileURLToPath(new URL("../..", import.meta.url));
+const STARTUP_TIMEOUT_MS = 15000;
+const MESSAGE_TIMEOUT_MS = 3000;
+
+// Password that passes the password rules, for test accounts
+export const PASSWORD = "Secret-123";
+
+// Limits high enough that tests registering and logging in many accounts aren't refused
+const TEST_RATE_LIMITS = {
+  http: {
+    register: { burst: 1000, perSecond: 100 },
+    login: { burst: 1000, perSecond: 100 },
+    loginAccount: { burst: 1000, perSecond: 100 },
+    refresh: { burst: 1000, perSecond: 100 },
+    api: { burst: 1000, perSecond: 100 }
+  },
+  socket: {
+    resume: { burst: 1000, perSecond: 100 },
+    colorCell: { burst: 1000, perSecond: 100 }
+  }
+};
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>}
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the server in a child process
+ * @param {Object} [env] - Extra environment variables, e.g. { PLACEMENT_COOLDOWN_MS: "60000" }
+ * @returns {Promise<Object>} - Test server (see the methods below); call stop() when done
+ */
+export async function startServer(env = {}) {
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORAGE_DRIVER: "memory",
+      JWT_SECRET: "test-secret",
+      RATE_LIMITS: JSON.stringify(TEST_RATE_LIMITS),
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  const sockets = new Set();
+
+  await new Promise((resolve, reject) => {
+    let output = "";
+    let started = false;
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+    const onData = (chunk) => {
+      // Only the startup output is kept, for the error message; later output is just drained
+      if (started) return;
+      output += chunk;
+      if (output.includes("Server is running")) {
+        started = true;
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  /**
+   * Send a JSON request
+   * @param {string} method - HTTP method
+   * @param {string} path - Route, e.g. "/api/profile"
+   * @param {Object} [body] - JSON body
+   * @param {string} [token] - Access token
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  async function request(method, path, body, token) {
+    const headers = { "Content-Type": "application/json" };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+  }
+
+  /**
+   * Register an account and log it in
+   * @param {string} username - New username
+   * @returns {Promise<Object>} - Login response { token, refreshToken, expiresIn }
+   */
+  async function register(username) {
+    const registered = await request("POST", "/register", { username, password: PASSWORD });
+    if (registered.status !== 200) {
+      throw new Error(`Could not register ${username}: ${JSON.stringify(registered.body)}`);
+    }
+    const login = await request("POST", "/login", { username, password: PASSWORD });
+    if (login.status !== 200) {
+      throw new Error(`Could not log in ${username}: ${JSON.stringify(login.body)}`);
+    }
+    return login.body;
+  }
+
+  /**
+   * Open a WebSocket connection and wait for the canvas description
+   * @param {string|null} [token] - Access token to authenticate with (anonymous without)
+   * @param {Object} [options] - { protocol, canvas }
+   * @returns {Promise<Object>} - Test socket (see createTestSocket), with the init message as socket.init
+   */
+  async function connect(token = null, { protocol, canvas } = {}) {
+    const params = new URLSearchParams();
+    if (token) params.set("token", token);
+    if (canvas) params.set("canvas", canvas);
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/?${params}`, protocol);
+    const socket = createTestSocket(ws);
+    sockets.add(socket);
+    socket.init = await socket.next("init");
+    return socket;
+  }
+
+  /**
+   * Close every test socket and stop the server
+   */
+  function stop() {
+    sockets.forEach(socket => socket.close());
+    child.kill();
+  }
+
+  return { baseUrl, request, register, connect, stop };
+}
+
+/**
+ * Wrap a WebSocket client so tests can wait for messages
+ * JSON messages are queued as objects and binary frames as { binary: Buffer }
+ * @param {WebSocket} ws - Client connection
+ * @returns {Object} - { send, next, drain, close, closed }
+ */
+function createTestSocket(ws) {
+  const queue = [];
+  const waiters = [];
+
+  ws.on("message", (data, isBinary) => {
+    queue.push(isBinary ? { binary: data } : JSON.parse(data.toString()));
+    for (const waiter of [...waiters]) waiter();
+  });
+  const closed = new Promise(resolve => ws.on("close", (code, reason) => resolve({ code, reason: reason.toString() })));
+
+  /**
+   * Wait for the next message matching a type or predicate, dropping the ones before it
+   * @param {string|Function} match - Message type, or (message) => boolean
+   * @param {number} [timeoutMs=MESSAGE_TIMEOUT_MS]
+   * @returns {Promise<Object>} - The message
+   */
+  function next(match, timeoutMs = MESSAGE_TIMEOUT_MS) {
+    const matches = typeof match === "function" ? match : message => message.type === match;
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        const index = queue.findIndex(matches);
+        if (index < 0) return false;
+        const [message] = queue.splice(0, index + 1).slice(-1);
+        waiters.splice(waiters.indexOf(check), 1);
+        clearTimeout(timer);
+        resolve(message);
+        return true;
+      };
+      const timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(check), 1);
+        reject(new Error(`No ${typeof match === "string" ? `"${match}"` : "matching"} message within ${timeoutMs}ms`));
+      }, timeoutMs);
+      waiters.push(check);
+      check();
+    });
+  }
+
+  /**
+   * Wait a little and return every message received since the last next() or drain()
+   * @param {number} [waitMs=200]
+   * @returns {Promise<Array>}
+   */
+  async function drain(waitMs = 200) {
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+    return queue.splice(0);
+  }
+
+  return {
+    send: message => ws.send(typeof message === "string" ? message : JSON.stringify(message)),
+    next,
+    drain,
+    close: () => ws.close(),
+    closed
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * Tests for the append-only placements log and the per-cell history endpoint
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStorage } from "../memoryStorage.js";
+import { startServer } from "./helpers/server.js";
+
+const MAIN_CANVAS_ID = 1;
+
+let server;
+
+before(async () => {
+  server = await startServer({ PLACEMENT_COOLDOWN_MS: "1" });
+});
+
+after(() => {
+  server.stop();
+});
+
+test("the log keeps every value a cell had, oldest first", () => {
+  const storage = createMemoryStorage();
+  const first = storage.savePixel(MAIN_CANVAS_ID, "1,1", 1, 1, "#ff4500", "amy");
+  storage.erasePixels(MAIN_CANVAS_ID, [{ key: "1,1", x: 1, y: 1 }], "mod");
+  storage.savePixel(MAIN_CANVAS_ID, "1,1", 1, 1, "#000000", "bob", "purchased");
+  storage.savePixel(2, "1,1", 1, 1, "#ffffff", "cat");
+
+  const history = storage.getPixelHistory(MAIN_CANVAS_ID, "1,1");
+  assert.deepEqual(history.map(({ color, username, method }) => ({ color, username, method })), [
+    { color: "#ff4500", username: "amy", method: "normal" },
+    { color: null, username: "mod", method: "erased" },
+    { color: "#000000", username: "bob", method: "purchased" }
+  ]);
+  assert.equal(history[0].id, first);
+  assert.ok(history.every(entry => /^\d{4}-\d\d-\d\d \d\d:\d\d:\d\d$/.test(entry.placedAt)));
+  assert.deepEqual(storage.getPixelHistory(MAIN_CANVAS_ID, "2,2"), []);
+});
+
+test("the history endpoint returns the current pixel and its timeline", async () => {
+  const { token } = await server.register("historian");
+  const socket = await server.connect(token);
+  socket.send({ type: "colorCell", requestId: 1, key: "7,8", color: "#ff4500" });
+  assert.equal((await socket.next("placementResult")).ok, true);
+
+  const { status, body } = await server.request("GET", "/api/pixels/7/8/history", undefined, token);
+  assert.equal(status, 200);
+  assert.equal(body.key, "7,8");
+  assert.deepEqual(body.current, { color: "#ff4500", username: "historian" });
+  assert.deepEqual(body.history.map(({ color, username, method }) => ({ color, username, method })),
+    [{ color: "#ff4500", username: "historian", method: "normal" }]);
+
+  const empty = await server.request("GET", "/api/pixels/0/200/history", undefined, token);
+  assert.deepEqual(empty.body, { key: "0,200", current: null, history: [] });
+});
+
+test("the history endpoint checks the cell and needs a login", async () => {
+  const { token } = await server.register("curious");
+  assert.equal((await server.request("GET", "/api/pixels/256/0/history", undefined, token)).status, 400);
+  assert.equal((await server.request("GET", "/api/pixels/-1/0/history", undefined, token)).status, 400);
+  assert.equal((await server.request("GET", "/api/pixels/1/1/history")).status, 401);
+});
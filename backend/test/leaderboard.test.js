@@ -0,0 +1,170 @@
+/**
+ * Tests for leaderboard ranking and paging (leaderboard.js), with scores from the in-memory storage
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStorage } from "../memoryStorage.js";
+import { rankScores, getLeaderboardPage, validateLeaderboardQuery, getWindowStart, LEADERBOARD_AROUND_RADIUS } from "../leaderboard.js";
+
+const MAIN_CANVAS_ID = 1;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a memory storage with some users
+ * @param {string[]} usernames - Users to add
+ * @returns {Object} - Storage
+ */
+function storageWithUsers(usernames) {
+  const storage = createMemoryStorage();
+  usernames.forEach(username => storage.addUser({ username, password: "hash" }));
+  return storage;
+}
+
+/**
+ * Scores as a { username: value } object, for comparing
+ * @param {Array} scores - { username, value }
+ * @returns {Object}
+ */
+const byUser = scores => Object.fromEntries(scores.map(({ username, value }) => [username, value]));
+
+test("higher scores rank first and equal scores share a rank", () => {
+  const ranked = rankScores([
+    { username: "dan", value: 3 },
+    { username: "amy", value: 7 },
+    { username: "cat", value: 3 },
+    { username: "bob", value: 7 },
+    { username: "eve", value: 1 }
+  ]);
+  assert.deepEqual(ranked, [
+    { rank: 1, username: "amy", value: 7 },
+    { rank: 1, username: "bob", value: 7 },
+    { rank: 3, username: "cat", value: 3 },
+    { rank: 3, username: "dan", value: 3 },
+    { rank: 5, username: "eve", value: 1 }
+  ]);
+  assert.deepEqual(rankScores([]), []);
+});
+
+test("pages are slices of the ranking with the caller's position", () => {
+  const ranked = rankScores(Array.from({ length: 30 }, (_, i) => ({ username: `user${String(i).padStart(2, "0")}`, value: 100 - i })));
+
+  const first = getLeaderboardPage(ranked, "user25", { offset: 0, limit: 10, around: false });
+  assert.equal(first.total, 30);
+  assert.equal(first.offset, 0);
+  assert.deepEqual(first.entries.map(entry => entry.rank), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.deepEqual(first.me, { rank: 26, value: 75 });
+
+  const last = getLeaderboardPage(ranked, "nobody", { offset: 25, limit: 10, around: false });
+  assert.equal(last.entries.length, 5);
+  assert.equal(last.me, null);
+  assert.deepEqual(getLeaderboardPage(ranked, "user00", { offset: 40, limit: 10, around: false }).entries, []);
+});
+
+test("around-me shows the users either side of the caller", () => {
+  const ranked = rankScores(Array.from({ length: 30 }, (_, i) => ({ username: `user${String(i).padStart(2, "0")}`, value: 100 - i })));
+
+  const middle = getLeaderboardPage(ranked, "user20", { offset: 0, limit: 100, around: true });
+  assert.equal(middle.offset, 20 - LEADERBOARD_AROUND_RADIUS);
+  assert.equal(middle.entries.length, LEADERBOARD_AROUND_RADIUS * 2 + 1);
+  assert.equal(middle.entries[LEADERBOARD_AROUND_RADIUS].username, "user20");
+
+  // Near the top the page starts at the top, and users who aren't ranked get the top
+  assert.equal(getLeaderboardPage(ranked, "user02", { offset: 0, limit: 100, around: true }).offset, 0);
+  const unranked = getLeaderboardPage(ranked, "nobody", { offset: 0, limit: 100, around: true });
+  assert.equal(unranked.offset, 0);
+  assert.equal(unranked.me, null);
+});
+
+test("leaderboard queries get defaults and are validated", () => {
+  assert.deepEqual(validateLeaderboardQuery({}).query, { metric: "pixels", window: "all", offset: 0, limit: 100, around: false });
+  assert.deepEqual(validateLeaderboardQuery({ metric: "streak", window: "week", offset: "20", limit: "10", around: "me" }).query,
+    { metric: "streak", window: "week", offset: 20, limit: 10, around: true });
+
+  assert.ok(validateLeaderboardQuery({ metric: "likes" }).error);
+  assert.ok(validateLeaderboardQuery({ window: "month" }).error);
+  assert.ok(validateLeaderboardQuery({ window: "toString" }).error);
+  assert.match(validateLeaderboardQuery({ metric: "streak", window: "day" }).error, /week or all/);
+  assert.ok(validateLeaderboardQuery({ offset: "-1" }).error);
+  assert.ok(validateLeaderboardQuery({ limit: "0" }).error);
+  assert.ok(validateLeaderboardQuery({ limit: "101" }).error);
+  assert.ok(validateLeaderboardQuery({ around: "you" }).error);
+});
+
+test("windows are rolling", () => {
+  assert.equal(getWindowStart("day", 10 * DAY), 9 * DAY);
+  assert.equal(getWindowStart("week", 10 * DAY), 3 * DAY);
+  assert.equal(getWindowStart("all", 10 * DAY), null);
+});
+
+test("pixels counts users' own placements on the given canvas in the window", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-01T12:00:00Z") });
+  const storage = storageWithUsers(["amy", "bob", "mod"]);
+  storage.savePixel(MAIN_CANVAS_ID, "0,0", 0, 0, "#ff0000", "amy");
+  t.mock.timers.tick(2 * DAY);
+  storage.savePixel(MAIN_CANVAS_ID, "1,0", 1, 0, "#ff0000", "amy");
+  storage.savePixel(2, "0,0", 0, 0, "#ff0000", "bob", "purchased");
+  storage.erasePixels(MAIN_CANVAS_ID, [{ key: "1,0", x: 1, y: 0 }], "mod");
+
+  assert.deepEqual(byUser(storage.getLeaderboardScores("pixels", { canvasId: MAIN_CANVAS_ID })), { amy: 2 });
+  assert.deepEqual(byUser(storage.getLeaderboardScores("pixels", { canvasId: MAIN_CANVAS_ID, since: getWindowStart("day") })), { amy: 1 });
+  assert.deepEqual(byUser(storage.getLeaderboardScores("pixels", { canvasId: 2 })), { bob: 1 });
+});
+
+test("surviving counts pixels currently on the given canvas only", () => {
+  const storage = storageWithUsers(["amy", "bob", "mod"]);
+  storage.savePixel(MAIN_CANVAS_ID, "0,0", 0, 0, "#ff0000", "amy");
+  storage.savePixel(MAIN_CANVAS_ID, "1,0", 1, 0, "#ff0000", "amy");
+  storage.savePixel(MAIN_CANVAS_ID, "2,0", 2, 0, "#ff0000", "bob");
+  storage.savePixel(2, "0,0", 0, 0, "#ff0000", "bob");
+  storage.savePixel(2, "1,0", 1, 0, "#ff0000", "bob");
+  storage.erasePixels(MAIN_CANVAS_ID, [{ key: "0,0", x: 0, y: 0 }], "mod");
+
+  assert.deepEqual(byUser(storage.getLeaderboardScores("surviving", { canvasId: MAIN_CANVAS_ID })), { amy: 1, bob: 1 });
+});
+
+test("streak is the longest run of consecutive UTC days with a placement", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-01T23:00:00Z") });
+  const storage = storageWithUsers(["amy", "bob"]);
+  // amy: Mar 1, 2, 3, then Mar 5; bob: Mar 5 only
+  for (let day = 0; day < 3; day++) {
+    storage.savePixel(MAIN_CANVAS_ID, `${day},0`, day, 0, "#ff0000", "amy");
+    t.mock.timers.tick(DAY);
+  }
+  t.mock.timers.tick(DAY);
+  storage.savePixel(MAIN_CANVAS_ID, "9,0", 9, 0, "#ff0000", "amy");
+  storage.savePixel(MAIN_CANVAS_ID, "9,1", 9, 1, "#ff0000", "bob");
+  // Placements on another canvas don't extend a streak
+  storage.savePixel(2, "0,0", 0, 0, "#ff0000", "amy");
+  t.mock.timers.tick(DAY);
+  storage.savePixel(2, "0,0", 0, 0, "#ff0000", "amy");
+
+  assert.deepEqual(byUser(storage.getLeaderboardScores("streak", { canvasId: MAIN_CANVAS_ID })), { amy: 3, bob: 1 });
+  assert.deepEqual(byUser(storage.getLeaderboardScores("streak", { canvasId: MAIN_CANVAS_ID, since: Date.now() - 3 * DAY })), { amy: 1, bob: 1 });
+});
+
+test("overwritten counts users' pixels erased or rolled back by moderation", () => {
+  const storage = storageWithUsers(["amy", "bob", "mod"]);
+  storage.savePixel(MAIN_CANVAS_ID, "0,0", 0, 0, "#ff0000", "amy");
+  storage.savePixel(MAIN_CANVAS_ID, "1,0", 1, 0, "#ff0000", "amy");
+  storage.savePixel(MAIN_CANVAS_ID, "2,0", 2, 0, "#ff0000", "bob");
+  storage.erasePixels(MAIN_CANVAS_ID, [{ key: "0,0", x: 0, y: 0 }, { key: "1,0", x: 1, y: 0 }], "mod");
+  storage.applyRollback(MAIN_CANVAS_ID, [{ key: "2,0", x: 2, y: 0, restored: null }], "mod");
+  // Erasing an empty cell or rolling back a rollback doesn't count
+  storage.erasePixels(MAIN_CANVAS_ID, [{ key: "0,0", x: 0, y: 0 }], "mod");
+  storage.applyRollback(MAIN_CANVAS_ID, [{ key: "2,0", x: 2, y: 0, restored: null }], "mod");
+  // Nor does a pixel erased on another canvas
+  storage.savePixel(2, "0,0", 0, 0, "#ff0000", "bob");
+  storage.erasePixels(2, [{ key: "0,0", x: 0, y: 0 }], "mod");
+
+  assert.deepEqual(byUser(storage.getLeaderboardScores("overwritten", { canvasId: MAIN_CANVAS_ID })), { amy: 2, bob: 1 });
+});
+
+test("deleted users are left out of the scores", () => {
+  const storage = storageWithUsers(["amy", "bob"]);
+  storage.savePixel(MAIN_CANVAS_ID, "0,0", 0, 0, "#ff0000", "amy");
+  storage.savePixel(MAIN_CANVAS_ID, "1,0", 1, 0, "#ff0000", "bob");
+  storage.deleteUser("bob");
+
+  assert.deepEqual(byUser(storage.getLeaderboardScores("pixels", { canvasId: MAIN_CANVAS_ID })), { amy: 1 });
+});
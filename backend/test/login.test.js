@@ -0,0 +1,49 @@
+/**
+ * Tests for registering and logging in: input checks and username capitalisation
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, PASSWORD } from "./helpers/server.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({ ADMIN_USERNAMES: "Boss" });
+});
+
+after(() => {
+  server.stop();
+});
+
+test("logins without a username and password string are refused with 400", async () => {
+  for (const body of [{}, { username: "someone" }, { password: PASSWORD }, { username: 42, password: PASSWORD }, { username: "someone", password: ["x"] }, { username: "", password: "" }]) {
+    const response = await server.request("POST", "/login", body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.match(response.body.error, /required/);
+  }
+
+  const response = await fetch(`${server.baseUrl}/login`, { method: "POST" });
+  assert.equal(response.status, 400);
+});
+
+test("usernames are matched ignoring case when registering and logging in", async () => {
+  await server.register("MixedCase");
+  const taken = await server.request("POST", "/register", { username: "mixedcase", password: PASSWORD });
+  assert.equal(taken.status, 409);
+
+  const login = await server.request("POST", "/login", { username: "MIXEDCASE", password: PASSWORD });
+  assert.equal(login.status, 200);
+  const profile = await server.request("GET", "/api/profile", undefined, login.body.token);
+  assert.equal(profile.body.username, "MixedCase");
+
+  const wrong = await server.request("POST", "/login", { username: "mixedcase", password: "Wrong-123" });
+  assert.equal(wrong.status, 401);
+  assert.equal((await server.request("POST", "/login", { username: "nobody", password: PASSWORD })).status, 401);
+});
+
+test("ADMIN_USERNAMES match any capitalisation", async () => {
+  const { token } = await server.register("boss");
+  const profile = await server.request("GET", "/api/profile", undefined, token);
+  assert.equal(profile.body.role, "admin");
+});
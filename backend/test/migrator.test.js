@@ -0,0 +1,72 @@
+/**
+ * Tests for the schema migrations (migrator.js), run on in-memory SQLite databases
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import Database from "better-sqlite3";
+import { applyPendingMigrations, getMigrationStatus, loadMigrations, hasColumn, formatVersion } from "../migrator.js";
+
+const quiet = () => {};
+
+test("a new database gets every migration, in order", async () => {
+  const db = new Database(":memory:");
+  const migrations = await loadMigrations();
+  const applied = await applyPendingMigrations(db, quiet);
+
+  assert.deepEqual(applied.map(m => m.version), migrations.map(m => m.version));
+  assert.deepEqual(applied.map(m => m.version), [...applied.map(m => m.version)].sort((a, b) => a - b));
+  const status = await getMigrationStatus(db, migrations);
+  assert.equal(status.current, migrations[migrations.length - 1].version);
+  assert.deepEqual(status.pending, []);
+  assert.ok(hasColumn(db, "placements", "method"));
+  assert.ok(hasColumn(db, "users", "deleted_at"));
+  db.close();
+});
+
+test("migrating an up-to-date database does nothing", async () => {
+  const db = new Database(":memory:");
+  await applyPendingMigrations(db, quiet);
+  assert.deepEqual(await applyPendingMigrations(db, quiet), []);
+  db.close();
+});
+
+test("databases with migrations this code doesn't know are refused", async () => {
+  const db = new Database(":memory:");
+  await applyPendingMigrations(db, quiet);
+  db.prepare("INSERT INTO schema_migrations (version, name) VALUES (?, ?)").run(999, "from_the_future");
+  await assert.rejects(applyPendingMigrations(db, quiet), /doesn't know about: 999/);
+  db.close();
+});
+
+test("hasColumn is false for missing tables and columns", () => {
+  const db = new Database(":memory:");
+  db.exec("CREATE TABLE things (id INTEGER PRIMARY KEY)");
+  assert.equal(hasColumn(db, "things", "id"), true);
+  assert.equal(hasColumn(db, "things", "name"), false);
+  assert.equal(hasColumn(db, "widgets", "id"), false);
+  db.close();
+});
+
+test("migration files must be numbered and export up", async (t) => {
+  const dir = mkdtempSync(path.join(tmpdir(), "migrations-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  writeFileSync(path.join(dir, "001_first.js"), "export function up(db) {}\n");
+  assert.deepEqual((await loadMigrations(dir)).map(m => [m.version, m.name]), [[1, "first"]]);
+
+  writeFileSync(path.join(dir, "002_no_up.js"), "export const nothing = true;\n");
+  await assert.rejects(loadMigrations(dir), /does not export an up\(db\) function/);
+  rmSync(path.join(dir, "002_no_up.js"));
+
+  writeFileSync(path.join(dir, "add_things.js"), "export function up(db) {}\n");
+  await assert.rejects(loadMigrations(dir), /must be named like 001_description.js/);
+});
+
+test("versions are zero-padded like the file names", () => {
+  assert.equal(formatVersion(7), "007");
+  assert.equal(formatVersion(11), "011");
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests for colour palettes (palette.js) and publishing them through the admin API
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeColor, validatePalette, isPaletteColor, DEFAULT_PALETTE, MAX_PALETTE_COLORS, MAX_PALETTE_NAME_LENGTH } from "../palette.js";
+import { startServer } from "./helpers/server.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({ ADMIN_USERNAMES: "curator", PLACEMENT_COOLDOWN_MS: "1" });
+});
+
+after(() => {
+  server.stop();
+});
+
+test("colours are normalised to lowercase #rrggbb", () => {
+  assert.equal(normalizeColor("#FF4500"), "#ff4500");
+  assert.equal(normalizeColor("#00cc78"), "#00cc78");
+  for (const color of ["ff4500", "#fff", "#ff45001", "#gg4500", " #ff4500", null, 0xff4500]) {
+    assert.equal(normalizeColor(color), null, String(color));
+  }
+});
+
+test("palettes are validated and normalised", () => {
+  assert.deepEqual(validatePalette("  Mono ", ["#000000", "#FFFFFF"]), { palette: { name: "Mono", colors: ["#000000", "#ffffff"] } });
+  assert.equal(validatePalette(DEFAULT_PALETTE.name, DEFAULT_PALETTE.colors).palette.colors.length, DEFAULT_PALETTE.colors.length);
+
+  const maxColors = Array.from({ length: MAX_PALETTE_COLORS }, (_, i) => `#0000${i.toString(16).padStart(2, "0")}`);
+  assert.ok(validatePalette("Blues", maxColors).palette);
+
+  assert.match(validatePalette("", ["#000000"]).error, /name/);
+  assert.match(validatePalette("   ", ["#000000"]).error, /name/);
+  assert.match(validatePalette("x".repeat(MAX_PALETTE_NAME_LENGTH + 1), ["#000000"]).error, /name/);
+  assert.match(validatePalette(42, ["#000000"]).error, /name/);
+  assert.match(validatePalette("Empty", []).error, /between 1 and/);
+  assert.match(validatePalette("Huge", [...maxColors, "#0001ff"]).error, /between 1 and/);
+  assert.match(validatePalette("Object", { 0: "#000000" }).error, /between 1 and/);
+  assert.match(validatePalette("Short", ["#000"]).error, /Invalid colour/);
+  assert.match(validatePalette("Twice", ["#00ff00", "#00FF00"]).error, /Duplicate colour #00ff00/);
+});
+
+test("only colours in the palette may be placed", () => {
+  const palette = { colors: ["#000000", "#ff4500"] };
+  assert.equal(isPaletteColor("#ff4500", palette), true);
+  assert.equal(isPaletteColor("#FF4500", palette), true);
+  assert.equal(isPaletteColor("#ffffff", palette), false);
+  assert.equal(isPaletteColor("red", palette), false);
+});
+
+test("only admins can publish palettes", async () => {
+  const { token } = await server.register("visitor");
+  const response = await server.request("POST", "/api/palettes", { name: "Mine", colors: ["#123456"] }, token);
+  assert.equal(response.status, 403);
+});
+
+test("publishing a palette with activate switches the main canvas to it", async () => {
+  const { token } = await server.register("curator");
+  const painter = await server.register("painter");
+  const socket = await server.connect(painter.token);
+
+  const invalid = await server.request("POST", "/api/palettes", { name: "Bad", colors: ["#12345"] }, token);
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /Invalid colour/);
+
+  const published = await server.request("POST", "/api/palettes", { name: "Duo", colors: ["#123456", "#ABCDEF"], activate: true }, token);
+  assert.equal(published.status, 201);
+  assert.deepEqual(published.body.colors, ["#123456", "#abcdef"]);
+
+  const update = await socket.next("paletteUpdate");
+  assert.equal(update.palette.id, published.body.id);
+  assert.deepEqual((await server.request("GET", "/api/palette")).body.colors, ["#123456", "#abcdef"]);
+
+  // Colours from the old palette are now refused
+  socket.send({ type: "colorCell", requestId: 1, key: "3,3", color: "#ff4500" });
+  const refused = await socket.next("placementResult");
+  assert.equal(refused.reason, "invalid_color");
+  socket.send({ type: "colorCell", requestId: 2, key: "3,3", color: "#abcdef" });
+  assert.equal((await socket.next("placementResult")).ok, true);
+
+  const palettes = (await server.request("GET", "/api/palettes")).body;
+  const classic = palettes.find(palette => palette.name === DEFAULT_PALETTE.name);
+  const restored = await server.request("POST", `/api/palettes/${classic.id}/activate`, {}, token);
+  assert.equal(restored.status, 200);
+  assert.equal((await socket.next("paletteUpdate")).palette.id, classic.id);
+  assert.equal((await server.request("POST", "/api/palettes/9999/activate", {}, token)).status, 404);
+  socket.close();
+});
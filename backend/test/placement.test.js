@@ -0,0 +1,116 @@
+/**
+ * Tests for pixel placement over the WebSocket (handleColorCell)
+ * Runs the real server on the in-memory storage with a short cooldown
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { startServer } from "./helpers/server.js";
+
+const COOLDOWN_MS = 500;
+
+let server;
+let requestCounter = 0;
+
+before(async () => {
+  server = await startServer({ PLACEMENT_COOLDOWN_MS: String(COOLDOWN_MS) });
+});
+
+after(() => {
+  server.stop();
+});
+
+/**
+ * Ask to place a pixel and wait for the verdict
+ * @param {Object} socket - Test socket
+ * @param {Object} request - colorCell fields { key, color, ... }
+ * @returns {Promise<Object>} - placementResult message
+ */
+async function place(socket, request) {
+  const requestId = ++requestCounter;
+  socket.send({ type: "colorCell", requestId, ...request });
+  return socket.next(message => message.type === "placementResult" && message.requestId === requestId);
+}
+
+test("placing a pixel starts the cooldown", async () => {
+  const { token } = await server.register("painter");
+  const socket = await server.connect(token);
+
+  const placed = await place(socket, { key: "1,1", color: "#ff4500" });
+  assert.equal(placed.ok, true);
+
+  // The client is told how long to wait, whatever its own timer says, then gets the rejection
+  socket.send({ type: "colorCell", requestId: "early", key: "2,2", color: "#ff4500" });
+  const cooldown = await socket.next("cooldown");
+  assert.ok(cooldown.remaining > 0 && cooldown.remaining <= COOLDOWN_MS);
+  const early = await socket.next("placementResult");
+  assert.equal(early.requestId, "early");
+  assert.equal(early.ok, false);
+  assert.equal(early.reason, "cooldown");
+  assert.ok(early.remaining > 0 && early.remaining <= COOLDOWN_MS);
+
+  await sleep(COOLDOWN_MS + 100);
+  assert.equal((await place(socket, { key: "2,2", color: "#ff4500" })).ok, true);
+});
+
+test("the cooldown follows the account, not the connection", async () => {
+  const { token } = await server.register("twotabs");
+  const first = await server.connect(token);
+  const second = await server.connect(token);
+
+  assert.equal((await place(first, { key: "3,3", color: "#ff4500" })).ok, true);
+  const other = await place(second, { key: "4,4", color: "#ff4500" });
+  assert.equal(other.reason, "cooldown");
+});
+
+test("purchased placements don't skip the cooldown unless dev purchases are enabled", async () => {
+  const { token } = await server.register("shopper");
+  const socket = await server.connect(token);
+
+  assert.equal((await place(socket, { key: "5,5", color: "#ff4500" })).ok, true);
+  const purchased = await place(socket, { key: "6,6", color: "#ff4500", purchased: true });
+  assert.equal(purchased.reason, "cooldown");
+});
+
+test("placements on occupied cells are refused with the pixel that is there", async () => {
+  const owner = await server.connect((await server.register("firstcome")).token);
+  const late = await server.connect((await server.register("latecomer")).token);
+
+  assert.equal((await place(owner, { key: "10,10", color: "#ff4500" })).ok, true);
+  const refused = await place(late, { key: "10,10", color: "#000000" });
+  assert.deepEqual(
+    { ok: refused.ok, key: refused.key, reason: refused.reason, pixel: refused.pixel },
+    { ok: false, key: "10,10", reason: "occupied", pixel: { color: "#ff4500", username: "firstcome" } }
+  );
+});
+
+test("malformed and off-canvas keys are refused as out_of_bounds", async () => {
+  const socket = await server.connect((await server.register("wanderer")).token);
+  for (const key of ["256,0", "0,256", "-1,0", "01,1", "1, 1", "x,y", 42, undefined]) {
+    const result = await place(socket, { key, color: "#ff4500" });
+    assert.equal(result.reason, "out_of_bounds", `key ${JSON.stringify(key)}`);
+  }
+});
+
+test("colours outside the palette are refused with the palette to use", async () => {
+  const socket = await server.connect((await server.register("offpalette")).token);
+  const result = await place(socket, { key: "11,11", color: "#123456" });
+  assert.equal(result.reason, "invalid_color");
+  assert.ok(result.palette.colors.includes("#ff4500"));
+  assert.equal(result.paletteId, result.palette.id);
+
+  // Palette colours are matched whatever their case
+  assert.equal((await place(socket, { key: "11,11", color: "#FF4500" })).ok, true);
+});
+
+test("every request gets exactly one result echoing its id", async () => {
+  const socket = await server.connect((await server.register("echoer")).token);
+
+  socket.send({ type: "colorCell", requestId: "abc", key: "12,12", color: "#ff4500" });
+  socket.send({ type: "colorCell", requestId: { nested: true }, key: "12,13", color: "#ff4500" });
+  assert.equal((await socket.next("placementResult")).requestId, "abc");
+  // Ids that aren't short strings or integers come back as null
+  assert.equal((await socket.next("placementResult")).requestId, null);
+  assert.deepEqual((await socket.drain()).filter(message => message.type === "placementResult"), []);
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for the PNG export (png.js and GET /api/canvas.png)
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { inflateSync } from "zlib";
+import { renderGridToPNG, parseHexColor } from "../png.js";
+import { startServer } from "./helpers/server.js";
+
+/**
+ * Decode a PNG written by encodePNG (8-bit RGBA, unfiltered scanlines)
+ * @param {Buffer} png - File contents
+ * @returns {Object} - { width, height, pixel(x, y) => [r, g, b, a] }
+ */
+function decodePNG(png) {
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const chunks = {};
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString("ascii", offset + 4, offset + 8);
+    chunks[type] = png.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+  }
+  const width = chunks.IHDR.readUInt32BE(0);
+  const height = chunks.IHDR.readUInt32BE(4);
+  const raw = inflateSync(chunks.IDAT);
+  return {
+    width,
+    height,
+    pixel: (x, y) => [...raw.subarray(y * (width * 4 + 1) + 1 + x * 4).subarray(0, 4)]
+  };
+}
+
+let server;
+
+before(async () => {
+  server = await startServer();
+  const socket = await server.connect((await server.register("exporter")).token);
+  socket.send({ type: "colorCell", requestId: 1, key: "2,1", color: "#ff4500" });
+  assert.equal((await socket.next("placementResult")).ok, true);
+});
+
+after(() => {
+  server.stop();
+});
+
+test("cells are drawn as scale x scale blocks and empty cells are transparent", () => {
+  const image = decodePNG(renderGridToPNG({ "1,0": { color: "#ff4500" }, "9,9": { color: "#000000" } }, { x0: 0, y0: 0, x1: 1, y1: 1, scale: 2 }));
+  assert.equal(image.width, 4);
+  assert.equal(image.height, 4);
+  assert.deepEqual(image.pixel(2, 0), [255, 69, 0, 255]);
+  assert.deepEqual(image.pixel(3, 1), [255, 69, 0, 255]);
+  assert.deepEqual(image.pixel(0, 0), [0, 0, 0, 0]);
+  assert.deepEqual(image.pixel(2, 2), [0, 0, 0, 0]);
+});
+
+test("hex colours are parsed in short and long form", () => {
+  assert.deepEqual(parseHexColor("#ff4500"), [255, 69, 0]);
+  assert.deepEqual(parseHexColor("#fff"), [255, 255, 255]);
+  assert.equal(parseHexColor("red"), null);
+  assert.equal(parseHexColor(null), null);
+});
+
+test("the export endpoint renders the canvas or a region", async () => {
+  const whole = await fetch(`${server.baseUrl}/api/canvas.png`);
+  assert.equal(whole.status, 200);
+  assert.equal(whole.headers.get("content-type"), "image/png");
+  const canvas = decodePNG(Buffer.from(await whole.arrayBuffer()));
+  assert.deepEqual([canvas.width, canvas.height], [256, 256]);
+  assert.deepEqual(canvas.pixel(2, 1), [255, 69, 0, 255]);
+
+  // Regions are inclusive, may be given in any corner order, and are clipped to the canvas
+  const region = await fetch(`${server.baseUrl}/api/canvas.png?x0=3&y0=2&x1=2&y1=1&scale=4&download=1`);
+  assert.match(region.headers.get("content-disposition"), /main_2_1_3_2\.png/);
+  const cropped = decodePNG(Buffer.from(await region.arrayBuffer()));
+  assert.deepEqual([cropped.width, cropped.height], [8, 8]);
+  assert.deepEqual(cropped.pixel(3, 3), [255, 69, 0, 255]);
+  assert.deepEqual(cropped.pixel(4, 4), [0, 0, 0, 0]);
+
+  const clipped = decodePNG(Buffer.from(await (await fetch(`${server.baseUrl}/api/canvas.png?x0=250&y0=250&x1=999&y1=999`)).arrayBuffer()));
+  assert.deepEqual([clipped.width, clipped.height], [6, 6]);
+});
+
+test("the export endpoint refuses bad regions and oversized images", async () => {
+  for (const query of ["x0=1&y0=1", "x0=a&y0=0&x1=1&y1=1", "x0=300&y0=300&x1=400&y1=400", "scale=0", "scale=33", "scale=17"]) {
+    const response = await fetch(`${server.baseUrl}/api/canvas.png?${query}`);
+    assert.equal(response.status, 400, query);
+  }
+});
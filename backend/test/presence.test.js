@@ -0,0 +1,63 @@
+/**
+ * Tests for live cursor presence (handlePresence and the presence broadcast)
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+/**
+ * Connect anonymously and watch some chunks
+ * @param {Array<string>} chunks - Chunk keys to subscribe to
+ * @returns {Promise<Object>} - Test socket
+ */
+async function watch(chunks) {
+  const socket = await server.connect();
+  socket.send({ type: "subscribe", chunks });
+  await socket.drain();
+  return socket;
+}
+
+test("cursors are shown to the clients watching their chunk until hidden", async () => {
+  const { token } = await server.register("pointer");
+  const cursor = await server.connect(token);
+  const near = await watch(["0,0"]);
+  const far = await watch(["1,1"]);
+
+  cursor.send({ type: "presence", center: { x: 5, y: 6 }, hover: null });
+  const shown = await near.next("presence");
+  assert.equal(shown.cursors.length, 1);
+  assert.equal(shown.cursors[0].username, "pointer");
+  assert.deepEqual(shown.cursors[0].center, { x: 5, y: 6 });
+  assert.deepEqual(shown.left, []);
+
+  // Clients that start watching the chunk later get the cursors already in it
+  const late = await server.connect();
+  late.send({ type: "subscribe", chunks: ["0,0"] });
+  assert.equal((await late.next("presence")).cursors[0].id, shown.cursors[0].id);
+
+  cursor.send({ type: "presence", hidden: true });
+  assert.deepEqual((await near.next("presence")).left, [shown.cursors[0].id]);
+  assert.deepEqual((await far.drain(400)).filter(message => message.type === "presence"), []);
+});
+
+test("anonymous and off-canvas cursors are ignored", async () => {
+  const watcher = await watch(["0,0"]);
+  const anonymous = await server.connect();
+  anonymous.send({ type: "presence", center: { x: 1, y: 1 } });
+
+  const { token } = await server.register("wanderer");
+  const cursor = await server.connect(token);
+  cursor.send({ type: "presence", center: { x: -1, y: 1 } });
+  assert.deepEqual((await watcher.drain(400)).filter(message => message.type === "presence"), []);
+});
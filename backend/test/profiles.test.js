@@ -0,0 +1,78 @@
+/**
+ * Tests for public user profiles and pixel maps (GET /api/users/:username)
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { startServer } from "./helpers/server.js";
+
+let server;
+let artistToken;
+let friendToken;
+let strangerToken;
+
+before(async () => {
+  server = await startServer({ PLACEMENT_COOLDOWN_MS: "1" });
+  artistToken = (await server.register("Artist")).token;
+  friendToken = (await server.register("friend")).token;
+  strangerToken = (await server.register("stranger")).token;
+
+  const created = await server.request("POST", "/api/canvases", { slug: "studio", title: "Studio", width: 16, height: 16, cooldownMs: 0, visibility: "private" }, artistToken);
+  assert.equal(created.status, 201);
+  await server.request("PUT", "/api/canvases/studio/members/friend", {}, artistToken);
+
+  const main = await server.connect(artistToken);
+  for (const key of ["1,1", "2,2", "3,3"]) {
+    await sleep(5); // Past the cooldown
+    main.send({ type: "colorCell", requestId: key, key, color: "#ff4500" });
+    assert.equal((await main.next("placementResult")).ok, true);
+  }
+  const studio = await server.connect(artistToken, { canvas: "studio" });
+  studio.send({ type: "colorCell", requestId: 1, key: "4,4", color: "#000000" });
+  assert.equal((await studio.next("placementResult")).ok, true);
+});
+
+after(() => {
+  server.stop();
+});
+
+test("profiles show a user's statistics and recent placements, newest first", async () => {
+  const { status, body } = await server.request("GET", "/api/users/artist", undefined, friendToken);
+  assert.equal(status, 200);
+  assert.equal(body.username, "Artist");
+  assert.equal(body.role, "user");
+  assert.equal(body.pixelsPlaced, 4);
+  assert.equal(body.pixelsOnCanvas, 4);
+  assert.deepEqual(body.canvases.map(canvas => [canvas.canvas, canvas.pixels]), [["main", 3], ["studio", 1]]);
+  assert.deepEqual(body.placements.map(placement => [placement.canvas, placement.key]), [["studio", "4,4"], ["main", "3,3"], ["main", "2,2"], ["main", "1,1"]]);
+  assert.equal(body.hasMore, false);
+  assert.equal(body.password, undefined);
+
+  const older = await server.request("GET", `/api/users/Artist?before=${body.placements[1].id}`, undefined, friendToken);
+  assert.deepEqual(older.body.placements.map(placement => placement.key), ["2,2", "1,1"]);
+  assert.equal((await server.request("GET", "/api/users/Artist?before=0", undefined, friendToken)).status, 400);
+});
+
+test("canvases the viewer can't access are left out", async () => {
+  const { body } = await server.request("GET", "/api/users/Artist", undefined, strangerToken);
+  assert.equal(body.pixelsOnCanvas, 3);
+  assert.deepEqual(body.canvases.map(canvas => canvas.canvas), ["main"]);
+  assert.ok(body.placements.every(placement => placement.canvas === "main"));
+});
+
+test("the pixel map lists the cells a user owns on a canvas", async () => {
+  const main = await server.request("GET", "/api/users/Artist/pixels", undefined, strangerToken);
+  assert.equal(main.body.canvas, "main");
+  assert.deepEqual(main.body.pixels.map(({ x, y }) => `${x},${y}`).sort(), ["1,1", "2,2", "3,3"]);
+
+  const studio = await server.request("GET", "/api/users/Artist/pixels?canvas=studio", undefined, friendToken);
+  assert.deepEqual(studio.body.pixels, [{ x: 4, y: 4, color: "#000000" }]);
+  assert.equal((await server.request("GET", "/api/users/Artist/pixels?canvas=studio", undefined, strangerToken)).status, 404);
+});
+
+test("unknown users and anonymous callers are refused", async () => {
+  assert.equal((await server.request("GET", "/api/users/nobody", undefined, friendToken)).status, 404);
+  assert.equal((await server.request("GET", "/api/users/nobody/pixels", undefined, friendToken)).status, 404);
+  assert.equal((await server.request("GET", "/api/users/Artist")).status, 401);
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for the token-bucket rate limiter (rateLimiter.js)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter, loadRateLimits, DEFAULT_RATE_LIMITS, MAX_OFFENCES, OFFENCE_WINDOW_MS } from "../rateLimiter.js";
+
+const limits = {
+  http: { login: { burst: 3, perSecond: 1 } },
+  socket: { chat: { burst: 1, perSecond: 0.5 } }
+};
+
+test("a full bucket allows a burst, then refuses with the wait until the next token", () => {
+  const limiter = createRateLimiter(limits);
+  for (let i = 0; i < 3; i++) {
+    assert.equal(limiter.take("http", "login", ["ip:1"], 0), 0);
+  }
+  assert.equal(limiter.take("http", "login", ["ip:1"], 0), 1000);
+  assert.equal(limiter.take("http", "login", ["ip:1"], 400), 600);
+});
+
+test("buckets refill at perSecond, up to the burst", () => {
+  const limiter = createRateLimiter(limits);
+  for (let i = 0; i < 3; i++) limiter.take("http", "login", ["ip:1"], 0);
+  assert.equal(limiter.take("http", "login", ["ip:1"], 1000), 0);
+  assert.notEqual(limiter.take("http", "login", ["ip:1"], 1000), 0);
+
+  // A long pause refills no more than the burst
+  for (let i = 0; i < 3; i++) {
+    assert.equal(limiter.take("http", "login", ["ip:1"], 60000), 0);
+  }
+  assert.notEqual(limiter.take("http", "login", ["ip:1"], 60000), 0);
+});
+
+test("clients have separate buckets", () => {
+  const limiter = createRateLimiter(limits);
+  assert.equal(limiter.take("socket", "chat", ["user:amy"], 0), 0);
+  assert.equal(limiter.take("socket", "chat", ["user:amy"], 0), 2000);
+  assert.equal(limiter.take("socket", "chat", ["user:bob"], 0), 0);
+});
+
+test("a token is taken from every key or from none", () => {
+  const limiter = createRateLimiter(limits);
+  assert.equal(limiter.take("socket", "chat", ["ip:1", "user:amy"], 0), 0);
+  // ip:1 is empty, so user:bob keeps its token
+  assert.notEqual(limiter.take("socket", "chat", ["ip:1", "user:bob"], 0), 0);
+  assert.equal(limiter.take("socket", "chat", ["user:bob"], 0), 0);
+});
+
+test("names without a limit are never refused", () => {
+  const limiter = createRateLimiter(limits);
+  for (let i = 0; i < 100; i++) {
+    assert.equal(limiter.take("http", "unlimited", ["ip:1"], 0), 0);
+  }
+});
+
+test("clients refused more than MAX_OFFENCES times in the window are repeat offenders", () => {
+  const limiter = createRateLimiter(limits);
+  for (let i = 0; i < MAX_OFFENCES; i++) {
+    assert.equal(limiter.recordOffence("ip:1", i), false);
+  }
+  assert.equal(limiter.recordOffence("ip:1", MAX_OFFENCES), true);
+  // Old offences expire
+  assert.equal(limiter.recordOffence("ip:1", MAX_OFFENCES + OFFENCE_WINDOW_MS), false);
+});
+
+test("prune forgets refilled buckets, so they start full again", () => {
+  const limiter = createRateLimiter(limits);
+  for (let i = 0; i < 3; i++) limiter.take("http", "login", ["ip:1"], 0);
+  limiter.prune(3000);
+  for (let i = 0; i < 3; i++) {
+    assert.equal(limiter.take("http", "login", ["ip:1"], 3000), 0);
+  }
+});
+
+test("RATE_LIMITS overrides single limits and rejects invalid ones", () => {
+  const loaded = loadRateLimits({ RATE_LIMITS: '{"http": {"login": {"burst": 5, "perSecond": 0.1}}}' });
+  assert.deepEqual(loaded.http.login, { burst: 5, perSecond: 0.1 });
+  assert.deepEqual(loaded.http.register, DEFAULT_RATE_LIMITS.http.register);
+  assert.deepEqual(loadRateLimits({}), DEFAULT_RATE_LIMITS);
+
+  assert.throws(() => loadRateLimits({ RATE_LIMITS: "{" }), /JSON object/);
+  assert.throws(() => loadRateLimits({ RATE_LIMITS: '{"ftp": {}}' }), /"http" and "socket"/);
+  assert.throws(() => loadRateLimits({ RATE_LIMITS: '{"http": {"login": {"burst": 0, "perSecond": 1}}}' }), /RATE_LIMITS.http.login/);
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for resuming after a reconnect from the update ring buffer (handleResume)
+ * The buffer is shrunk to a few updates so falling out of it is cheap to test
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { startServer } from "./helpers/server.js";
+
+const BUFFER_SIZE = 5;
+
+let server;
+let painter;
+let requestCounter = 0;
+
+before(async () => {
+  server = await startServer({ UPDATE_BUFFER_SIZE: String(BUFFER_SIZE), PLACEMENT_COOLDOWN_MS: "1" });
+  const { token } = await server.register("resumer");
+  painter = await server.connect(token);
+});
+
+after(() => {
+  server.stop();
+});
+
+/**
+ * Place pixels one after another, each on its own cell
+ * @param {number} count - Number of pixels
+ * @param {number} [y=0] - Row to place them on (row 100 is outside chunk "0,0")
+ */
+async function paint(count, y = 0) {
+  for (let i = 0; i < count; i++) {
+    await sleep(5); // Past the cooldown
+    const requestId = ++requestCounter;
+    painter.send({ type: "colorCell", requestId, key: `${requestId},${y}`, color: "#ff4500" });
+    const result = await painter.next(message => message.type === "placementResult" && message.requestId === requestId);
+    assert.equal(result.ok, true);
+  }
+}
+
+test("a client up to a full buffer behind is sent the updates it missed in its chunks", async () => {
+  const { epoch, seq } = (await server.connect()).init;
+  await paint(2, 100);
+  await paint(BUFFER_SIZE - 2);
+
+  const socket = await server.connect();
+  socket.send({ type: "resume", epoch, seq, chunks: ["0,0"] });
+  const messages = [];
+  let message;
+  while ((message = await socket.next(() => true)).type !== "resumed") messages.push(message);
+
+  const updates = messages.filter(entry => entry.type === "cellUpdate");
+  assert.equal(updates.length, BUFFER_SIZE - 2);
+  assert.deepEqual(updates.map(entry => entry.seq), [seq + 3, seq + 4, seq + 5]);
+  assert.equal(message.seq, seq + BUFFER_SIZE);
+});
+
+test("a client further behind than the buffer must resync", async () => {
+  const { epoch, seq } = (await server.connect()).init;
+  await paint(BUFFER_SIZE + 1);
+
+  const socket = await server.connect();
+  socket.send({ type: "resume", epoch, seq, chunks: ["0,0"] });
+  const resync = await socket.next(message => message.type === "resyncRequired" || message.type === "resumed");
+  assert.equal(resync.type, "resyncRequired");
+  assert.equal(resync.seq, seq + BUFFER_SIZE + 1);
+});
+
+test("a resume from another epoch or from the future must resync", async () => {
+  const socket = await server.connect();
+  const { epoch, seq } = socket.init;
+  for (const request of [{ epoch: "old", seq }, { epoch, seq: seq + 1 }, { epoch, seq: "1" }, { epoch, seq }]) {
+    socket.send({ type: "resume", chunks: ["0,0"], ...request });
+    const reply = await socket.next(message => message.type === "resyncRequired" || message.type === "resumed");
+    assert.equal(reply.type, request.seq === seq && request.epoch === epoch ? "resumed" : "resyncRequired", JSON.stringify(request));
+  }
+});
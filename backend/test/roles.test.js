@@ -0,0 +1,59 @@
+/**
+ * Tests for user roles and the admin role endpoint
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers/server.js";
+
+let server;
+let adminToken;
+
+before(async () => {
+  server = await startServer({ ADMIN_USERNAMES: "chief" });
+  ({ token: adminToken } = await server.register("chief"));
+});
+
+after(() => {
+  server.stop();
+});
+
+test("moderator and admin routes check the stored role", async () => {
+  const { token } = await server.register("climber");
+  const socket = await server.connect(token);
+  socket.send({ type: "colorCell", requestId: 1, key: "1,1", color: "#ff4500" });
+  assert.equal((await socket.next("placementResult")).ok, true);
+  assert.equal((await server.request("DELETE", "/api/moderation/pixels/1/1", undefined, token)).status, 403);
+  assert.equal((await server.request("PUT", "/api/admin/users/climber/role", { role: "admin" }, token)).status, 403);
+
+  // The old token is enough: the role is read from storage on every request
+  const promoted = await server.request("PUT", "/api/admin/users/climber/role", { role: "moderator" }, adminToken);
+  assert.deepEqual(promoted.body, { username: "climber", role: "moderator" });
+  assert.equal((await server.request("DELETE", "/api/moderation/pixels/1/1", undefined, token)).status, 200);
+  assert.equal((await server.request("GET", "/api/moderation/audit", undefined, token)).status, 403);
+
+  await server.request("PUT", "/api/admin/users/climber/role", { role: "user" }, adminToken);
+  assert.equal((await server.request("DELETE", "/api/moderation/pixels/1/1", undefined, token)).status, 403);
+
+  const audit = await server.request("GET", "/api/moderation/audit", undefined, adminToken);
+  const roleChanges = audit.body.entries.filter(entry => entry.action === "set_role" && entry.target === "climber");
+  assert.deepEqual(roleChanges.map(entry => entry.details), [{ from: "moderator", to: "user" }, { from: "user", to: "moderator" }]);
+});
+
+test("role changes are validated", async () => {
+  await server.register("plain");
+  assert.equal((await server.request("PUT", "/api/admin/users/plain/role", { role: "owner" }, adminToken)).status, 400);
+  assert.equal((await server.request("PUT", "/api/admin/users/plain/role", {}, adminToken)).status, 400);
+  assert.equal((await server.request("PUT", "/api/admin/users/nobody/role", { role: "user" }, adminToken)).status, 404);
+});
+
+test("the last admin can't be demoted, but one of two admins can", async () => {
+  const alone = await server.request("PUT", "/api/admin/users/chief/role", { role: "user" }, adminToken);
+  assert.equal(alone.status, 400);
+  assert.match(alone.body.error, /last admin/);
+
+  const { token } = await server.register("deputy");
+  assert.equal((await server.request("PUT", "/api/admin/users/deputy/role", { role: "admin" }, adminToken)).status, 200);
+  assert.equal((await server.request("PUT", "/api/admin/users/chief/role", { role: "moderator" }, token)).status, 200);
+  assert.equal((await server.request("PUT", "/api/admin/users/deputy/role", { role: "user" }, token)).status, 400);
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for rollback planning (rollback.js), run against the in-memory storage
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStorage } from "../memoryStorage.js";
+import { planRollback, validateRollbackFilter, parseTime } from "../rollback.js";
+
+const CANVAS_ID = 1;
+const canvas = { width: 100, height: 100 };
+
+/**
+ * Plan a rollback the way the rollback endpoint does
+ * @param {Object} storage - Storage to read the placements log from
+ * @param {Object} filter - Filter from validateRollbackFilter
+ * @returns {Array} - Changes from planRollback
+ */
+function plan(storage, filter) {
+  const placements = storage.getRevertiblePlacements(CANVAS_ID, filter, 1000);
+  const cells = new Map();
+  for (const { key, x, y } of placements) {
+    if (!cells.has(key)) {
+      cells.set(key, { key, x, y, history: storage.getPixelHistory(CANVAS_ID, key) });
+    }
+  }
+  return planRollback([...cells.values()], new Set(placements.map(placement => placement.id)));
+}
+
+test("cells go back to their value before the reverted placements", () => {
+  const history = [
+    { id: 1, color: "#ff0000", username: "amy", placedAt: "2026-01-01 10:00:00" },
+    { id: 2, color: null, username: "mod", placedAt: "2026-01-01 10:05:00" },
+    { id: 3, color: "#00ff00", username: "amy", placedAt: "2026-01-01 10:06:00" },
+    { id: 4, color: "#0000ff", username: "bot", placedAt: "2026-01-01 11:00:00" },
+    { id: 5, color: "#0000ff", username: "bot", placedAt: "2026-01-01 11:01:00" }
+  ];
+  const changes = planRollback([{ key: "3,4", x: 3, y: 4, history }], new Set([4, 5]));
+  assert.deepEqual(changes, [{
+    key: "3,4",
+    x: 3,
+    y: 4,
+    current: { color: "#0000ff", username: "bot", placedAt: "2026-01-01 11:01:00" },
+    restored: { color: "#00ff00", username: "amy", placedAt: "2026-01-01 10:06:00" }
+  }]);
+});
+
+test("cells that were empty or erased before the reverted placements are cleared", () => {
+  const fresh = [{ id: 1, color: "#000000", username: "bot", placedAt: "2026-01-01 11:00:00" }];
+  const erased = [
+    { id: 2, color: "#ffffff", username: "amy", placedAt: "2026-01-01 10:00:00" },
+    { id: 3, color: null, username: "mod", placedAt: "2026-01-01 10:30:00" },
+    { id: 4, color: "#000000", username: "bot", placedAt: "2026-01-01 11:00:00" }
+  ];
+  const changes = planRollback([
+    { key: "0,0", x: 0, y: 0, history: fresh },
+    { key: "1,0", x: 1, y: 0, history: erased }
+  ], new Set([1, 4]));
+  assert.deepEqual(changes.map(change => change.restored), [null, null]);
+});
+
+test("cells someone else changed after the reverted placements are left alone", () => {
+  const history = [
+    { id: 1, color: "#000000", username: "bot", placedAt: "2026-01-01 11:00:00" },
+    { id: 2, color: null, username: "mod", placedAt: "2026-01-01 11:10:00" },
+    { id: 3, color: "#ff0000", username: "amy", placedAt: "2026-01-01 11:20:00" }
+  ];
+  assert.deepEqual(planRollback([{ key: "0,0", x: 0, y: 0, history }], new Set([1])), []);
+  assert.deepEqual(planRollback([{ key: "0,0", x: 0, y: 0, history: [] }], new Set([1])), []);
+});
+
+test("a rollback on the memory storage undoes a user's placements", () => {
+  const storage = createMemoryStorage();
+  storage.savePixel(CANVAS_ID, "0,0", 0, 0, "#ff0000", "amy");
+  storage.erasePixels(CANVAS_ID, [{ key: "0,0", x: 0, y: 0 }], "mod");
+  storage.savePixel(CANVAS_ID, "0,0", 0, 0, "#000000", "bot");
+  storage.savePixel(CANVAS_ID, "1,1", 1, 1, "#000000", "bot");
+  storage.savePixel(CANVAS_ID, "2,2", 2, 2, "#00ff00", "amy");
+
+  const { filter } = validateRollbackFilter({ username: "bot" }, canvas);
+  const changes = plan(storage, filter);
+  assert.deepEqual(changes.map(({ key, restored }) => [key, restored]), [["0,0", null], ["1,1", null]]);
+
+  storage.applyRollback(CANVAS_ID, changes, "admin");
+  assert.deepEqual(Object.keys(storage.loadAllPixels(CANVAS_ID)), ["2,2"]);
+  assert.equal(storage.getPixel(CANVAS_ID, "2,2").username, "amy");
+
+  // The rollback is logged, and rolling back again finds nothing left to undo
+  assert.deepEqual(storage.getPixelHistory(CANVAS_ID, "1,1").map(entry => entry.method), ["normal", "rollback"]);
+  assert.deepEqual(plan(storage, filter), []);
+});
+
+test("a rollback restores the pixels the reverted placements replaced", () => {
+  const storage = createMemoryStorage();
+  storage.savePixel(CANVAS_ID, "5,5", 5, 5, "#ff0000", "amy");
+  storage.savePixel(CANVAS_ID, "5,5", 5, 5, "#000000", "bot", "purchased");
+
+  const changes = plan(storage, { username: "bot", region: null, from: null, to: null });
+  storage.applyRollback(CANVAS_ID, changes, "admin");
+  assert.deepEqual(
+    { color: storage.getPixel(CANVAS_ID, "5,5").color, username: storage.getPixel(CANVAS_ID, "5,5").username },
+    { color: "#ff0000", username: "amy" }
+  );
+});
+
+test("filters need a username, or a region and a time window", () => {
+  assert.match(validateRollbackFilter({}, canvas).error, /Give a username, or a region/);
+  assert.ok(validateRollbackFilter({ x0: 0, y0: 0, x1: 9, y1: 9 }, canvas).error);
+  assert.ok(validateRollbackFilter({ username: "bot", from: 20, to: 10 }, canvas).error);
+  assert.ok(validateRollbackFilter({ username: "bot", x0: 0, y0: 0, x1: 100, y1: 0 }, canvas).error);
+
+  const { filter } = validateRollbackFilter({ x0: 9, y0: 0, x1: 0, y1: 4, from: "2026-01-01T00:00:00Z", to: "1767229200000" }, canvas);
+  assert.deepEqual(filter, {
+    username: null,
+    region: { x0: 0, y0: 0, x1: 9, y1: 4 },
+    from: Date.parse("2026-01-01T00:00:00Z"),
+    to: 1767229200000
+  });
+});
+
+test("times are epoch milliseconds or ISO dates", () => {
+  assert.equal(parseTime(1000), 1000);
+  assert.equal(parseTime("1000"), 1000);
+  assert.equal(parseTime("2026-01-01T00:00:00Z"), 1767225600000);
+  assert.equal(parseTime(1.5), null);
+  assert.equal(parseTime("yesterday"), null);
+  assert.equal(parseTime(null), null);
+});
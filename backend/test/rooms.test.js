@@ -0,0 +1,134 @@
+/**
+ * Tests for canvas rooms: settings validation (rooms.js), creating canvases and membership checks
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { isValidSlug, validateRoomSettings, isRoomOpen, MAX_ROOM_DIMENSION, MAX_ROOM_COOLDOWN_MS, MAX_ROOM_TITLE_LENGTH, MAX_OWNED_CANVASES } from "../rooms.js";
+import { startServer } from "./helpers/server.js";
+
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+const valid = { slug: "team-1", title: " Team ", width: 32, height: 16, cooldownMs: 0 };
+
+let server;
+
+before(async () => {
+  server = await startServer({ ADMIN_USERNAMES: "roomadmin" });
+});
+
+after(() => {
+  server.stop();
+});
+
+test("slugs are 2-32 lowercase letters, digits or dashes", () => {
+  for (const slug of ["ab", "team-1", "0day", "a".repeat(32)]) {
+    assert.equal(isValidSlug(slug), true, slug);
+  }
+  for (const slug of ["a", "-team", "Team", "team_1", "a".repeat(33), "", null, 12]) {
+    assert.equal(isValidSlug(slug), false, String(slug));
+  }
+});
+
+test("room settings are validated and normalised", () => {
+  assert.deepEqual(validateRoomSettings(valid, NOW), {
+    settings: { slug: "team-1", title: "Team", width: 32, height: 16, cooldownMs: 0, visibility: "public", expiresAt: null }
+  });
+  assert.equal(validateRoomSettings({ ...valid, expiresAt: "2026-03-02T12:00:00Z" }, NOW).settings.expiresAt, NOW + 86400000);
+  assert.equal(validateRoomSettings({ ...valid, visibility: "private", expiresAt: NOW + 1 }, NOW).settings.visibility, "private");
+  assert.equal(validateRoomSettings({ ...valid, width: MAX_ROOM_DIMENSION, cooldownMs: MAX_ROOM_COOLDOWN_MS }, NOW).settings.width, MAX_ROOM_DIMENSION);
+
+  const errors = [
+    [{ slug: "X" }, /Slug/],
+    [{ title: "" }, /Title/],
+    [{ title: "x".repeat(MAX_ROOM_TITLE_LENGTH + 1) }, /Title/],
+    [{ width: 0 }, /Width and height/],
+    [{ height: MAX_ROOM_DIMENSION + 1 }, /Width and height/],
+    [{ width: 1.5 }, /Width and height/],
+    [{ cooldownMs: -1 }, /cooldownMs/],
+    [{ cooldownMs: MAX_ROOM_COOLDOWN_MS + 1 }, /cooldownMs/],
+    [{ visibility: "secret" }, /Visibility/],
+    [{ expiresAt: NOW }, /expiresAt/],
+    [{ expiresAt: "tomorrow" }, /expiresAt/]
+  ];
+  for (const [change, error] of errors) {
+    assert.match(validateRoomSettings({ ...valid, ...change }, NOW).error, error, JSON.stringify(change));
+  }
+  assert.match(validateRoomSettings(null, NOW).error, /Slug/);
+});
+
+test("event canvases close when they expire", () => {
+  assert.equal(isRoomOpen({ expiresAt: null }, NOW), true);
+  assert.equal(isRoomOpen({ expiresAt: NOW + 1 }, NOW), true);
+  assert.equal(isRoomOpen({ expiresAt: NOW }, NOW), false);
+});
+
+test("only admins create public canvases and users create a limited number of private ones", async () => {
+  const { token } = await server.register("builder");
+  const { token: adminToken } = await server.register("roomadmin");
+
+  assert.equal((await server.request("POST", "/api/canvases", valid, token)).status, 403);
+  assert.equal((await server.request("POST", "/api/canvases", { ...valid, width: 0 }, token)).status, 400);
+  const created = await server.request("POST", "/api/canvases", { ...valid, slug: "public-one" }, adminToken);
+  assert.equal(created.status, 201);
+  assert.equal(created.body.visibility, "public");
+  assert.equal((await server.request("POST", "/api/canvases", { ...valid, slug: "public-one" }, adminToken)).status, 409);
+
+  for (let i = 0; i < MAX_OWNED_CANVASES; i++) {
+    const own = await server.request("POST", "/api/canvases", { ...valid, slug: `builder-${i}`, visibility: "private" }, token);
+    assert.equal(own.status, 201);
+    assert.equal(own.body.role, "owner");
+  }
+  const tooMany = await server.request("POST", "/api/canvases", { ...valid, slug: "builder-x", visibility: "private" }, token);
+  assert.equal(tooMany.status, 403);
+});
+
+test("private canvases are only open to their members", async () => {
+  const { token: ownerToken } = await server.register("owner");
+  const { token: guestToken } = await server.register("guest");
+  const created = await server.request("POST", "/api/canvases", { ...valid, slug: "hideout", visibility: "private" }, ownerToken);
+  assert.equal(created.status, 201);
+
+  const anonymous = await server.connect();
+  anonymous.send({ type: "join", canvas: "hideout" });
+  assert.match((await anonymous.next("joinError")).error, /Log in/);
+
+  const guest = await server.connect(guestToken);
+  guest.send({ type: "join", canvas: "hideout" });
+  assert.match((await guest.next("joinError")).error, /not a member/);
+  assert.equal((await server.request("GET", "/api/canvases/hideout/members", undefined, guestToken)).status, 404);
+  assert.ok(!(await server.request("GET", "/api/canvases", undefined, guestToken)).body.some(canvas => canvas.slug === "hideout"));
+
+  // Members can join and place; the canvas has its own pixels and cooldown
+  assert.equal((await server.request("PUT", "/api/canvases/hideout/members/guest", {}, guestToken)).status, 404);
+  assert.equal((await server.request("PUT", "/api/canvases/hideout/members/guest", {}, ownerToken)).status, 200);
+  guest.send({ type: "join", canvas: "hideout" });
+  const init = await guest.next("init");
+  assert.equal(init.room.slug, "hideout");
+  assert.deepEqual(init.canvas, { width: 32, height: 16 });
+  guest.send({ type: "colorCell", requestId: 1, key: "31,15", color: "#ff4500" });
+  assert.equal((await guest.next("placementResult")).ok, true);
+  guest.send({ type: "colorCell", requestId: 2, key: "32,0", color: "#ff4500" });
+  assert.equal((await guest.next("placementResult")).reason, "out_of_bounds");
+  const mainPixel = await server.request("GET", "/api/pixels/31/15/history", undefined, guestToken);
+  assert.equal(mainPixel.body.current, null);
+  const roomPixel = await server.request("GET", "/api/pixels/31/15/history?canvas=hideout", undefined, guestToken);
+  assert.equal(roomPixel.body.current.username, "guest");
+
+  // Removed members are sent back to the main canvas
+  assert.equal((await server.request("DELETE", "/api/canvases/hideout/members/owner", undefined, ownerToken)).status, 400);
+  assert.equal((await server.request("DELETE", "/api/canvases/hideout/members/guest", undefined, ownerToken)).status, 200);
+  assert.match((await guest.next("joinError")).error, /no longer have access/);
+  assert.equal((await guest.next("init")).room.slug, "main");
+});
+
+test("placements on an expired event canvas are refused", async () => {
+  const { token } = await server.register("eventer");
+  const created = await server.request("POST", "/api/canvases", { ...valid, slug: "flash-event", visibility: "private", expiresAt: Date.now() + 500 }, token);
+  assert.equal(created.status, 201);
+
+  const socket = await server.connect(token, { canvas: "flash-event" });
+  await sleep(600);
+  socket.send({ type: "colorCell", requestId: 1, key: "1,1", color: "#ff4500" });
+  assert.equal((await socket.next("placementResult")).reason, "canvas_closed");
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for bans, suspensions and mutes (moderation.js and the sanctions endpoints)
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { validateSanction, MAX_SANCTION_DURATION_MS } from "../moderation.js";
+import { startServer, PASSWORD } from "./helpers/server.js";
+
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+
+let server;
+let modToken;
+
+before(async () => {
+  server = await startServer({ ADMIN_USERNAMES: "warden" });
+  const admin = await server.register("warden");
+  await server.register("deputy");
+  await server.request("PUT", "/api/admin/users/deputy/role", { role: "moderator" }, admin.token);
+  modToken = (await server.request("POST", "/login", { username: "deputy", password: PASSWORD })).body.token;
+});
+
+after(() => {
+  server.stop();
+});
+
+/**
+ * Issue a sanction as the moderator
+ * @param {Object} body - { username, type, reason, durationMs }
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+function sanction(body) {
+  return server.request("POST", "/api/moderation/sanctions", body, modToken);
+}
+
+test("sanctions are validated", () => {
+  assert.deepEqual(validateSanction({ type: "ban", reason: " Griefing " }, NOW), { sanction: { type: "ban", reason: "Griefing", expiresAt: null } });
+  assert.equal(validateSanction({ type: "suspension", reason: "Spam", durationMs: 60000 }, NOW).sanction.expiresAt, NOW + 60000);
+  assert.equal(validateSanction({ type: "mute", reason: "Spam" }, NOW).sanction.expiresAt, null);
+
+  assert.match(validateSanction({ type: "kick", reason: "x" }, NOW).error, /Type/);
+  assert.match(validateSanction({ type: "ban", reason: "  " }, NOW).error, /Reason/);
+  assert.match(validateSanction({ type: "ban", reason: "x", durationMs: 1000 }, NOW).error, /permanent/);
+  assert.match(validateSanction({ type: "suspension", reason: "x" }, NOW).error, /durationMs/);
+  assert.match(validateSanction({ type: "mute", reason: "x", durationMs: MAX_SANCTION_DURATION_MS + 1 }, NOW).error, /durationMs/);
+});
+
+test("a ban closes the user's connections, ends their sessions and refuses logins", async () => {
+  const { token, refreshToken } = await server.register("vandal");
+  const socket = await server.connect(token);
+
+  const issued = await sanction({ username: "vandal", type: "ban", reason: "Griefing" });
+  assert.equal(issued.status, 201);
+  assert.equal((await socket.next("sanction")).sanction.type, "ban");
+  assert.equal((await socket.closed).code, 4003);
+
+  assert.equal((await server.request("GET", "/api/profile", undefined, token)).status, 403);
+  const refresh = await server.request("POST", "/refresh", { refreshToken });
+  assert.equal(refresh.status, 401);
+  assert.equal(refresh.body.sanction.type, "ban");
+
+  const login = await server.request("POST", "/login", { username: "vandal", password: PASSWORD });
+  assert.equal(login.status, 403);
+  assert.deepEqual(login.body.sanction, { type: "ban", reason: "Griefing", expiresAt: null });
+
+  // Lifting the ban lets the user log in again, but the old sessions stay ended
+  await sanction({ username: "vandal", type: "mute", reason: "Also chatty" });
+  const active = await server.request("GET", "/api/moderation/sanctions?username=vandal", undefined, modToken);
+  const ban = active.body.sanctions.find(entry => entry.type === "ban");
+  assert.equal((await server.request("POST", `/api/moderation/sanctions/${ban.id}/lift`, {}, modToken)).status, 200);
+  assert.equal((await server.request("POST", "/login", { username: "vandal", password: PASSWORD })).status, 200);
+  assert.equal((await server.request("POST", "/refresh", { refreshToken })).status, 401);
+});
+
+test("a suspension ends when it expires", async () => {
+  await server.register("hothead");
+  assert.equal((await sanction({ username: "hothead", type: "suspension", reason: "Cool off", durationMs: 500 })).status, 201);
+
+  const refused = await server.request("POST", "/login", { username: "hothead", password: PASSWORD });
+  assert.equal(refused.status, 403);
+  assert.match(refused.body.error, /Cool off/);
+
+  await sleep(600);
+  assert.equal((await server.request("POST", "/login", { username: "hothead", password: PASSWORD })).status, 200);
+});
+
+test("muted users can place but not chat", async () => {
+  const { token } = await server.register("shouter");
+  const socket = await server.connect(token);
+  assert.equal((await sanction({ username: "shouter", type: "mute", reason: "Caps lock" })).status, 201);
+  assert.equal((await socket.next("sanction")).sanction.type, "mute");
+
+  socket.send({ type: "chat", text: "HELLO" });
+  assert.match((await socket.next("chatError")).error, /Caps lock/);
+  socket.send({ type: "colorCell", requestId: 1, key: "2,2", color: "#ff4500" });
+  assert.equal((await socket.next("placementResult")).ok, true);
+  assert.equal((await server.request("POST", "/login", { username: "shouter", password: PASSWORD })).status, 200);
+});
+
+test("moderators can only sanction users with a lower role", async () => {
+  assert.equal((await sanction({ username: "warden", type: "ban", reason: "Coup" })).status, 403);
+  assert.equal((await sanction({ username: "deputy", type: "mute", reason: "Self" })).status, 403);
+  assert.equal((await sanction({ username: "nobody", type: "ban", reason: "Ghost" })).status, 404);
+  assert.equal((await sanction({ username: "nobody", type: "ban" })).status, 400);
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for refresh-token rotation, reuse detection and logout
+ * Runs the real server on the in-memory storage and talks to it over HTTP
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, PASSWORD } from "./helpers/server.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+test("refreshing rotates the refresh token", async () => {
+  const login = await server.register("rotator");
+
+  const refreshed = await server.request("POST", "/refresh", { refreshToken: login.refreshToken });
+  assert.equal(refreshed.status, 200);
+  assert.ok(refreshed.body.token);
+  assert.notEqual(refreshed.body.refreshToken, login.refreshToken);
+
+  const again = await server.request("POST", "/refresh", { refreshToken: refreshed.body.refreshToken });
+  assert.equal(again.status, 200);
+});
+
+test("reusing a rotated refresh token revokes the whole session", async () => {
+  const login = await server.register("reuser");
+  const refreshed = await server.request("POST", "/refresh", { refreshToken: login.refreshToken });
+  assert.equal(refreshed.status, 200);
+
+  const reused = await server.request("POST", "/refresh", { refreshToken: login.refreshToken });
+  assert.equal(reused.status, 401);
+  assert.match(reused.body.error, /already used/);
+
+  // The token it was rotated to and the session's access tokens stop working too
+  assert.equal((await server.request("POST", "/refresh", { refreshToken: refreshed.body.refreshToken })).status, 401);
+  assert.equal((await server.request("GET", "/api/profile", undefined, refreshed.body.token)).status, 403);
+});
+
+test("reuse only revokes the session it happened in", async () => {
+  const first = await server.register("twodevices");
+  const second = (await server.request("POST", "/login", { username: "twodevices", password: PASSWORD })).body;
+
+  await server.request("POST", "/refresh", { refreshToken: first.refreshToken });
+  assert.equal((await server.request("POST", "/refresh", { refreshToken: first.refreshToken })).status, 401);
+
+  assert.equal((await server.request("POST", "/refresh", { refreshToken: second.refreshToken })).status, 200);
+});
+
+test("logging out revokes the refresh token", async () => {
+  const login = await server.register("leaver");
+  assert.equal((await server.request("POST", "/logout", { refreshToken: login.refreshToken })).status, 200);
+  assert.equal((await server.request("POST", "/refresh", { refreshToken: login.refreshToken })).status, 401);
+});
+
+test("refresh and logout need a refresh token", async () => {
+  assert.equal((await server.request("POST", "/refresh", {})).status, 400);
+  assert.equal((await server.request("POST", "/logout", { refreshToken: 7 })).status, 400);
+  assert.equal((await server.request("POST", "/refresh", { refreshToken: "not-a-token" })).status, 401);
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for WebSocket authentication with the JWT access token
+ * Runs the real server on the in-memory storage
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { startServer } from "./helpers/server.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => {
+  server.stop();
+});
+
+test("an authenticate message with a valid token identifies the connection", async () => {
+  const { token } = await server.register("socketeer");
+  const socket = await server.connect();
+
+  socket.send({ type: "authenticate", token });
+  assert.deepEqual(await socket.next("authenticated"), { type: "authenticated", username: "socketeer" });
+});
+
+test("the token can also be passed when connecting", async () => {
+  const { token } = await server.register("queryauth");
+  const socket = await server.connect(token);
+
+  socket.send({ type: "colorCell", requestId: 1, key: "0,0", color: "#000000", username: "someone-else" });
+  const result = await socket.next("placementResult");
+  assert.equal(result.ok, true);
+  const history = await server.request("GET", "/api/pixels/0/0/history", undefined, token);
+  assert.equal(history.body.history.at(-1).username, "queryauth");
+});
+
+test("invalid and forged tokens are refused and the connection closed", async () => {
+  const forged = jwt.sign({ username: "socketeer", sid: "made-up" }, "not-the-secret");
+  for (const token of ["garbage", forged]) {
+    const socket = await server.connect();
+    socket.send({ type: "authenticate", token });
+    assert.equal((await socket.next("authError")).error, "Invalid or expired token");
+    assert.equal((await socket.closed).code, 4001);
+  }
+});
+
+test("anonymous connections may watch but not paint", async () => {
+  const socket = await server.connect();
+  socket.send({ type: "colorCell", requestId: 1, key: "9,9", color: "#000000", username: "socketeer" });
+  const result = await socket.next("placementResult");
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, "unauthenticated");
+});
+
+test("a connection can't switch to another user", async () => {
+  const first = await server.register("firstuser");
+  const second = await server.register("seconduser");
+  const socket = await server.connect();
+
+  socket.send({ type: "authenticate", token: first.token });
+  await socket.next("authenticated");
+  socket.send({ type: "authenticate", token: second.token });
+  assert.match((await socket.next("authError")).error, /another user/);
+});
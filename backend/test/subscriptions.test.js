@@ -0,0 +1,67 @@
+/**
+ * Tests for chunk subscriptions and chunked initial sync (handleSubscribe)
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "timers/promises";
+import { CHUNK_SIZE } from "../canvas.js";
+import { startServer } from "./helpers/server.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({ PLACEMENT_COOLDOWN_MS: "1" });
+});
+
+after(() => {
+  server.stop();
+});
+
+/**
+ * Place a pixel and check it was accepted
+ * @param {Object} socket - Test socket of the painting user
+ * @param {string} key - Grid key
+ * @param {string} color - Palette colour
+ */
+async function place(socket, key, color) {
+  await sleep(5); // Past the cooldown
+  const requestId = key;
+  socket.send({ type: "colorCell", requestId, key, color });
+  const result = await socket.next(message => message.type === "placementResult" && message.requestId === requestId);
+  assert.equal(result.ok, true);
+}
+
+test("subscribing sends each new chunk in full, then only updates for subscribed chunks", async () => {
+  const { token } = await server.register("tiler");
+  const painter = await server.connect(token);
+  const watcher = await server.connect();
+  const far = `${CHUNK_SIZE + 6},${CHUNK_SIZE + 6}`;
+
+  await place(painter, far, "#ff4500");
+
+  watcher.send({ type: "subscribe", chunks: ["0,0"] });
+  const first = await watcher.next("chunkData");
+  assert.equal(first.chunk, "0,0");
+  assert.deepEqual(first.pixels, {});
+
+  await place(painter, "5,5", "#000000");
+  const update = await watcher.next("cellUpdate");
+  assert.equal(update.key, "5,5");
+  assert.equal(update.color, "#000000");
+  assert.equal(update.username, "tiler");
+
+  // Chunks that aren't on the canvas or aren't chunk keys are ignored, and "0,0" isn't sent again
+  watcher.send({ type: "subscribe", chunks: ["0,0", "1,1", "999,999", "-1,0", "nope"] });
+  const chunk = await watcher.next("chunkData");
+  assert.equal(chunk.chunk, "1,1");
+  assert.deepEqual(chunk.pixels, { [far]: { color: "#ff4500", username: "tiler" } });
+  assert.deepEqual((await watcher.drain()).filter(message => message.type === "chunkData"), []);
+
+  // Dropping "0,0" while adding "0,1", whose chunkData shows the subscription has been handled
+  watcher.send({ type: "subscribe", chunks: ["1,1", "0,1"] });
+  assert.equal((await watcher.next("chunkData")).chunk, "0,1");
+  await place(painter, "6,6", "#000000");
+  await place(painter, `${CHUNK_SIZE + 7},${CHUNK_SIZE + 7}`, "#000000");
+  assert.equal((await watcher.next("cellUpdate")).key, `${CHUNK_SIZE + 7},${CHUNK_SIZE + 7}`);
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests for the canvas snapshot-at-time and timeline endpoints used by replay
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStorage } from "../memoryStorage.js";
+import { startServer } from "./helpers/server.js";
+
+const MAIN_CANVAS_ID = 1;
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer({ PLACEMENT_COOLDOWN_MS: "1" });
+  token = (await server.register("replayer")).token;
+  const socket = await server.connect(token);
+  for (const [index, key] of ["1,1", "2,2", "3,3"].entries()) {
+    socket.send({ type: "colorCell", requestId: index, key, color: "#ff4500" });
+    assert.equal((await socket.next("placementResult")).ok, true);
+  }
+});
+
+after(() => {
+  server.stop();
+});
+
+test("a snapshot replays the log up to the given time", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-05-01T10:00:00Z") });
+  const storage = createMemoryStorage();
+  storage.savePixel(MAIN_CANVAS_ID, "1,1", 1, 1, "#ff4500", "amy");
+  t.mock.timers.tick(60000);
+  storage.savePixel(MAIN_CANVAS_ID, "2,2", 2, 2, "#000000", "bob");
+  t.mock.timers.tick(60000);
+  storage.erasePixels(MAIN_CANVAS_ID, [{ key: "1,1", x: 1, y: 1 }], "mod");
+
+  const keys = time => Object.keys(storage.loadPixelsAt(MAIN_CANVAS_ID, Date.parse(time))).sort();
+  assert.deepEqual(keys("2026-05-01T09:59:59Z"), []);
+  assert.deepEqual(keys("2026-05-01T10:00:30Z"), ["1,1"]);
+  assert.deepEqual(keys("2026-05-01T10:01:00Z"), ["1,1", "2,2"]);
+  assert.deepEqual(keys("2026-05-01T10:05:00Z"), ["2,2"]);
+  assert.equal(storage.loadPixelsAt(MAIN_CANVAS_ID, Date.parse("2026-05-01T10:05:00Z"))["2,2"].username, "bob");
+});
+
+test("the snapshot endpoint takes epoch milliseconds or an ISO date", async () => {
+  const now = await server.request("GET", `/api/canvas/at?t=${Date.now() + 1000}`, undefined, token);
+  assert.equal(now.status, 200);
+  assert.deepEqual(Object.keys(now.body.grid).sort(), ["1,1", "2,2", "3,3"]);
+
+  const before = await server.request("GET", "/api/canvas/at?t=2000-01-01T00:00:00Z", undefined, token);
+  assert.deepEqual(before.body, { t: Date.parse("2000-01-01T00:00:00Z"), grid: {} });
+
+  assert.equal((await server.request("GET", "/api/canvas/at?t=yesterday", undefined, token)).status, 400);
+  assert.equal((await server.request("GET", "/api/canvas/at", undefined, token)).status, 400);
+});
+
+test("the timeline pages through the log in order", async () => {
+  const first = await server.request("GET", "/api/canvas/timeline?limit=2", undefined, token);
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.placements.map(placement => placement.key), ["1,1", "2,2"]);
+  assert.equal(first.body.done, false);
+
+  const second = await server.request("GET", `/api/canvas/timeline?limit=2&after=${first.body.nextAfter}`, undefined, token);
+  assert.deepEqual(second.body.placements.map(placement => placement.key), ["3,3"]);
+  assert.equal(second.body.done, true);
+
+  const end = await server.request("GET", `/api/canvas/timeline?after=${second.body.nextAfter}`, undefined, token);
+  assert.deepEqual(end.body, { placements: [], nextAfter: second.body.nextAfter, done: true });
+});
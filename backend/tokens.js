@@ -0,0 +1,40 @@
+/**
+ * Session Tokens
+ * Logging in starts a session with a short-lived JWT access token and a refresh token
+ * Every refresh revokes the presented refresh token and issues a new one in the same session;
+ * presenting a revoked one again means it was copied, so the whole session is revoked
+ * Logging out revokes the session, which also invalidates its access tokens
+ */
+
+import { randomBytes, createHash, randomUUID } from "crypto";
+
+// === TOKEN LIFETIMES ===
+export const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60;      // Access tokens (JWT), renewed by the client
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Refresh tokens, 30 days since the last refresh
+
+/**
+ * Hash a refresh token for storage and lookup
+ * Tokens are random, so a plain SHA-256 is enough (no salt needed)
+ * @param {string} token - Refresh token as sent to the client
+ * @returns {string} - Hex digest
+ */
+export function hashRefreshToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Create a new random refresh token
+ * @returns {{token: string, tokenHash: string}} - Token for the client and the hash to store
+ */
+export function createRefreshToken() {
+  const token = randomBytes(32).toString("base64url");
+  return { token, tokenHash: hashRefreshToken(token) };
+}
+
+/**
+ * Create an id for a new login session
+ * @returns {string} - Random UUID
+ */
+export function createSessionId() {
+  return randomUUID();
+}
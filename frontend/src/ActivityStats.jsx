@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { authFetch } from './auth';
 
 /**
  * Real-time Activity Statistics Component
@@ -17,9 +18,8 @@ const ActivityStats = ({ token, refreshTrigger }) => {
     
     try {
       setLoading(true);
-      const response = await fetch('/api/activity', {
+      const response = await authFetch('/api/activity', {
         headers: {
-          'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         }
       });
@@ -10,31 +10,13 @@ import Register from "./Register.jsx"; // User registration form component
 import Login from "./Login.jsx";    // User login form component
 import Leaderboard from "./Leaderboard.jsx"; // Leaderboard component
 import ActivityStats from "./ActivityStats.jsx"; // Real-time activity statistics
+import ChatPanel from "./ChatPanel.jsx";       // Live chat with coordinate links
+import CanvasSwitcher from "./CanvasSwitcher.jsx"; // List of canvases to switch between
+import ProfileSettings from "./ProfileSettings.jsx"; // Display name, password and account deletion
+import UserProfile from "./UserProfile.jsx";         // Public profile of a user picked on the leaderboard
+import { getUsernameFromToken, getAccessToken, subscribeSession, scheduleRefresh, endSession, authFetch } from "./auth.js";
 import "./App.css";                 // Application-wide styles
 
-/**
- * Utility function to extract username from JWT token
- * Simple JWT decode implementation (no validation, just base64 decode)
- * @param {string} token - JWT token string
- * @returns {string} - Username extracted from token payload, empty string if invalid
- */
-export function getUsernameFromToken(token) {
-  // Return empty string if no token provided
-  if (!token) return "";
-  
-  try {
-    // Split JWT token into parts (header.payload.signature)
-    // Decode the payload (middle part) from base64
-    const payload = JSON.parse(atob(token.split(".")[1]));
-    
-    // Extract username from payload, fallback to empty string
-    return payload.username || "";
-  } catch {
-    // Return empty string if token parsing fails
-    return "";
-  }
-}
-
 
 
 /**
@@ -42,9 +24,13 @@ export function getUsernameFromToken(token) {
  * Manages user authentication state and renders either auth forms or main app
  */
 function App() {
-  // State for storing JWT authentication token
-  // Initialize from localStorage to persist login across browser sessions
-  const [token, setToken] = useState(() => localStorage.getItem("token") || "");
+  // State for storing JWT access token
+  // Kept in sync with the session in auth.js, which restores remembered logins and renews the token
+  const [token, setToken] = useState(getAccessToken);
+  useEffect(() => subscribeSession(setToken), []);
+  
+  // Renew the access token shortly before it expires; rescheduled after every renewal
+  useEffect(() => scheduleRefresh(), [token]);
   
   // State to toggle between login and registration forms
   // true = show login form, false = show registration form
@@ -59,6 +45,46 @@ function App() {
   const refreshLeaderboard = () => {
     setLeaderboardRefresh(prev => prev + 1);
   };
+  
+  // Canvas (room) shown in the grid, remembered across visits
+  const [canvas, setCanvas] = useState(() => localStorage.getItem("canvas") || "main");
+  useEffect(() => {
+    localStorage.setItem("canvas", canvas);
+  }, [canvas]);
+  
+  // Cell the grid should pan to (e.g. from a chat coordinate link)
+  // A fresh object each time so clicking the same link twice still pans
+  const [focusCell, setFocusCell] = useState(null);
+  
+  // Profile of the logged-in user (for the display name) and whether the settings panel is open
+  const [profile, setProfile] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  
+  // Public profile being viewed (opened from the leaderboard) and the user whose pixels the grid highlights
+  const [viewedUser, setViewedUser] = useState(null);
+  const [highlightUser, setHighlightUser] = useState(null);
+  
+  /**
+   * Open a user's public profile in place of the settings panel
+   * @param {string} name - Username
+   */
+  const openUserProfile = (name) => {
+    setShowSettings(false);
+    setViewedUser(name);
+  };
+  const sessionUsername = getUsernameFromToken(token);
+  useEffect(() => {
+    setProfile(null);
+    if (!sessionUsername) return;
+    let cancelled = false;
+    authFetch("/api/profile")
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => {
+        if (!cancelled && data) setProfile(data);
+      })
+      .catch(err => console.error("Profile fetch error:", err));
+    return () => { cancelled = true; };
+  }, [sessionUsername]);
 
   // Define modules for side panels
   const leftPanelModules = [
@@ -67,10 +93,24 @@ function App() {
       title: 'User Info',
       type: 'info',
       content: {
-        text: `Welcome, ${getUsernameFromToken(token) || 'Guest'}! Use this collaborative pixel art canvas to create amazing artwork together.`,
+        text: `Welcome, ${profile?.displayName || sessionUsername || 'Guest'}! Use this collaborative pixel art canvas to create amazing artwork together.`,
         icon: '👤'
       }
     },
+    {
+      id: 'canvases',
+      title: 'Canvases',
+      type: 'custom',
+      content: {
+        render: () => (
+          <CanvasSwitcher 
+            token={token} 
+            current={canvas} 
+            onSelect={setCanvas} 
+          />
+        )
+      }
+    },
     {
       id: 'leaderboard',
       title: 'Leaderboard',
@@ -80,6 +120,7 @@ function App() {
           <Leaderboard 
             token={token} 
             refreshTrigger={leaderboardRefresh} 
+            onSelectUser={openUserProfile}
           />
         )
       }
@@ -100,6 +141,19 @@ function App() {
         )
       }
     },
+    {
+      id: 'chat',
+      title: 'Chat',
+      type: 'custom',
+      content: {
+        render: () => (
+          <ChatPanel 
+            token={token} 
+            onCoordinateClick={(x, y) => setFocusCell({ x, y })} 
+          />
+        )
+      }
+    },
     {
       id: 'help',
       title: 'How to Play',
@@ -121,11 +175,14 @@ function App() {
 
   /**
    * Handler function for user logout
-   * Clears authentication token from both state and localStorage
+   * Ends the session on the server, which also disconnects the grid
    */
   const handleLogout = () => {
+    setShowSettings(false);
+    setViewedUser(null);
+    setHighlightUser(null);
     setToken("");                        // Clear token from state
-    localStorage.removeItem("token");    // Remove token from localStorage
+    endSession();                        // Revoke the refresh token and forget the session
   };
 
   // Conditional rendering: Show authentication forms if user is not logged in
@@ -166,13 +223,47 @@ function App() {
         {/* User info and controls section in top-right corner */}
         <div style={{ float: "right", display: "flex", alignItems: "center", gap: 8 }}>
           {/* Display current user's username */}
-          <span style={{ fontWeight: 600 }}>{username}</span>
+          <span style={{ fontWeight: 600 }} title={username}>{profile?.displayName || username}</span>
+          {/* Toggle the profile settings panel */}
+          <button onClick={() => { setViewedUser(null); setShowSettings(prev => !prev); }}>Settings</button>
           {/* Logout button that calls handleLogout function */}
           <button onClick={handleLogout}>Logout</button>
         </div>
 
+        {/* Profile settings panel; deleting the account ends the session like a logout */}
+        {showSettings && (
+          <ProfileSettings
+            token={token}
+            onClose={() => setShowSettings(false)}
+            onProfileChange={setProfile}
+            onAccountDeleted={handleLogout}
+          />
+        )}
+
+        {/* Public profile of a user picked on the leaderboard */}
+        {viewedUser && (
+          <UserProfile
+            username={viewedUser}
+            canvas={canvas}
+            highlighted={highlightUser === viewedUser}
+            onToggleHighlight={() => setHighlightUser(prev => (prev === viewedUser ? null : viewedUser))}
+            onJump={({ canvas: slug, x, y }) => {
+              setCanvas(slug);
+              setFocusCell({ x, y });
+            }}
+            onClose={() => setViewedUser(null)}
+          />
+        )}
+
         {/* Main pixel art grid component */}
-        <Grid onPixelPlaced={refreshLeaderboard} />
+        <Grid 
+          onPixelPlaced={refreshLeaderboard} 
+          token={token} 
+          focusCell={focusCell} 
+          canvas={canvas} 
+          onCanvasChange={setCanvas} 
+          highlightUser={highlightUser}
+        />
       </main>
 
       {/* Right sidebar component with modules */}
@@ -0,0 +1,90 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { authFetch } from './auth';
+
+/**
+ * Describe a canvas in one short line: size, cooldown and status
+ * @param {Object} canvas - Canvas from /api/canvases
+ * @returns {string}
+ */
+function describeCanvas(canvas) {
+  const parts = [`${canvas.width}×${canvas.height}`, `${Math.round(canvas.cooldownMs / 1000)}s cooldown`];
+  if (canvas.closed) {
+    parts.push('ended');
+  } else if (canvas.expiresAt) {
+    parts.push(`ends ${new Date(canvas.expiresAt).toLocaleString()}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Canvas Switcher Component
+ * Lists the canvases the user can join (public ones and private ones they belong to)
+ * and switches the grid between them
+ *
+ * @param {string} token - JWT for the canvases API
+ * @param {string} current - Slug of the canvas being shown
+ * @param {Function} onSelect - Called with the slug of the canvas to switch to
+ */
+const CanvasSwitcher = ({ token, current, onSelect }) => {
+  const [canvases, setCanvases] = useState([]);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetch the canvases the user can join
+   */
+  const fetchCanvases = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await authFetch('/api/canvases', {
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Failed to fetch canvases (${response.status})`);
+      }
+      setCanvases(await response.json());
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+      console.error('Canvases fetch error:', err);
+    }
+  }, [token]);
+
+  // Reload on mount and after every switch, so online counts and new memberships show up
+  useEffect(() => {
+    fetchCanvases();
+  }, [fetchCanvases, current]);
+
+  return (
+    <div className="canvas-switcher">
+      {error && <div className="canvas-error">❌ {error}</div>}
+
+      <div className="canvas-list" role="listbox" aria-label="Canvases">
+        {canvases.map(canvas => (
+          <button
+            key={canvas.slug}
+            type="button"
+            role="option"
+            aria-selected={canvas.slug === current}
+            className={`canvas-item ${canvas.slug === current ? 'active' : ''}`}
+            onClick={() => onSelect(canvas.slug)}
+          >
+            <span className="canvas-item-title">
+              {canvas.visibility === 'private' ? '🔒 ' : ''}{canvas.title}
+              <span className="canvas-item-online">{canvas.online} online</span>
+            </span>
+            <span className="canvas-item-meta">{describeCanvas(canvas)}</span>
+          </button>
+        ))}
+      </div>
+
+      <button type="button" className="canvas-refresh" onClick={fetchCanvases}>
+        🔄 Refresh
+      </button>
+    </div>
+  );
+};
+
+export default CanvasSwitcher;
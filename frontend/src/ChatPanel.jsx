@@ -0,0 +1,166 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { sendSharedMessage, subscribeSharedMessages } from './socket';
+import { authFetch } from './auth';
+
+// Keep in sync with CHAT_MAX_LENGTH in backend/chat.js
+const CHAT_MAX_LENGTH = 280;
+
+// Messages kept in memory; older ones are dropped from the panel
+const MAX_VISIBLE_MESSAGES = 200;
+
+// Coordinates written as "(x, y)" in a message
+const COORDINATE_PATTERN = /\((\d{1,5})\s*,\s*(\d{1,5})\)/g;
+
+/**
+ * Split a message into text and coordinate link parts
+ * @param {string} text - Message text
+ * @returns {Array} - Parts: { text } or { text, x, y }
+ */
+function parseMessage(text) {
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(COORDINATE_PATTERN)) {
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    parts.push({ text: match[0], x: Number(match[1]), y: Number(match[2]) });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+}
+
+/**
+ * Format a database timestamp (UTC) as a local time
+ */
+function formatTime(dateStr) {
+  const date = new Date(`${dateStr.replace(' ', 'T')}Z`);
+  return isNaN(date) ? '' : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Chat Panel Component
+ * Live chat over the shared WebSocket with persisted history
+ * Coordinates typed as "(x, y)" become links that pan the grid to that cell
+ *
+ * @param {string} token - JWT for the chat history API
+ * @param {Function} onCoordinateClick - Called with (x, y) when a coordinate link is clicked
+ */
+const ChatPanel = ({ token, onCoordinateClick }) => {
+  const [messages, setMessages] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [error, setError] = useState(null);
+  const listRef = useRef(null);
+
+  /**
+   * Fetch the latest chat history, replacing what is shown
+   */
+  const fetchHistory = useCallback(async () => {
+    if (!token) return;
+    try {
+      const response = await authFetch('/api/chat', {
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Failed to fetch chat (${response.status})`);
+      }
+      const data = await response.json();
+      setMessages(data.messages);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+      console.error('Chat history fetch error:', err);
+    }
+  }, [token]);
+
+  // Load history on mount
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  // Live messages; reload history after every (re)connect in case we missed some
+  useEffect(() => {
+    return subscribeSharedMessages((data) => {
+      if (data.type === 'chatMessage' && data.message) {
+        setMessages(prev => [...prev, data.message].slice(-MAX_VISIBLE_MESSAGES));
+      } else if (data.type === 'chatError') {
+        setError(data.error);
+      } else if (data.type === 'rateLimited' && data.messageType === 'chat') {
+        setError(`You're sending messages too fast, wait ${Math.ceil(data.retryAfterMs / 1000)}s`);
+      } else if (data.type === 'init') {
+        fetchHistory();
+      }
+    });
+  }, [fetchHistory]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+  }, [messages]);
+
+  /**
+   * Send the draft message
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text) return;
+    if (!sendSharedMessage({ type: 'chat', text })) {
+      setError('Not connected, try again in a moment');
+      return;
+    }
+    setDraft('');
+    setError(null);
+  };
+
+  return (
+    <div className="chat-panel">
+      <div className="chat-messages" ref={listRef} aria-live="polite">
+        {messages.length === 0 && <div className="chat-empty">No messages yet. Say hi!</div>}
+        {messages.map(message => (
+          <div key={message.id} className="chat-message">
+            <span className="chat-time">{formatTime(message.createdAt)}</span>
+            <span className="chat-author">{message.username}</span>
+            <span className="chat-text">
+              {parseMessage(message.text).map((part, index) => (
+                part.x === undefined ? (
+                  <React.Fragment key={index}>{part.text}</React.Fragment>
+                ) : (
+                  <button
+                    key={index}
+                    type="button"
+                    className="chat-coordinate"
+                    onClick={() => onCoordinateClick(part.x, part.y)}
+                    title={`Go to (${part.x}, ${part.y})`}
+                  >
+                    {part.text}
+                  </button>
+                )
+              ))}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      {error && <div className="chat-error">❌ {error}</div>}
+
+      <form className="chat-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={draft}
+          onChange={e => setDraft(e.target.value)}
+          maxLength={CHAT_MAX_LENGTH}
+          placeholder="Message, e.g. meet at (12, 34)"
+          aria-label="Chat message"
+        />
+        <button type="submit" disabled={!draft.trim()}>Send</button>
+      </form>
+    </div>
+  );
+};
+
+export default ChatPanel;
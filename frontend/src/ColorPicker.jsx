@@ -2,38 +2,64 @@
 import React from "react";
 
 /**
- * ColorPicker Component - Color selection interface
- * Renders an HTML5 color input for users to select their pixel color
+ * ColorPicker Component - Palette swatch bar
+ * Renders one swatch per colour of the server's active palette
  * Only visible when the visible prop is true
- * 
+ *
+ * @param {Object|null} palette - Active palette from the server: { id, name, colors }
  * @param {string} color - Current selected color value (hex format)
  * @param {Function} setColor - Callback to update the selected color
- * @param {boolean} visible - Whether the color picker should be displayed
+ * @param {boolean} visible - Whether the swatch bar should be displayed
  */
-function ColorPicker({ color, setColor, visible }) {
-  // Don't render anything if not visible
-  if (!visible) return null;
-  
+function ColorPicker({ palette, color, setColor, visible }) {
+  // Don't render anything if not visible or the palette hasn't loaded yet
+  if (!visible || !palette) return null;
+
   return (
-    <input
-      type="color"                              // HTML5 color input type
-      value={color}                             // Current color value
-      onChange={e => setColor(e.target.value)}  // Update color on change
+    <div
+      role="radiogroup"
+      aria-label={`${palette.name} palette`}
       style={{
         position: "absolute",                   // Position absolutely on screen
-        bottom: 80,                            // Distance from bottom
-        right: 80,                             // Distance from right
-        width: 40,                             // Picker width
-        height: 40,                            // Picker height
-        border: "none",                        // Remove default border
-        borderRadius: "50%",                   // Make circular
+        bottom: 16,                            // Distance from bottom
+        left: "50%",                           // Centre horizontally
+        transform: "translateX(-50%)",
+        maxWidth: "min(560px, 50%)",           // Leave room for the corner controls
+        display: "flex",
+        flexWrap: "wrap",
+        justifyContent: "center",
+        gap: 4,
+        padding: 6,
+        background: "rgba(255,255,255,0.9)",
+        borderRadius: 8,
         boxShadow: "0 2px 8px rgba(0,0,0,0.15)", // Add shadow effect
-        zIndex: 11,                            // Layer above other elements
-        cursor: "pointer",                     // Show pointer cursor on hover
-        padding: 0                             // Remove default padding
+        zIndex: 11                             // Layer above other elements
       }}
-      title="Pick Colour"                      // Tooltip text
-    />
+    >
+      {palette.colors.map(swatch => {
+        const selected = swatch === color;
+        return (
+          <button
+            key={swatch}
+            type="button"
+            role="radio"
+            aria-checked={selected}
+            aria-label={swatch}
+            title={swatch}
+            onClick={() => setColor(swatch)}
+            style={{
+              width: 24,
+              height: 24,
+              padding: 0,
+              background: swatch,
+              border: selected ? "3px solid #333" : "1px solid rgba(0,0,0,0.2)",
+              borderRadius: 4,
+              cursor: "pointer"
+            }}
+          />
+        );
+      })}
+    </div>
   );
 }
 
@@ -0,0 +1,60 @@
+// Import React hooks for the retry countdown
+import React, { useEffect, useState } from "react";
+
+// Dot colour and label for each connection status
+const STATUS_STYLES = {
+  connected: { color: "#2ecc71", label: "Live" },
+  connecting: { color: "#f1c40f", label: "Connecting..." },
+  offline: { color: "#e74c3c", label: "Offline" }
+};
+
+/**
+ * ConnectionBadge Component - Shows whether the live connection to the server is up
+ * While offline it counts down to the next reconnection attempt
+ *
+ * @param {string} status - "connecting", "connected" or "offline"
+ * @param {number|null} retryAt - Epoch ms of the next reconnection attempt while offline
+ */
+function ConnectionBadge({ status, retryAt }) {
+  const [now, setNow] = useState(Date.now());
+
+  // Tick once a second while a retry countdown is shown
+  useEffect(() => {
+    if (status !== "offline" || !retryAt) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [status, retryAt]);
+
+  const { color, label } = STATUS_STYLES[status] || STATUS_STYLES.connecting;
+  const retryIn = status === "offline" && retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : null;
+
+  return (
+    <div
+      role="status"
+      title={status === "connected" ? "Connected to the server" : "Not connected, updates are paused"}
+      style={{
+        position: "absolute",
+        left: 16,
+        bottom: 16,
+        display: "flex",
+        alignItems: "center",
+        gap: 6,
+        background: "rgba(0,0,0,0.7)",
+        color: "#fff",
+        borderRadius: 12,
+        padding: "4px 10px",
+        fontSize: 12,
+        fontFamily: "monospace",
+        zIndex: 20,
+        pointerEvents: "none"
+      }}
+    >
+      <span style={{ width: 8, height: 8, borderRadius: "50%", background: color }} />
+      {label}
+      {retryIn !== null && <span style={{ opacity: 0.7 }}>retrying in {retryIn}s</span>}
+    </div>
+  );
+}
+
+// Export ConnectionBadge component as default export
+export default ConnectionBadge;
@@ -1,5 +1,5 @@
 // Import React hooks for component state management and lifecycle
-import React, { useRef, useEffect, useState, useMemo } from "react";
+import React, { useRef, useEffect, useState, useMemo, useCallback } from "react";
 import "./Grid.css";                    // Grid-specific styles
 import { useState as useLocalState } from "react";  // Alias for additional state hooks
 
@@ -8,7 +8,63 @@ import ColorPicker from "./ColorPicker";          // Color selection interface
 import Timer from "./Timer";                      // Cooldown timer display
 import FullscreenButton from "./FullscreenButton"; // Button to enter fullscreen mode
 import GridCanvas from "./GridCanvas";            // Main canvas rendering component
-import { getUsernameFromToken } from "./App";     // Import utility to get username from JWT
+import PixelHistory from "./PixelHistory";        // Placement timeline of a single cell
+import useReplay from "./useReplay";              // Time-lapse replay of the canvas
+import ConnectionBadge from "./ConnectionBadge";    // Live connection status indicator
+import { createReconnectingSocket, getSocketUrl, setSharedSocket, publishSharedMessage } from "./socket"; // Auto-reconnecting WebSocket
+import { BINARY_PROTOCOL, ERASED_COLOR_INDEX, decodeCellUpdates } from "./binaryProtocol"; // Compact pixel update frames
+import { getUsernameFromToken } from "./auth";    // Import utility to get username from JWT
+import { isCellInBounds, clampCell, clampOffset, getChunkKeyForCell, getVisibleChunks } from "./gridUtils"; // Canvas bounds and chunk helpers
+
+// Minimum time between two presence messages (viewport centre / hovered cell)
+const PRESENCE_THROTTLE_MS = 250;
+
+// Canvas the server puts every connection in first
+const MAIN_CANVAS = "main";
+
+// Longest delay setTimeout supports; sanctions lasting longer aren't cleared automatically
+const MAX_TIMEOUT_MS = 2147483647;
+
+/**
+ * Explain a ban, suspension or mute to the user it applies to
+ * @param {Object} sanction - { type, reason, expiresAt } from the server
+ * @returns {string} - Human readable explanation
+ */
+function describeSanction(sanction) {
+  const verb = { ban: "banned", suspension: "suspended", mute: "muted" }[sanction.type] || "restricted";
+  const until = sanction.expiresAt ? ` until ${new Date(sanction.expiresAt).toLocaleString()}` : "";
+  return `You are ${verb}${until}: ${sanction.reason}`;
+}
+
+/**
+ * Turn a placementResult rejection into a message for the user
+ * @param {Object} result - placementResult message with ok: false
+ * @returns {string} - Human readable explanation
+ */
+function describePlacementRejection(result) {
+  switch (result.reason) {
+    case "occupied":
+      return "Someone else already placed a pixel there";
+    case "cooldown":
+      return `Cooldown active, wait ${Math.ceil((result.remaining || 0) / 1000)}s before placing again`;
+    case "out_of_bounds":
+      return "That cell is outside the canvas";
+    case "invalid_color":
+      return "That colour isn't in the current palette";
+    case "unauthenticated":
+      return "Your session has expired, please log in again to place pixels";
+    case "canvas_closed":
+      return "This canvas has ended and is now read-only";
+    case "forbidden":
+      return "You are no longer a member of this canvas";
+    case "sanctioned":
+      return result.sanction ? describeSanction(result.sanction) : "You may not place pixels right now";
+    case "rate_limited":
+      return `Too many placements, wait ${Math.ceil((result.retryAfterMs || 0) / 1000)}s and try again`;
+    default:
+      return "Placement was rejected by the server";
+  }
+}
 
 /**
  * Grid Component - Main pixel art canvas interface
@@ -18,11 +74,15 @@ import { getUsernameFromToken } from "./App";     // Import utility to get usern
  * @param {number} cellSize - Size of each pixel cell in pixels (default: 20)
  * @param {number} canvasSize - Canvas dimensions in pixels (default: 720)
  * @param {function} onPixelPlaced - Callback function called when a pixel is successfully placed
+ * @param {string} token - JWT used to authenticate the WebSocket connection
+ * @param {Object} focusCell - Cell to pan to and highlight, { x, y }; pass a new object to pan again
+ * @param {string} canvas - Slug of the canvas (room) to show
+ * @param {function} onCanvasChange - Called with "main" when the server refuses or revokes access to the canvas
+ * @param {string} highlightUser - Username whose pixels to highlight (e.g. from their profile), null for none
  */
-function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
+function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced, token = "", focusCell = null, canvas = MAIN_CANVAS, onCanvasChange, highlightUser = null }) {
   // === USER AUTHENTICATION ===
-  // Get username from JWT token stored in localStorage
-  const token = localStorage.getItem("token") || "";
+  // Get username from the JWT passed down by App
   const username = getUsernameFromToken(token) || "guest";
   
   // === CONFIRMATION POPUP STATE ===
@@ -62,18 +122,129 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
   
   // === DRAWING MODE STATE ===
   const [colorMode, setColorMode] = useState(false);    // Whether in pixel placement mode
-  const [color, setColor] = useState("#ff0000");        // User's selected color (unique per user)
+  const [color, setColor] = useState("#ff4500");        // User's selected color (from the active palette)
+  const [palette, setPalette] = useState(null);         // Active palette from the server: { id, name, colors }
+  const paletteRef = useRef(null);                      // Same palette, read synchronously when decoding binary frames
+  const usersRef = useRef(new Map());                   // User id -> username, for binary frames
+  
+  // === CURSOR PRESENCE STATE ===
+  const [cursors, setCursors] = useState({});           // Other users' cursors: { id: { username, center, hover } }
+  const [pointerCell, setPointerCell] = useState(null); // Cell under our mouse: { col, row }
+  const [sharePresence, setSharePresence] = useState(() => localStorage.getItem("sharePresence") !== "false"); // Privacy toggle
+  const lastPresenceRef = useRef({ json: null, at: 0 }); // Last presence message sent, for throttling
   
   // === GRID DATA STATE ===
   const [pixels, setPixels] = useState({});             // Grid state: {"x,y": color}
+  const [canvasBounds, setCanvasBounds] = useState(null); // Canvas size from the server: { width, height }
+  const [chunkSize, setChunkSize] = useState(null);     // Cells per chunk side, from the server
+  const [syncId, setSyncId] = useState(0);              // Bumped on every init so subscriptions are re-sent
+  const subscribedChunksRef = useRef(new Set());        // Chunk keys the server is sending us
   
   // === HOVER TOOLTIP STATE ===
   const [hoveredCellInfo, setHoveredCellInfo] = useState(null); // Information about hovered cell in fullscreen
   const [tooltipPosition, setTooltipPosition] = useState({ x: 0, y: 0 }); // Tooltip position (aligned to cell)
   const [hoverTooltipEnabled, setHoverTooltipEnabled] = useState(false); // Whether hover tooltip is enabled
+  const [historyCell, setHistoryCell] = useState(null); // Cell whose placement history is open: { col, row }
+  
+  // === PNG EXPORT STATE ===
+  const [exportMode, setExportMode] = useState(false);          // Whether dragging selects an export region
+  const [exportSelection, setExportSelection] = useState(null); // Selected cells: { col0, row0, col1, row1 }
+  const [exportDragging, setExportDragging] = useState(false);  // Whether a selection drag is in progress
+  const [exportScale, setExportScale] = useState(4);            // Image pixels per cell in the exported PNG
+  
+  // === TIME-LAPSE REPLAY ===
+  const replay = useReplay(canvas);                     // Replaces live pixels with replay frames while active
   
   // === WEBSOCKET CONNECTION ===
-  const wsRef = useRef(null);                           // WebSocket connection reference
+  const socketRef = useRef(null);                       // Reconnecting WebSocket (see socket.js)
+  const syncRef = useRef({ epoch: null, seq: 0 });      // Server epoch and last update seq seen, for resuming
+  const [connection, setConnection] = useState({ status: "connecting", retryAt: null }); // Live connection status
+  
+  // === CANVAS ROOM ===
+  const roomRef = useRef(canvas);                       // Slug of the canvas we want to be in, read by socket handlers
+  const [room, setRoom] = useState(null);               // Canvas we are in, from init: { slug, title, visibility, closed, ... }
+  const onCanvasChangeRef = useRef(onCanvasChange);     // Latest callback for use inside socket handlers
+  onCanvasChangeRef.current = onCanvasChange;
+  const tokenRef = useRef(token);                       // Latest access token, renewed in the background
+  tokenRef.current = token;
+  
+  // === PLACEMENT ACKNOWLEDGEMENTS ===
+  const pendingPlacementsRef = useRef(new Map());       // requestId -> { key } awaiting placementResult
+  const requestCounterRef = useRef(0);                  // Counter for unique placement request ids
+  const [placementNotice, setPlacementNotice] = useState(null); // Message explaining a rejected placement
+  const onPixelPlacedRef = useRef(onPixelPlaced);       // Latest callback for use inside socket handlers
+  onPixelPlacedRef.current = onPixelPlaced;
+  
+  // Hide the placement notice after a few seconds
+  useEffect(() => {
+    if (!placementNotice) return;
+    const timeout = setTimeout(() => setPlacementNotice(null), 4000);
+    return () => clearTimeout(timeout);
+  }, [placementNotice]);
+  
+  // === SANCTION NOTICE ===
+  // Ban, suspension or mute the server told us about, shown until it expires
+  const [sanction, setSanction] = useState(null);
+  useEffect(() => {
+    if (!sanction || !sanction.expiresAt) return;
+    const remaining = sanction.expiresAt - Date.now();
+    if (remaining > MAX_TIMEOUT_MS) return;
+    const timeout = setTimeout(() => setSanction(null), Math.max(0, remaining));
+    return () => clearTimeout(timeout);
+  }, [sanction]);
+  
+  /**
+   * Confirm or roll back an optimistic pixel once the server has answered
+   * @param {Object} result - placementResult message { requestId, ok, key, reason, remaining, pixel, purchased }
+   */
+  function handlePlacementResult(result) {
+    const pending = pendingPlacementsRef.current.get(result.requestId);
+    if (!pending) return;
+    pendingPlacementsRef.current.delete(result.requestId);
+    
+    setPixels(prev => {
+      const current = prev[pending.key];
+      // Another update already replaced our optimistic pixel, nothing to reconcile
+      if (!current || current.pendingRequestId !== result.requestId) return prev;
+      
+      const next = { ...prev };
+      if (result.ok) {
+        next[pending.key] = { color: current.color, username: current.username };
+      } else if (result.reason === "occupied" && result.pixel) {
+        // Show whoever actually owns the cell
+        next[pending.key] = { color: result.pixel.color, username: result.pixel.username };
+      } else {
+        delete next[pending.key];
+      }
+      return next;
+    });
+    
+    if (result.ok) {
+      // A purchased square was spent instead of starting a cooldown
+      if (result.purchased) {
+        setDevPaymentCount(c => c - 1);
+      }
+      // Trigger leaderboard refresh after successful pixel placement
+      if (onPixelPlacedRef.current) {
+        onPixelPlacedRef.current();
+      }
+    } else {
+      setPlacementNotice(describePlacementRejection(result));
+      if (result.reason === "sanctioned" && result.sanction) {
+        setSanction(result.sanction);
+      }
+      // Our palette is stale, switch to the one the server validates against
+      if (result.reason === "invalid_color") {
+        if (result.palette) {
+          applyPalette(result.palette);
+        } else {
+          loadPalette();
+        }
+      }
+    }
+  }
+  const handlePlacementResultRef = useRef(handlePlacementResult); // Latest handler for use inside socket handlers
+  handlePlacementResultRef.current = handlePlacementResult;
   
   // === PURCHASE SYSTEM ===
   // Calculate how many squares the user has purchased (by counting their color)
@@ -84,77 +255,316 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
     }).length;
   }, [pixels, color]);
 
+  // === COLOUR PALETTE ===
+  /**
+   * Switch to a new active palette, keeping the selected colour if it is still available
+   * @param {Object} nextPalette - Palette from the server: { id, name, colors }
+   */
+  const applyPalette = useCallback((nextPalette) => {
+    if (!nextPalette || !Array.isArray(nextPalette.colors) || !nextPalette.colors.length) return;
+    paletteRef.current = nextPalette;
+    setPalette(nextPalette);
+    setColor(current => nextPalette.colors.includes(current) ? current : nextPalette.colors[0]);
+  }, []);
+  const applyPaletteRef = useRef(applyPalette);         // Latest callback for use inside socket handlers
+  applyPaletteRef.current = applyPalette;
+  
+  /**
+   * Fetch the active palette from the server
+   */
+  const loadPalette = useCallback(async () => {
+    try {
+      const response = await fetch('/api/palette');
+      if (!response.ok) {
+        throw new Error(`Failed to fetch palette (${response.status})`);
+      }
+      applyPalette(await response.json());
+    } catch (err) {
+      console.error('Palette fetch error:', err);
+    }
+  }, [applyPalette]);
+  
+  // Load the palette once on mount; later changes arrive as paletteUpdate messages
+  useEffect(() => {
+    loadPalette();
+  }, [loadPalette]);
+
   // === MULTIPLAYER WEBSOCKET CONNECTION ===
   // Connect to WebSocket server for real-time collaborative editing
   useEffect(() => {
-  // Connect to backend WebSocket server
-  const wsProtocol = window.location.protocol === "https:" ? "wss:" : "ws:";
-  const wsHost = import.meta.env.DEV ? "localhost:5000" : window.location.host;
-  const ws = new window.WebSocket(`${wsProtocol}//${wsHost}`);
-    wsRef.current = ws;
-    
-    // WebSocket connection opened successfully
-    ws.onopen = () => {
-      // Authenticate user with the WebSocket server
-      if (username && username !== "guest") {
-        ws.send(JSON.stringify({
-          type: "authenticate",
-          username: username
-        }));
+    let failedToken = null; // Don't retry a rejected token on every reconnect
+    
+    /**
+     * Drop everything we know and subscribe again from scratch
+     * @param {number} seq - Server sequence number the fresh chunk data will be current as of
+     */
+    function resetSync(seq) {
+      setPixels({});
+      setCursors({});
+      subscribedChunksRef.current = new Set();
+      syncRef.current.seq = seq;
+      setSyncId(id => id + 1);
+    }
+    
+    /**
+     * Remember the latest update sequence number seen, for resuming after a reconnect
+     * @param {number} seq - Sequence number from the server
+     */
+    function noteSeq(seq) {
+      if (typeof seq === "number" && seq > syncRef.current.seq) {
+        syncRef.current.seq = seq;
       }
-      console.log("Connected to WebSocket server");
-    };
+    }
+    
+    /**
+     * Roll back optimistic pixels whose placementResult was lost with the connection
+     * If the server did place them, the resume replays the cellUpdate
+     */
+    function dropPendingPlacements() {
+      if (pendingPlacementsRef.current.size === 0) return;
+      pendingPlacementsRef.current.clear();
+      setPixels(prev => {
+        const next = {};
+        for (const [key, value] of Object.entries(prev)) {
+          if (!value.pendingRequestId) next[key] = value;
+        }
+        return next;
+      });
+      setPlacementNotice("Connection lost before your pixel was confirmed");
+    }
+    
+    /**
+     * Apply pixel changes from the server in one render
+     * The server only sends a change when a cell really changed (a placement on an empty cell,
+     * an erase or a rollback), so changes overwrite whatever the cell shows
+     * Our own unconfirmed pixels give way to a colour, since the server's order wins, but stay
+     * when the cell is cleared, since the server cleared it before placing them
+     * @param {Array} updates - Changes { key, color, username }; a null color clears the cell
+     */
+    function applyServerUpdates(updates) {
+      if (updates.length === 0) return;
+      setPixels(prev => {
+        const next = { ...prev };
+        for (const { key, color, username: pixelUsername } of updates) {
+          if (color !== null) {
+            next[key] = { color, username: pixelUsername || null };
+          } else if (next[key] && !next[key].pendingRequestId) {
+            delete next[key];
+          }
+        }
+        return next;
+      });
+    }
     
-    // Handle incoming messages from server
-    ws.onmessage = (event) => {
-      let data;
-      try {
-        data = JSON.parse(event.data);
-      } catch (e) { 
-        console.error("Failed to parse WebSocket message:", e);
-        return; 
+    /**
+     * Apply a batch of binary pixel updates
+     * @param {ArrayBuffer} buffer - Binary frame from the server
+     */
+    function handleBinaryFrame(buffer) {
+      const updates = decodeCellUpdates(buffer);
+      if (!updates) {
+        console.warn("Ignoring unrecognised binary WebSocket frame");
+        return;
+      }
+      const changes = [];
+      for (const update of updates) {
+        noteSeq(update.seq);
+        const key = `${update.x},${update.y}`;
+        if (update.colorIndex === ERASED_COLOR_INDEX) {
+          changes.push({ key, color: null, username: null });
+          continue;
+        }
+        const color = paletteRef.current && paletteRef.current.colors[update.colorIndex];
+        if (!color) continue;
+        changes.push({ key, color, username: usersRef.current.get(update.userId) });
       }
+      applyServerUpdates(changes);
+    }
+    
+    // Connect to backend WebSocket server, reconnecting with backoff when the connection drops
+    // Binary updates are used unless localStorage.wsProtocol is "json" (handy when debugging)
+    const socket = createReconnectingSocket({
+      url: getSocketUrl(),
+      protocols: localStorage.getItem("wsProtocol") === "json" ? [] : [BINARY_PROTOCOL],
+      onStatusChange: setConnection,
       
-      // Handle initial grid state from server
-      if (data.type === "init" && data.grid) {
-        // Store both color and username information from server
-        const fullGrid = {};
-        for (const [key, value] of Object.entries(data.grid)) {
-          if (typeof value === "string") {
-            // Legacy format: just color
-            fullGrid[key] = { color: value, username: null };
+      // WebSocket connection opened successfully
+      onOpen: () => {
+        // Authenticate with the WebSocket server using our JWT
+        // The server derives the username from the verified token
+        const token = tokenRef.current;
+        if (token && token !== failedToken) {
+          socket.send(JSON.stringify({
+            type: "authenticate",
+            token
+          }));
+        }
+        // The server starts us on the main canvas; go back to the one we were on
+        if (roomRef.current !== MAIN_CANVAS) {
+          socket.send(JSON.stringify({ type: "join", canvas: roomRef.current }));
+        }
+        console.log("Connected to WebSocket server");
+      },
+      
+      // Handle WebSocket connection closure
+      onClose: () => {
+        console.log("Disconnected from WebSocket server, reconnecting");
+        dropPendingPlacements();
+        setCursors({});
+        lastPresenceRef.current = { json: null, at: 0 };
+      },
+      
+      // Handle incoming messages from server
+      onMessage: (event) => {
+        if (event.data instanceof ArrayBuffer) {
+          handleBinaryFrame(event.data);
+          return;
+        }
+        
+        let data;
+        try {
+          data = JSON.parse(event.data);
+        } catch (e) { 
+          console.error("Failed to parse WebSocket message:", e);
+          return; 
+        }
+      
+        // Ignore the main canvas init sent on connect while we are rejoining another canvas
+        if (data.type === "init" && data.room && data.room.slug !== roomRef.current) {
+          return;
+        }
+        
+        // Handle initial canvas description from server (on connect and after joining a canvas)
+        // Pixels arrive per chunk once we subscribe to the viewport
+        // Every canvas has its own epoch, so switching canvases always starts from scratch
+        if (data.type === "init" && data.canvas) {
+          setRoom(data.room || null);
+          setCanvasBounds({ width: data.canvas.width, height: data.canvas.height });
+          setChunkSize(data.chunkSize);
+          applyPaletteRef.current(data.palette);
+        
+          // After a reconnect to the same server process, ask only for what we missed
+          if (data.epoch === syncRef.current.epoch && subscribedChunksRef.current.size > 0) {
+            socket.send(JSON.stringify({
+              type: "resume",
+              epoch: data.epoch,
+              seq: syncRef.current.seq,
+              chunks: [...subscribedChunksRef.current]
+            }));
           } else {
-            // New format: { color, username }
-            fullGrid[key] = { color: value.color, username: value.username };
+            syncRef.current.epoch = data.epoch;
+            resetSync(data.seq);
           }
         }
-        setPixels(fullGrid);
-      } 
-      // Handle real-time cell updates from other users
-      else if (data.type === "cellUpdate" && data.key && data.color) {
-        setPixels(prev => {
-          // Prevent overwriting existing pixels (first-come-first-served)
-          if (prev[data.key]) return prev;
-          return { 
-            ...prev, 
-            [data.key]: { 
-              color: data.color, 
-              username: data.username || null 
-            } 
-          };
-        });
+        // Handle the end of a resume: missed updates have been replayed
+        else if (data.type === "resumed") {
+          noteSeq(data.seq);
+          // The viewport may have moved while offline
+          setSyncId(id => id + 1);
+        }
+        // Handle a resume the server could not serve (gap too large)
+        else if (data.type === "resyncRequired") {
+          resetSync(data.seq);
+        }
+        // Handle the contents of a newly subscribed chunk
+        else if (data.type === "chunkData" && data.pixels) {
+          noteSeq(data.seq);
+          const chunkPixels = {};
+          for (const [key, value] of Object.entries(data.pixels)) {
+            chunkPixels[key] = { color: value.color, username: value.username };
+          }
+          setPixels(prev => ({ ...prev, ...chunkPixels }));
+        } 
+        // Handle a real-time cell update (another user's pixel, or a cell erased by a moderator)
+        else if (data.type === "cellUpdate" && data.key && data.color !== undefined) {
+          noteSeq(data.seq);
+          applyServerUpdates([data]);
+        }
+        // Handle a batch of cell updates sent together (a wipe or rollback)
+        else if (data.type === "cellUpdates" && Array.isArray(data.updates)) {
+          data.updates.forEach(update => noteSeq(update.seq));
+          applyServerUpdates(data.updates.filter(update => update.key && update.color !== undefined));
+        }
+        // Handle other users' cursors moving, appearing or leaving
+        else if (data.type === "presence") {
+          setCursors(prev => {
+            const next = { ...prev };
+            for (const cursor of data.cursors || []) {
+              next[cursor.id] = { username: cursor.username, center: cursor.center, hover: cursor.hover };
+            }
+            for (const id of data.left || []) {
+              delete next[id];
+            }
+            return next;
+          });
+        }
+        // Handle names for user ids used in upcoming binary frames
+        else if (data.type === "users" && data.users) {
+          for (const [id, name] of Object.entries(data.users)) {
+            usersRef.current.set(Number(id), name);
+          }
+        }
+        // Handle authoritative cooldown from server
+        else if (data.type === "cooldown" && typeof data.remaining === "number") {
+          const nowTime = Date.now();
+          setCooldownEndsAt(data.remaining > 0 ? nowTime + data.remaining : null);
+          setNow(nowTime);
+        }
+        // Handle the server's verdict on one of our placements
+        else if (data.type === "placementResult") {
+          handlePlacementResultRef.current(data);
+        }
+        // Handle an admin switching the active palette
+        else if (data.type === "paletteUpdate") {
+          applyPaletteRef.current(data.palette);
+        }
+        // Handle being refused (or losing) access to the canvas we asked for
+        else if (data.type === "joinError") {
+          setPlacementNotice(data.error);
+          if (data.canvas === roomRef.current) {
+            roomRef.current = MAIN_CANVAS;
+            socket.send(JSON.stringify({ type: "join", canvas: MAIN_CANVAS }));
+            if (onCanvasChangeRef.current) {
+              onCanvasChangeRef.current(MAIN_CANVAS);
+            }
+          }
+        }
+        // Handle a ban, suspension or mute (the server keeps us connected as a viewer)
+        else if (data.type === "sanction" && data.sanction) {
+          setSanction(data.sanction);
+        }
+        // Handle a message the server refused because we sent too many (placements also get a placementResult)
+        else if (data.type === "rateLimited") {
+          console.warn(`Rate limited: ${data.messageType}, retry in ${data.retryAfterMs}ms`);
+        }
+        // Handle rejected or expired authentication
+        else if (data.type === "authError") {
+          failedToken = tokenRef.current;
+          console.warn("WebSocket authentication error:", data.error);
+        }
+        
+        // Let other components (chat) see every message on the shared connection
+        publishSharedMessage(data);
       }
-    };
+    });
+    socketRef.current = socket;
+    setSharedSocket(socket);
     
-    // Handle WebSocket connection closure
-    ws.onclose = () => {
-      console.log("Disconnected from WebSocket server");
-      // Optionally: show disconnected UI or attempt reconnection
+    // Cleanup: close WebSocket when component unmounts or another user logs in
+    // (a renewed token for the same user re-authenticates the open connection, see below)
+    return () => {
+      setSharedSocket(null);
+      socket.close();
     };
-    
-    // Cleanup: close WebSocket when component unmounts
-    return () => { ws.close(); };
-  }, []);
+  }, [username]);
+
+  // Send renewed access tokens over the open connection so the server doesn't drop us at expiry
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (token && socket && socket.isOpen()) {
+      socket.send(JSON.stringify({ type: "authenticate", token }));
+    }
+  }, [token]);
   
   // === DEVELOPMENT/TESTING STATE ===
   // For dev/test payment button functionality
@@ -166,7 +576,8 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
   const [isFullscreen, setIsFullscreen] = useState(false);
   
   // === COOLDOWN TIMER STATE ===
-  const [lastColorTime, setLastColorTime] = useState(null); // Timestamp of last pixel placement
+  // The server enforces the cooldown and tells us how long is left after each placement
+  const [cooldownEndsAt, setCooldownEndsAt] = useState(null); // Local timestamp when the server cooldown ends
   const [now, setNow] = useState(Date.now());               // Current time for timer calculations
   
   // === ZOOM FUNCTIONALITY ===
@@ -174,6 +585,109 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
   const minZoom = 0.2;                  // Minimum zoom level (20%)
   const maxZoom = 2.5;                  // Maximum zoom level (250%)
   
+  // === VIEWPORT SUBSCRIPTIONS ===
+  // Subscribe to the chunks in view whenever panning or zooming changes them
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (!chunkSize || !canvasBounds || !socket || !socket.isOpen()) return;
+    
+    const chunks = getVisibleChunks({ offset, zoom, cellSize, canvasSize, bounds: canvasBounds, chunkSize });
+    const previous = subscribedChunksRef.current;
+    if (chunks.length === previous.size && chunks.every(chunk => previous.has(chunk))) return;
+    
+    const next = new Set(chunks);
+    subscribedChunksRef.current = next;
+    socket.send(JSON.stringify({ type: "subscribe", chunks }));
+    
+    // Forget pixels of chunks we no longer receive updates for, they would go stale
+    setPixels(prev => {
+      const kept = {};
+      for (const [key, value] of Object.entries(prev)) {
+        if (value.pendingRequestId || next.has(getChunkKeyForCell(key, chunkSize))) {
+          kept[key] = value;
+        }
+      }
+      return kept;
+    });
+  }, [offset, zoom, cellSize, canvasSize, canvasBounds, chunkSize, syncId]);
+  
+  // === CURSOR PRESENCE ===
+  // Share our viewport centre and hovered cell, at most once per PRESENCE_THROTTLE_MS
+  const presenceHover = colorMode ? selectedCell : pointerCell;
+  const presenceCenter = {
+    col: Math.floor((offset.x + canvasSize / 2) / (cellSize * zoom)),
+    row: Math.floor((offset.y + canvasSize / 2) / (cellSize * zoom))
+  };
+  const presenceJson = !token || connection.status !== "connected" ? null : JSON.stringify(
+    sharePresence
+      ? {
+          type: "presence",
+          center: { x: presenceCenter.col, y: presenceCenter.row },
+          hover: presenceHover && !replay.active ? { x: presenceHover.col, y: presenceHover.row } : null
+        }
+      : { type: "presence", hidden: true }
+  );
+  useEffect(() => {
+    if (!presenceJson || presenceJson === lastPresenceRef.current.json) return;
+    // Nothing to hide if we never shared anything on this connection
+    if (!sharePresence && lastPresenceRef.current.json === null) return;
+    
+    const wait = Math.max(0, lastPresenceRef.current.at + PRESENCE_THROTTLE_MS - Date.now());
+    const timer = setTimeout(() => {
+      if (socketRef.current && socketRef.current.send(presenceJson)) {
+        lastPresenceRef.current = { json: presenceJson, at: Date.now() };
+      }
+    }, wait);
+    return () => clearTimeout(timer);
+  }, [presenceJson, sharePresence]);
+  
+  // Remember the privacy choice
+  useEffect(() => {
+    localStorage.setItem("sharePresence", sharePresence ? "true" : "false");
+  }, [sharePresence]);
+  
+  // Cursors to draw: the hovered cell when there is one, otherwise the viewport centre
+  const cursorList = useMemo(() => Object.entries(cursors).map(([id, cursor]) => {
+    const position = cursor.hover || cursor.center;
+    return { id, username: cursor.username, col: position.x, row: position.y };
+  }), [cursors]);
+  
+  // === CANVAS SWITCHING ===
+  // Join another canvas over the open connection; its init message resets the view
+  const stopReplay = replay.stop;
+  useEffect(() => {
+    if (canvas === roomRef.current) return;
+    roomRef.current = canvas;
+    stopReplay();
+    setHistoryCell(null);
+    setOffset({ x: 0, y: 0 });
+    const socket = socketRef.current;
+    if (socket && socket.isOpen()) {
+      socket.send(JSON.stringify({ type: "join", canvas }));
+    }
+  }, [canvas, stopReplay]);
+  
+  // === FOCUS REQUESTS ===
+  // Centre the view on a requested cell (e.g. a chat coordinate link) and highlight it briefly
+  const [focusedCell, setFocusedCell] = useState(null);
+  const handledFocusRef = useRef(null); // Last request acted on, so zoom changes don't re-centre
+  useEffect(() => {
+    if (!focusCell || focusCell === handledFocusRef.current) return;
+    handledFocusRef.current = focusCell;
+    const cell = clampCell({ col: focusCell.x, row: focusCell.y }, canvasBounds);
+    setOffset(clampOffset({
+      x: (cell.col + 0.5) * cellSize * zoom - canvasSize / 2,
+      y: (cell.row + 0.5) * cellSize * zoom - canvasSize / 2,
+    }, { zoom, cellSize, canvasSize, bounds: canvasBounds }));
+    setFocusedCell(cell);
+  }, [focusCell, zoom, cellSize, canvasSize, canvasBounds]);
+  
+  useEffect(() => {
+    if (!focusedCell) return;
+    const timer = setTimeout(() => setFocusedCell(null), 3000);
+    return () => clearTimeout(timer);
+  }, [focusedCell]);
+  
   // === SCROLL PREVENTION ===
   // Prevent browser scroll when mouse wheel is used over the grid
   useEffect(() => {
@@ -242,10 +756,10 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
     // Calculate new offset to keep cell center under mouse
     // Formula: (cellCenterX * newZoom - newOffset.x) = x
     // Solving for newOffset: newOffset.x = cellCenterX * newZoom - x
-    setOffset({
+    setOffset(clampOffset({
       x: cellCenterX * newZoom - x,
       y: cellCenterY * newZoom - y,
-    });
+    }, { zoom: newZoom, cellSize, canvasSize, bounds: canvasBounds }));
     setZoom(newZoom);
   }
 
@@ -281,8 +795,12 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
       
       setIsFullscreen(!!(el && fs === el));
       
-      // Exit color mode if not in fullscreen
-      if (!(el && fs === el)) setColorMode(false);
+      // Exit color and export modes if not in fullscreen
+      if (!(el && fs === el)) {
+        setColorMode(false);
+        setExportMode(false);
+        setExportSelection(null);
+      }
     }
     
     // Add event listeners for different browser fullscreen APIs
@@ -344,8 +862,8 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
           return;
       }
       
-      // Update selected cell position
-      setSelectedCell({ col: newCol, row: newRow });
+      // Update selected cell position, staying on the canvas
+      setSelectedCell(clampCell({ col: newCol, row: newRow }, canvasBounds));
     }
     
     // Add keyboard event listener
@@ -355,7 +873,21 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
     return () => {
       document.removeEventListener('keydown', handleKeyDown);
     };
-  }, [colorMode, selectedCell, lastColorTime, devPaymentCount, pixels, color]);
+  }, [colorMode, selectedCell, cooldownEndsAt, devPaymentCount, pixels, color, canvasBounds]);
+
+  // === PIXEL HISTORY SHORTCUT ===
+  // Press H while the hover tooltip is showing to open that cell's history
+  useEffect(() => {
+    function handleHistoryKey(e) {
+      if (e.key.toLowerCase() !== 'h' || !isFullscreen || colorMode || !hoverTooltipEnabled || !hoveredCellInfo) return;
+      setHistoryCell({ col: hoveredCellInfo.col, row: hoveredCellInfo.row });
+    }
+    
+    document.addEventListener('keydown', handleHistoryKey);
+    return () => {
+      document.removeEventListener('keydown', handleHistoryKey);
+    };
+  }, [isFullscreen, colorMode, hoverTooltipEnabled, hoveredCellInfo]);
 
   /**
    * Handle pixel placement via keyboard (Enter or Space)
@@ -366,8 +898,8 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
     let canColor = true;
     let usedPurchased = false;
     
-    // Check if user is still in cooldown period (5 seconds)
-    if (lastColorTime && nowTime - lastColorTime < 5000) {
+    // Check if user is still in the cooldown reported by the server
+    if (cooldownEndsAt && nowTime < cooldownEndsAt) {
       // If user has purchased squares, allow bypass of cooldown
       if (devPaymentCount > 0) {
         // Mark for purchased square consumption (after confirmation)
@@ -385,6 +917,9 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
     const row = selectedCell.row;
     const key = `${col},${row}`;
     
+    // Cells outside the canvas can't be placed
+    if (!isCellInBounds(col, row, canvasBounds)) return;
+    
     // === PLACEMENT LOGIC ===
     // If cell is empty, ask for confirmation before coloring
     if (!pixels[key]) {
@@ -441,6 +976,13 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
    * @param {MouseEvent} e - Mouse down event
    */
   function onMouseDown(e) {
+    if (exportMode) {
+      // In export mode: start selecting a rectangle of cells
+      const cell = getCellFromEvent(e);
+      setExportSelection({ col0: cell.col, row0: cell.row, col1: cell.col, row1: cell.row });
+      setExportDragging(true);
+      return;
+    }
     if (colorMode) {
       // In color mode: use keyboard navigation instead of mouse clicking
       // Mouse clicking is disabled in color mode - use WASD/arrows + Enter/Space
@@ -460,6 +1002,12 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
    * @param {MouseEvent} e - Mouse move event
    */
   function onMouseMove(e) {
+    if (exportDragging) {
+      // Stretch the export selection to the cell under the cursor
+      const cell = getCellFromEvent(e);
+      setExportSelection(sel => sel && { ...sel, col1: cell.col, row1: cell.row });
+      return;
+    }
     if (!drag) return;
     
     // Calculate drag distance
@@ -467,10 +1015,10 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
     const dy = e.nativeEvent.offsetY - drag.y;
     
     // Update offset to pan the view
-    setOffset({
+    setOffset(clampOffset({
       x: drag.startOffset.x - dx,
       y: drag.startOffset.y - dy,
-    });
+    }, { zoom, cellSize, canvasSize, bounds: canvasBounds }));
   }
   
   /**
@@ -478,6 +1026,57 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
    */
   function onMouseUp() {
     setDrag(null);
+    setExportDragging(false);
+  }
+  
+  /**
+   * Convert a mouse event on the canvas to grid cell coordinates
+   * @param {MouseEvent} e - Mouse event
+   * @returns {{col: number, row: number}} - Cell under the cursor
+   */
+  function getCellFromEvent(e) {
+    const rect = canvasRef.current.getBoundingClientRect();
+    
+    // Account for canvas CSS scaling
+    const scaleX = canvasRef.current.width / rect.width;
+    const scaleY = canvasRef.current.height / rect.height;
+    
+    // Convert to world coordinates accounting for zoom and pan
+    const worldX = ((e.clientX - rect.left) * scaleX + offset.x) / zoom;
+    const worldY = ((e.clientY - rect.top) * scaleY + offset.y) / zoom;
+    
+    return { col: Math.floor(worldX / cellSize), row: Math.floor(worldY / cellSize) };
+  }
+  
+  /**
+   * Download the selected region as a PNG from the server
+   */
+  function handleExportDownload() {
+    if (!exportSelection) return;
+    const params = new URLSearchParams({
+      x0: Math.min(exportSelection.col0, exportSelection.col1),
+      y0: Math.min(exportSelection.row0, exportSelection.row1),
+      x1: Math.max(exportSelection.col0, exportSelection.col1),
+      y1: Math.max(exportSelection.row0, exportSelection.row1),
+      scale: exportScale,
+      canvas,
+      download: 1
+    });
+    const link = document.createElement("a");
+    link.href = `/api/canvas.png?${params}`;
+    link.download = "";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  }
+  
+  /**
+   * Leave export mode and clear the selection
+   */
+  function handleExportCancel() {
+    setExportMode(false);
+    setExportSelection(null);
+    setExportDragging(false);
   }
 
   /**
@@ -486,7 +1085,7 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
    * @param {MouseEvent} e - Mouse move event
    */
   function handleCellHover(e) {
-    if (!isFullscreen || colorMode || !hoverTooltipEnabled) return;
+    if (!isFullscreen || colorMode || !hoverTooltipEnabled || replay.active) return;
     
     const rect = canvasRef.current.getBoundingClientRect();
     
@@ -587,8 +1186,8 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
     let canColor = true;
     let usedPurchased = false;
     
-    // Check if user is still in cooldown period (5 seconds)
-    if (lastColorTime && nowTime - lastColorTime < 5000) {
+    // Check if user is still in the cooldown reported by the server
+    if (cooldownEndsAt && nowTime < cooldownEndsAt) {
       // If user has purchased squares, allow bypass of cooldown
       if (devPaymentCount > 0) {
         // Mark for purchased square consumption (after confirmation)
@@ -621,6 +1220,9 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
     const row = Math.floor(worldY / cellSize);
     const key = `${col},${row}`;
     
+    // Cells outside the canvas can't be placed
+    if (!isCellInBounds(col, row, canvasBounds)) return;
+    
     // === PLACEMENT LOGIC ===
     // If cell is empty, ask for confirmation before coloring
     if (!pixels[key]) {
@@ -648,38 +1250,32 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
     if (!confirmPlace.open) return;
     
     if (confirmed) {
-      // === OPTIMISTIC UPDATE ===
-      // Update grid immediately for responsive UI
-      setPixels(prev => {
-        // Prevent overwriting if someone else placed a pixel meanwhile
-        if (prev[confirmPlace.key]) return prev;
-        return { ...prev, [confirmPlace.key]: color };
-      });
-      
-      // === WEBSOCKET SYNC ===
-      // Send placement to server for multiplayer sync
-      if (wsRef.current && wsRef.current.readyState === 1) {
-        wsRef.current.send(JSON.stringify({ 
+      if (!socketRef.current || !socketRef.current.isOpen()) {
+        setPlacementNotice("Not connected to the server, try again in a moment");
+      } else {
+        // Tag the request so the server's placementResult can be matched to it
+        const requestId = `${Date.now().toString(36)}-${++requestCounterRef.current}`;
+        const key = confirmPlace.key;
+        
+        // === OPTIMISTIC UPDATE ===
+        // Update grid immediately for responsive UI, marked pending until the server answers
+        setPixels(prev => {
+          // Prevent overwriting if someone else placed a pixel meanwhile
+          if (prev[key]) return prev;
+          return { ...prev, [key]: { color, username, pendingRequestId: requestId } };
+        });
+        pendingPlacementsRef.current.set(requestId, { key });
+        
+        // === WEBSOCKET SYNC ===
+        // Send placement to server for multiplayer sync
+        // Cooldown and purchased square consumption wait for the server's reply
+        socketRef.current.send(JSON.stringify({ 
           type: "colorCell", 
-          key: confirmPlace.key, 
-          color, 
-          username 
+          requestId,
+          key, 
+          color,
+          purchased: confirmPlace.usedPurchased
         }));
-        
-        // Trigger leaderboard refresh after successful pixel placement
-        if (onPixelPlaced) {
-          onPixelPlaced();
-        }
-      }
-      
-      // === COOLDOWN MANAGEMENT ===
-      const nowTime = Date.now();
-      if (!confirmPlace.usedPurchased) {
-        // Start cooldown timer for regular placement
-        setLastColorTime(nowTime);
-      } else {
-        // Consume a purchased square (no cooldown)
-        setDevPaymentCount(c => c - 1);
       }
     }
     
@@ -694,14 +1290,10 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
   function handlePaymentSuccess() {
     if (!pendingCell) return;
     
-    const nowTime = Date.now();
-    
-    // Update grid with new pixel and start cooldown
+    // Update grid with new pixel (the server starts the cooldown)
     setPixels(prev => {
       if (prev[pendingCell.key]) return prev;
-      const updated = { ...prev, [pendingCell.key]: color };
-      setLastColorTime(nowTime);
-      return updated;
+      return { ...prev, [pendingCell.key]: color };
     });
     
     // Close payment UI and clear pending state
@@ -710,10 +1302,10 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
   }
 
   // === TIMER LOGIC ===
-  // Calculate remaining cooldown time
+  // Calculate remaining cooldown time from the server-reported end time
   let timeLeft = 0;
-  if (lastColorTime) {
-    timeLeft = 5000 - (now - lastColorTime); // 5 second cooldown
+  if (cooldownEndsAt) {
+    timeLeft = cooldownEndsAt - now;
     if (timeLeft < 0) timeLeft = 0;
   }
   
@@ -751,6 +1343,54 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
         </div>
       )}
       
+      {/* === PLACEMENT NOTICE === */}
+      {/* Explains why the server rejected a placement */}
+      {placementNotice && (
+        <div role="alert" style={{
+          position: "absolute",
+          top: 24,
+          left: "50%",
+          transform: "translateX(-50%)",
+          background: "rgba(192, 57, 43, 0.92)",
+          color: "#fff",
+          borderRadius: 8,
+          padding: "10px 18px",
+          fontSize: 14,
+          fontWeight: 600,
+          zIndex: 1001,
+          boxShadow: "0 2px 8px rgba(0,0,0,0.18)"
+        }}>
+          {placementNotice}
+        </div>
+      )}
+
+      {/* === SANCTION NOTICE === */}
+      {/* Stays up while a ban, suspension or mute applies to us */}
+      {sanction && (
+        <div role="status" style={{
+          position: "absolute",
+          bottom: 24,
+          left: "50%",
+          transform: "translateX(-50%)",
+          background: "rgba(44, 44, 44, 0.92)",
+          color: "#fff",
+          border: "1px solid rgba(192, 57, 43, 0.9)",
+          borderRadius: 8,
+          padding: "10px 18px",
+          fontSize: 14,
+          fontWeight: 600,
+          maxWidth: "80%",
+          textAlign: "center",
+          zIndex: 1001,
+          boxShadow: "0 2px 8px rgba(0,0,0,0.18)"
+        }}>
+          🚫 {describeSanction(sanction)}
+        </div>
+      )}
+
+      {/* === CONNECTION STATUS === */}
+      <ConnectionBadge status={connection.status} retryAt={connection.retryAt} />
+
       {/* === MAIN CANVAS COMPONENT === */}
       {/* GridCanvas handles all the actual drawing and rendering */}
       <GridCanvas
@@ -759,15 +1399,17 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
         cellSize={cellSize}
         zoom={zoom}
         offset={offset}
-        pixels={pixels}
+        pixels={replay.active ? replay.pixels : pixels}
         colorMode={colorMode}
         drag={drag}
         timeLeft={timeLeft}
-        hoveredCell={colorMode ? selectedCell : null}
+        hoveredCell={colorMode ? selectedCell : focusedCell}
         confirmFlicker={confirmPlace.open && flicker ? { col: confirmPlace.col, row: confirmPlace.row, color } : null}
         onMouseDown={onMouseDown}
         onMouseMove={e => {
           onMouseMove(e);
+          const cell = getCellFromEvent(e);
+          setPointerCell(prev => prev && prev.col === cell.col && prev.row === cell.row ? prev : cell);
           if (!colorMode) {
             handleCellHover(e);
           }
@@ -775,8 +1417,15 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
         onMouseUp={onMouseUp}
         onMouseLeave={e => {
           handleMouseLeave();
+          setPointerCell(null);
         }}
         onWheel={onWheel}
+        replay={replay}
+        selectionMode={exportMode}
+        selection={exportMode ? exportSelection : null}
+        bounds={canvasBounds}
+        cursors={replay.active ? [] : cursorList}
+        highlightUser={replay.active ? null : highlightUser}
       />
       
       {/* === FULLSCREEN UI ELEMENTS === */}
@@ -837,13 +1486,13 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
                   const centerRow = Math.floor(worldY / cellSize);
                   
                   // Set the selected cell to the center of the current view
-                  setSelectedCell({ col: centerCol, row: centerRow });
+                  setSelectedCell(clampCell({ col: centerCol, row: centerRow }, canvasBounds));
                 }
               }
               setColorMode(m => !m);
             }}
             title={timeLeft === 0 ? "Add Pixel Colour" : `Wait ${formatTime(timeLeft)} to color again`}
-            disabled={timeLeft > 0}
+            disabled={timeLeft > 0 || replay.active}
             style={{
               position: "absolute", 
               bottom: 16, 
@@ -903,9 +1552,169 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
             </svg>
           </button>
           
+          {/* === EXPORT TOGGLE BUTTON === */}
+          {/* Button to select a region and download it as a PNG */}
+          <button
+            className="export-btn"
+            disabled={room && room.visibility === "private"}
+            onClick={() => {
+              if (exportMode) {
+                handleExportCancel();
+              } else {
+                setColorMode(false);
+                setHoveredCellInfo(null);
+                setExportMode(true);
+              }
+            }}
+            title={room && room.visibility === "private" ? "Private canvases can't be exported" : exportMode ? "Cancel export" : "Export region as PNG"}
+            style={{
+              position: "absolute", 
+              bottom: 16, 
+              right: 248, 
+              background: exportMode ? "rgba(255, 230, 102, 0.9)" : "rgba(255,255,255,0.9)", 
+              border: exportMode ? `2px solid #333` : "none", 
+              borderRadius: "50%", 
+              width: 48, 
+              height: 48, 
+              display: "flex", 
+              alignItems: "center", 
+              justifyContent: "center", 
+              boxShadow: "0 2px 8px rgba(0,0,0,0.15)", 
+              cursor: "pointer", 
+              zIndex: 10,
+              transition: "all 0.2s ease"
+            }}
+          >
+            {/* Download icon SVG */}
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+              <path d="M7 10l5 5 5-5"/>
+              <path d="M12 15V3"/>
+            </svg>
+          </button>
+          
+          {/* === EXPORT PANEL === */}
+          {/* Selection summary, scale choice and download action */}
+          {exportMode && (
+            <div style={{
+              position: "absolute",
+              right: 248,
+              bottom: 80,
+              background: "rgba(0,0,0,0.8)",
+              color: "#fff",
+              borderRadius: 8,
+              padding: "8px 12px",
+              fontSize: 12,
+              fontFamily: "monospace",
+              zIndex: 20,
+              minWidth: 200,
+              boxShadow: "0 2px 8px rgba(0,0,0,0.18)"
+            }}>
+              <div style={{ fontWeight: "bold", marginBottom: 4 }}>Export PNG</div>
+              {!exportSelection ? (
+                <div>Drag on the canvas to select a region</div>
+              ) : (
+                <>
+                  <div>
+                    ({Math.min(exportSelection.col0, exportSelection.col1)}, {Math.min(exportSelection.row0, exportSelection.row1)})
+                    {" → "}
+                    ({Math.max(exportSelection.col0, exportSelection.col1)}, {Math.max(exportSelection.row0, exportSelection.row1)})
+                  </div>
+                  <div style={{ opacity: 0.8, marginBottom: 6 }}>
+                    {Math.abs(exportSelection.col1 - exportSelection.col0) + 1} × {Math.abs(exportSelection.row1 - exportSelection.row0) + 1} cells
+                  </div>
+                  <label style={{ display: "block", marginBottom: 6 }}>
+                    Scale:{" "}
+                    <select value={exportScale} onChange={e => setExportScale(Number(e.target.value))}>
+                      {[1, 2, 4, 8, 16].map(s => (
+                        <option key={s} value={s}>{s}x</option>
+                      ))}
+                    </select>
+                  </label>
+                  <button onClick={handleExportDownload} disabled={exportDragging} style={{ background: "#635bff", color: "#fff", border: "none", borderRadius: 6, padding: "6px 12px", fontWeight: 700, cursor: "pointer" }}>
+                    Download PNG
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+          
+          {/* === REPLAY TOGGLE BUTTON === */}
+          {/* Button to start/stop the time-lapse replay of the canvas */}
+          <button
+            className="replay-btn"
+            onClick={() => {
+              if (replay.active) {
+                replay.stop();
+              } else {
+                setColorMode(false);
+                setHoveredCellInfo(null);
+                replay.start();
+              }
+            }}
+            title={replay.active ? "Exit replay" : "Replay canvas history"}
+            style={{
+              position: "absolute", 
+              bottom: 16, 
+              right: 192, 
+              background: replay.active ? "rgba(255, 230, 102, 0.9)" : "rgba(255,255,255,0.9)", 
+              border: replay.active ? `2px solid #333` : "none", 
+              borderRadius: "50%", 
+              width: 48, 
+              height: 48, 
+              display: "flex", 
+              alignItems: "center", 
+              justifyContent: "center", 
+              boxShadow: "0 2px 8px rgba(0,0,0,0.15)", 
+              cursor: "pointer", 
+              zIndex: 10,
+              transition: "all 0.2s ease"
+            }}
+          >
+            {/* Rewind clock icon SVG */}
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M3 12a9 9 0 1 0 3-6.7L3 8"/>
+              <path d="M3 3v5h5"/>
+              <path d="M12 7v5l3 3"/>
+            </svg>
+          </button>
+          
+          {/* === PRESENCE PRIVACY TOGGLE === */}
+          {/* Choose whether other users can see where we are looking */}
+          <button
+            className="presence-btn"
+            onClick={() => setSharePresence(s => !s)}
+            title={sharePresence ? "Hide my cursor from others" : "Share my cursor with others"}
+            aria-pressed={sharePresence}
+            style={{
+              position: "absolute", 
+              bottom: 16, 
+              right: 304, 
+              background: sharePresence ? "rgba(255,255,255,0.9)" : "rgba(200,200,200,0.9)", 
+              border: "none", 
+              borderRadius: "50%", 
+              width: 48, 
+              height: 48, 
+              display: "flex", 
+              alignItems: "center", 
+              justifyContent: "center", 
+              boxShadow: "0 2px 8px rgba(0,0,0,0.15)", 
+              cursor: "pointer", 
+              zIndex: 10,
+              transition: "all 0.2s ease"
+            }}
+          >
+            {/* Eye icon SVG, struck through while hidden */}
+            <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+              <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
+              <circle cx="12" cy="12" r="3"/>
+              {!sharePresence && <line x1="2" y1="2" x2="22" y2="22"/>}
+            </svg>
+          </button>
+          
           {/* === COLOR PICKER COMPONENT === */}
           {/* Color selection interface (visible when colorMode is true) */}
-          <ColorPicker color={color} setColor={setColor} visible={colorMode} />
+          <ColorPicker palette={palette} color={color} setColor={setColor} visible={colorMode} />
           
           {/* === KEYBOARD NAVIGATION INSTRUCTIONS === */}
           {/* Show instructions when in color mode */}
@@ -1064,9 +1873,18 @@ function Grid({ cellSize = 20, canvasSize = 720, onPixelPlaced }) {
               ⭐ This is your pixel
             </div>
           )}
+          <div style={{ fontSize: 10, opacity: 0.7, marginTop: "auto" }}>
+            Press H to view history
+          </div>
         </div>
       )}
       
+      {/* === PIXEL HISTORY PANEL === */}
+      {/* Timeline of the cell chosen from the hover tooltip */}
+      {isFullscreen && historyCell && (
+        <PixelHistory cell={historyCell} canvas={canvas} token={token} onClose={() => setHistoryCell(null)} />
+      )}
+      
       {/* === FULLSCREEN TOGGLE BUTTON === */}
       {/* Button enters or exits fullscreen depending on state */}
       <FullscreenButton 
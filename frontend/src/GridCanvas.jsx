@@ -1,5 +1,100 @@
 import React, { useRef, useEffect } from "react";
+import { isCellInBounds } from "./gridUtils";
 
+/**
+ * Format a database timestamp (UTC) as local date and time for the replay scrubber
+ */
+function formatReplayTime(dateStr) {
+  if (!dateStr) return "Start";
+  const date = new Date(`${dateStr.replace(" ", "T")}Z`);
+  return isNaN(date) ? dateStr : date.toLocaleString();
+}
+
+/**
+ * Pick a stable colour for a user's cursor from their username
+ */
+function cursorColor(username) {
+  let hash = 0;
+  for (let i = 0; i < username.length; i++) {
+    hash = (hash * 31 + username.charCodeAt(i)) | 0;
+  }
+  return `hsl(${Math.abs(hash) % 360}, 70%, 45%)`;
+}
+
+/**
+ * ReplayControls - Play/pause, scrub and exit controls shown while replaying
+ * @param {Object} replay - State and actions returned by useReplay
+ */
+function ReplayControls({ replay }) {
+  const buttonStyle = {
+    background: "rgba(255,255,255,0.9)",
+    border: "none",
+    borderRadius: 6,
+    padding: "6px 12px",
+    fontWeight: 700,
+    cursor: "pointer"
+  };
+
+  return (
+    <div style={{
+      position: "absolute",
+      left: "50%",
+      bottom: 16,
+      transform: "translateX(-50%)",
+      width: "min(560px, 80%)",
+      background: "rgba(0,0,0,0.8)",
+      color: "#fff",
+      borderRadius: 10,
+      padding: "10px 14px",
+      fontSize: 12,
+      fontFamily: "monospace",
+      zIndex: 30,
+      boxShadow: "0 2px 8px rgba(0,0,0,0.18)",
+      display: "flex",
+      alignItems: "center",
+      gap: 10
+    }}>
+      {replay.loading ? (
+        <span style={{ flex: 1 }}>Loading timeline...</span>
+      ) : replay.error ? (
+        <span style={{ flex: 1 }}>❌ {replay.error}</span>
+      ) : (
+        <>
+          <button onClick={replay.togglePlay} style={buttonStyle} title={replay.playing ? "Pause" : "Play"} disabled={!replay.total}>
+            {replay.playing ? "❚❚" : "▶"}
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={replay.total}
+            value={replay.index}
+            onChange={e => replay.seek(Number(e.target.value))}
+            style={{ flex: 1 }}
+            aria-label="Replay position"
+          />
+          <span style={{ minWidth: 150, textAlign: "right" }}>
+            {formatReplayTime(replay.currentTime)}
+            <br />
+            <span style={{ opacity: 0.7 }}>{replay.index} / {replay.total}</span>
+          </span>
+        </>
+      )}
+      <button onClick={replay.stop} style={buttonStyle} title="Exit replay">✕</button>
+    </div>
+  );
+}
+
+/**
+ * GridCanvas Component - Draws the pixel grid onto an HTML5 canvas
+ * Also shows the time-lapse controls while a replay is active
+ *
+ * @param {Object} [replay] - Replay state from useReplay; controls are shown when replay.active
+ * @param {boolean} [selectionMode] - Whether dragging selects cells (crosshair cursor)
+ * @param {Object} [selection] - Highlighted cell rectangle: { col0, row0, col1, row1 }
+ * @param {Object} [bounds] - Canvas size in cells: { width, height }; cells outside are greyed out
+ * @param {Array} [cursors] - Other users' cursors: [{ id, username, col, row }]
+ * @param {string} [highlightUser] - Username whose pixels are outlined while everyone else's are faded
+ */
 function GridCanvas({
   canvasRef,
   canvasSize,
@@ -17,6 +112,12 @@ function GridCanvas({
   onMouseUp,
   onMouseLeave,
   onWheel,
+  replay,
+  selectionMode,
+  selection,
+  bounds,
+  cursors,
+  highlightUser,
 }) {
 
   useEffect(() => {
@@ -38,20 +139,40 @@ function GridCanvas({
     const startCol = Math.floor(offset.x / (cellSize * zoom));
     const startRow = Math.floor(offset.y / (cellSize * zoom));
     const colored = new Set();
+    const highlighted = [];
     for (let i = 0; i < cols; i++) {
       for (let j = 0; j < rows; j++) {
         const px = startCol + i;
         const py = startRow + j;
         const key = `${px},${py}`;
-        if (pixels[key]) {
+        if (!isCellInBounds(px, py, bounds)) {
+          // Outside the canvas: solid filler, no grid lines
+          ctx.fillStyle = "#d0d0d0";
+          ctx.fillRect(i * cellSize, j * cellSize, cellSize, cellSize);
+          colored.add(key);
+        } else if (pixels[key]) {
           const pixelData = pixels[key];
           const pixelColor = typeof pixelData === 'string' ? pixelData : pixelData.color;
+          const isHighlighted = !!highlightUser && pixelData.username === highlightUser;
+          ctx.globalAlpha = highlightUser && !isHighlighted ? 0.25 : 1;
           ctx.fillStyle = pixelColor;
           ctx.fillRect(i * cellSize, j * cellSize, cellSize, cellSize);
+          ctx.globalAlpha = 1;
           colored.add(key);
+          if (isHighlighted) highlighted.push({ i, j });
         }
       }
     }
+    // Outline the highlighted user's pixels
+    if (highlighted.length) {
+      ctx.save();
+      ctx.strokeStyle = "#635bff";
+      ctx.lineWidth = 2 / zoom;
+      for (const { i, j } of highlighted) {
+        ctx.strokeRect(i * cellSize, j * cellSize, cellSize, cellSize);
+      }
+      ctx.restore();
+    }
     // Flickering confirm square
     if (confirmFlicker && confirmFlicker.col != null && confirmFlicker.row != null) {
       ctx.save();
@@ -65,6 +186,21 @@ function GridCanvas({
       );
       ctx.restore();
     }
+    // Selected export region
+    if (selection) {
+      const minCol = Math.min(selection.col0, selection.col1);
+      const minRow = Math.min(selection.row0, selection.row1);
+      const width = (Math.abs(selection.col1 - selection.col0) + 1) * cellSize;
+      const height = (Math.abs(selection.row1 - selection.row0) + 1) * cellSize;
+      ctx.save();
+      ctx.fillStyle = "rgba(99, 91, 255, 0.2)";
+      ctx.fillRect((minCol - startCol) * cellSize, (minRow - startRow) * cellSize, width, height);
+      ctx.strokeStyle = "#635bff";
+      ctx.lineWidth = 2 / zoom;
+      ctx.setLineDash([6 / zoom, 4 / zoom]);
+      ctx.strokeRect((minCol - startCol) * cellSize, (minRow - startRow) * cellSize, width, height);
+      ctx.restore();
+    }
     // Highlight hovered cell if set
     if (hoveredCell && hoveredCell.col != null && hoveredCell.row != null) {
       ctx.save();
@@ -91,21 +227,58 @@ function GridCanvas({
         }
       }
     }
+    // Canvas border
+    if (bounds) {
+      ctx.strokeStyle = "#888";
+      ctx.lineWidth = 2 / zoom;
+      ctx.strokeRect(
+        -startCol * cellSize,
+        -startRow * cellSize,
+        bounds.width * cellSize,
+        bounds.height * cellSize
+      );
+    }
+    // Other users' cursors, outlined in their colour with a name tag
+    if (cursors && cursors.length) {
+      ctx.save();
+      ctx.font = `${11 / zoom}px monospace`;
+      ctx.textBaseline = "bottom";
+      for (const cursor of cursors) {
+        if (cursor.col < startCol || cursor.row < startRow || cursor.col >= startCol + cols || cursor.row >= startRow + rows) continue;
+        const x = (cursor.col - startCol) * cellSize;
+        const y = (cursor.row - startRow) * cellSize;
+        const userColor = cursorColor(cursor.username);
+        ctx.strokeStyle = userColor;
+        ctx.lineWidth = 2 / zoom;
+        ctx.strokeRect(x, y, cellSize, cellSize);
+        
+        const labelWidth = ctx.measureText(cursor.username).width + 6 / zoom;
+        const labelHeight = 14 / zoom;
+        ctx.fillStyle = userColor;
+        ctx.fillRect(x, y - labelHeight, labelWidth, labelHeight);
+        ctx.fillStyle = "#fff";
+        ctx.fillText(cursor.username, x + 3 / zoom, y - 2 / zoom);
+      }
+      ctx.restore();
+    }
     ctx.restore();
-  }, [canvasRef, offset, cellSize, canvasSize, pixels, zoom, hoveredCell]);
+  }, [canvasRef, offset, cellSize, canvasSize, pixels, zoom, hoveredCell, selection, bounds, cursors, highlightUser]);
 
   return (
-    <canvas
-      ref={canvasRef}
-      width={canvasSize}
-      height={canvasSize}
-  style={{ width: "90vmin", height: "90vmin", maxWidth: "100vw", maxHeight: "100vh", display: "block", cursor: colorMode ? "crosshair" : (drag ? "grabbing" : "grab") }}
-      onMouseDown={onMouseDown}
-      onMouseMove={onMouseMove}
-      onMouseUp={onMouseUp}
-      onMouseLeave={onMouseLeave}
-      onWheel={onWheel}
-    />
+    <>
+      <canvas
+        ref={canvasRef}
+        width={canvasSize}
+        height={canvasSize}
+        style={{ width: "90vmin", height: "90vmin", maxWidth: "100vw", maxHeight: "100vh", display: "block", cursor: colorMode || selectionMode ? "crosshair" : (drag ? "grabbing" : "grab") }}
+        onMouseDown={onMouseDown}
+        onMouseMove={onMouseMove}
+        onMouseUp={onMouseUp}
+        onMouseLeave={onMouseLeave}
+        onWheel={onWheel}
+      />
+      {replay && replay.active && <ReplayControls replay={replay} />}
+    </>
   );
 }
 
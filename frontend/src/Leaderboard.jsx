@@ -1,31 +1,69 @@
 import React, { useState, useEffect } from 'react';
 import './Leaderboard.css';
+import { authFetch, getUsernameFromToken } from './auth';
+
+// Metrics users can be ranked by, with the label of their tab and of the score
+// windows lists the time windows the metric can be ranked over
+const METRICS = [
+  { id: 'pixels', tab: '🎨 Pixels', label: 'Pixels:', windows: ['day', 'week', 'all'] },
+  { id: 'surviving', tab: '🖼️ On canvas', label: 'On main canvas:', windows: [] },
+  { id: 'streak', tab: '🔥 Streak', label: 'Longest streak:', windows: ['week', 'all'] },
+  { id: 'overwritten', tab: '🧽 Overwritten', label: 'Erased by moderators:', windows: ['day', 'week', 'all'] }
+];
+
+// Time windows (rolling); the on-canvas metric is always "now"
+const WINDOWS = [
+  { id: 'day', label: '24 hours' },
+  { id: 'week', label: '7 days' },
+  { id: 'all', label: 'All time' }
+];
+
+// Users per page (the server's maximum)
+const PAGE_SIZE = 100;
 
 /**
  * Leaderboard Component - Displays top users and their statistics
- * Shows rankings based on pixels placed, contributions, and other metrics
+ * Ranks users by pixels placed, pixels still on the main canvas, longest daily streak or pixels
+ * erased by moderators, over the last day, week or all time. Pages through the ranking 100 at a time, and "Find me"
+ * shows the users around the current user however far down they are
+ * Clicking a user opens their public profile
+ *
+ * @param {string} token - JWT for the leaderboard API
+ * @param {number} refreshTrigger - Changes whenever the leaderboard should reload
+ * @param {Function} onSelectUser - Called with a username when an entry is clicked
  */
-const Leaderboard = ({ token, refreshTrigger }) => {
-  const [leaderboardData, setLeaderboardData] = useState([]);
+const Leaderboard = ({ token, refreshTrigger, onSelectUser }) => {
+  const [leaderboardData, setLeaderboardData] = useState(null); // { total, offset, entries, me }
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [selectedTab, setSelectedTab] = useState('pixels'); // Only 'pixels' now
+  const [selectedTab, setSelectedTab] = useState('pixels');     // Metric
+  const [selectedWindow, setSelectedWindow] = useState('all');
+  const [offset, setOffset] = useState(0);
+  const [aroundMe, setAroundMe] = useState(false);              // Show the users around the current user
+
+  const currentUsername = getUsernameFromToken(token);
 
   /**
    * Fetch leaderboard data from backend
    */
   const fetchLeaderboard = async () => {
     if (!token) return;
-    
+
     try {
       setLoading(true);
-      const response = await fetch('/api/leaderboard', {
+      const params = new URLSearchParams({ metric: selectedTab, window: selectedWindow });
+      if (aroundMe) {
+        params.set('around', 'me');
+      } else {
+        params.set('offset', offset);
+        params.set('limit', PAGE_SIZE);
+      }
+      const response = await authFetch(`/api/leaderboard?${params}`, {
         headers: {
-          'Authorization': `Bearer ${token}`,
           'Content-Type': 'application/json'
         }
       });
-      
+
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
         if (response.status === 401) {
@@ -36,7 +74,7 @@ const Leaderboard = ({ token, refreshTrigger }) => {
           throw new Error(errorData.error || `Failed to fetch leaderboard data (${response.status})`);
         }
       }
-      
+
       const data = await response.json();
       setLeaderboardData(data);
       setError(null);
@@ -48,7 +86,7 @@ const Leaderboard = ({ token, refreshTrigger }) => {
     }
   };
 
-  // Fetch data on component mount and token change
+  // Fetch data on component mount, token change and whenever another ranking or page is picked
   useEffect(() => {
     if (token) {
       fetchLeaderboard();
@@ -57,11 +95,11 @@ const Leaderboard = ({ token, refreshTrigger }) => {
       return () => clearInterval(interval);
     } else {
       // Clear data and reset states when no token
-      setLeaderboardData([]);
+      setLeaderboardData(null);
       setLoading(false);
       setError(null);
     }
-  }, [token]);
+  }, [token, selectedTab, selectedWindow, offset, aroundMe]);
 
   // Refresh when refreshTrigger changes
   useEffect(() => {
@@ -70,6 +108,28 @@ const Leaderboard = ({ token, refreshTrigger }) => {
     }
   }, [refreshTrigger, token]);
 
+  /**
+   * Switch to another metric or window, back at the top of the ranking
+   * @param {Function} select - State setter to call
+   * @param {string} value - Metric or window id
+   */
+  const selectRanking = (select, value) => {
+    select(value);
+    // A daily streak can only be 1 day long, so the streak starts at the week window
+    if (value === 'streak' && selectedWindow === 'day') setSelectedWindow('week');
+    setOffset(0);
+    setAroundMe(false);
+  };
+
+  /**
+   * Go to another page of the ranking
+   * @param {number} newOffset - Position of the page's first entry
+   */
+  const goToPage = (newOffset) => {
+    setAroundMe(false);
+    setOffset(Math.max(0, newOffset));
+  };
+
   /**
    * Get medal emoji for top positions
    */
@@ -90,12 +150,10 @@ const Leaderboard = ({ token, refreshTrigger }) => {
   };
 
   /**
-   * Get sorted data - only pixels now
+   * Format a score for the selected metric
    */
-  const getSortedData = () => {
-    if (!leaderboardData.length) return [];
-    
-    return [...leaderboardData].sort((a, b) => (b.pixelsPlaced || 0) - (a.pixelsPlaced || 0));
+  const formatValue = (value) => {
+    return selectedTab === 'streak' ? `${formatNumber(value)} ${value === 1 ? 'day' : 'days'}` : formatNumber(value);
   };
 
   if (!token) {
@@ -111,7 +169,7 @@ const Leaderboard = ({ token, refreshTrigger }) => {
     );
   }
 
-  if (loading) {
+  if (loading && !leaderboardData) {
     return (
       <div className="leaderboard-container">
         <div className="leaderboard-header">
@@ -138,7 +196,9 @@ const Leaderboard = ({ token, refreshTrigger }) => {
     );
   }
 
-  const sortedData = getSortedData();
+  const metric = METRICS.find(entry => entry.id === selectedTab);
+  const { entries = [], total = 0, me = null } = leaderboardData || {};
+  const pageStart = leaderboardData ? leaderboardData.offset : 0;
 
   return (
     <div className="leaderboard-container">
@@ -149,39 +209,65 @@ const Leaderboard = ({ token, refreshTrigger }) => {
         </button>
       </div>
 
-      {/* Single tab - Pixels only */}
+      {/* Metric tabs */}
       <div className="leaderboard-tabs">
-        <button className="tab active">
-          🎨 Pixels
-        </button>
+        {METRICS.map(entry => (
+          <button
+            key={entry.id}
+            className={`tab ${selectedTab === entry.id ? 'active' : ''}`}
+            onClick={() => selectRanking(setSelectedTab, entry.id)}
+          >
+            {entry.tab}
+          </button>
+        ))}
       </div>
 
+      {/* Time window (pixels still on the canvas don't depend on it) */}
+      {metric.windows.length > 0 && (
+        <div className="leaderboard-tabs leaderboard-windows">
+          {WINDOWS.filter(entry => metric.windows.includes(entry.id)).map(entry => (
+            <button
+              key={entry.id}
+              className={`tab ${selectedWindow === entry.id ? 'active' : ''}`}
+              onClick={() => selectRanking(setSelectedWindow, entry.id)}
+            >
+              {entry.label}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Leaderboard Content */}
       <div className="leaderboard-content">
-        {sortedData.length === 0 ? (
+        {entries.length === 0 ? (
           <div className="empty-state">
             <p>No users found. Start placing pixels to appear on the leaderboard!</p>
           </div>
         ) : (
           <div className="leaderboard-list">
-            {sortedData.slice(0, 100).map((user, index) => (
-              <div key={user.username} className={`leaderboard-item ${index < 3 ? 'top-three' : ''}`}>
+            {entries.map(user => (
+              <div
+                key={user.username}
+                className={`leaderboard-item ${user.rank <= 3 ? 'top-three' : ''} ${user.username === currentUsername ? 'current-user' : ''} ${onSelectUser ? 'clickable' : ''}`}
+                onClick={() => onSelectUser && onSelectUser(user.username)}
+                title={onSelectUser ? 'View profile' : undefined}
+              >
                 <div className="rank">
-                  {getMedal(index + 1)}
+                  {getMedal(user.rank)}
                 </div>
-                
+
                 <div className="user-info">
-                  <div className="username">{user.username}</div>
+                  <div className="username">{user.displayName || user.username}</div>
                   <div className="user-stats">
-                    <span className="stat-label">Pixels:</span>
-                    <span className="stat-value">{formatNumber(user.pixelsPlaced)}</span>
+                    <span className="stat-label">{metric.label}</span>
+                    <span className="stat-value">{formatValue(user.value)}</span>
                   </div>
                 </div>
 
                 {/* User Badge/Status */}
                 <div className="user-badge">
                   {user.isOnline && <span className="online-indicator">🟢</span>}
-                  {index === 0 && <span className="crown">👑</span>}
+                  {user.rank === 1 && <span className="crown">👑</span>}
                 </div>
               </div>
             ))}
@@ -189,16 +275,26 @@ const Leaderboard = ({ token, refreshTrigger }) => {
         )}
       </div>
 
+      {/* Paging and "Find me" */}
+      <div className="leaderboard-pager">
+        <button onClick={() => goToPage(pageStart - PAGE_SIZE)} disabled={pageStart === 0} title="Previous page">◀</button>
+        <span>
+          {entries.length > 0 ? `${pageStart + 1}–${pageStart + entries.length} of ${formatNumber(total)}` : `0 of ${formatNumber(total)}`}
+        </span>
+        <button onClick={() => goToPage(pageStart + entries.length)} disabled={pageStart + entries.length >= total} title="Next page">▶</button>
+        <button onClick={() => setAroundMe(true)} disabled={!me} title="Show the users around you">📍 Find me</button>
+      </div>
+
       {/* Footer Stats */}
       <div className="leaderboard-footer">
         <div className="global-stats">
-          <span>Total Users: {leaderboardData.length}</span>
+          <span>Ranked Users: {formatNumber(total)}</span>
           <span>•</span>
-          <span>Total Pixels: {formatNumber(leaderboardData.reduce((sum, user) => sum + (user.pixelsPlaced || 0), 0))}</span>
+          <span>{me ? `Your Rank: #${me.rank} (${formatValue(me.value)})` : 'You are not ranked yet'}</span>
         </div>
       </div>
     </div>
   );
 };
 
-export default Leaderboard;
\ No newline at end of file
+export default Leaderboard;
@@ -1,5 +1,6 @@
 // Import React and useState hook for form state management
 import React, { useState } from "react";
+import { startSession } from "./auth.js";
 
 /**
  * Login Component - User authentication form
@@ -38,10 +39,8 @@ export default function Login({ onLogin }) {
       if (res.ok && data.token) {
         setMessage("Login successful!");
         
-        // Store token in localStorage if "Remember me" is checked
-        if (remember) {
-          localStorage.setItem("token", data.token);
-        }
+        // Keep the session across reloads only if "Remember me" is checked
+        startSession(data, remember);
         
         // Call parent component's onLogin callback with JWT token
         onLogin && onLogin(data.token);
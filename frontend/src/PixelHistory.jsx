@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from "react";
+import { authFetch } from "./auth";
+
+/**
+ * PixelHistory Component - Full placement timeline of a single cell
+ * Fetches every placement ever made on the cell, newest first
+ *
+ * @param {Object} cell - Cell to show: { col, row }
+ * @param {string} canvas - Slug of the canvas the cell is on
+ * @param {string} token - JWT for the history API
+ * @param {Function} onClose - Callback to close the panel
+ */
+function PixelHistory({ cell, canvas, token, onClose }) {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Fetch history whenever the selected cell changes
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        const response = await authFetch(`/api/pixels/${cell.col}/${cell.row}/history?canvas=${encodeURIComponent(canvas)}`, {
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        });
+
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || `Failed to fetch pixel history (${response.status})`);
+        }
+
+        const data = await response.json();
+        if (!cancelled) {
+          setHistory([...data.history].reverse());
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+        console.error('Pixel history fetch error:', err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => { cancelled = true; };
+  }, [cell.col, cell.row, canvas, token]);
+
+  /**
+   * Format a database timestamp (UTC) in the user's local time
+   */
+  const formatDate = (dateStr) => {
+    const date = new Date(`${dateStr.replace(" ", "T")}Z`);
+    return isNaN(date) ? dateStr : date.toLocaleString();
+  };
+
+  return (
+    <div style={{
+      position: "absolute",
+      left: 24,
+      bottom: 80,
+      width: 260,
+      maxHeight: 360,
+      background: "rgba(0, 0, 0, 0.92)",
+      color: "#fff",
+      borderRadius: 12,
+      padding: 14,
+      fontSize: 12,
+      fontFamily: "monospace",
+      zIndex: 1000,
+      boxShadow: "0 4px 16px rgba(0, 0, 0, 0.35)",
+      border: "1.5px solid rgba(255, 255, 255, 0.18)",
+      display: "flex",
+      flexDirection: "column"
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+        <span style={{ fontWeight: "bold", color: "#ffe066" }}>
+          History of ({cell.col}, {cell.row})
+        </span>
+        <button
+          onClick={onClose}
+          title="Close history"
+          style={{ background: "none", border: "none", color: "#fff", fontSize: 16, cursor: "pointer", padding: 0 }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {loading && <div>Loading history...</div>}
+      {!loading && error && <div style={{ color: "#ff8a80" }}>❌ {error}</div>}
+      {!loading && !error && history.length === 0 && (
+        <div style={{ opacity: 0.8 }}>Nothing has ever been placed here.</div>
+      )}
+
+      {!loading && !error && history.length > 0 && (
+        <ol style={{ listStyle: "none", margin: 0, padding: 0, overflowY: "auto" }}>
+          {history.map((entry, index) => (
+            <li key={entry.id} style={{ display: "flex", alignItems: "center", gap: 8, padding: "4px 0", opacity: index === 0 ? 1 : 0.75 }}>
+              <span style={{
+                display: "inline-block",
+                width: 14,
+                height: 14,
+                flexShrink: 0,
+                backgroundColor: entry.color || "transparent",
+                border: `1px ${entry.color ? "solid" : "dashed"} rgba(255, 255, 255, 0.3)`,
+                borderRadius: 2
+              }}></span>
+              <span style={{ flex: 1, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                {entry.username}
+                {entry.method !== "normal" && (
+                  <span style={{ marginLeft: 6, fontSize: 10, color: "#ffe066" }}>[{entry.method}]</span>
+                )}
+              </span>
+              <span style={{ fontSize: 10, opacity: 0.7 }}>{formatDate(entry.placedAt)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+// Export PixelHistory component as default export
+export default PixelHistory;
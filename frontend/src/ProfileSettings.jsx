@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useRef } from "react";
+import { authFetch } from "./auth";
+
+// Shared look of the panel's inputs and section headings
+const inputStyle = { width: "100%", boxSizing: "border-box", marginTop: 4 };
+const headingStyle = { fontWeight: "bold", color: "#ffe066", margin: "14px 0 6px" };
+const errorStyle = { color: "#ff8a80", marginTop: 4 };
+const successStyle = { color: "#9be59b", marginTop: 4 };
+
+/**
+ * Send a JSON request to a profile endpoint
+ * @param {string} url - Endpoint
+ * @param {string} method - HTTP method
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} - { ok, data } with the parsed response
+ */
+async function sendProfileRequest(url, method, body) {
+  const response = await authFetch(url, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json().catch(() => ({}));
+  return { ok: response.ok, data };
+}
+
+/**
+ * ProfileSettings Component - Account self-service panel
+ * Shows the profile from /api/profile and lets the user set a display name, change their
+ * password and delete their account (keeping their pixels anonymously or erasing them)
+ *
+ * @param {string} token - JWT for the profile API
+ * @param {Function} onClose - Callback to close the panel
+ * @param {Function} onProfileChange - Called with the profile after it loads or changes
+ * @param {Function} onAccountDeleted - Called once the account is gone (the session has ended)
+ */
+function ProfileSettings({ token, onClose, onProfileChange, onAccountDeleted }) {
+  const [profile, setProfile] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  const [displayName, setDisplayName] = useState("");
+  const [nameStatus, setNameStatus] = useState(null);          // { ok, text }
+
+  const [currentPassword, setCurrentPassword] = useState("");
+  const [newPassword, setNewPassword] = useState("");
+  const [passwordStatus, setPasswordStatus] = useState(null);  // { ok, text }
+
+  const [deleteMode, setDeleteMode] = useState("anonymise");
+  const [deletePassword, setDeletePassword] = useState("");
+  const [deleteError, setDeleteError] = useState(null);
+
+  const onProfileChangeRef = useRef(onProfileChange);   // Latest callback, so a new one doesn't reload the profile
+  onProfileChangeRef.current = onProfileChange;
+
+  // Load the profile when the panel opens
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchProfile = async () => {
+      try {
+        const response = await authFetch("/api/profile");
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+          throw new Error(data.error || `Failed to load profile (${response.status})`);
+        }
+        if (!cancelled) {
+          setProfile(data);
+          setDisplayName(data.displayName || "");
+          onProfileChangeRef.current && onProfileChangeRef.current(data);
+        }
+      } catch (err) {
+        if (!cancelled) setLoadError(err.message);
+        console.error("Profile fetch error:", err);
+      }
+    };
+
+    fetchProfile();
+    return () => { cancelled = true; };
+  }, [token]);
+
+  /**
+   * Save the display name (empty goes back to showing the username)
+   * @param {Event} e - Form submit event
+   */
+  const handleSaveName = async (e) => {
+    e.preventDefault();
+    setNameStatus(null);
+    try {
+      const { ok, data } = await sendProfileRequest("/api/profile", "PATCH", { displayName });
+      if (!ok) {
+        setNameStatus({ ok: false, text: data.error || "Failed to save display name" });
+        return;
+      }
+      const updated = { ...profile, displayName: data.displayName };
+      setProfile(updated);
+      setDisplayName(data.displayName || "");
+      setNameStatus({ ok: true, text: "Display name saved" });
+      onProfileChange && onProfileChange(updated);
+    } catch (err) {
+      setNameStatus({ ok: false, text: "Error connecting to server" });
+      console.error("Display name error:", err);
+    }
+  };
+
+  /**
+   * Change the password; the server logs out every other session
+   * @param {Event} e - Form submit event
+   */
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setPasswordStatus(null);
+    try {
+      const { ok, data } = await sendProfileRequest("/api/profile/password", "PUT", { currentPassword, newPassword });
+      if (!ok) {
+        setPasswordStatus({ ok: false, text: data.error || "Failed to change password" });
+        return;
+      }
+      setCurrentPassword("");
+      setNewPassword("");
+      setPasswordStatus({
+        ok: true,
+        text: data.sessionsRevoked > 0
+          ? `Password changed, ${data.sessionsRevoked} other session(s) logged out`
+          : "Password changed"
+      });
+    } catch (err) {
+      setPasswordStatus({ ok: false, text: "Error connecting to server" });
+      console.error("Change password error:", err);
+    }
+  };
+
+  /**
+   * Delete the account after a last confirmation
+   * @param {Event} e - Form submit event
+   */
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    setDeleteError(null);
+    const consequence = deleteMode === "erase"
+      ? "Your pixels will be erased from every canvas."
+      : "Your pixels will stay, credited to an anonymous deleted user.";
+    if (!window.confirm(`Delete your account for good? ${consequence} This can't be undone.`)) return;
+
+    try {
+      const { ok, data } = await sendProfileRequest("/api/profile", "DELETE", { password: deletePassword, pixels: deleteMode });
+      if (!ok) {
+        setDeleteError(data.error || "Failed to delete account");
+        return;
+      }
+      onAccountDeleted && onAccountDeleted();
+    } catch (err) {
+      setDeleteError("Error connecting to server");
+      console.error("Delete account error:", err);
+    }
+  };
+
+  return (
+    <div style={{
+      position: "fixed",
+      top: 60,
+      right: 24,
+      width: 300,
+      maxHeight: "80vh",
+      overflowY: "auto",
+      background: "rgba(0, 0, 0, 0.92)",
+      color: "#fff",
+      borderRadius: 12,
+      padding: 14,
+      fontSize: 13,
+      zIndex: 1000,
+      boxShadow: "0 4px 16px rgba(0, 0, 0, 0.35)",
+      border: "1.5px solid rgba(255, 255, 255, 0.18)"
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <span style={{ fontWeight: "bold", color: "#ffe066" }}>Profile settings</span>
+        <button
+          onClick={onClose}
+          title="Close settings"
+          style={{ background: "none", border: "none", color: "#fff", fontSize: 16, cursor: "pointer", padding: 0 }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {!profile && !loadError && <div style={{ marginTop: 8 }}>Loading profile...</div>}
+      {loadError && <div style={errorStyle}>❌ {loadError}</div>}
+
+      {profile && (
+        <>
+          <div style={{ marginTop: 8, opacity: 0.8, fontSize: 12 }}>
+            Logged in as <strong>{profile.username}</strong> · {profile.pixelsPlaced} pixels placed
+          </div>
+
+          {/* === DISPLAY NAME === */}
+          <form onSubmit={handleSaveName}>
+            <div style={headingStyle}>Display name</div>
+            <div style={{ fontSize: 11, opacity: 0.7 }}>Shown instead of your username; you still log in as {profile.username}</div>
+            <input
+              type="text"
+              placeholder={profile.username}
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+              style={inputStyle}
+            />
+            <button type="submit" style={{ marginTop: 6 }}>Save name</button>
+            {nameStatus && <div style={nameStatus.ok ? successStyle : errorStyle}>{nameStatus.text}</div>}
+          </form>
+
+          {/* === PASSWORD === */}
+          <form onSubmit={handleChangePassword}>
+            <div style={headingStyle}>Change password</div>
+            <input
+              type="password"
+              placeholder="Current password"
+              value={currentPassword}
+              onChange={(e) => setCurrentPassword(e.target.value)}
+              style={inputStyle}
+              required
+            />
+            <input
+              type="password"
+              placeholder="New password"
+              value={newPassword}
+              onChange={(e) => setNewPassword(e.target.value)}
+              style={inputStyle}
+              required
+            />
+            <button type="submit" style={{ marginTop: 6 }}>Change password</button>
+            {passwordStatus && <div style={passwordStatus.ok ? successStyle : errorStyle}>{passwordStatus.text}</div>}
+          </form>
+
+          {/* === DELETE ACCOUNT === */}
+          <form onSubmit={handleDeleteAccount}>
+            <div style={{ ...headingStyle, color: "#ff8a80" }}>Delete account</div>
+            <label style={{ display: "block" }}>
+              <input
+                type="radio"
+                name="deleteMode"
+                value="anonymise"
+                checked={deleteMode === "anonymise"}
+                onChange={() => setDeleteMode("anonymise")}
+              />
+              {" "}Keep my pixels, anonymously
+            </label>
+            <label style={{ display: "block" }}>
+              <input
+                type="radio"
+                name="deleteMode"
+                value="erase"
+                checked={deleteMode === "erase"}
+                onChange={() => setDeleteMode("erase")}
+              />
+              {" "}Erase my pixels from every canvas
+            </label>
+            <input
+              type="password"
+              placeholder="Password"
+              value={deletePassword}
+              onChange={(e) => setDeletePassword(e.target.value)}
+              style={inputStyle}
+              required
+            />
+            <button type="submit" style={{ marginTop: 6, color: "#b00020" }}>Delete my account</button>
+            {deleteError && <div style={errorStyle}>{deleteError}</div>}
+          </form>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Export ProfileSettings component as default export
+export default ProfileSettings;
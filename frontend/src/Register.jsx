@@ -1,10 +1,18 @@
-// Import React and useState hook for form state management
-import React, { useState } from "react";
+// Import React and hooks for form state management and live validation
+import React, { useEffect, useState } from "react";
+
+// Wait this long after the last keystroke before asking the server to check the form
+const VALIDATE_DELAY_MS = 400;
+
+// Inline style for a field's error, shown under its input
+const fieldErrorStyle = { color: "#ff6b6b", fontSize: 12, marginTop: 2 };
 
 /**
  * Register Component - User registration form
  * Handles new user account creation with username/password
- * 
+ * The server's username and password rules are checked as the user types, and problems
+ * are shown under the field they concern (only once that field has been typed in)
+ *
  * @param {Function} onRegister - Callback function called after successful registration
  */
 export default function Register({ onRegister }) {
@@ -12,6 +20,36 @@ export default function Register({ onRegister }) {
   const [username, setUsername] = useState("");  // Username input field
   const [password, setPassword] = useState("");  // Password input field
   const [message, setMessage] = useState("");    // Status/error message display
+  const [fieldErrors, setFieldErrors] = useState({});  // Server errors per field { username, password }
+  const [touched, setTouched] = useState({});    // Fields the user has typed in
+
+  // === LIVE VALIDATION ===
+  // Ask the server to check the form shortly after the user stops typing
+  useEffect(() => {
+    if (!username && !password) return;
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch("/register/validate", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ username, password }),
+          signal: controller.signal
+        });
+        if (res.ok) {
+          const data = await res.json();
+          setFieldErrors(data.fields || {});
+        }
+      } catch (err) {
+        // Aborted by a newer keystroke, or offline: the submit will report problems anyway
+        if (err.name !== "AbortError") console.error("Registration check error:", err);
+      }
+    }, VALIDATE_DELAY_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [username, password]);
 
   /**
    * Handle form submission and user registration
@@ -38,8 +76,13 @@ export default function Register({ onRegister }) {
         setMessage("Registration successful!");
         // Call parent component's onRegister callback (typically switches to login)
         onRegister && onRegister();
-      } 
+      }
       // === ERROR HANDLING ===
+      // Field errors go under their inputs; anything else (e.g. rate limiting) below the form
+      else if (data.fields) {
+        setFieldErrors(data.fields);
+        setTouched({ username: true, password: true });
+      }
       else {
         setMessage(data.error || "Registration failed");
       }
@@ -60,18 +103,32 @@ export default function Register({ onRegister }) {
         type="text"
         placeholder="Username"
         value={username}
-        onChange={(e) => setUsername(e.target.value)}
+        onChange={(e) => {
+          setUsername(e.target.value);
+          setTouched(prev => ({ ...prev, username: true }));
+        }}
+        aria-invalid={!!(touched.username && fieldErrors.username)}
         required
       />
+      {touched.username && fieldErrors.username && (
+        <div style={fieldErrorStyle}>{fieldErrors.username}</div>
+      )}
       
       {/* Password input field */}
       <input
         type="password"
         placeholder="Password"
         value={password}
-        onChange={(e) => setPassword(e.target.value)}
+        onChange={(e) => {
+          setPassword(e.target.value);
+          setTouched(prev => ({ ...prev, password: true }));
+        }}
+        aria-invalid={!!(touched.password && fieldErrors.password)}
         required
       />
+      {touched.password && fieldErrors.password && (
+        <div style={fieldErrorStyle}>{fieldErrors.password}</div>
+      )}
       
       {/* Submit button */}
       <button type="submit">Register</button>
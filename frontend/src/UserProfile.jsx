@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { authFetch } from "./auth";
+
+/**
+ * Format a SQLite UTC timestamp in the user's locale
+ * @param {string} dateStr - "YYYY-MM-DD HH:MM:SS" (UTC)
+ * @returns {string}
+ */
+function formatDate(dateStr) {
+  if (!dateStr) return "—";
+  const date = new Date(`${dateStr.replace(" ", "T")}Z`);
+  return isNaN(date) ? dateStr : date.toLocaleString();
+}
+
+/**
+ * UserProfile Component - Public profile of any user, opened from the leaderboard
+ * Shows their statistics and recent placements from /api/users/:username, can highlight
+ * their pixels on the grid and step through (jump to) each pixel they own on the current canvas
+ *
+ * @param {string} username - User to show
+ * @param {string} canvas - Slug of the canvas currently shown in the grid
+ * @param {boolean} highlighted - Whether this user's pixels are highlighted on the grid
+ * @param {Function} onToggleHighlight - Switch the highlight on or off
+ * @param {Function} onJump - Called with { canvas, x, y } to show a cell (switching canvas if needed)
+ * @param {Function} onClose - Callback to close the profile
+ */
+function UserProfile({ username, canvas, highlighted, onToggleHighlight, onJump, onClose }) {
+  const [profile, setProfile] = useState(null);
+  const [placements, setPlacements] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [pixels, setPixels] = useState(null);     // Their pixels on the current canvas: [{ x, y, color }]
+  const [pixelIndex, setPixelIndex] = useState(-1); // Pixel last jumped to
+
+  /**
+   * Fetch a page of the profile; the first page also brings the statistics
+   * @param {number|null} before - Placement id to page back from (null for the first page)
+   * @returns {Promise<Object>} - Profile response
+   */
+  const fetchProfilePage = useCallback(async (before) => {
+    const query = before ? `?before=${before}` : "";
+    const response = await authFetch(`/api/users/${encodeURIComponent(username)}${query}`);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Failed to load profile (${response.status})`);
+    }
+    return data;
+  }, [username]);
+
+  // Load the profile whenever another user is opened
+  useEffect(() => {
+    let cancelled = false;
+    setProfile(null);
+    setPlacements([]);
+    setError(null);
+
+    fetchProfilePage(null)
+      .then(data => {
+        if (cancelled) return;
+        setProfile(data);
+        setPlacements(data.placements);
+        setHasMore(data.hasMore);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+        console.error("User profile fetch error:", err);
+      });
+    return () => { cancelled = true; };
+  }, [fetchProfilePage]);
+
+  // Load the pixels they own on the canvas being shown
+  useEffect(() => {
+    let cancelled = false;
+    setPixels(null);
+    setPixelIndex(-1);
+
+    authFetch(`/api/users/${encodeURIComponent(username)}/pixels?canvas=${encodeURIComponent(canvas)}`)
+      .then(res => (res.ok ? res.json() : { pixels: [] }))
+      .then(data => {
+        if (!cancelled) setPixels(data.pixels);
+      })
+      .catch(err => console.error("User pixels fetch error:", err));
+    return () => { cancelled = true; };
+  }, [username, canvas]);
+
+  /**
+   * Append the next page of placements
+   */
+  const loadMore = async () => {
+    try {
+      const data = await fetchProfilePage(placements[placements.length - 1].id);
+      setPlacements(prev => [...prev, ...data.placements]);
+      setHasMore(data.hasMore);
+    } catch (err) {
+      setError(err.message);
+      console.error("User profile fetch error:", err);
+    }
+  };
+
+  /**
+   * Jump to their previous or next pixel on the current canvas
+   * @param {number} step - -1 or 1
+   */
+  const stepPixel = (step) => {
+    if (!pixels || pixels.length === 0) return;
+    const index = (pixelIndex + step + pixels.length) % pixels.length;
+    setPixelIndex(index);
+    onJump({ canvas, x: pixels[index].x, y: pixels[index].y });
+  };
+
+  return (
+    <div style={{
+      position: "fixed",
+      top: 60,
+      right: 24,
+      width: 300,
+      maxHeight: "80vh",
+      overflowY: "auto",
+      background: "rgba(0, 0, 0, 0.92)",
+      color: "#fff",
+      borderRadius: 12,
+      padding: 14,
+      fontSize: 13,
+      zIndex: 1000,
+      boxShadow: "0 4px 16px rgba(0, 0, 0, 0.35)",
+      border: "1.5px solid rgba(255, 255, 255, 0.18)"
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <span style={{ fontWeight: "bold", color: "#ffe066" }}>
+          {profile && profile.isOnline && "🟢 "}
+          {(profile && profile.displayName) || username}
+        </span>
+        <button
+          onClick={onClose}
+          title="Close profile"
+          style={{ background: "none", border: "none", color: "#fff", fontSize: 16, cursor: "pointer", padding: 0 }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {!profile && !error && <div style={{ marginTop: 8 }}>Loading profile...</div>}
+      {error && <div style={{ color: "#ff8a80", marginTop: 8 }}>❌ {error}</div>}
+
+      {profile && (
+        <>
+          <div style={{ marginTop: 4, opacity: 0.7, fontSize: 12 }}>
+            @{profile.username}{profile.role !== "user" && ` · ${profile.role}`}
+          </div>
+
+          {/* === STATISTICS === */}
+          <div style={{ marginTop: 10, lineHeight: 1.6 }}>
+            <div>Pixels placed: <strong>{profile.pixelsPlaced.toLocaleString()}</strong></div>
+            <div>On the canvas now: <strong>{profile.pixelsOnCanvas.toLocaleString()}</strong></div>
+            {profile.canvases.length > 1 && profile.canvases.map(entry => (
+              <div key={entry.canvas} style={{ paddingLeft: 12, opacity: 0.8 }}>
+                {entry.title}: {entry.pixels.toLocaleString()}
+              </div>
+            ))}
+            <div>Joined: {formatDate(profile.joinedAt)}</div>
+            <div>Last active: {formatDate(profile.lastActive)}</div>
+          </div>
+
+          {/* === PIXEL MAP === */}
+          <div style={{ marginTop: 10 }}>
+            <button onClick={onToggleHighlight}>
+              {highlighted ? "Hide their pixels" : "Highlight their pixels"}
+            </button>
+            <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6 }}>
+              <button onClick={() => stepPixel(-1)} disabled={!pixels || pixels.length === 0} title="Previous pixel">◀</button>
+              <span style={{ flex: 1, textAlign: "center" }}>
+                {pixels === null
+                  ? "Loading pixels..."
+                  : pixels.length === 0
+                    ? "No pixels on this canvas"
+                    : pixelIndex < 0
+                      ? `${pixels.length.toLocaleString()} pixels on this canvas`
+                      : `Pixel ${pixelIndex + 1} / ${pixels.length} (${pixels[pixelIndex].x}, ${pixels[pixelIndex].y})`}
+              </span>
+              <button onClick={() => stepPixel(1)} disabled={!pixels || pixels.length === 0} title="Next pixel">▶</button>
+            </div>
+          </div>
+
+          {/* === RECENT PLACEMENTS === */}
+          <div style={{ fontWeight: "bold", color: "#ffe066", margin: "14px 0 6px" }}>Recent placements</div>
+          {placements.length === 0 && <div style={{ opacity: 0.7 }}>No placements yet</div>}
+          <ul style={{ listStyle: "none", margin: 0, padding: 0 }}>
+            {placements.map(placement => (
+              <li key={placement.id} style={{ display: "flex", alignItems: "center", gap: 6, padding: "2px 0" }}>
+                <span style={{
+                  width: 12,
+                  height: 12,
+                  background: placement.color,
+                  border: "1px solid rgba(255, 255, 255, 0.4)",
+                  flexShrink: 0
+                }} />
+                <button
+                  onClick={() => onJump({ canvas: placement.canvas, x: placement.x, y: placement.y })}
+                  title="Show on the canvas"
+                  style={{ background: "none", border: "none", color: "#8ecbff", cursor: "pointer", padding: 0, fontFamily: "monospace" }}
+                >
+                  ({placement.x}, {placement.y}){placement.canvas !== canvas && ` · ${placement.canvas}`}
+                </button>
+                <span style={{ marginLeft: "auto", opacity: 0.6, fontSize: 11 }}>{formatDate(placement.placedAt)}</span>
+              </li>
+            ))}
+          </ul>
+          {hasMore && <button onClick={loadMore} style={{ marginTop: 6 }}>Load more</button>}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Export UserProfile component as default export
+export default UserProfile;
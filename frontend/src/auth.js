@@ -0,0 +1,223 @@
+// === SESSION TOKENS ===
+// The backend issues short-lived access tokens (JWT) plus a refresh token that is swapped for
+// a new pair before the access token runs out. With "Remember me" both survive a page reload
+// (localStorage); otherwise they only live in memory for this tab
+
+// Refresh this long before the access token expires, to allow for slow requests and clock skew
+const REFRESH_MARGIN_MS = 60000;
+
+let session = loadStoredSession();
+let refreshPromise = null;
+const sessionListeners = new Set();
+
+// Follow refreshes, logins and logouts of the remembered session in other tabs
+window.addEventListener("storage", (event) => {
+  if (event.key === "refreshToken" && (session.remember || !session.token)) {
+    session = loadStoredSession();
+    sessionListeners.forEach(listener => listener(session.token));
+  }
+});
+
+/**
+ * Read a remembered session from localStorage
+ * @returns {Object} - { token, refreshToken, remember }, with empty tokens when logged out
+ */
+function loadStoredSession() {
+  const token = localStorage.getItem("token") || "";
+  const refreshToken = localStorage.getItem("refreshToken") || "";
+  // A token without a refresh token is from before refresh tokens existed and can't be renewed
+  if (!refreshToken) {
+    localStorage.removeItem("token");
+    return { token: "", refreshToken: "", remember: false };
+  }
+  return { token, refreshToken, remember: true };
+}
+
+/**
+ * Replace the current session and tell the listeners
+ * @param {Object} next - { token, refreshToken, remember }
+ */
+function setSession(next) {
+  session = next;
+  if (session.remember && session.refreshToken) {
+    localStorage.setItem("token", session.token);
+    localStorage.setItem("refreshToken", session.refreshToken);
+  } else {
+    localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
+  }
+  sessionListeners.forEach(listener => listener(session.token));
+}
+
+/**
+ * Decode the payload of a JWT (no signature check, the server does that)
+ * @param {string} token - JWT token string
+ * @returns {Object|null} - Payload, or null if the token can't be decoded
+ */
+function decodeToken(token) {
+  try {
+    return JSON.parse(atob(token.split(".")[1]));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Utility function to extract username from JWT token
+ * @param {string} token - JWT token string
+ * @returns {string} - Username extracted from token payload, empty string if invalid
+ */
+export function getUsernameFromToken(token) {
+  if (!token) return "";
+  const payload = decodeToken(token);
+  return (payload && payload.username) || "";
+}
+
+/**
+ * Get when an access token expires
+ * @param {string} token - JWT token string
+ * @returns {number} - Epoch milliseconds, or 0 if unknown
+ */
+export function getTokenExpiry(token) {
+  const payload = decodeToken(token);
+  return payload && payload.exp ? payload.exp * 1000 : 0;
+}
+
+/**
+ * Get the current access token
+ * @returns {string} - Access token, empty when logged out
+ */
+export function getAccessToken() {
+  return session.token;
+}
+
+/**
+ * Listen for access token changes (refreshes, login and logout)
+ * @param {Function} listener - Called with the new access token ("" after logout)
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeSession(listener) {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+}
+
+/**
+ * Start a session with the tokens returned by /login
+ * @param {Object} tokens - { token, refreshToken }
+ * @param {boolean} remember - Keep the session across page reloads
+ */
+export function startSession({ token, refreshToken }, remember) {
+  setSession({ token, refreshToken, remember });
+}
+
+/**
+ * Ask the server for a new token pair
+ * @returns {Promise<string>} - Access token afterwards, "" if the session ended
+ */
+async function requestNewTokens() {
+  const current = session;
+  // Another tab may have refreshed the shared session while we waited for the lock
+  if (current.remember) {
+    const stored = loadStoredSession();
+    if (stored.refreshToken !== current.refreshToken) {
+      setSession(stored);
+      return session.token;
+    }
+  }
+
+  try {
+    const response = await fetch("/refresh", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken: current.refreshToken })
+    });
+    // Logged out while the request was running
+    if (session !== current) return session.token;
+
+    if (response.ok) {
+      const data = await response.json();
+      setSession({ token: data.token, refreshToken: data.refreshToken, remember: current.remember });
+    } else if (response.status === 400 || response.status === 401) {
+      // Refresh token expired or revoked: the session is over
+      setSession({ token: "", refreshToken: "", remember: false });
+    }
+  } catch (err) {
+    // Network trouble: keep the session and try again on the next request
+    console.error("Token refresh error:", err);
+  }
+  return session.token;
+}
+
+/**
+ * Swap the refresh token for a new token pair
+ * Each refresh token only works once (reusing one ends the session), so concurrent callers
+ * share one request, and tabs sharing a remembered session take turns using a Web Lock
+ * @returns {Promise<string>} - New access token, or "" if the session ended (the user is logged out)
+ */
+export function refreshSession() {
+  if (!session.refreshToken) return Promise.resolve("");
+  if (!refreshPromise) {
+    const request = navigator.locks
+      ? navigator.locks.request("session-refresh", requestNewTokens)
+      : requestNewTokens();
+    refreshPromise = request.finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+/**
+ * Get an access token that won't expire in the next minute, refreshing first if needed
+ * @returns {Promise<string>} - Access token, "" when logged out
+ */
+export async function getFreshAccessToken() {
+  if (session.token && getTokenExpiry(session.token) - REFRESH_MARGIN_MS <= Date.now()) {
+    return refreshSession();
+  }
+  return session.token;
+}
+
+/**
+ * Schedule the next refresh a minute before the current access token expires
+ * @returns {Function} - Cancels the scheduled refresh
+ */
+export function scheduleRefresh() {
+  if (!session.token) return () => {};
+  const delay = Math.max(0, getTokenExpiry(session.token) - REFRESH_MARGIN_MS - Date.now());
+  const timer = setTimeout(refreshSession, delay);
+  return () => clearTimeout(timer);
+}
+
+/**
+ * fetch() with the access token, refreshed beforehand when it is about to expire
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options; an Authorization header is added
+ * @returns {Promise<Response>}
+ */
+export async function authFetch(url, options = {}) {
+  const token = await getFreshAccessToken();
+  return fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` }
+  });
+}
+
+/**
+ * End the session on the server and locally
+ * The local session is cleared even if the server can't be reached
+ */
+export async function endSession() {
+  const { refreshToken } = session;
+  setSession({ token: "", refreshToken: "", remember: false });
+  if (!refreshToken) return;
+  try {
+    await fetch("/logout", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken })
+    });
+  } catch (err) {
+    console.error("Logout error:", err);
+  }
+}
@@ -0,0 +1,34 @@
+// Mirrors backend/binaryProtocol.js; see there for the frame layout
+export const BINARY_PROTOCOL = "pixel-binary-v1";
+export const FRAME_CELL_UPDATES = 1;
+export const ERASED_COLOR_INDEX = 0xff;
+
+const HEADER_BYTES = 3;
+const UPDATE_BYTES = 13;
+
+/**
+ * Decode a binary frame of pixel updates
+ * @param {ArrayBuffer} buffer - Frame received over the WebSocket
+ * @returns {Array|null} - [{ seq, x, y, colorIndex, userId }], or null for an unknown or truncated frame
+ */
+export function decodeCellUpdates(buffer) {
+  const view = new DataView(buffer);
+  if (view.byteLength < HEADER_BYTES || view.getUint8(0) !== FRAME_CELL_UPDATES) return null;
+
+  const count = view.getUint16(1);
+  if (view.byteLength < HEADER_BYTES + count * UPDATE_BYTES) return null;
+
+  const updates = [];
+  let offset = HEADER_BYTES;
+  for (let i = 0; i < count; i++) {
+    updates.push({
+      seq: view.getUint32(offset),
+      x: view.getUint16(offset + 4),
+      y: view.getUint16(offset + 6),
+      colorIndex: view.getUint8(offset + 8),
+      userId: view.getUint32(offset + 9)
+    });
+    offset += UPDATE_BYTES;
+  }
+  return updates;
+}
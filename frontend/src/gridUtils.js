@@ -0,0 +1,92 @@
+/**
+ * Grid Utilities
+ * Pure helpers for canvas bounds, view clamping and chunk subscriptions shared by Grid and GridCanvas
+ */
+
+/**
+ * Check whether a cell lies on the canvas
+ * @param {number} col - Column
+ * @param {number} row - Row
+ * @param {{width: number, height: number}|null} bounds - Canvas size from the server (null = unknown)
+ * @returns {boolean} - Whether the cell is inside the canvas (always true while bounds are unknown)
+ */
+export function isCellInBounds(col, row, bounds) {
+  if (!bounds) return true;
+  return col >= 0 && row >= 0 && col < bounds.width && row < bounds.height;
+}
+
+/**
+ * Clamp a cell to the canvas
+ * @param {{col: number, row: number}} cell - Cell to clamp
+ * @param {{width: number, height: number}|null} bounds - Canvas size from the server
+ * @returns {{col: number, row: number}} - Nearest cell inside the canvas
+ */
+export function clampCell(cell, bounds) {
+  if (!bounds) return cell;
+  return {
+    col: Math.min(Math.max(cell.col, 0), bounds.width - 1),
+    row: Math.min(Math.max(cell.row, 0), bounds.height - 1)
+  };
+}
+
+/**
+ * Clamp a pan offset so the canvas can't be dragged out of view
+ * Each canvas edge may travel at most to the centre of the viewport
+ * @param {{x: number, y: number}} offset - Proposed pan offset in screen pixels
+ * @param {Object} view - Current view settings
+ * @param {number} view.zoom - Zoom level
+ * @param {number} view.cellSize - Cell size in pixels at 100% zoom
+ * @param {number} view.canvasSize - Viewport size in pixels
+ * @param {{width: number, height: number}|null} view.bounds - Canvas size from the server
+ * @returns {{x: number, y: number}} - Clamped offset
+ */
+export function clampOffset(offset, { zoom, cellSize, canvasSize, bounds }) {
+  if (!bounds) return offset;
+  const margin = canvasSize / 2;
+  const worldWidth = bounds.width * cellSize * zoom;
+  const worldHeight = bounds.height * cellSize * zoom;
+  return {
+    x: Math.min(Math.max(offset.x, -margin), worldWidth - margin),
+    y: Math.min(Math.max(offset.y, -margin), worldHeight - margin)
+  };
+}
+
+/**
+ * Get the key of the chunk containing a cell
+ * @param {string} cellKey - Cell key in "x,y" format
+ * @param {number} chunkSize - Cells per chunk side (from the server's init message)
+ * @returns {string} - Chunk key in "cx,cy" format
+ */
+export function getChunkKeyForCell(cellKey, chunkSize) {
+  const [x, y] = cellKey.split(",").map(Number);
+  return `${Math.floor(x / chunkSize)},${Math.floor(y / chunkSize)}`;
+}
+
+/**
+ * List the chunks covering the viewport, plus a one-chunk margin so panning doesn't show gaps
+ * @param {Object} view - Current view settings
+ * @param {{x: number, y: number}} view.offset - Pan offset in screen pixels
+ * @param {number} view.zoom - Zoom level
+ * @param {number} view.cellSize - Cell size in pixels at 100% zoom
+ * @param {number} view.canvasSize - Viewport size in pixels
+ * @param {{width: number, height: number}} view.bounds - Canvas size from the server
+ * @param {number} view.chunkSize - Cells per chunk side
+ * @returns {string[]} - Chunk keys in "cx,cy" format, limited to chunks on the canvas
+ */
+export function getVisibleChunks({ offset, zoom, cellSize, canvasSize, bounds, chunkSize }) {
+  const chunkPixels = chunkSize * cellSize * zoom;
+  const lastChunkX = Math.ceil(bounds.width / chunkSize) - 1;
+  const lastChunkY = Math.ceil(bounds.height / chunkSize) - 1;
+  const minX = Math.max(0, Math.floor(offset.x / chunkPixels) - 1);
+  const minY = Math.max(0, Math.floor(offset.y / chunkPixels) - 1);
+  const maxX = Math.min(lastChunkX, Math.floor((offset.x + canvasSize) / chunkPixels) + 1);
+  const maxY = Math.min(lastChunkY, Math.floor((offset.y + canvasSize) / chunkPixels) + 1);
+
+  const chunks = [];
+  for (let cy = minY; cy <= maxY; cy++) {
+    for (let cx = minX; cx <= maxX; cx++) {
+      chunks.push(`${cx},${cy}`);
+    }
+  }
+  return chunks;
+}
@@ -0,0 +1,124 @@
+// Backoff between reconnection attempts: doubles from the initial delay up to the maximum
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// === SHARED CONNECTION ===
+// Grid owns the app's single connection; other components (e.g. chat) talk through it here
+let sharedSocket = null;
+const messageListeners = new Set();
+
+/**
+ * Register the connection other components should send through
+ * @param {Object|null} socket - Socket from createReconnectingSocket, or null when it closes
+ */
+export function setSharedSocket(socket) {
+  sharedSocket = socket;
+}
+
+/**
+ * Send a message over the shared connection
+ * @param {Object} message - Message object, serialised as JSON
+ * @returns {boolean} - False while disconnected
+ */
+export function sendSharedMessage(message) {
+  return !!sharedSocket && sharedSocket.send(JSON.stringify(message));
+}
+
+/**
+ * Listen to every JSON message received on the shared connection
+ * @param {Function} listener - Called with each parsed message
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeSharedMessages(listener) {
+  messageListeners.add(listener);
+  return () => messageListeners.delete(listener);
+}
+
+/**
+ * Pass a parsed message on to the shared listeners
+ * @param {Object} message - Parsed JSON message
+ */
+export function publishSharedMessage(message) {
+  messageListeners.forEach(listener => listener(message));
+}
+
+/**
+ * Get the URL of the backend WebSocket server
+ * In development the Vite server runs separately from the backend on port 5000
+ * @returns {string} - WebSocket URL
+ */
+export function getSocketUrl() {
+  const wsProtocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  const wsHost = import.meta.env.DEV ? "localhost:5000" : window.location.host;
+  return `${wsProtocol}//${wsHost}`;
+}
+
+/**
+ * Open a WebSocket that reconnects automatically with exponential backoff
+ *
+ * @param {Object} options
+ * @param {string} options.url - WebSocket URL
+ * @param {string[]} [options.protocols] - Subprotocols to offer; binary messages arrive as ArrayBuffers
+ * @param {Function} [options.onOpen] - Called after every successful (re)connection
+ * @param {Function} [options.onMessage] - Called with each MessageEvent
+ * @param {Function} [options.onClose] - Called with the CloseEvent when a connection drops
+ * @param {Function} [options.onStatusChange] - Called with { status, retryAt } where status is
+ *   "connecting", "connected" or "offline" and retryAt is when the next attempt starts
+ * @returns {Object} - { send(data), isOpen(), close() }; send returns false while disconnected
+ */
+export function createReconnectingSocket({ url, protocols = [], onOpen, onMessage, onClose, onStatusChange }) {
+  let ws = null;
+  let attempts = 0;         // Failed attempts since the last successful connection
+  let retryTimer = null;
+  let closed = false;       // Set once the owner closes the socket for good
+
+  function setStatus(status, retryAt = null) {
+    if (onStatusChange) onStatusChange({ status, retryAt });
+  }
+
+  function connect() {
+    setStatus("connecting");
+    ws = new window.WebSocket(url, protocols);
+    ws.binaryType = "arraybuffer";
+
+    ws.onopen = () => {
+      attempts = 0;
+      setStatus("connected");
+      if (onOpen) onOpen();
+    };
+
+    ws.onmessage = (event) => {
+      if (onMessage) onMessage(event);
+    };
+
+    ws.onclose = (event) => {
+      if (closed) return;
+      if (onClose) onClose(event);
+
+      // Jitter spreads out reconnects when the server restarts under many clients
+      const backoff = Math.min(MAX_RETRY_MS, INITIAL_RETRY_MS * 2 ** attempts);
+      const delay = Math.round(backoff * (0.5 + Math.random() / 2));
+      attempts++;
+      setStatus("offline", Date.now() + delay);
+      retryTimer = setTimeout(connect, delay);
+    };
+  }
+
+  connect();
+
+  return {
+    send(data) {
+      if (!ws || ws.readyState !== window.WebSocket.OPEN) return false;
+      ws.send(data);
+      return true;
+    },
+    isOpen() {
+      return !!ws && ws.readyState === window.WebSocket.OPEN;
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (ws) ws.close();
+    }
+  };
+}
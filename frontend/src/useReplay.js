@@ -0,0 +1,157 @@
+// Import React hooks for replay state and playback timing
+import { useState, useEffect, useRef, useCallback } from "react";
+import { authFetch } from "./auth";
+
+// Page size when downloading the placements timeline
+const TIMELINE_PAGE_SIZE = 5000;
+
+// Playback tick interval and how long a full replay should take at 1x speed
+const TICK_MS = 50;
+const FULL_REPLAY_MS = 20000;
+
+/**
+ * useReplay Hook - Time-lapse replay of the canvas
+ * Downloads the placements timeline and rebuilds the grid frame by frame,
+ * from an empty canvas up to the present
+ *
+ * @param {string} canvas - Slug of the canvas to replay
+ * @returns {Object} - Replay state and controls:
+ *   active, loading, error, pixels, index, total, playing, currentTime,
+ *   start(), stop(), togglePlay(), seek(index)
+ */
+export default function useReplay(canvas) {
+  const [active, setActive] = useState(false);     // Whether replay mode is on
+  const [loading, setLoading] = useState(false);   // Whether the timeline is downloading
+  const [error, setError] = useState(null);        // Download error message
+  const [events, setEvents] = useState([]);        // All placements, oldest first
+  const [index, setIndex] = useState(0);           // Number of placements applied to the frame
+  const [playing, setPlaying] = useState(false);   // Whether playback is running
+  const [pixels, setPixels] = useState({});        // Grid state for the current frame
+
+  // Frame built so far, so playing forward only applies new placements
+  const frameRef = useRef({ grid: {}, applied: 0 });
+
+  /**
+   * Enter replay mode and download the whole timeline page by page
+   */
+  const start = useCallback(async () => {
+    setActive(true);
+    setLoading(true);
+    setError(null);
+    setEvents([]);
+    setIndex(0);
+    setPlaying(false);
+    frameRef.current = { grid: {}, applied: 0 };
+
+    try {
+      const all = [];
+      let after = 0;
+      let done = false;
+      while (!done) {
+        const params = new URLSearchParams({ canvas, after, limit: TIMELINE_PAGE_SIZE });
+        const response = await authFetch(`/api/canvas/timeline?${params}`, {
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        });
+        if (!response.ok) {
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || `Failed to fetch timeline (${response.status})`);
+        }
+        const data = await response.json();
+        all.push(...data.placements);
+        after = data.nextAfter;
+        done = data.done;
+      }
+      setEvents(all);
+      setPlaying(all.length > 0);
+    } catch (err) {
+      setError(err.message);
+      console.error('Replay timeline fetch error:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [canvas]);
+
+  /**
+   * Leave replay mode and drop the downloaded timeline
+   */
+  const stop = useCallback(() => {
+    setActive(false);
+    setPlaying(false);
+    setEvents([]);
+    setIndex(0);
+    setPixels({});
+    frameRef.current = { grid: {}, applied: 0 };
+  }, []);
+
+  /**
+   * Toggle playback, restarting from the beginning when at the end
+   */
+  const togglePlay = useCallback(() => {
+    if (!playing && index >= events.length) {
+      setIndex(0);
+    }
+    setPlaying(p => !p);
+  }, [playing, index, events.length]);
+
+  /**
+   * Jump to a point in the timeline (number of placements applied)
+   */
+  const seek = useCallback((newIndex) => {
+    setIndex(Math.max(0, Math.min(events.length, newIndex)));
+  }, [events.length]);
+
+  // === PLAYBACK LOOP ===
+  // Advance enough placements per tick to replay everything in about FULL_REPLAY_MS
+  useEffect(() => {
+    if (!playing || !events.length) return;
+    const step = Math.max(1, Math.ceil(events.length / (FULL_REPLAY_MS / TICK_MS)));
+    const interval = setInterval(() => {
+      setIndex(i => {
+        const next = Math.min(events.length, i + step);
+        if (next >= events.length) setPlaying(false);
+        return next;
+      });
+    }, TICK_MS);
+    return () => clearInterval(interval);
+  }, [playing, events.length]);
+
+  // === FRAME BUILDING ===
+  // Apply placements up to index; scrubbing backwards rebuilds from empty
+  useEffect(() => {
+    if (!active) return;
+    let { grid, applied } = frameRef.current;
+    if (index < applied) {
+      grid = {};
+      applied = 0;
+    } else {
+      grid = { ...grid };
+    }
+    for (let i = applied; i < index; i++) {
+      const event = events[i];
+      if (event.color === null) {
+        delete grid[event.key]; // Erased by a moderator
+      } else {
+        grid[event.key] = { color: event.color, username: event.username };
+      }
+    }
+    frameRef.current = { grid, applied: index };
+    setPixels(grid);
+  }, [active, events, index]);
+
+  return {
+    active,
+    loading,
+    error,
+    pixels,
+    index,
+    total: events.length,
+    playing,
+    currentTime: index > 0 ? events[index - 1].placedAt : null,
+    start,
+    stop,
+    togglePlay,
+    seek
+  };
+}